@@ -0,0 +1,90 @@
+import fs from 'fs';
+import { createSupabaseClients } from './supabase.js';
+import { createSupabaseDb } from './db/supabase.js';
+import { createMemoryDb } from './db/memory.js';
+import { createSupabaseAuth } from './auth/supabase.js';
+import { createMemoryAuth } from './auth/memory.js';
+import { createSmtpTransport } from './email/smtp.js';
+import { createConsoleTransport, createFileTransport } from './email/local.js';
+import { createLocalStorage } from './storage/local.js';
+import { createSupabaseStorage } from './storage/supabase.js';
+import seed from './db/seed.js';
+import { systemClock } from './clock.js';
+
+// DB_ADAPTER selects the data-access and auth implementation:
+// - "supabase" (default): the Supabase project from SUPABASE_URL / SUPABASE_ANON_KEY
+// - "memory": in-process tables seeded from db/seed.js, or from the JSON file
+//   MEMORY_SEED_FILE points at (same shape as db/seed.js)
+export function createAdapters(env = process.env, { clock = systemClock } = {}) {
+  const adapter = (env.DB_ADAPTER || 'supabase').toLowerCase();
+
+  if (adapter === 'memory') {
+    const data = env.MEMORY_SEED_FILE
+      ? JSON.parse(fs.readFileSync(env.MEMORY_SEED_FILE, 'utf8'))
+      : seed;
+    const db = createMemoryDb({ data, clock });
+    const auth = createMemoryAuth({ db, users: data.users, clock });
+    return { adapter, db, auth };
+  }
+
+  if (adapter === 'supabase') {
+    const clients = createSupabaseClients(env);
+    return {
+      adapter,
+      db: createSupabaseDb(clients),
+      auth: createSupabaseAuth(clients)
+    };
+  }
+
+  throw new Error(`Unknown DB_ADAPTER "${env.DB_ADAPTER}". Use "supabase" or "memory".`);
+}
+
+// EMAIL_TRANSPORT selects how queued emails are sent:
+// - "console" (default): printed to the server log
+// - "file": written as .eml files into EMAIL_FILE_DIR (default ./mail-outbox)
+// - "smtp": sent through SMTP_HOST / SMTP_PORT (SMTP_SECURE=true for TLS on connect)
+//   with SMTP_USER / SMTP_PASS
+export function createMailTransport(env = process.env) {
+  const transport = (env.EMAIL_TRANSPORT || 'console').toLowerCase();
+  const from = env.EMAIL_FROM || 'GearGuard <no-reply@gearguard.local>';
+
+  if (transport === 'console') {
+    return createConsoleTransport();
+  }
+
+  if (transport === 'file') {
+    return createFileTransport({ dir: env.EMAIL_FILE_DIR || 'mail-outbox', from });
+  }
+
+  if (transport === 'smtp') {
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT || 587),
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : undefined,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.EMAIL_FROM
+    });
+  }
+
+  throw new Error(`Unknown EMAIL_TRANSPORT "${env.EMAIL_TRANSPORT}". Use "console", "file" or "smtp".`);
+}
+
+// STORAGE_ADAPTER selects where attachment files are kept:
+// - "local" (default): files under STORAGE_DIR (default ./uploads)
+// - "supabase": the Supabase Storage bucket SUPABASE_STORAGE_BUCKET (default "attachments"),
+//   through the service role client when SUPABASE_SERVICE_ROLE_KEY is set
+export function createStorage(env = process.env) {
+  const storage = (env.STORAGE_ADAPTER || 'local').toLowerCase();
+
+  if (storage === 'local') {
+    return createLocalStorage({ dir: env.STORAGE_DIR || 'uploads' });
+  }
+
+  if (storage === 'supabase') {
+    const { client, adminClient } = createSupabaseClients(env);
+    return createSupabaseStorage({ client: adminClient || client, bucket: env.SUPABASE_STORAGE_BUCKET || 'attachments' });
+  }
+
+  throw new Error(`Unknown STORAGE_ADAPTER "${env.STORAGE_ADAPTER}". Use "local" or "supabase".`);
+}
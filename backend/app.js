@@ -0,0 +1,99 @@
+import express from 'express';
+import cors from 'cors';
+import { systemClock } from './clock.js';
+import { createAuthMiddleware } from './middleware/auth.js';
+import { createNotifier } from './notifications.js';
+import { createMailer } from './email/mailer.js';
+import { createConsoleTransport } from './email/local.js';
+import { createWebhookDispatcher } from './webhooks.js';
+import { createLiveUpdates } from './liveUpdates.js';
+import { createAssigner } from './assignment.js';
+import { createLocalStorage } from './storage/local.js';
+import { DEFAULT_ATTACHMENT_MAX_BYTES } from './attachments.js';
+import authRoutes from './routes/auth.js';
+import dashboardRoutes from './routes/dashboard.js';
+import equipmentRoutes from './routes/equipment.js';
+import requestRoutes from './routes/requests.js';
+import pmPlanRoutes from './routes/pmPlans.js';
+import slaRoutes from './routes/sla.js';
+import notificationRoutes from './routes/notifications.js';
+import emailRoutes from './routes/emails.js';
+import webhookRoutes from './routes/webhooks.js';
+import eventRoutes from './routes/events.js';
+import attachmentRoutes from './routes/attachments.js';
+import partRoutes from './routes/parts.js';
+import timeEntryRoutes from './routes/timeEntries.js';
+import costRoutes from './routes/costs.js';
+import workcenterRoutes from './routes/workcenters.js';
+import teamRoutes from './routes/teams.js';
+import userRoutes from './routes/users.js';
+import lookupRoutes from './routes/lookups.js';
+
+// Build the GearGuard Express app around the given adapters.
+// - db: repositories (see db/supabase.js and db/memory.js)
+// - auth: auth adapter (see auth/supabase.js and auth/memory.js)
+// - clock: `{ now, sleep }`, defaults to the system clock
+// - frontendUrl: allowed CORS origin and base of email redirect links
+// - mailTransport: sends the queued emails (see createMailTransport in adapters.js)
+// - live: the live update hub streamed at /api/events, shared with the background jobs
+// - storage: keeps attachment files (see createStorage in adapters.js)
+// - attachmentMaxBytes: the largest file that can be attached
+// The app does not listen; server.js does that for the real process.
+export function createApp({
+  db,
+  auth,
+  clock = systemClock,
+  frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173',
+  mailTransport = createConsoleTransport(),
+  live = createLiveUpdates(),
+  storage = createLocalStorage(),
+  attachmentMaxBytes = Number(process.env.ATTACHMENT_MAX_MB || 0) * 1024 * 1024 || DEFAULT_ATTACHMENT_MAX_BYTES
+}) {
+  const app = express();
+
+  // Middleware
+  app.use(cors({
+    origin: frontendUrl,
+    credentials: true
+  }));
+  app.use(express.json());
+
+  const { getAccessToken, requireAuth, requirePermission, requireRequestAccess } = createAuthMiddleware({ db, auth });
+  // Notifications are written for users other than the caller, so they use the service role
+  // repositories when SUPABASE_SERVICE_ROLE_KEY is set
+  const mailer = createMailer({ db: db.withAccessToken(null), clock, frontendUrl });
+  const notifier = createNotifier({ db: db.withAccessToken(null), mailer });
+  const webhooks = createWebhookDispatcher({ db: db.withAccessToken(null), clock });
+  // Assignment weighs every request of a team, including ones the caller can't see
+  const assigner = createAssigner({ db: db.withAccessToken(null), clock });
+  const context = {
+    db, auth, clock, frontendUrl, mailer, mailTransport, notifier, webhooks, live, storage, attachmentMaxBytes, assigner,
+    getAccessToken, requireAuth, requirePermission, requireRequestAccess
+  };
+
+  app.use('/api/auth', authRoutes(context));
+  app.use('/api/dashboard', dashboardRoutes(context));
+  app.use('/api/equipment', equipmentRoutes(context));
+  app.use('/api/requests', requestRoutes(context));
+  app.use('/api/pm-plans', pmPlanRoutes(context));
+  app.use('/api/sla', slaRoutes(context));
+  app.use('/api/notifications', notificationRoutes(context));
+  app.use('/api/emails', emailRoutes(context));
+  app.use('/api/webhooks', webhookRoutes(context));
+  app.use('/api/events', eventRoutes(context));
+  app.use('/api/attachments', attachmentRoutes(context));
+  app.use('/api/parts', partRoutes(context));
+  app.use('/api/time-entries', timeEntryRoutes(context));
+  app.use('/api/costs', costRoutes(context));
+  app.use('/api/workcenters', workcenterRoutes(context));
+  app.use('/api/teams', teamRoutes(context));
+  app.use('/api/users', userRoutes(context));
+  app.use('/api/lookups', lookupRoutes(context));
+
+  // Health check
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', message: 'GearGuard API is running' });
+  });
+
+  return app;
+}
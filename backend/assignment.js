@@ -0,0 +1,126 @@
+// Automatic assignment of new maintenance requests.
+//
+// A request without a team gets the maintenance team of its equipment or work center, and one
+// without a technician gets the default technician of that equipment or work center. When there
+// is still no technician, the team's `assignment_strategy` picks one of its TECHNICIAN members:
+// - ROUND_ROBIN: the member after the one who got the team's latest assigned request (by name)
+// - LEAST_LOADED: the member with the lowest load over the next days (backend/load.js), then
+//   the fewest open requests
+// - SKILLS: the least loaded of the members skilled in the request's equipment category (their
+//   `category_ids`), or of all members when nobody is; the category is the request's, else
+//   the equipment's
+// MANUAL teams leave the technician empty for a manager to pick. Team and technician sent with
+// the request always win, which is how managers override the engine.
+import { systemClock } from './clock.js';
+import { buildTechnicianLoad, defaultLoadWindow } from './load.js';
+
+export const ASSIGNMENT_STRATEGIES = ['MANUAL', 'ROUND_ROBIN', 'LEAST_LOADED', 'SKILLS'];
+
+// How many of the team's latest requests round robin looks through for the last assignee
+const ROUND_ROBIN_LOOKBACK = 50;
+
+function byName(a, b) {
+  return String(a.name || '').localeCompare(String(b.name || ''));
+}
+
+// `candidates` in name order; `lastAssignedId` is whoever got the team's previous request
+export function pickRoundRobin(candidates, lastAssignedId) {
+  const ordered = [...candidates].sort(byName);
+  const last = ordered.findIndex(c => c.id === lastAssignedId);
+  return ordered[(last + 1) % ordered.length] || null;
+}
+
+// `load` is buildTechnicianLoad over the candidates; `openRequests` all open assigned requests
+export function pickLeastLoaded(candidates, load, openRequests) {
+  const loadOf = id => load.technicians.find(t => t.id === id)?.load_percent ?? 0;
+  const openOf = id => openRequests.filter(r => r.technician_id === id).length;
+  return [...candidates].sort((a, b) => loadOf(a.id) - loadOf(b.id) || openOf(a.id) - openOf(b.id) || byName(a, b))[0] || null;
+}
+
+export function pickSkilled(candidates, categoryId) {
+  if (!categoryId) return candidates;
+  const skilled = candidates.filter(c => (c.category_ids || []).some(id => String(id) === String(categoryId)));
+  return skilled.length > 0 ? skilled : candidates;
+}
+
+export function createAssigner({ db, clock = systemClock }) {
+  // The equipment or work center the request is for, with its default team and technician
+  async function loadTarget(values) {
+    if (values.maintenance_for === 'WORKCENTER') {
+      if (!values.workcenter_id) return { source: null, target: null };
+      const { data } = await db.workcenters.findById(values.workcenter_id);
+      return { source: 'WORKCENTER', target: data };
+    }
+    if (!values.equipment_id) return { source: null, target: null };
+    const { data } = await db.equipment.findById(values.equipment_id);
+    return { source: 'EQUIPMENT', target: data };
+  }
+
+  async function pickFromTeam(team, categoryId) {
+    const { data: technicians, error } = await db.profiles.list({ role: 'TECHNICIAN', includeWorkingHours: true });
+    if (error) return { error };
+
+    const members = new Map((team.members || []).map(m => [m.user_id, m]));
+    const candidates = (technicians || [])
+      .filter(t => members.has(t.id))
+      .map(t => ({ ...t, category_ids: members.get(t.id).category_ids || [] }));
+    if (candidates.length === 0) return { data: null };
+
+    if (team.assignment_strategy === 'ROUND_ROBIN') {
+      const { data: recent, error: recentError } = await db.requests.list({
+        filters: { team_id: team.id },
+        limit: ROUND_ROBIN_LOOKBACK
+      });
+      if (recentError) return { error: recentError };
+      const last = (recent || []).find(r => r.technician_id && members.has(r.technician_id));
+      return { data: pickRoundRobin(candidates, last?.technician_id) };
+    }
+
+    const { data: openRequests, error: openError } = await db.requests.listOpenAssigned();
+    if (openError) return { error: openError };
+
+    const pool = team.assignment_strategy === 'SKILLS' ? pickSkilled(candidates, categoryId) : candidates;
+    const load = buildTechnicianLoad(pool, openRequests || [], defaultLoadWindow(clock.now().toISOString().split('T')[0]), clock.now());
+    return { data: pickLeastLoaded(pool, load, openRequests || []) };
+  }
+
+  // Fills in `team_id` / `technician_id` of new request `values`; resolves with both and where
+  // each came from (REQUEST, EQUIPMENT, WORKCENTER or the team's strategy), null when unset
+  async function assign(values) {
+    const result = {
+      team_id: values.team_id || null,
+      technician_id: values.technician_id || null,
+      team_source: values.team_id ? 'REQUEST' : null,
+      technician_source: values.technician_id ? 'REQUEST' : null
+    };
+    if (result.team_id && result.technician_id) return { data: result, error: null };
+
+    const { source, target } = await loadTarget(values);
+    // The default technician only comes along with the default team, not with another one
+    const keepsTargetTeam = !result.team_id || String(result.team_id) === String(target?.maintenance_team_id);
+    if (!result.team_id && target?.maintenance_team_id) {
+      result.team_id = target.maintenance_team_id;
+      result.team_source = source;
+    }
+    if (!result.technician_id && keepsTargetTeam && target?.default_technician_id) {
+      result.technician_id = target.default_technician_id;
+      result.technician_source = source;
+    }
+    if (result.technician_id || !result.team_id) return { data: result, error: null };
+
+    const { data: team } = await db.teams.findById(result.team_id);
+    if (!team || !team.assignment_strategy || team.assignment_strategy === 'MANUAL') {
+      return { data: result, error: null };
+    }
+
+    const { data: technician, error } = await pickFromTeam(team, values.category_id || target?.category_id);
+    if (error) return { data: null, error };
+    if (technician) {
+      result.technician_id = technician.id;
+      result.technician_source = team.assignment_strategy;
+    }
+    return { data: result, error: null };
+  }
+
+  return { assign };
+}
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import path from 'path';
+
+// Files attached to maintenance requests (photos of the failure) and equipment (manuals,
+// invoices). The bytes go to the storage adapter (backend/storage/*, see createStorage in
+// adapters.js); the attachments table keeps the metadata and the storage keys.
+//
+// Thumbnails of images are made by the browser, which can decode every image type it
+// uploads, and stored next to the original.
+
+export const DEFAULT_ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+export const THUMBNAIL_MAX_BYTES = 200 * 1024;
+
+export const ATTACHMENT_CONTENT_TYPES = {
+  'image/jpeg': 'JPEG image',
+  'image/png': 'PNG image',
+  'image/gif': 'GIF image',
+  'image/webp': 'WebP image',
+  'application/pdf': 'PDF document',
+  'text/plain': 'Text file',
+  'text/csv': 'CSV file',
+  'application/msword': 'Word document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word document',
+  'application/vnd.ms-excel': 'Excel workbook',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel workbook'
+};
+
+export const THUMBNAIL_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Leading bytes of the types browsers would render, so a file can't claim to be an image
+// or a PDF while being something else
+const SIGNATURES = {
+  'image/jpeg': [[0, 'ffd8ff']],
+  'image/png': [[0, '89504e470d0a1a0a']],
+  'image/gif': [[0, '474946383761'], [0, '474946383961']],
+  'image/webp': [[0, '52494646', 8, '57454250']],
+  'application/pdf': [[0, '255044462d']]
+};
+
+// The media type of a Content-Type header, without parameters
+export function baseContentType(header) {
+  return String(header || '').split(';')[0].trim().toLowerCase();
+}
+
+export function isImage(contentType) {
+  return contentType.startsWith('image/');
+}
+
+export function matchesSignature(contentType, data) {
+  const options = SIGNATURES[contentType];
+  if (!options) return true;
+
+  return options.some(parts => {
+    for (let i = 0; i < parts.length; i += 2) {
+      const expected = Buffer.from(parts[i + 1], 'hex');
+      if (!data.subarray(parts[i], parts[i] + expected.length).equals(expected)) return false;
+    }
+    return true;
+  });
+}
+
+// A file name that is safe to store and to send back in Content-Disposition
+export function sanitizeFileName(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim()
+    .substring(0, 200);
+  return base || 'file';
+}
+
+// Keys never contain the user's file name, only where the file belongs
+export function buildStorageKey(owner, ownerId) {
+  return `${owner}/${ownerId}/${crypto.randomUUID()}`;
+}
+
+// The attachment as the API returns it, without the storage keys
+export function toAttachmentResponse({ storage_key, thumbnail_key, ...attachment }) {
+  return { ...attachment, has_thumbnail: !!thumbnail_key };
+}
+
+// Deletes the stored files of `attachments` (after their rows are gone); failures are only
+// logged, an orphaned file is better than a failed delete
+export async function removeStoredFiles(storage, attachments, logger = console) {
+  const keys = (attachments || []).flatMap(a => [a.storage_key, a.thumbnail_key]).filter(Boolean);
+  if (keys.length === 0) return;
+
+  try {
+    await storage.remove(keys);
+  } catch (error) {
+    logger.error('Removing attachment files failed:', error.message);
+  }
+}
@@ -0,0 +1,116 @@
+// In-memory implementation of the GearGuard auth adapter (DB_ADAPTER=memory).
+// Users are confirmed on signup and sessions live until the process exits.
+// Like the Supabase signup trigger, signUp creates the matching profile row.
+import crypto from 'crypto';
+import { systemClock } from '../clock.js';
+
+function authError(message) {
+  return { message };
+}
+
+function toAuthUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    email_confirmed_at: user.email_confirmed_at,
+    user_metadata: user.user_metadata
+  };
+}
+
+export function createMemoryAuth({ db, users = [], clock = systemClock }) {
+  const accounts = users.map(u => ({
+    id: u.id,
+    email: u.email,
+    password: u.password,
+    email_confirmed_at: clock.now().toISOString(),
+    user_metadata: { name: u.name, role: u.role }
+  }));
+  const sessions = new Map();
+
+  function findByEmail(email) {
+    const wanted = String(email || '').toLowerCase();
+    return accounts.find(a => a.email.toLowerCase() === wanted) || null;
+  }
+
+  return {
+    async signInWithPassword({ email, password }) {
+      const account = findByEmail(email);
+      if (!account || account.password !== password) {
+        return { data: { user: null, session: null }, error: authError('Invalid login credentials') };
+      }
+
+      const accessToken = crypto.randomBytes(24).toString('hex');
+      sessions.set(accessToken, account.id);
+
+      const user = toAuthUser(account);
+      return {
+        data: {
+          user,
+          session: { access_token: accessToken, token_type: 'bearer', user }
+        },
+        error: null
+      };
+    },
+
+    async signUp({ email, password, options = {} }) {
+      if (findByEmail(email)) {
+        return { data: { user: null }, error: authError('User already registered') };
+      }
+
+      const account = {
+        id: crypto.randomUUID(),
+        email,
+        password,
+        email_confirmed_at: clock.now().toISOString(),
+        user_metadata: options.data || {}
+      };
+      accounts.push(account);
+
+      await db.profiles.create({
+        id: account.id,
+        email,
+        name: account.user_metadata.name || email,
+        role: account.user_metadata.role || 'EMPLOYEE'
+      });
+
+      return { data: { user: toAuthUser(account) }, error: null };
+    },
+
+    async getUser(token) {
+      const account = accounts.find(a => a.id === sessions.get(token));
+      if (!account) {
+        return { data: { user: null }, error: authError('Invalid or expired session') };
+      }
+      return { data: { user: toAuthUser(account) }, error: null };
+    },
+
+    // Accounts are confirmed on signup, so verification links always succeed
+    async verifyOtp() {
+      return { data: { user: null }, error: null };
+    },
+
+    async resend() {
+      return { data: {}, error: null };
+    },
+
+    admin: {
+      async listUsers() {
+        return { data: { users: accounts.map(toAuthUser) }, error: null };
+      },
+
+      async updateUserById(id, attributes) {
+        const account = accounts.find(a => a.id === id);
+        if (!account) {
+          return { data: { user: null }, error: authError('User not found') };
+        }
+        if (attributes.email_confirm) {
+          account.email_confirmed_at = account.email_confirmed_at || clock.now().toISOString();
+        }
+        if (attributes.password) {
+          account.password = attributes.password;
+        }
+        return { data: { user: toAuthUser(account) }, error: null };
+      }
+    }
+  };
+}
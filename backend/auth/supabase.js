@@ -0,0 +1,38 @@
+// Supabase Auth implementation of the GearGuard auth adapter.
+// The adapter exposes the subset of `supabase.auth` the API uses, with the same
+// `{ data, error }` results; `admin` is null when no service role key is configured.
+export function createSupabaseAuth({ client, adminClient }) {
+  return {
+    signInWithPassword(credentials) {
+      return client.auth.signInWithPassword(credentials);
+    },
+
+    signUp(params) {
+      return client.auth.signUp(params);
+    },
+
+    getUser(token) {
+      return client.auth.getUser(token);
+    },
+
+    verifyOtp(params) {
+      return client.auth.verifyOtp(params);
+    },
+
+    resend(params) {
+      return client.auth.resend(params);
+    },
+
+    admin: adminClient
+      ? {
+          listUsers() {
+            return adminClient.auth.admin.listUsers();
+          },
+
+          updateUserById(id, attributes) {
+            return adminClient.auth.admin.updateUserById(id, attributes);
+          }
+        }
+      : null
+  };
+}
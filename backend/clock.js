@@ -0,0 +1,11 @@
+// Source of the current time for routes and adapters.
+// Tests can pass their own `{ now, sleep }` object to freeze or fast-forward time.
+export const systemClock = {
+  now() {
+    return new Date();
+  },
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+};
@@ -0,0 +1,192 @@
+// Maintenance costs for the request Costs tab, GET /api/costs/summary and the equipment TCO.
+//
+// A request costs:
+//   - labor: the minutes of its time entries at the hourly_rate of whoever logged them, or at the
+//     cost_per_hour of the request's work center when they have no rate. Minutes with neither
+//     are reported as unpriced. Running timers count up to now.
+//   - parts: each part line's quantity at the unit cost it was used at (request_parts)
+//   - external: its request_charges
+// Amounts are rounded to cents. Requests are dated by request_date.
+
+const MINUTE = 60 * 1000;
+const YEAR = 365 * 24 * 60 * MINUTE;
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function entryMinutes(entry, now) {
+  const end = entry.ended_at ? Date.parse(entry.ended_at) : now.getTime();
+  return Math.max(0, Math.round((end - Date.parse(entry.started_at)) / MINUTE));
+}
+
+function rateOf(value) {
+  return value == null ? null : Number(value);
+}
+
+// Hourly rates by profile id and by work center id; `profiles` need hourly_rate
+export function buildRates(profiles, workcenters) {
+  return {
+    users: new Map(profiles.map(p => [String(p.id), rateOf(p.hourly_rate)])),
+    workcenters: new Map(workcenters.map(w => [String(w.id), rateOf(w.cost_per_hour)]))
+  };
+}
+
+function emptyTotals() {
+  return { labor_minutes: 0, unpriced_minutes: 0, labor_cost: 0, parts_cost: 0, external_cost: 0, total_cost: 0 };
+}
+
+function addTotals(totals, cost) {
+  Object.keys(emptyTotals()).forEach(key => { totals[key] += cost[key]; });
+  return totals;
+}
+
+function pickTotals(cost) {
+  return Object.fromEntries(Object.keys(emptyTotals()).map(key => [key, cost[key]]));
+}
+
+function roundTotals(totals) {
+  return {
+    ...totals,
+    labor_cost: roundMoney(totals.labor_cost),
+    parts_cost: roundMoney(totals.parts_cost),
+    external_cost: roundMoney(totals.external_cost),
+    total_cost: roundMoney(totals.total_cost)
+  };
+}
+
+// Cost of one request from its time entries, part lines and external charges. Returns its
+// totals and the labor per person (`user_id`, minutes, the hourly_rate used and where it came from).
+export function computeRequestCost(request, { timeEntries = [], parts = [], charges = [] }, rates, now) {
+  const workcenterRate = rates.workcenters.get(String(request.workcenter_id)) ?? null;
+  const labor = new Map();
+
+  timeEntries.forEach(entry => {
+    const key = String(entry.user_id);
+    if (!labor.has(key)) {
+      const userRate = rates.users.get(key) ?? null;
+      labor.set(key, {
+        user_id: entry.user_id,
+        minutes: 0,
+        hourly_rate: userRate ?? workcenterRate,
+        rate_source: userRate != null ? 'USER' : (workcenterRate != null ? 'WORKCENTER' : null),
+        cost: 0
+      });
+    }
+    labor.get(key).minutes += entryMinutes(entry, now);
+  });
+
+  const laborRows = [...labor.values()].map(row => ({
+    ...row,
+    cost: row.hourly_rate == null ? 0 : roundMoney((row.minutes / 60) * row.hourly_rate)
+  }));
+
+  const totals = {
+    labor_minutes: laborRows.reduce((sum, row) => sum + row.minutes, 0),
+    unpriced_minutes: laborRows.filter(row => row.hourly_rate == null).reduce((sum, row) => sum + row.minutes, 0),
+    labor_cost: laborRows.reduce((sum, row) => sum + row.cost, 0),
+    parts_cost: parts.reduce((sum, line) => sum + line.quantity * Number(line.unit_cost), 0),
+    external_cost: charges.reduce((sum, charge) => sum + Number(charge.amount), 0)
+  };
+  totals.total_cost = totals.labor_cost + totals.parts_cost + totals.external_cost;
+
+  return { ...roundTotals(totals), labor: laborRows };
+}
+
+// Summed totals of `{ request, cost }` pairs
+function sumCosts(items) {
+  return roundTotals(items.reduce((sum, { cost }) => addTotals(sum, cost), emptyTotals()));
+}
+
+// How each COST_GROUPS value (backend/schemas.js) finds a request's group
+const GROUP_KEYS = {
+  equipment: r => r.equipment,
+  category: r => r.category,
+  team: r => r.team,
+  department: r => r.equipment?.used_by_department
+};
+
+// `items` are `{ request, cost }` pairs; requests carry the equipment (with its department),
+// category and team they are grouped by. Groups are sorted by total cost, largest first;
+// requests outside any group (e.g. work center requests by equipment) share the `id: null` group.
+export function buildCostSummary(items, groupBy) {
+  const groups = new Map();
+
+  items.forEach(({ request, cost }) => {
+    const ref = GROUP_KEYS[groupBy](request);
+    const key = ref?.id == null ? 'none' : String(ref.id);
+    if (!groups.has(key)) {
+      groups.set(key, { id: ref?.id ?? null, name: ref?.name ?? null, requests: 0, ...emptyTotals() });
+    }
+    const group = groups.get(key);
+    group.requests++;
+    addTotals(group, cost);
+  });
+
+  return {
+    group_by: groupBy,
+    total: { requests: items.length, ...sumCosts(items) },
+    groups: [...groups.values()]
+      .map(roundTotals)
+      .sort((a, b) => b.total_cost - a.total_cost || String(a.name).localeCompare(String(b.name)))
+  };
+}
+
+function requestYear(request) {
+  return Number((request.request_date || request.created_at).substring(0, 4));
+}
+
+// Maintenance spend of one piece of equipment against its purchase cost and age. `items` are
+// `{ request, cost }` pairs of its requests. Spend per year divides by the age in years, counting
+// at least one year so new equipment isn't inflated.
+export function buildEquipmentTco(equipment, items, now) {
+  const maintenance = sumCosts(items);
+  const purchaseCost = equipment.purchase_cost == null ? null : Number(equipment.purchase_cost);
+  const ageYears = equipment.purchase_date
+    ? Math.max(0, Math.round(((now.getTime() - Date.parse(equipment.purchase_date)) / YEAR) * 10) / 10)
+    : null;
+
+  // One row per calendar year since purchase (or since the first request), empty years included
+  const years = items.map(({ request }) => requestYear(request));
+  if (equipment.purchase_date) years.push(Number(equipment.purchase_date.substring(0, 4)));
+  const byYear = [];
+  if (years.length > 0) {
+    const lastYear = Math.max(now.getUTCFullYear(), ...years);
+    for (let year = Math.min(...years); year <= lastYear; year++) {
+      const rows = items.filter(({ request }) => requestYear(request) === year);
+      byYear.push({ year, requests: rows.length, ...sumCosts(rows) });
+    }
+  }
+
+  const byType = ['CORRECTIVE', 'PREVENTIVE'].map(type => {
+    const rows = items.filter(({ request }) => request.maintenance_type === type);
+    return {
+      maintenance_type: type,
+      requests: rows.length,
+      total_cost: roundMoney(rows.reduce((sum, { cost }) => sum + cost.total_cost, 0))
+    };
+  });
+
+  return {
+    equipment_id: equipment.id,
+    purchase_date: equipment.purchase_date || null,
+    purchase_cost: purchaseCost,
+    age_years: ageYears,
+    maintenance,
+    total_cost_of_ownership: roundMoney((purchaseCost || 0) + maintenance.total_cost),
+    maintenance_per_year: ageYears == null ? null : roundMoney(maintenance.total_cost / Math.max(1, ageYears)),
+    maintenance_to_purchase_percent: purchaseCost ? Math.round((maintenance.total_cost / purchaseCost) * 100) : null,
+    by_year: byYear,
+    by_type: byType,
+    requests: items
+      .map(({ request, cost }) => ({
+        id: request.id,
+        subject: request.subject,
+        request_date: request.request_date,
+        maintenance_type: request.maintenance_type,
+        stage: request.stage,
+        ...pickTotals(cost)
+      }))
+      .sort((a, b) => String(b.request_date).localeCompare(String(a.request_date)) || b.id - a.id)
+  };
+}
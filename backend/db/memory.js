@@ -0,0 +1,1281 @@
+// In-memory implementation of the GearGuard repositories.
+// Mirrors the Supabase adapter method for method (including the `{ data, error }`
+// results and the joined relation shapes) so the API can run offline on seeded data.
+import { systemClock } from '../clock.js';
+import seed from './seed.js';
+
+function ok(data) {
+  return Promise.resolve({ data, error: null });
+}
+
+function fail(message) {
+  return Promise.resolve({ data: null, error: { message } });
+}
+
+function clone(value) {
+  return value == null ? value : JSON.parse(JSON.stringify(value));
+}
+
+function byName(a, b) {
+  return String(a.name || '').localeCompare(String(b.name || ''));
+}
+
+function byNewest(a, b) {
+  return String(b.created_at || '').localeCompare(String(a.created_at || ''));
+}
+
+// Orders like Postgres with NULLS LAST; ties fall back to the newest id
+function compareBy(field, ascending) {
+  return (a, b) => {
+    const x = a[field] ?? null;
+    const y = b[field] ?? null;
+    if (x === y) return (b.id || 0) - (a.id || 0);
+    if (x === null) return 1;
+    if (y === null) return -1;
+    const order = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+    return ascending ? order : -order;
+  };
+}
+
+function pick(row, fields) {
+  if (!row) return null;
+  return Object.fromEntries(fields.map(f => [f, row[f] ?? null]));
+}
+
+// Whether a queued row still has the status and next attempt a claim saw (see the outbox claims)
+function isUnchanged(row, seen) {
+  const at = value => (value == null ? null : Date.parse(value));
+  return row.status === seen.status && at(row.next_attempt_at) === at(seen.next_attempt_at);
+}
+
+// Columns the SLA escalation job and compliance report read (backend/sla.js)
+const SLA_REQUEST_COLUMNS = [
+  'id', 'subject', 'priority', 'maintenance_type', 'stage', 'team_id', 'technician_id', 'created_at',
+  'sla_policy_id', 'response_due_at', 'resolution_due_at', 'responded_at', 'resolved_at',
+  'escalated_at', 'escalation_reason'
+];
+
+// A table keeps its rows in insertion order and hands out integer ids
+// unless the row already carries one (profiles use auth user ids)
+function createTable(name, rows = [], now) {
+  const data = rows.map(r => ({ ...r }));
+  let nextId = data.reduce((max, r) => (typeof r.id === 'number' && r.id > max ? r.id : max), 0) + 1;
+
+  return {
+    name,
+    rows: data,
+
+    get(id) {
+      return data.find(r => String(r.id) === String(id)) || null;
+    },
+
+    insert(values) {
+      const row = { created_at: now(), ...values };
+      if (row.id == null) row.id = nextId++;
+      data.push(row);
+      return row;
+    },
+
+    update(id, values) {
+      const row = this.get(id);
+      if (!row) return null;
+      Object.assign(row, values, { id: row.id });
+      return row;
+    },
+
+    remove(id) {
+      const index = data.findIndex(r => String(r.id) === String(id));
+      if (index !== -1) data.splice(index, 1);
+    }
+  };
+}
+
+function notFound(table, id) {
+  return fail(`No ${table} row found with id ${id}`);
+}
+
+export function createMemoryDb({ data = seed, clock = systemClock } = {}) {
+  const now = () => clock.now().toISOString();
+
+  const tables = {
+    profiles: createTable('profiles', (data.users || []).map(({ password, ...u }) => u), now),
+    equipment: createTable('equipment', data.equipment, now),
+    maintenance_requests: createTable('maintenance_requests', data.maintenance_requests, now),
+    request_notes: createTable('request_notes', data.request_notes, now),
+    request_instructions: createTable('request_instructions', data.request_instructions, now),
+    request_worksheet_comments: createTable('request_worksheet_comments', data.request_worksheet_comments, now),
+    request_stage_history: createTable('request_stage_history', data.request_stage_history, now),
+    pm_plans: createTable('pm_plans', data.pm_plans, now),
+    sla_policies: createTable('sla_policies', data.sla_policies, now),
+    notifications: createTable('notifications', data.notifications, now),
+    email_outbox: createTable('email_outbox', data.email_outbox, now),
+    webhooks: createTable('webhooks', data.webhooks, now),
+    webhook_deliveries: createTable('webhook_deliveries', data.webhook_deliveries, now),
+    attachments: createTable('attachments', data.attachments, now),
+    parts: createTable('parts', data.parts, now),
+    part_stock: createTable('part_stock', data.part_stock, now),
+    stock_movements: createTable('stock_movements', data.stock_movements, now),
+    request_parts: createTable('request_parts', data.request_parts, now),
+    time_entries: createTable('time_entries', data.time_entries, now),
+    request_charges: createTable('request_charges', data.request_charges, now),
+    downtime_events: createTable('downtime_events', data.downtime_events, now),
+    production_counts: createTable('production_counts', data.production_counts, now),
+    workcenters: createTable('workcenters', data.workcenters, now),
+    teams: createTable('teams', data.teams, now),
+    team_members: createTable('team_members', data.team_members, now),
+    equipment_categories: createTable('equipment_categories', data.equipment_categories, now),
+    departments: createTable('departments', data.departments, now),
+    locations: createTable('locations', data.locations, now)
+  };
+
+  const profileRef = id => pick(tables.profiles.get(id), ['id', 'name']);
+
+  const teamMembersOf = teamId => tables.team_members.rows.filter(m => String(m.team_id) === String(teamId));
+  const withMemberUser = m => ({ ...clone(m), user: profileRef(m.user_id) });
+  const withTeamMembers = team => ({ ...clone(team), members: teamMembersOf(team.id).map(withMemberUser) });
+
+  function withRequestRelations(r) {
+    return {
+      ...clone(r),
+      created_by: profileRef(r.created_by_user_id),
+      equipment: pick(tables.equipment.get(r.equipment_id), ['id', 'name', 'serial_number']),
+      workcenter: pick(tables.workcenters.get(r.workcenter_id), ['id', 'name']),
+      category: pick(tables.equipment_categories.get(r.category_id), ['name']),
+      technician: profileRef(r.technician_id),
+      team: pick(tables.teams.get(r.team_id), ['name'])
+    };
+  }
+
+  function withEquipmentRelations(eq) {
+    return {
+      ...clone(eq),
+      category: pick(tables.equipment_categories.get(eq.category_id), ['name']),
+      used_by_user: profileRef(eq.used_by_user_id),
+      used_by_department: pick(tables.departments.get(eq.used_by_department_id), ['id', 'name']),
+      default_technician: profileRef(eq.default_technician_id),
+      location: pick(tables.locations.get(eq.location_id), ['name'])
+    };
+  }
+
+  function withPmPlanRelations(plan) {
+    return {
+      ...clone(plan),
+      equipment: pick(tables.equipment.get(plan.equipment_id), ['id', 'name']),
+      workcenter: pick(tables.workcenters.get(plan.workcenter_id), ['id', 'name']),
+      team: pick(tables.teams.get(plan.team_id), ['name']),
+      technician: profileRef(plan.technician_id)
+    };
+  }
+
+  function withDeliveryRelations(delivery) {
+    return {
+      ...clone(delivery),
+      webhook: pick(tables.webhooks.get(delivery.webhook_id), ['id', 'url', 'secret', 'active'])
+    };
+  }
+
+  function withAttachmentRelations(attachment) {
+    return { ...clone(attachment), uploaded_by: profileRef(attachment.uploaded_by_user_id) };
+  }
+
+  // Like the ON DELETE CASCADE foreign keys of attachments
+  function removeAttachmentsOf(field, id) {
+    tables.attachments.rows
+      .filter(a => String(a[field]) === String(id))
+      .forEach(a => tables.attachments.remove(a.id));
+  }
+
+  function withPartRelations(part) {
+    return {
+      ...clone(part),
+      stock: tables.part_stock.rows
+        .filter(s => String(s.part_id) === String(part.id))
+        .map(s => ({
+          ...pick(s, ['location_id', 'quantity', 'reorder_point']),
+          location: pick(tables.locations.get(s.location_id), ['name'])
+        }))
+    };
+  }
+
+  function withPartStockRelations(stock) {
+    return {
+      ...clone(stock),
+      part: pick(tables.parts.get(stock.part_id), ['id', 'part_number', 'name', 'unit_cost']),
+      location: pick(tables.locations.get(stock.location_id), ['id', 'name'])
+    };
+  }
+
+  // Shared by stock_movements and request_parts
+  function withPartLogRelations(row) {
+    return {
+      ...clone(row),
+      part: pick(tables.parts.get(row.part_id), ['id', 'part_number', 'name']),
+      location: pick(tables.locations.get(row.location_id), ['id', 'name']),
+      created_by: profileRef(row.created_by_user_id)
+    };
+  }
+
+  function findPartStock(partId, locationId) {
+    return tables.part_stock.rows.find(s =>
+      String(s.part_id) === String(partId) && String(s.location_id) === String(locationId)) || null;
+  }
+
+  // Same steps and checks as the adjust_part_stock function of migration 009: returns the
+  // new movement, or an error message and changes nothing
+  function adjustPartStock({ part_id, location_id, change, type, request_id = null, note = null, created_by_user_id = null }) {
+    if (!tables.parts.get(part_id)) return { error: `No parts row found with id ${part_id}` };
+    if (!tables.locations.get(location_id)) return { error: `No locations row found with id ${location_id}` };
+
+    const stock = findPartStock(part_id, location_id);
+    const quantity = stock ? stock.quantity : 0;
+
+    if (quantity + change < 0) return { error: `Not enough stock: ${quantity} left at this location` };
+
+    if (stock) {
+      stock.quantity = quantity + change;
+    } else {
+      tables.part_stock.insert({ part_id, location_id, quantity: change, reorder_point: 0 });
+    }
+
+    const movement = tables.stock_movements.insert({
+      part_id, location_id, change, quantity_after: quantity + change, type, request_id, note, created_by_user_id
+    });
+    return { movement };
+  }
+
+  function withTimeEntryRelations(entry) {
+    return {
+      ...clone(entry),
+      user: profileRef(entry.user_id),
+      request: pick(tables.maintenance_requests.get(entry.request_id), ['id', 'subject'])
+    };
+  }
+
+  function withDowntimeRelations(event) {
+    return {
+      ...clone(event),
+      request: pick(tables.maintenance_requests.get(event.request_id), ['id', 'subject']),
+      created_by: profileRef(event.created_by_user_id)
+    };
+  }
+
+  // Whether two entries' [started_at, ended_at) ranges meet; running timers never end
+  function timeEntriesOverlap(a, b) {
+    const end = e => (e.ended_at ? Date.parse(e.ended_at) : Infinity);
+    return Date.parse(a.started_at) < end(b) && Date.parse(b.started_at) < end(a);
+  }
+
+  // Like the time_entries_no_overlap exclusion constraint (empty ranges never overlap)
+  function violatesTimeEntryOverlap(entry) {
+    if (entry.ended_at && Date.parse(entry.ended_at) === Date.parse(entry.started_at)) return false;
+    return tables.time_entries.rows.some(other =>
+      other !== entry
+      && other.user_id === entry.user_id
+      && String(other.id) !== String(entry.id)
+      && !(other.ended_at && Date.parse(other.ended_at) === Date.parse(other.started_at))
+      && timeEntriesOverlap(entry, other));
+  }
+
+  // Mirrors LOOKUP_REFERENCES of the Supabase adapter
+  const lookupReferences = {
+    equipment_categories: {
+      equipment: { table: 'equipment', column: 'category_id' },
+      requests: { table: 'maintenance_requests', column: 'category_id' },
+      pm_plans: { table: 'pm_plans', column: 'category_id' },
+      parts: { table: 'parts', column: 'compatible_category_ids', array: true },
+      team_members: { table: 'team_members', column: 'category_ids', array: true }
+    },
+    departments: {
+      equipment: { table: 'equipment', column: 'used_by_department_id' }
+    },
+    locations: {
+      equipment: { table: 'equipment', column: 'location_id' },
+      part_stock: { table: 'part_stock', column: 'location_id' },
+      stock_movements: { table: 'stock_movements', column: 'location_id' },
+      request_parts: { table: 'request_parts', column: 'location_id' }
+    }
+  };
+
+  function refersTo({ column, array }, id) {
+    return row => array
+      ? (row[column] || []).some(value => String(value) === String(id))
+      : String(row[column]) === String(id);
+  }
+
+  function lookupRepository(table) {
+    const references = Object.entries(lookupReferences[table.name]);
+
+    return {
+      list() {
+        return ok(table.rows.map(r => pick(r, ['id', 'name', 'archived_at'])).sort(byName));
+      },
+
+      findById(id) {
+        const row = table.get(id);
+        return row ? ok(clone(row)) : notFound(table.name, id);
+      },
+
+      findByName(name) {
+        const row = table.rows.find(r => String(r.name).toLowerCase() === name.toLowerCase());
+        return ok(row ? clone(row) : null);
+      },
+
+      create(values) {
+        return ok(clone(table.insert({ archived_at: null, ...values })));
+      },
+
+      update(id, values) {
+        const row = table.update(id, values);
+        return row ? ok(clone(row)) : notFound(table.name, id);
+      },
+
+      remove(id) {
+        table.remove(id);
+        return ok(null);
+      },
+
+      countReferences(id) {
+        return ok(Object.fromEntries(references.map(([key, ref]) => [key, tables[ref.table].rows.filter(refersTo(ref, id)).length])));
+      },
+
+      // Same steps as the merge_* functions of migration 016
+      merge(fromId, intoId) {
+        if (!table.get(fromId)) return notFound(table.name, fromId);
+        if (!table.get(intoId)) return notFound(table.name, intoId);
+
+        if (table.name === 'locations') {
+          tables.part_stock.rows
+            .filter(s => String(s.location_id) === String(fromId))
+            .forEach(s => {
+              const target = findPartStock(s.part_id, intoId);
+              if (!target) {
+                s.location_id = Number(intoId);
+                return;
+              }
+              target.quantity += s.quantity;
+              target.reorder_point = Math.max(target.reorder_point || 0, s.reorder_point || 0);
+              tables.part_stock.remove(s.id);
+            });
+        }
+
+        for (const [, ref] of references) {
+          tables[ref.table].rows.filter(refersTo(ref, fromId)).forEach(row => {
+            row[ref.column] = ref.array
+              ? [...new Set(row[ref.column].map(value => (String(value) === String(fromId) ? Number(intoId) : value)))]
+              : Number(intoId);
+          });
+        }
+
+        table.remove(fromId);
+        return ok(null);
+      }
+    };
+  }
+
+  function requestLogRepository(table) {
+    return {
+      listByRequest(requestId) {
+        const rows = table.rows
+          .filter(r => String(r.request_id) === String(requestId))
+          .sort(byNewest)
+          .map(r => ({ ...clone(r), created_by: profileRef(r.created_by_user_id) }));
+        return ok(rows);
+      },
+
+      create(values) {
+        if (!tables.maintenance_requests.get(values.request_id)) {
+          return notFound('maintenance_requests', values.request_id);
+        }
+        return ok(clone(table.insert(values)));
+      }
+    };
+  }
+
+  const db = {
+    profiles: {
+      findById(id) {
+        const row = tables.profiles.get(id);
+        return row ? ok(clone(row)) : notFound('profiles', id);
+      },
+
+      create(values) {
+        return ok(clone(tables.profiles.insert(values)));
+      },
+
+      list({ role, includeEmail = false, includeWorkingHours = false, includeHourlyRate = false } = {}) {
+        const fields = includeEmail ? ['id', 'name', 'email', 'role'] : ['id', 'name', 'role'];
+        if (includeWorkingHours) fields.push('work_days', 'work_hours_per_day');
+        if (includeHourlyRate) fields.push('hourly_rate');
+        const rows = tables.profiles.rows
+          .filter(p => !role || p.role === role)
+          .map(p => pick(p, fields))
+          .sort(byName);
+        return ok(rows);
+      },
+
+      listByIds(ids) {
+        const wanted = ids.map(String);
+        const rows = tables.profiles.rows
+          .filter(p => wanted.includes(String(p.id)))
+          .map(p => pick(p, ['id', 'name', 'email', 'role', 'notification_preferences', 'email_preferences']));
+        return ok(rows);
+      },
+
+      update(id, values) {
+        const row = tables.profiles.update(id, values);
+        return row ? ok(clone(row)) : notFound('profiles', id);
+      }
+    },
+
+    equipment: {
+      list() {
+        return ok([...tables.equipment.rows].sort(byNewest).map(withEquipmentRelations));
+      },
+
+      listOptions() {
+        return ok(tables.equipment.rows.map(e => pick(e, ['id', 'name', 'serial_number'])).sort(byName));
+      },
+
+      findById(id) {
+        const row = tables.equipment.get(id);
+        return row ? ok(clone(row)) : notFound('equipment', id);
+      },
+
+      create(values) {
+        return ok(clone(tables.equipment.insert(values)));
+      },
+
+      update(id, values) {
+        const row = tables.equipment.update(id, values);
+        return row ? ok(clone(row)) : notFound('equipment', id);
+      },
+
+      remove(id) {
+        removeAttachmentsOf('equipment_id', id);
+        tables.equipment.remove(id);
+        return ok(null);
+      }
+    },
+
+    requests: {
+      list({
+        technicianId,
+        createdByUserId,
+        filters = {},
+        search,
+        dateFrom,
+        dateTo,
+        overdueAt,
+        sort = 'created_at',
+        ascending = false,
+        offset = 0,
+        limit
+      } = {}) {
+        const text = search ? search.toLowerCase() : null;
+        let rows = tables.maintenance_requests.rows
+          .filter(r => !technicianId || r.technician_id === technicianId)
+          .filter(r => !createdByUserId || r.created_by_user_id === createdByUserId)
+          .filter(r => Object.entries(filters).every(([column, value]) => value == null || String(r[column]) === String(value)))
+          .filter(r => !text || String(r.subject || '').toLowerCase().includes(text))
+          .filter(r => !dateFrom || (r.request_date && r.request_date >= dateFrom))
+          .filter(r => !dateTo || (r.request_date && r.request_date <= dateTo))
+          .filter(r => !overdueAt || (r.scheduled_at && Date.parse(r.scheduled_at) < Date.parse(overdueAt)
+            && !['REPAIRED', 'SCRAP'].includes(r.stage)))
+          .sort(compareBy(sort, ascending));
+        const count = rows.length;
+        if (limit) rows = rows.slice(offset, offset + limit);
+        return Promise.resolve({ data: rows.map(withRequestRelations), error: null, count });
+      },
+
+      findById(id) {
+        const row = tables.maintenance_requests.get(id);
+        return row ? ok(clone(row)) : notFound('maintenance_requests', id);
+      },
+
+      findDetailed(id) {
+        const row = tables.maintenance_requests.get(id);
+        return row ? ok(withRequestRelations(row)) : notFound('maintenance_requests', id);
+      },
+
+      listForPlan(planId, { from, to }) {
+        const rows = tables.maintenance_requests.rows
+          .filter(r => String(r.pm_plan_id) === String(planId) && r.pm_occurrence_at)
+          .filter(r => Date.parse(r.pm_occurrence_at) >= Date.parse(from) && Date.parse(r.pm_occurrence_at) <= Date.parse(to))
+          .map(r => pick(r, ['id', 'pm_occurrence_at', 'scheduled_at', 'stage']));
+        return ok(rows);
+      },
+
+      listOpenAssigned() {
+        const rows = tables.maintenance_requests.rows
+          .filter(r => r.technician_id && ['NEW_REQUEST', 'IN_PROGRESS'].includes(r.stage))
+          .map(r => pick(r, ['id', 'technician_id', 'scheduled_at', 'duration_minutes', 'stage']));
+        return ok(rows);
+      },
+
+      listForReminders(scheduledBefore) {
+        const rows = tables.maintenance_requests.rows
+          .filter(r => ['NEW_REQUEST', 'IN_PROGRESS'].includes(r.stage))
+          .filter(r => r.scheduled_at && Date.parse(r.scheduled_at) < Date.parse(scheduledBefore))
+          .map(r => pick(r, [
+            'id', 'subject', 'stage', 'priority', 'scheduled_at', 'technician_id', 'created_by_user_id',
+            'due_soon_emailed_at', 'overdue_emailed_at'
+          ]));
+        return ok(rows);
+      },
+
+      listForSla({ openOnly = false, createdFrom, createdTo, teamId } = {}) {
+        const rows = tables.maintenance_requests.rows
+          .filter(r => r.resolution_due_at)
+          .filter(r => !openOnly || ['NEW_REQUEST', 'IN_PROGRESS'].includes(r.stage))
+          .filter(r => !createdFrom || Date.parse(r.created_at) >= Date.parse(createdFrom))
+          .filter(r => !createdTo || Date.parse(r.created_at) <= Date.parse(createdTo))
+          .filter(r => !teamId || String(r.team_id) === String(teamId))
+          .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at))
+          .map(r => ({
+            ...pick(r, SLA_REQUEST_COLUMNS),
+            team: pick(tables.teams.get(r.team_id), ['name'])
+          }));
+        return ok(rows);
+      },
+
+      listForEquipment(equipmentId) {
+        const rows = tables.maintenance_requests.rows
+          .filter(r => r.equipment_id != null && (!equipmentId || String(r.equipment_id) === String(equipmentId)))
+          .map(r => pick(r, ['id', 'equipment_id', 'maintenance_type', 'stage', 'scheduled_at', 'created_at']));
+        return ok(rows);
+      },
+
+      listForCosts({ dateFrom, dateTo, equipmentId } = {}) {
+        const rows = tables.maintenance_requests.rows
+          .filter(r => !dateFrom || (r.request_date && r.request_date >= dateFrom))
+          .filter(r => !dateTo || (r.request_date && r.request_date <= dateTo))
+          .filter(r => !equipmentId || String(r.equipment_id) === String(equipmentId))
+          .map(r => {
+            const equipment = tables.equipment.get(r.equipment_id);
+            return {
+              ...pick(r, [
+                'id', 'subject', 'request_date', 'created_at', 'maintenance_type', 'stage', 'equipment_id', 'workcenter_id'
+              ]),
+              equipment: equipment
+                ? {
+                  ...pick(equipment, ['id', 'name']),
+                  used_by_department: pick(tables.departments.get(equipment.used_by_department_id), ['id', 'name'])
+                }
+                : null,
+              category: pick(tables.equipment_categories.get(r.category_id), ['id', 'name']),
+              team: pick(tables.teams.get(r.team_id), ['id', 'name'])
+            };
+          });
+        return ok(rows);
+      },
+
+      create(values) {
+        // Same guarantee as the unique index on (pm_plan_id, scheduled_at)
+        const duplicate = values.pm_plan_id != null && tables.maintenance_requests.rows.some(r =>
+          String(r.pm_plan_id) === String(values.pm_plan_id) && Date.parse(r.scheduled_at) === Date.parse(values.scheduled_at));
+        if (duplicate) return fail('duplicate key value violates unique constraint "maintenance_requests_pm_plan_occurrence"');
+        return ok(clone(tables.maintenance_requests.insert(values)));
+      },
+
+      update(id, values) {
+        const row = tables.maintenance_requests.update(id, values);
+        return row ? ok(clone(row)) : notFound('maintenance_requests', id);
+      },
+
+      remove(id) {
+        removeAttachmentsOf('request_id', id);
+        // request_parts, time_entries and request_charges cascade, stock_movements and
+        // downtime_events keep their row without the request
+        tables.time_entries.rows
+          .filter(e => String(e.request_id) === String(id))
+          .forEach(e => tables.time_entries.remove(e.id));
+        tables.request_charges.rows
+          .filter(c => String(c.request_id) === String(id))
+          .forEach(c => tables.request_charges.remove(c.id));
+        tables.request_parts.rows
+          .filter(l => String(l.request_id) === String(id))
+          .forEach(l => tables.request_parts.remove(l.id));
+        tables.stock_movements.rows
+          .filter(m => String(m.request_id) === String(id))
+          .forEach(m => { m.request_id = null; });
+        tables.downtime_events.rows
+          .filter(e => String(e.request_id) === String(id))
+          .forEach(e => { e.request_id = null; });
+        tables.maintenance_requests.remove(id);
+        return ok(null);
+      }
+    },
+
+    notes: requestLogRepository(tables.request_notes),
+    instructions: requestLogRepository(tables.request_instructions),
+    worksheet: requestLogRepository(tables.request_worksheet_comments),
+
+    stageHistory: {
+      listByRequest(requestId) {
+        const rows = tables.request_stage_history.rows
+          .filter(r => String(r.request_id) === String(requestId))
+          .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+          .map(r => ({ ...clone(r), changed_by: profileRef(r.changed_by_user_id) }));
+        return ok(rows);
+      },
+
+      create(values) {
+        tables.request_stage_history.insert(values);
+        return ok(null);
+      }
+    },
+
+    pmPlans: {
+      list({ activeOnly = false, technicianId } = {}) {
+        const rows = tables.pm_plans.rows
+          .filter(p => !activeOnly || p.active)
+          .filter(p => !technicianId || p.technician_id === technicianId)
+          .sort(byName)
+          .map(withPmPlanRelations);
+        return ok(rows);
+      },
+
+      findById(id) {
+        const row = tables.pm_plans.get(id);
+        return row ? ok(clone(row)) : notFound('pm_plans', id);
+      },
+
+      create(values) {
+        return ok(clone(tables.pm_plans.insert(values)));
+      },
+
+      update(id, values) {
+        const row = tables.pm_plans.update(id, values);
+        return row ? ok(clone(row)) : notFound('pm_plans', id);
+      },
+
+      remove(id) {
+        // Generated requests stay, like the ON DELETE SET NULL foreign key
+        tables.maintenance_requests.rows
+          .filter(r => String(r.pm_plan_id) === String(id))
+          .forEach(r => { r.pm_plan_id = null; });
+        tables.pm_plans.remove(id);
+        return ok(null);
+      }
+    },
+
+    slaPolicies: {
+      list() {
+        return ok(clone([...tables.sla_policies.rows].sort((a, b) => a.id - b.id)));
+      },
+
+      findById(id) {
+        const row = tables.sla_policies.get(id);
+        return row ? ok(clone(row)) : notFound('sla_policies', id);
+      },
+
+      create(values) {
+        return ok(clone(tables.sla_policies.insert(values)));
+      },
+
+      update(id, values) {
+        const row = tables.sla_policies.update(id, values);
+        return row ? ok(clone(row)) : notFound('sla_policies', id);
+      },
+
+      remove(id) {
+        // Requests keep their due dates, like the ON DELETE SET NULL foreign key
+        tables.maintenance_requests.rows
+          .filter(r => String(r.sla_policy_id) === String(id))
+          .forEach(r => { r.sla_policy_id = null; });
+        tables.sla_policies.remove(id);
+        return ok(null);
+      }
+    },
+
+    notifications: {
+      listForUser(userId, { unreadOnly = false, limit = 50 } = {}) {
+        const rows = tables.notifications.rows
+          .filter(n => n.user_id === userId && (!unreadOnly || !n.read_at))
+          .sort(byNewest)
+          .slice(0, limit);
+        return ok(clone(rows));
+      },
+
+      // Resolves with `count` like a head-only Supabase count query
+      countUnread(userId) {
+        const count = tables.notifications.rows.filter(n => n.user_id === userId && !n.read_at).length;
+        return Promise.resolve({ data: null, error: null, count });
+      },
+
+      createMany(rows) {
+        return ok(clone(rows.map(values => tables.notifications.insert({ read_at: null, ...values }))));
+      },
+
+      // Other users' notifications look missing, like rows hidden by RLS
+      markRead(userId, id, readAt) {
+        const row = tables.notifications.get(id);
+        if (!row || row.user_id !== userId) return notFound('notifications', id);
+        row.read_at = readAt;
+        return ok(clone(row));
+      },
+
+      markAllRead(userId, readAt) {
+        tables.notifications.rows
+          .filter(n => n.user_id === userId && !n.read_at)
+          .forEach(n => { n.read_at = readAt; });
+        return ok(null);
+      }
+    },
+
+    emailOutbox: {
+      list({ status, limit = 100 } = {}) {
+        const rows = tables.email_outbox.rows
+          .filter(e => !status || e.status === status)
+          .sort(byNewest)
+          .slice(0, limit);
+        return ok(clone(rows));
+      },
+
+      findById(id) {
+        const row = tables.email_outbox.get(id);
+        return row ? ok(clone(row)) : notFound('email_outbox', id);
+      },
+
+      createMany(rows) {
+        return ok(clone(rows.map(values => tables.email_outbox.insert(values))));
+      },
+
+      listDue(now, limit) {
+        const rows = tables.email_outbox.rows
+          .filter(e => e.status === 'PENDING' && e.next_attempt_at && Date.parse(e.next_attempt_at) <= Date.parse(now))
+          .sort(compareBy('next_attempt_at', true))
+          .slice(0, limit);
+        return ok(clone(rows));
+      },
+
+      claim(id, seen, until) {
+        const row = tables.email_outbox.get(id);
+        if (!row || !isUnchanged(row, seen)) return ok(null);
+        return ok(clone(tables.email_outbox.update(id, { next_attempt_at: until })));
+      },
+
+      update(id, values) {
+        const row = tables.email_outbox.update(id, values);
+        return row ? ok(clone(row)) : notFound('email_outbox', id);
+      }
+    },
+
+    webhooks: {
+      list() {
+        return ok(clone([...tables.webhooks.rows].sort((a, b) => a.id - b.id)));
+      },
+
+      findById(id) {
+        const row = tables.webhooks.get(id);
+        return row ? ok(clone(row)) : notFound('webhooks', id);
+      },
+
+      listActiveForEvent(event) {
+        const rows = tables.webhooks.rows
+          .filter(w => w.active && (w.events || []).includes(event))
+          .map(w => pick(w, ['id', 'url']));
+        return ok(rows);
+      },
+
+      create(values) {
+        return ok(clone(tables.webhooks.insert(values)));
+      },
+
+      update(id, values) {
+        const row = tables.webhooks.update(id, values);
+        return row ? ok(clone(row)) : notFound('webhooks', id);
+      },
+
+      remove(id) {
+        // Like the ON DELETE CASCADE foreign key
+        tables.webhook_deliveries.rows
+          .filter(d => String(d.webhook_id) === String(id))
+          .forEach(d => tables.webhook_deliveries.remove(d.id));
+        tables.webhooks.remove(id);
+        return ok(null);
+      }
+    },
+
+    webhookDeliveries: {
+      listByWebhook(webhookId, { status, limit = 50 } = {}) {
+        const rows = tables.webhook_deliveries.rows
+          .filter(d => String(d.webhook_id) === String(webhookId) && (!status || d.status === status))
+          .sort(compareBy('created_at', false))
+          .slice(0, limit);
+        return ok(clone(rows));
+      },
+
+      findById(id) {
+        const row = tables.webhook_deliveries.get(id);
+        return row ? ok(withDeliveryRelations(row)) : notFound('webhook_deliveries', id);
+      },
+
+      createMany(rows) {
+        return ok(rows.map(values => withDeliveryRelations(tables.webhook_deliveries.insert(values))));
+      },
+
+      listDue(now, limit) {
+        const rows = tables.webhook_deliveries.rows
+          .filter(d => d.status === 'PENDING' && d.next_attempt_at && Date.parse(d.next_attempt_at) <= Date.parse(now))
+          .sort(compareBy('next_attempt_at', true))
+          .slice(0, limit);
+        return ok(rows.map(withDeliveryRelations));
+      },
+
+      claim(id, seen, until) {
+        const row = tables.webhook_deliveries.get(id);
+        if (!row || !isUnchanged(row, seen)) return ok(null);
+        return ok(clone(tables.webhook_deliveries.update(id, { status: 'PENDING', next_attempt_at: until })));
+      },
+
+      update(id, values) {
+        const row = tables.webhook_deliveries.update(id, values);
+        return row ? ok(clone(row)) : notFound('webhook_deliveries', id);
+      }
+    },
+
+    attachments: {
+      listByOwner({ requestId, equipmentId }) {
+        const rows = tables.attachments.rows
+          .filter(a => requestId ? String(a.request_id) === String(requestId) : String(a.equipment_id) === String(equipmentId))
+          .sort(compareBy('created_at', false))
+          .map(withAttachmentRelations);
+        return ok(rows);
+      },
+
+      findById(id) {
+        const row = tables.attachments.get(id);
+        return row ? ok(withAttachmentRelations(row)) : notFound('attachments', id);
+      },
+
+      create(values) {
+        return ok(withAttachmentRelations(tables.attachments.insert(values)));
+      },
+
+      update(id, values) {
+        const row = tables.attachments.update(id, values);
+        return row ? ok(withAttachmentRelations(row)) : notFound('attachments', id);
+      },
+
+      remove(id) {
+        tables.attachments.remove(id);
+        return ok(null);
+      }
+    },
+
+    parts: {
+      list({ search, categoryId } = {}) {
+        const text = search ? search.toLowerCase() : null;
+        const rows = tables.parts.rows
+          .filter(p => !text || [p.part_number, p.name].some(v => String(v || '').toLowerCase().includes(text)))
+          .filter(p => !categoryId || p.compatible_category_ids.length === 0
+            || p.compatible_category_ids.some(id => String(id) === String(categoryId)))
+          .sort(compareBy('part_number', true))
+          .map(withPartRelations);
+        return ok(rows);
+      },
+
+      findById(id) {
+        const row = tables.parts.get(id);
+        return row ? ok(withPartRelations(row)) : notFound('parts', id);
+      },
+
+      findByPartNumber(partNumber) {
+        const row = tables.parts.rows.find(p => p.part_number === partNumber);
+        return ok(row ? clone(row) : null);
+      },
+
+      create(values) {
+        return ok(withPartRelations(tables.parts.insert({ compatible_category_ids: [], ...values })));
+      },
+
+      update(id, values) {
+        const row = tables.parts.update(id, values);
+        return row ? ok(withPartRelations(row)) : notFound('parts', id);
+      },
+
+      // Like the foreign keys: stock rows cascade, movements and request lines block the delete
+      remove(id) {
+        const used = [tables.stock_movements, tables.request_parts].find(table =>
+          table.rows.some(r => String(r.part_id) === String(id)));
+        if (used) {
+          return fail(`update or delete on table "parts" violates foreign key constraint "${used.name}_part_id_fkey" on table "${used.name}"`);
+        }
+        tables.part_stock.rows
+          .filter(s => String(s.part_id) === String(id))
+          .forEach(s => tables.part_stock.remove(s.id));
+        tables.parts.remove(id);
+        return ok(null);
+      }
+    },
+
+    partStock: {
+      listLow() {
+        const rows = tables.part_stock.rows
+          .filter(s => s.reorder_point > 0 && s.quantity <= s.reorder_point)
+          .sort(compareBy('quantity', true))
+          .map(withPartStockRelations);
+        return ok(rows);
+      },
+
+      setReorderPoint(partId, locationId, reorderPoint) {
+        if (!tables.parts.get(partId)) return notFound('parts', partId);
+        if (!tables.locations.get(locationId)) return notFound('locations', locationId);
+        const stock = findPartStock(partId, locationId)
+          || tables.part_stock.insert({ part_id: partId, location_id: locationId, quantity: 0 });
+        stock.reorder_point = reorderPoint;
+        return ok(withPartStockRelations(stock));
+      }
+    },
+
+    stockMovements: {
+      list({ partId, locationId, type, limit = 100 } = {}) {
+        const rows = tables.stock_movements.rows
+          .filter(m => !partId || String(m.part_id) === String(partId))
+          .filter(m => !locationId || String(m.location_id) === String(locationId))
+          .filter(m => !type || m.type === type)
+          .sort(compareBy('created_at', false))
+          .slice(0, limit)
+          .map(withPartLogRelations);
+        return ok(rows);
+      },
+
+      adjust(values) {
+        const { movement, error } = adjustPartStock(values);
+        return error ? fail(error) : ok(clone(movement));
+      }
+    },
+
+    requestParts: {
+      listByRequest(requestId) {
+        const rows = tables.request_parts.rows
+          .filter(l => String(l.request_id) === String(requestId))
+          .sort(compareBy('created_at', true))
+          .map(withPartLogRelations);
+        return ok(rows);
+      },
+
+      listByRequests(requestIds) {
+        const wanted = requestIds.map(String);
+        return ok(clone(tables.request_parts.rows.filter(l => wanted.includes(String(l.request_id)))));
+      },
+
+      findById(id) {
+        const row = tables.request_parts.get(id);
+        return row ? ok(clone(row)) : notFound('request_parts', id);
+      },
+
+      // Same as the consume_request_part function of migration 009
+      consume({ request_id, part_id, location_id, quantity, created_by_user_id = null }) {
+        const part = tables.parts.get(part_id);
+        if (!part) return fail('Part not found');
+        if (!tables.maintenance_requests.get(request_id)) return notFound('maintenance_requests', request_id);
+
+        const { error } = adjustPartStock({
+          part_id, location_id, change: -quantity, type: 'CONSUMPTION', request_id, created_by_user_id
+        });
+        if (error) return fail(error);
+
+        return ok(clone(tables.request_parts.insert({
+          request_id, part_id, location_id, quantity, unit_cost: part.unit_cost, created_by_user_id
+        })));
+      },
+
+      // Same as the return_request_part function of migration 009
+      returnToStock(id, userId = null) {
+        const line = tables.request_parts.get(id);
+        if (!line) return fail('Part line not found');
+
+        tables.request_parts.remove(id);
+        adjustPartStock({
+          part_id: line.part_id,
+          location_id: line.location_id,
+          change: line.quantity,
+          type: 'RETURN',
+          request_id: line.request_id,
+          created_by_user_id: userId
+        });
+        return ok(clone(line));
+      }
+    },
+
+    timeEntries: {
+      listByRequest(requestId) {
+        const rows = tables.time_entries.rows
+          .filter(e => String(e.request_id) === String(requestId))
+          .sort(compareBy('started_at', true))
+          .map(withTimeEntryRelations);
+        return ok(rows);
+      },
+
+      listByRequests(requestIds) {
+        const wanted = requestIds.map(String);
+        const rows = tables.time_entries.rows
+          .filter(e => wanted.includes(String(e.request_id)))
+          .map(e => pick(e, ['id', 'request_id', 'user_id', 'started_at', 'ended_at']));
+        return ok(rows);
+      },
+
+      listForUser({ userId, from, to }) {
+        const rows = tables.time_entries.rows
+          .filter(e => e.user_id === userId)
+          .filter(e => Date.parse(e.started_at) >= Date.parse(from) && Date.parse(e.started_at) < Date.parse(to))
+          .sort(compareBy('started_at', true))
+          .map(withTimeEntryRelations);
+        return ok(rows);
+      },
+
+      listOpen(userId) {
+        const rows = tables.time_entries.rows
+          .filter(e => e.user_id === userId && (!e.ended_at || e.paused))
+          .map(withTimeEntryRelations);
+        return ok(rows);
+      },
+
+      listOverlapping({ userId, startedAt, endedAt, excludeId }) {
+        const range = { started_at: startedAt, ended_at: endedAt };
+        const rows = tables.time_entries.rows
+          .filter(e => e.user_id === userId && (!excludeId || String(e.id) !== String(excludeId)))
+          .filter(e => timeEntriesOverlap(range, e))
+          .sort(compareBy('started_at', true))
+          .map(withTimeEntryRelations);
+        return ok(rows);
+      },
+
+      findById(id) {
+        const row = tables.time_entries.get(id);
+        return row ? ok(withTimeEntryRelations(row)) : notFound('time_entries', id);
+      },
+
+      create(values) {
+        const entry = { source: 'TIMER', paused: false, ended_at: null, note: null, ...values };
+        if (violatesTimeEntryOverlap(entry)) {
+          return fail('conflicting key value violates exclusion constraint "time_entries_no_overlap"');
+        }
+        return ok(withTimeEntryRelations(tables.time_entries.insert(entry)));
+      },
+
+      update(id, values) {
+        const row = tables.time_entries.get(id);
+        if (!row) return notFound('time_entries', id);
+        if (violatesTimeEntryOverlap({ ...row, ...values })) {
+          return fail('conflicting key value violates exclusion constraint "time_entries_no_overlap"');
+        }
+        return ok(withTimeEntryRelations(tables.time_entries.update(id, values)));
+      },
+
+      remove(id) {
+        tables.time_entries.remove(id);
+        return ok(null);
+      }
+    },
+
+    requestCharges: {
+      listByRequest(requestId) {
+        const rows = tables.request_charges.rows
+          .filter(c => String(c.request_id) === String(requestId))
+          .sort(compareBy('created_at', true))
+          .map(c => ({ ...clone(c), created_by: profileRef(c.created_by_user_id) }));
+        return ok(rows);
+      },
+
+      listByRequests(requestIds) {
+        const wanted = requestIds.map(String);
+        return ok(clone(tables.request_charges.rows.filter(c => wanted.includes(String(c.request_id)))));
+      },
+
+      findById(id) {
+        const row = tables.request_charges.get(id);
+        return row ? ok(clone(row)) : notFound('request_charges', id);
+      },
+
+      create(values) {
+        if (!tables.maintenance_requests.get(values.request_id)) {
+          return notFound('maintenance_requests', values.request_id);
+        }
+        return ok(clone(tables.request_charges.insert(values)));
+      },
+
+      remove(id) {
+        tables.request_charges.remove(id);
+        return ok(null);
+      }
+    },
+
+    downtimeEvents: {
+      // Events overlapping the dates `from` .. `to` (both included); ongoing ones never end
+      listByWorkcenter({ workcenterId, from, to }) {
+        const start = Date.parse(`${from}T00:00:00Z`);
+        const end = Date.parse(`${to}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+        const rows = tables.downtime_events.rows
+          .filter(e => String(e.workcenter_id) === String(workcenterId))
+          .filter(e => Date.parse(e.started_at) < end && (!e.ended_at || Date.parse(e.ended_at) > start))
+          .sort(compareBy('started_at', false))
+          .map(withDowntimeRelations);
+        return ok(rows);
+      },
+
+      findById(id) {
+        const row = tables.downtime_events.get(id);
+        return row ? ok(withDowntimeRelations(row)) : notFound('downtime_events', id);
+      },
+
+      create(values) {
+        if (!tables.workcenters.get(values.workcenter_id)) {
+          return notFound('workcenters', values.workcenter_id);
+        }
+        return ok(withDowntimeRelations(tables.downtime_events.insert({ ended_at: null, request_id: null, ...values })));
+      },
+
+      update(id, values) {
+        const row = tables.downtime_events.update(id, values);
+        return row ? ok(withDowntimeRelations(row)) : notFound('downtime_events', id);
+      },
+
+      remove(id) {
+        tables.downtime_events.remove(id);
+        return ok(null);
+      }
+    },
+
+    productionCounts: {
+      listByWorkcenter({ workcenterId, from, to }) {
+        const rows = tables.production_counts.rows
+          .filter(p => String(p.workcenter_id) === String(workcenterId))
+          .filter(p => p.production_date >= from && p.production_date <= to)
+          .sort(compareBy('production_date', false))
+          .map(p => ({ ...clone(p), created_by: profileRef(p.created_by_user_id) }));
+        return ok(rows);
+      },
+
+      findById(id) {
+        const row = tables.production_counts.get(id);
+        return row ? ok(clone(row)) : notFound('production_counts', id);
+      },
+
+      create(values) {
+        if (!tables.workcenters.get(values.workcenter_id)) {
+          return notFound('workcenters', values.workcenter_id);
+        }
+        return ok(clone(tables.production_counts.insert({ note: null, ...values })));
+      },
+
+      remove(id) {
+        tables.production_counts.remove(id);
+        return ok(null);
+      }
+    },
+
+    workcenters: {
+      list({ includeArchived = false } = {}) {
+        const rows = tables.workcenters.rows.filter(w => includeArchived || !w.archived_at);
+        return ok(clone([...rows].sort(byName)));
+      },
+
+      findById(id) {
+        const row = tables.workcenters.get(id);
+        return row ? ok(clone(row)) : notFound('workcenters', id);
+      },
+
+      listOptions() {
+        const rows = tables.workcenters.rows.filter(w => !w.archived_at);
+        return ok(rows.map(w => pick(w, ['id', 'name'])).sort(byName));
+      },
+
+      create(values) {
+        return ok(clone(tables.workcenters.insert({ archived_at: null, maintenance_team_id: null, default_technician_id: null, ...values })));
+      },
+
+      update(id, values) {
+        const row = tables.workcenters.update(id, values);
+        return row ? ok(clone(row)) : notFound('workcenters', id);
+      }
+    },
+
+    teams: {
+      list() {
+        return ok([...tables.teams.rows].sort(byName).map(withTeamMembers));
+      },
+
+      findById(id) {
+        const team = tables.teams.get(id);
+        return team ? ok(withTeamMembers(team)) : notFound('teams', id);
+      },
+
+      listOptions() {
+        return ok(tables.teams.rows.map(t => pick(t, ['id', 'name'])).sort(byName));
+      },
+
+      create(values) {
+        return ok(clone(tables.teams.insert(values)));
+      },
+
+      update(id, values) {
+        const team = tables.teams.get(id);
+        if (!team) return notFound('teams', id);
+        Object.assign(team, values);
+        return ok(clone(team));
+      },
+
+      // team_members cascade, work centers keep their row without the team
+      remove(id) {
+        teamMembersOf(id).forEach(m => tables.team_members.remove(m.id));
+        tables.workcenters.rows
+          .filter(w => String(w.maintenance_team_id) === String(id))
+          .forEach(w => { w.maintenance_team_id = null; });
+        tables.teams.remove(id);
+        return ok(null);
+      },
+
+      // How many equipment, requests and PM plans still point at the team
+      countReferences(id) {
+        const refersTo = column => row => String(row[column]) === String(id);
+        return ok({
+          equipment: tables.equipment.rows.filter(refersTo('maintenance_team_id')).length,
+          requests: tables.maintenance_requests.rows.filter(refersTo('team_id')).length,
+          pm_plans: tables.pm_plans.rows.filter(refersTo('team_id')).length
+        });
+      },
+
+      // Inserts all rows or none, like a single Supabase insert
+      addMembers(rows) {
+        const unknown = rows.find(m => !tables.profiles.get(m.user_id));
+        if (unknown) return notFound('profiles', unknown.user_id);
+        const keys = [
+          ...tables.team_members.rows.map(m => `${m.team_id}:${m.user_id}`),
+          ...rows.map(m => `${m.team_id}:${m.user_id}`)
+        ];
+        const duplicate = keys.find((key, i) => keys.indexOf(key) !== i);
+        if (duplicate) return fail('duplicate key value violates unique constraint "team_members_team_user_idx"');
+        const inserted = rows.map(m => tables.team_members.insert({ role: 'MEMBER', category_ids: [], ...m }));
+        return ok(inserted.map(withMemberUser));
+      },
+
+      updateMember(teamId, userId, values) {
+        const member = teamMembersOf(teamId).find(m => m.user_id === userId);
+        if (!member) return fail(`User ${userId} is not a member of team ${teamId}`);
+        Object.assign(member, values);
+        return ok(withMemberUser(member));
+      },
+
+      removeMember(teamId, userId) {
+        teamMembersOf(teamId)
+          .filter(m => m.user_id === userId)
+          .forEach(m => tables.team_members.remove(m.id));
+        return ok(null);
+      }
+    },
+
+    categories: lookupRepository(tables.equipment_categories),
+    departments: lookupRepository(tables.departments),
+    locations: lookupRepository(tables.locations),
+
+    // There is no RLS in memory, so every caller shares the same repositories
+    withAccessToken() {
+      return db;
+    }
+  };
+
+  return db;
+}
@@ -0,0 +1,3 @@
+-- Resolution text recorded when a request is moved to REPAIRED or SCRAP
+alter table maintenance_requests
+  add column if not exists resolution text;
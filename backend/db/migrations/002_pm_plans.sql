@@ -0,0 +1,38 @@
+-- Preventive maintenance plans and the link from generated requests back to their plan
+create table if not exists pm_plans (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  maintenance_for text not null default 'EQUIPMENT' check (maintenance_for in ('EQUIPMENT', 'WORKCENTER')),
+  equipment_id bigint references equipment(id) on delete cascade,
+  workcenter_id bigint references workcenters(id) on delete cascade,
+  category_id bigint references equipment_categories(id) on delete set null,
+  team_id bigint references teams(id) on delete set null,
+  technician_id uuid references profiles(id) on delete set null,
+  duration_minutes integer not null default 0,
+  priority integer not null default 2,
+  instructions text,
+  frequency text not null check (frequency in ('DAILY', 'WEEKLY', 'MONTHLY')),
+  repeat_every integer not null default 1 check (repeat_every >= 1),
+  weekday integer check (weekday between 0 and 6),
+  day_of_month integer check (day_of_month between 1 and 31),
+  time_of_day text not null default '08:00',
+  start_date date not null,
+  end_date date,
+  lead_days integer not null default 14,
+  active boolean not null default true,
+  -- The last occurrence the scheduler handed out; later runs start after it
+  generated_through timestamptz,
+  created_by_user_id uuid references profiles(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+-- pm_occurrence_at is the plan occurrence a request was generated for; unlike scheduled_at
+-- it never changes, so a rescheduled request still holds its occurrence
+alter table maintenance_requests
+  add column if not exists pm_plan_id bigint references pm_plans(id) on delete set null,
+  add column if not exists pm_occurrence_at timestamptz;
+
+-- One request per plan occurrence, even if two scheduler runs overlap
+create unique index if not exists maintenance_requests_pm_plan_occurrence
+  on maintenance_requests (pm_plan_id, pm_occurrence_at)
+  where pm_plan_id is not null;
@@ -0,0 +1,6 @@
+-- Working hours used for the capacity-based technician load (backend/load.js).
+-- work_days holds weekday numbers, 0 = Sunday ... 6 = Saturday.
+alter table profiles
+  add column if not exists work_days smallint[] not null default '{1,2,3,4,5}',
+  add column if not exists work_hours_per_day numeric(4, 2) not null default 8
+    check (work_hours_per_day >= 0 and work_hours_per_day <= 24);
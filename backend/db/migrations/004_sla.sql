@@ -0,0 +1,22 @@
+-- SLA policies and the due dates / escalation flags they put on maintenance requests (backend/sla.js)
+create table if not exists sla_policies (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  priority integer check (priority between 1 and 3),
+  maintenance_type text check (maintenance_type in ('CORRECTIVE', 'PREVENTIVE')),
+  response_minutes integer not null check (response_minutes > 0),
+  resolution_minutes integer not null check (resolution_minutes > 0),
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table maintenance_requests
+  add column if not exists sla_policy_id bigint references sla_policies(id) on delete set null,
+  add column if not exists response_due_at timestamptz,
+  add column if not exists resolution_due_at timestamptz,
+  add column if not exists responded_at timestamptz,
+  add column if not exists resolved_at timestamptz,
+  add column if not exists escalated_at timestamptz,
+  add column if not exists escalation_reason text check (escalation_reason in ('RESPONSE', 'RESOLUTION'));
+
+create index if not exists maintenance_requests_resolution_due_at on maintenance_requests (resolution_due_at);
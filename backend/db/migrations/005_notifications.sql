@@ -0,0 +1,18 @@
+-- In-app notifications (backend/notifications.js) and the per-user choice of which ones to receive
+create table if not exists notifications (
+  id bigint generated by default as identity primary key,
+  user_id uuid not null references profiles(id) on delete cascade,
+  type text not null,
+  request_id bigint references maintenance_requests(id) on delete cascade,
+  actor_id uuid references profiles(id) on delete set null,
+  title text not null,
+  body text,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_created_at on notifications (user_id, created_at desc);
+
+-- Maps a notification type to false to turn it off; missing types stay on
+alter table profiles
+  add column if not exists notification_preferences jsonb not null default '{}'::jsonb;
@@ -0,0 +1,28 @@
+-- Email outbox (backend/email/mailer.js, backend/jobs/emailQueue.js), per-user email opt-out
+-- and the reminder stamps of backend/jobs/dueReminders.js
+create table if not exists email_outbox (
+  id bigint generated by default as identity primary key,
+  user_id uuid references profiles(id) on delete set null,
+  to_email text not null,
+  type text not null,
+  request_id bigint references maintenance_requests(id) on delete set null,
+  subject text not null,
+  text text not null,
+  html text not null,
+  status text not null default 'PENDING' check (status in ('PENDING', 'SENT', 'FAILED')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz,
+  last_error text,
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists email_outbox_due on email_outbox (next_attempt_at) where status = 'PENDING';
+
+-- Maps an email type to false to opt out of it; missing types stay on
+alter table profiles
+  add column if not exists email_preferences jsonb not null default '{}'::jsonb;
+
+alter table maintenance_requests
+  add column if not exists due_soon_emailed_at timestamptz,
+  add column if not exists overdue_emailed_at timestamptz;
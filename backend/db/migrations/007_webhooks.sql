@@ -0,0 +1,29 @@
+-- Outbound webhook subscriptions and their delivery log (backend/webhooks.js, backend/jobs/webhookDelivery.js)
+create table if not exists webhooks (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  url text not null,
+  secret text not null,
+  events text[] not null default '{}',
+  active boolean not null default true,
+  created_by_user_id uuid references profiles(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists webhook_deliveries (
+  id bigint generated by default as identity primary key,
+  webhook_id bigint not null references webhooks(id) on delete cascade,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'PENDING' check (status in ('PENDING', 'SUCCEEDED', 'FAILED')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz,
+  response_status integer,
+  response_body text,
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due on webhook_deliveries (next_attempt_at) where status = 'PENDING';
+create index if not exists webhook_deliveries_webhook on webhook_deliveries (webhook_id, created_at desc);
@@ -0,0 +1,18 @@
+-- Files attached to maintenance requests and equipment (backend/attachments.js).
+-- The files themselves live in the configured storage (STORAGE_ADAPTER); rows keep their keys.
+create table if not exists attachments (
+  id bigint generated by default as identity primary key,
+  request_id bigint references maintenance_requests(id) on delete cascade,
+  equipment_id bigint references equipment(id) on delete cascade,
+  file_name text not null,
+  content_type text not null,
+  size_bytes bigint not null,
+  storage_key text not null unique,
+  thumbnail_key text,
+  uploaded_by_user_id uuid references profiles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  constraint attachments_one_owner check ((request_id is null) <> (equipment_id is null))
+);
+
+create index if not exists attachments_request on attachments (request_id, created_at desc) where request_id is not null;
+create index if not exists attachments_equipment on attachments (equipment_id, created_at desc) where equipment_id is not null;
@@ -0,0 +1,146 @@
+-- Spare parts inventory (backend/routes/parts.js): the parts catalog, stock per location,
+-- the log of every stock change and the parts consumed on maintenance requests.
+create table if not exists parts (
+  id bigint generated by default as identity primary key,
+  part_number text not null unique,
+  name text not null,
+  description text,
+  unit_cost numeric(12, 2) not null default 0 check (unit_cost >= 0),
+  -- Equipment categories the part fits; empty means it fits everything
+  compatible_category_ids bigint[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create table if not exists part_stock (
+  id bigint generated by default as identity primary key,
+  part_id bigint not null references parts(id) on delete cascade,
+  location_id bigint not null references locations(id) on delete restrict,
+  quantity integer not null default 0 check (quantity >= 0),
+  reorder_point integer not null default 0 check (reorder_point >= 0),
+  created_at timestamptz not null default now(),
+  unique (part_id, location_id)
+);
+
+-- Parts that are at or below their reorder point
+create or replace view part_stock_low as
+  select * from part_stock where reorder_point > 0 and quantity <= reorder_point;
+
+create table if not exists request_parts (
+  id bigint generated by default as identity primary key,
+  request_id bigint not null references maintenance_requests(id) on delete cascade,
+  part_id bigint not null references parts(id) on delete restrict,
+  location_id bigint not null references locations(id) on delete restrict,
+  quantity integer not null check (quantity > 0),
+  -- The part's unit cost when it was consumed
+  unit_cost numeric(12, 2) not null,
+  created_by_user_id uuid references profiles(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists request_parts_request on request_parts (request_id);
+
+-- Parts with movements can't be deleted, so their history stays complete
+create table if not exists stock_movements (
+  id bigint generated by default as identity primary key,
+  part_id bigint not null references parts(id) on delete restrict,
+  location_id bigint not null references locations(id) on delete restrict,
+  change integer not null check (change <> 0),
+  quantity_after integer not null,
+  type text not null check (type in ('RECEIPT', 'ADJUSTMENT', 'CONSUMPTION', 'RETURN')),
+  request_id bigint references maintenance_requests(id) on delete set null,
+  note text,
+  created_by_user_id uuid references profiles(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stock_movements_part on stock_movements (part_id, created_at desc);
+
+-- Changes the stock of a part at a location and logs the movement in one transaction.
+-- Stock never goes below zero.
+create or replace function adjust_part_stock(
+  p_part_id bigint,
+  p_location_id bigint,
+  p_change integer,
+  p_type text,
+  p_request_id bigint default null,
+  p_note text default null,
+  p_user_id uuid default null
+) returns stock_movements
+language plpgsql as $$
+declare
+  v_quantity integer;
+  v_movement stock_movements;
+begin
+  insert into part_stock (part_id, location_id)
+  values (p_part_id, p_location_id)
+  on conflict (part_id, location_id) do nothing;
+
+  select quantity into v_quantity
+  from part_stock
+  where part_id = p_part_id and location_id = p_location_id
+  for update;
+
+  if v_quantity + p_change < 0 then
+    raise exception 'Not enough stock: % left at this location', v_quantity;
+  end if;
+
+  update part_stock set quantity = v_quantity + p_change
+  where part_id = p_part_id and location_id = p_location_id;
+
+  insert into stock_movements (part_id, location_id, change, quantity_after, type, request_id, note, created_by_user_id)
+  values (p_part_id, p_location_id, p_change, v_quantity + p_change, p_type, p_request_id, p_note, p_user_id)
+  returning * into v_movement;
+
+  return v_movement;
+end;
+$$;
+
+-- Takes parts out of stock for a request, at the part's current unit cost
+create or replace function consume_request_part(
+  p_request_id bigint,
+  p_part_id bigint,
+  p_location_id bigint,
+  p_quantity integer,
+  p_user_id uuid default null
+) returns request_parts
+language plpgsql as $$
+declare
+  v_unit_cost numeric(12, 2);
+  v_line request_parts;
+begin
+  select unit_cost into v_unit_cost from parts where id = p_part_id;
+
+  if not found then
+    raise exception 'Part not found';
+  end if;
+
+  perform adjust_part_stock(p_part_id, p_location_id, -p_quantity, 'CONSUMPTION', p_request_id, null, p_user_id);
+
+  insert into request_parts (request_id, part_id, location_id, quantity, unit_cost, created_by_user_id)
+  values (p_request_id, p_part_id, p_location_id, p_quantity, v_unit_cost, p_user_id)
+  returning * into v_line;
+
+  return v_line;
+end;
+$$;
+
+-- Removes a consumed part from its request and puts it back into stock where it came from
+create or replace function return_request_part(
+  p_line_id bigint,
+  p_user_id uuid default null
+) returns request_parts
+language plpgsql as $$
+declare
+  v_line request_parts;
+begin
+  delete from request_parts where id = p_line_id returning * into v_line;
+
+  if not found then
+    raise exception 'Part line not found';
+  end if;
+
+  perform adjust_part_stock(v_line.part_id, v_line.location_id, v_line.quantity, 'RETURN', v_line.request_id, null, p_user_id);
+
+  return v_line;
+end;
+$$;
@@ -0,0 +1,26 @@
+-- Time technicians spent on requests (backend/routes/timeEntries.js): timer segments and
+-- manual entries. A running timer has no ended_at; pausing ends the segment and sets paused.
+create extension if not exists btree_gist;
+
+create table if not exists time_entries (
+  id bigint generated by default as identity primary key,
+  request_id bigint not null references maintenance_requests(id) on delete cascade,
+  user_id uuid not null references profiles(id) on delete cascade,
+  started_at timestamptz not null,
+  ended_at timestamptz,
+  source text not null default 'TIMER' check (source in ('TIMER', 'MANUAL')),
+  paused boolean not null default false,
+  note text,
+  created_by_user_id uuid references profiles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  constraint time_entries_end_after_start check (ended_at is null or ended_at >= started_at),
+  -- Nobody works on two things at once; a running timer reaches to infinity, so this also
+  -- allows only one running timer per person
+  constraint time_entries_no_overlap exclude using gist (
+    user_id with =,
+    tstzrange(started_at, coalesce(ended_at, 'infinity'::timestamptz)) with &&
+  )
+);
+
+create index if not exists time_entries_request on time_entries (request_id, started_at);
+create index if not exists time_entries_user on time_entries (user_id, started_at);
@@ -0,0 +1,22 @@
+-- Maintenance cost tracking (backend/costs.js): labor rates, external charges on requests
+-- and the purchase cost of equipment for its total cost of ownership.
+
+-- Hourly labor rate; time logged by people without one is charged at the work center's cost_per_hour
+alter table profiles
+  add column if not exists hourly_rate numeric(10, 2) check (hourly_rate >= 0);
+
+alter table equipment
+  add column if not exists purchase_cost numeric(12, 2) check (purchase_cost >= 0);
+
+-- Costs from outside the company: contractors, rentals, shipping...
+create table if not exists request_charges (
+  id bigint generated by default as identity primary key,
+  request_id bigint not null references maintenance_requests(id) on delete cascade,
+  description text not null,
+  vendor text,
+  amount numeric(12, 2) not null check (amount >= 0),
+  created_by_user_id uuid references profiles(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists request_charges_request on request_charges (request_id);
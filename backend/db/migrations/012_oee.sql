@@ -0,0 +1,38 @@
+-- Work center OEE (backend/oee.js): downtime events and production counts, measured against
+-- the work center's capacity, time_efficiency and oee_target.
+
+-- A stop of a work center. Planned stops (changeovers, scheduled maintenance) shorten the
+-- planned production time; unplanned ones (breakdowns) cost availability. An ongoing stop
+-- has no ended_at.
+create table if not exists downtime_events (
+  id bigint generated by default as identity primary key,
+  workcenter_id bigint not null references workcenters(id) on delete cascade,
+  downtime_type text not null check (downtime_type in ('PLANNED', 'UNPLANNED')),
+  reason text not null,
+  started_at timestamptz not null,
+  ended_at timestamptz,
+  request_id bigint references maintenance_requests(id) on delete set null,
+  created_by_user_id uuid references profiles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  constraint downtime_events_end_after_start check (ended_at is null or ended_at >= started_at)
+);
+
+create index if not exists downtime_events_workcenter on downtime_events (workcenter_id, started_at);
+
+-- What a work center produced in one shift or run: the time it was scheduled to produce, the
+-- pieces made and how many were good, and the ideal time one piece takes
+create table if not exists production_counts (
+  id bigint generated by default as identity primary key,
+  workcenter_id bigint not null references workcenters(id) on delete cascade,
+  production_date date not null,
+  scheduled_minutes integer not null check (scheduled_minutes > 0),
+  total_count integer not null check (total_count >= 0),
+  good_count integer not null check (good_count >= 0),
+  ideal_cycle_seconds numeric(10, 2) not null check (ideal_cycle_seconds > 0),
+  note text,
+  created_by_user_id uuid references profiles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  constraint production_counts_good_within_total check (good_count <= total_count)
+);
+
+create index if not exists production_counts_workcenter on production_counts (workcenter_id, production_date);
@@ -0,0 +1,4 @@
+-- Archived work centers (POST /api/workcenters/:id/archive) keep their history but are no
+-- longer offered for new equipment, requests and PM plans.
+alter table workcenters
+  add column if not exists archived_at timestamptz;
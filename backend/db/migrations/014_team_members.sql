@@ -0,0 +1,7 @@
+-- Team members get a role (LEAD or MEMBER) and can be added and removed one at a time
+-- through /api/teams/:id/members; a user belongs to a team at most once.
+alter table team_members
+  add column if not exists role text not null default 'MEMBER'
+    check (role in ('LEAD', 'MEMBER'));
+
+create unique index if not exists team_members_team_user_idx on team_members (team_id, user_id);
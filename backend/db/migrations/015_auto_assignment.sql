@@ -0,0 +1,16 @@
+-- Automatic assignment of new requests (backend/assignment.js).
+
+-- How a team picks the technician of a request that has none: MANUAL leaves it to a manager,
+-- ROUND_ROBIN takes turns, LEAST_LOADED and SKILLS weigh the members' load.
+alter table teams
+  add column if not exists assignment_strategy text not null default 'MANUAL'
+    check (assignment_strategy in ('MANUAL', 'ROUND_ROBIN', 'LEAST_LOADED', 'SKILLS'));
+
+-- The equipment categories a member is skilled in, for SKILLS teams
+alter table team_members
+  add column if not exists category_ids bigint[] not null default '{}';
+
+-- Like equipment, work centers name the team and technician their requests go to
+alter table workcenters
+  add column if not exists maintenance_team_id bigint references teams(id) on delete set null,
+  add column if not exists default_technician_id uuid references profiles(id) on delete set null;
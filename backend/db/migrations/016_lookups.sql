@@ -0,0 +1,65 @@
+-- Admin management of equipment categories, departments and locations
+-- (backend/routes/lookups.js). Retired values keep the records that use them but are no
+-- longer offered in the forms; merging moves every reference onto another value and
+-- deletes the merged one.
+alter table equipment_categories add column if not exists archived_at timestamptz;
+alter table departments add column if not exists archived_at timestamptz;
+alter table locations add column if not exists archived_at timestamptz;
+
+-- Moves equipment, requests, PM plans, part compatibility and team member skills from one
+-- category to another, in one transaction
+create or replace function merge_equipment_categories(p_from bigint, p_into bigint)
+returns void
+language plpgsql as $$
+begin
+  update equipment set category_id = p_into where category_id = p_from;
+  update maintenance_requests set category_id = p_into where category_id = p_from;
+  update pm_plans set category_id = p_into where category_id = p_from;
+
+  update parts
+  set compatible_category_ids = array(
+    select distinct unnest(array_replace(compatible_category_ids, p_from, p_into))
+  )
+  where p_from = any(compatible_category_ids);
+
+  update team_members
+  set category_ids = array(
+    select distinct unnest(array_replace(category_ids, p_from, p_into))
+  )
+  where p_from = any(category_ids);
+
+  delete from equipment_categories where id = p_from;
+end;
+$$;
+
+create or replace function merge_departments(p_from bigint, p_into bigint)
+returns void
+language plpgsql as $$
+begin
+  update equipment set used_by_department_id = p_into where used_by_department_id = p_from;
+
+  delete from departments where id = p_from;
+end;
+$$;
+
+-- Stock of a part held at both locations is added up (keeping the higher reorder point);
+-- movements and request part lines move along as they are
+create or replace function merge_locations(p_from bigint, p_into bigint)
+returns void
+language plpgsql as $$
+begin
+  update equipment set location_id = p_into where location_id = p_from;
+
+  insert into part_stock (part_id, location_id, quantity, reorder_point)
+  select part_id, p_into, quantity, reorder_point from part_stock where location_id = p_from
+  on conflict (part_id, location_id) do update
+    set quantity = part_stock.quantity + excluded.quantity,
+        reorder_point = greatest(part_stock.reorder_point, excluded.reorder_point);
+  delete from part_stock where location_id = p_from;
+
+  update stock_movements set location_id = p_into where location_id = p_from;
+  update request_parts set location_id = p_into where location_id = p_from;
+
+  delete from locations where id = p_from;
+end;
+$$;
@@ -0,0 +1,425 @@
+// Seed data for the in-memory adapter (DB_ADAPTER=memory).
+// Every seeded user can log in with the password "gearguard".
+
+const ADMIN_ID = '00000000-0000-4000-8000-000000000001';
+const MANAGER_ID = '00000000-0000-4000-8000-000000000002';
+const TECH_ALICE_ID = '00000000-0000-4000-8000-000000000003';
+const TECH_BOB_ID = '00000000-0000-4000-8000-000000000004';
+const EMPLOYEE_ID = '00000000-0000-4000-8000-000000000005';
+
+export default {
+  users: [
+    { id: ADMIN_ID, email: 'admin@gearguard.local', password: 'gearguard', name: 'Ada Admin', role: 'ADMIN' },
+    { id: MANAGER_ID, email: 'manager@gearguard.local', password: 'gearguard', name: 'Max Manager', role: 'MANAGER' },
+    { id: TECH_ALICE_ID, email: 'alice@gearguard.local', password: 'gearguard', name: 'Alice Technician', role: 'TECHNICIAN', work_days: [1, 2, 3, 4, 5], work_hours_per_day: 8, hourly_rate: 45 },
+    { id: TECH_BOB_ID, email: 'bob@gearguard.local', password: 'gearguard', name: 'Bob Technician', role: 'TECHNICIAN', work_days: [1, 3, 5], work_hours_per_day: 6, hourly_rate: 40 },
+    { id: EMPLOYEE_ID, email: 'employee@gearguard.local', password: 'gearguard', name: 'Eve Employee', role: 'EMPLOYEE' }
+  ],
+
+  equipment_categories: [
+    { id: 1, name: 'Computers', archived_at: null },
+    { id: 2, name: 'Machinery', archived_at: null },
+    { id: 3, name: 'Vehicles', archived_at: null }
+  ],
+
+  departments: [
+    { id: 1, name: 'Production', archived_at: null },
+    { id: 2, name: 'Administration', archived_at: null }
+  ],
+
+  locations: [
+    { id: 1, name: 'Main Plant', archived_at: null },
+    { id: 2, name: 'Head Office', archived_at: null }
+  ],
+
+  teams: [
+    { id: 1, name: 'Mechanics', company: 'My Company', assignment_strategy: 'MANUAL' },
+    { id: 2, name: 'IT Support', company: 'My Company', assignment_strategy: 'MANUAL' }
+  ],
+
+  team_members: [
+    { id: 1, team_id: 1, user_id: TECH_ALICE_ID, role: 'LEAD', category_ids: [] },
+    { id: 2, team_id: 2, user_id: TECH_BOB_ID, role: 'LEAD', category_ids: [] }
+  ],
+
+  workcenters: [
+    {
+      id: 1,
+      name: 'Assembly Line 1',
+      code: 'AL-01',
+      tag: 'assembly',
+      alternative_workcenters: null,
+      cost_per_hour: 120,
+      capacity: 1,
+      time_efficiency: 95,
+      oee_target: 85,
+      maintenance_team_id: 1,
+      default_technician_id: null,
+      archived_at: null
+    }
+  ],
+
+  pm_plans: [
+    {
+      id: 1,
+      name: 'CNC spindle lubrication',
+      maintenance_for: 'EQUIPMENT',
+      equipment_id: 1,
+      workcenter_id: null,
+      category_id: 2,
+      team_id: 1,
+      technician_id: TECH_ALICE_ID,
+      duration_minutes: 45,
+      priority: 2,
+      instructions: 'Clean the spindle housing and apply fresh grease to the bearings.',
+      frequency: 'MONTHLY',
+      repeat_every: 1,
+      weekday: null,
+      day_of_month: 15,
+      time_of_day: '08:00',
+      start_date: '2024-01-15',
+      end_date: null,
+      lead_days: 14,
+      generated_through: null,
+      active: true,
+      created_by_user_id: MANAGER_ID,
+      created_at: '2024-01-01T08:00:00.000Z'
+    }
+  ],
+
+  sla_policies: [
+    { id: 1, name: 'High priority breakdowns', priority: 3, maintenance_type: 'CORRECTIVE', response_minutes: 60, resolution_minutes: 480, active: true },
+    { id: 2, name: 'Corrective maintenance', priority: null, maintenance_type: 'CORRECTIVE', response_minutes: 240, resolution_minutes: 2880, active: true },
+    { id: 3, name: 'Preventive maintenance', priority: null, maintenance_type: 'PREVENTIVE', response_minutes: 1440, resolution_minutes: 4320, active: true }
+  ],
+
+  equipment: [
+    {
+      id: 1,
+      name: 'CNC Machine 01',
+      serial_number: 'CNC-0001',
+      category_id: 2,
+      used_by_type: 'DEPARTMENT',
+      used_by_user_id: null,
+      used_by_department_id: 1,
+      maintenance_team_id: 1,
+      default_technician_id: TECH_ALICE_ID,
+      location_id: 1,
+      assigned_date: '2023-01-10',
+      scrap_date: null,
+      purchase_date: '2022-11-01',
+      purchase_cost: 85000,
+      warranty_end_date: '2025-11-01',
+      description: 'Five-axis milling machine',
+      company: 'My Company',
+      created_at: '2024-01-01T08:00:00.000Z'
+    },
+    {
+      id: 2,
+      name: 'Laptop 14"',
+      serial_number: 'LT-0042',
+      category_id: 1,
+      used_by_type: 'EMPLOYEE',
+      used_by_user_id: EMPLOYEE_ID,
+      used_by_department_id: null,
+      maintenance_team_id: 2,
+      default_technician_id: TECH_BOB_ID,
+      location_id: 2,
+      assigned_date: '2024-02-01',
+      scrap_date: null,
+      purchase_date: '2024-01-15',
+      purchase_cost: 1400,
+      warranty_end_date: '2027-01-15',
+      description: null,
+      company: 'My Company',
+      created_at: '2024-02-01T08:00:00.000Z'
+    },
+    {
+      id: 3,
+      name: 'Air Compressor AC-200',
+      serial_number: 'AC-0200',
+      category_id: 2,
+      used_by_type: 'DEPARTMENT',
+      used_by_user_id: null,
+      used_by_department_id: 1,
+      maintenance_team_id: 1,
+      default_technician_id: TECH_ALICE_ID,
+      location_id: 1,
+      assigned_date: '2016-05-10',
+      scrap_date: null,
+      purchase_date: '2016-05-01',
+      purchase_cost: 6500,
+      warranty_end_date: '2018-05-01',
+      description: 'Shop air for the production floor',
+      company: 'My Company',
+      created_at: '2024-01-01T08:00:00.000Z'
+    }
+  ],
+
+  maintenance_requests: [
+    {
+      id: 1,
+      subject: 'Spindle makes grinding noise',
+      created_by_user_id: EMPLOYEE_ID,
+      maintenance_for: 'EQUIPMENT',
+      equipment_id: 1,
+      workcenter_id: null,
+      category_id: 2,
+      request_date: '2024-03-01',
+      maintenance_type: 'CORRECTIVE',
+      team_id: 1,
+      technician_id: TECH_ALICE_ID,
+      scheduled_at: '2024-03-02T09:00:00.000Z',
+      duration_minutes: 120,
+      priority: 3,
+      stage: 'IN_PROGRESS',
+      blocked: false,
+      resolution: null,
+      pm_plan_id: null,
+      pm_occurrence_at: null,
+      sla_policy_id: 1,
+      response_due_at: '2024-03-01T11:00:00.000Z',
+      resolution_due_at: '2024-03-01T18:00:00.000Z',
+      responded_at: '2024-03-02T09:00:00.000Z',
+      resolved_at: null,
+      escalated_at: null,
+      escalation_reason: null,
+      company: 'My Company',
+      created_at: '2024-03-01T10:00:00.000Z'
+    },
+    {
+      id: 2,
+      subject: 'Battery no longer holds charge',
+      created_by_user_id: EMPLOYEE_ID,
+      maintenance_for: 'EQUIPMENT',
+      equipment_id: 2,
+      workcenter_id: null,
+      category_id: 1,
+      request_date: '2024-03-05',
+      maintenance_type: 'CORRECTIVE',
+      team_id: 2,
+      technician_id: TECH_BOB_ID,
+      scheduled_at: null,
+      duration_minutes: 30,
+      priority: 2,
+      stage: 'NEW_REQUEST',
+      blocked: false,
+      resolution: null,
+      pm_plan_id: null,
+      pm_occurrence_at: null,
+      sla_policy_id: 2,
+      response_due_at: '2024-03-05T14:00:00.000Z',
+      resolution_due_at: '2024-03-07T10:00:00.000Z',
+      responded_at: null,
+      resolved_at: null,
+      escalated_at: null,
+      escalation_reason: null,
+      company: 'My Company',
+      created_at: '2024-03-05T10:00:00.000Z'
+    },
+    {
+      id: 3,
+      subject: 'Compressor trips the breaker',
+      created_by_user_id: EMPLOYEE_ID,
+      maintenance_for: 'EQUIPMENT',
+      equipment_id: 3,
+      workcenter_id: null,
+      category_id: 2,
+      request_date: '2023-09-12',
+      maintenance_type: 'CORRECTIVE',
+      team_id: 1,
+      technician_id: TECH_ALICE_ID,
+      scheduled_at: '2023-09-13T08:00:00.000Z',
+      duration_minutes: 90,
+      priority: 3,
+      stage: 'REPAIRED',
+      blocked: false,
+      resolution: 'Replaced the motor starter relay.',
+      pm_plan_id: null,
+      pm_occurrence_at: null,
+      sla_policy_id: 1,
+      response_due_at: '2023-09-12T08:30:00.000Z',
+      resolution_due_at: '2023-09-12T15:30:00.000Z',
+      responded_at: '2023-09-12T08:10:00.000Z',
+      resolved_at: '2023-09-13T12:00:00.000Z',
+      escalated_at: null,
+      escalation_reason: null,
+      company: 'My Company',
+      created_at: '2023-09-12T07:30:00.000Z'
+    },
+    {
+      id: 4,
+      subject: 'Compressor tank leaking',
+      created_by_user_id: EMPLOYEE_ID,
+      maintenance_for: 'EQUIPMENT',
+      equipment_id: 3,
+      workcenter_id: null,
+      category_id: 2,
+      request_date: '2023-12-04',
+      maintenance_type: 'CORRECTIVE',
+      team_id: 1,
+      technician_id: TECH_ALICE_ID,
+      scheduled_at: '2023-12-05T08:00:00.000Z',
+      duration_minutes: 90,
+      priority: 3,
+      stage: 'SCRAP',
+      blocked: false,
+      resolution: 'Tank corroded through; replaced with a spare unit.',
+      pm_plan_id: null,
+      pm_occurrence_at: null,
+      sla_policy_id: 1,
+      response_due_at: '2023-12-04T12:00:00.000Z',
+      resolution_due_at: '2023-12-04T19:00:00.000Z',
+      responded_at: '2023-12-04T11:45:00.000Z',
+      resolved_at: '2023-12-04T17:30:00.000Z',
+      escalated_at: null,
+      escalation_reason: null,
+      company: 'My Company',
+      created_at: '2023-12-04T11:00:00.000Z'
+    },
+    {
+      id: 5,
+      subject: 'Compressor pressure drops under load',
+      created_by_user_id: EMPLOYEE_ID,
+      maintenance_for: 'EQUIPMENT',
+      equipment_id: 3,
+      workcenter_id: null,
+      category_id: 2,
+      request_date: '2024-02-26',
+      maintenance_type: 'CORRECTIVE',
+      team_id: 1,
+      technician_id: TECH_ALICE_ID,
+      scheduled_at: '2024-03-01T08:00:00.000Z',
+      duration_minutes: 90,
+      priority: 3,
+      stage: 'NEW_REQUEST',
+      blocked: false,
+      resolution: null,
+      pm_plan_id: null,
+      pm_occurrence_at: null,
+      sla_policy_id: 1,
+      response_due_at: '2024-02-26T10:15:00.000Z',
+      resolution_due_at: '2024-02-26T17:15:00.000Z',
+      responded_at: null,
+      resolved_at: null,
+      escalated_at: null,
+      escalation_reason: null,
+      company: 'My Company',
+      created_at: '2024-02-26T09:15:00.000Z'
+    },
+    {
+      id: 6,
+      subject: 'Conveyor belt jams at the transfer station',
+      created_by_user_id: MANAGER_ID,
+      maintenance_for: 'WORKCENTER',
+      equipment_id: null,
+      workcenter_id: 1,
+      category_id: 2,
+      request_date: '2024-02-29',
+      maintenance_type: 'CORRECTIVE',
+      team_id: 1,
+      technician_id: TECH_ALICE_ID,
+      scheduled_at: '2024-02-29T13:15:00.000Z',
+      duration_minutes: 60,
+      priority: 3,
+      stage: 'REPAIRED',
+      blocked: false,
+      resolution: 'Realigned the transfer rollers and retensioned the belt.',
+      pm_plan_id: null,
+      pm_occurrence_at: null,
+      sla_policy_id: 1,
+      response_due_at: '2024-02-29T14:05:00.000Z',
+      resolution_due_at: '2024-02-29T21:05:00.000Z',
+      responded_at: '2024-02-29T13:15:00.000Z',
+      resolved_at: '2024-02-29T14:30:00.000Z',
+      escalated_at: null,
+      escalation_reason: null,
+      company: 'My Company',
+      created_at: '2024-02-29T13:05:00.000Z'
+    }
+  ],
+
+  request_notes: [],
+  request_instructions: [],
+  request_worksheet_comments: [],
+  notifications: [],
+  email_outbox: [],
+  webhooks: [],
+  webhook_deliveries: [],
+  attachments: [],
+
+  parts: [
+    { id: 1, part_number: 'SP-1001', name: 'Spindle bearing', description: 'Angular contact bearing for CNC spindles', unit_cost: 85, compatible_category_ids: [2], created_at: '2024-01-05T08:00:00.000Z' },
+    { id: 2, part_number: 'SP-1002', name: 'Coolant filter', description: null, unit_cost: 12.5, compatible_category_ids: [2], created_at: '2024-01-05T08:00:00.000Z' },
+    { id: 3, part_number: 'IT-2001', name: 'Laptop charger 65W', description: 'USB-C power adapter', unit_cost: 39.9, compatible_category_ids: [1], created_at: '2024-01-05T08:00:00.000Z' },
+    { id: 4, part_number: 'GEN-0001', name: 'Cable ties (100 pack)', description: null, unit_cost: 4.2, compatible_category_ids: [], created_at: '2024-01-05T08:00:00.000Z' }
+  ],
+
+  part_stock: [
+    { id: 1, part_id: 1, location_id: 1, quantity: 4, reorder_point: 2, created_at: '2024-01-05T08:00:00.000Z' },
+    { id: 2, part_id: 2, location_id: 1, quantity: 3, reorder_point: 5, created_at: '2024-01-05T08:00:00.000Z' },
+    { id: 3, part_id: 3, location_id: 2, quantity: 6, reorder_point: 2, created_at: '2024-01-05T08:00:00.000Z' },
+    { id: 4, part_id: 4, location_id: 1, quantity: 10, reorder_point: 0, created_at: '2024-01-05T08:00:00.000Z' }
+  ],
+
+  // The receipts behind the seeded stock
+  stock_movements: [
+    { id: 1, part_id: 1, location_id: 1, change: 4, quantity_after: 4, type: 'RECEIPT', request_id: null, note: 'Initial stock', created_by_user_id: MANAGER_ID, created_at: '2024-01-05T08:00:00.000Z' },
+    { id: 2, part_id: 2, location_id: 1, change: 3, quantity_after: 3, type: 'RECEIPT', request_id: null, note: 'Initial stock', created_by_user_id: MANAGER_ID, created_at: '2024-01-05T08:00:00.000Z' },
+    { id: 3, part_id: 3, location_id: 2, change: 6, quantity_after: 6, type: 'RECEIPT', request_id: null, note: 'Initial stock', created_by_user_id: MANAGER_ID, created_at: '2024-01-05T08:00:00.000Z' },
+    { id: 4, part_id: 4, location_id: 1, change: 10, quantity_after: 10, type: 'RECEIPT', request_id: null, note: 'Initial stock', created_by_user_id: MANAGER_ID, created_at: '2024-01-05T08:00:00.000Z' }
+  ],
+
+  request_parts: [],
+
+  time_entries: [
+    {
+      id: 1,
+      request_id: 3,
+      user_id: TECH_ALICE_ID,
+      started_at: '2023-09-13T08:00:00.000Z',
+      ended_at: '2023-09-13T11:30:00.000Z',
+      source: 'MANUAL',
+      paused: false,
+      note: null,
+      created_by_user_id: TECH_ALICE_ID,
+      created_at: '2023-09-13T12:00:00.000Z'
+    }
+  ],
+
+  request_charges: [
+    {
+      id: 1,
+      request_id: 4,
+      description: 'Replacement tank, delivered',
+      vendor: 'Northside Compressors',
+      amount: 780,
+      created_by_user_id: MANAGER_ID,
+      created_at: '2023-12-06T09:00:00.000Z'
+    }
+  ],
+
+  downtime_events: [
+    { id: 1, workcenter_id: 1, downtime_type: 'PLANNED', reason: 'Changeover', started_at: '2024-02-27T10:00:00.000Z', ended_at: '2024-02-27T10:30:00.000Z', request_id: null, created_by_user_id: MANAGER_ID, created_at: '2024-02-27T10:30:00.000Z' },
+    { id: 2, workcenter_id: 1, downtime_type: 'UNPLANNED', reason: 'Conveyor jam', started_at: '2024-02-29T13:00:00.000Z', ended_at: '2024-02-29T14:30:00.000Z', request_id: 6, created_by_user_id: MANAGER_ID, created_at: '2024-02-29T14:30:00.000Z' }
+  ],
+
+  production_counts: [
+    { id: 1, workcenter_id: 1, production_date: '2024-02-26', scheduled_minutes: 480, total_count: 440, good_count: 431, ideal_cycle_seconds: 60, note: null, created_by_user_id: MANAGER_ID, created_at: '2024-02-26T17:00:00.000Z' },
+    { id: 2, workcenter_id: 1, production_date: '2024-02-27', scheduled_minutes: 480, total_count: 405, good_count: 398, ideal_cycle_seconds: 60, note: null, created_by_user_id: MANAGER_ID, created_at: '2024-02-27T17:00:00.000Z' },
+    { id: 3, workcenter_id: 1, production_date: '2024-02-28', scheduled_minutes: 480, total_count: 452, good_count: 447, ideal_cycle_seconds: 60, note: null, created_by_user_id: MANAGER_ID, created_at: '2024-02-28T17:00:00.000Z' },
+    { id: 4, workcenter_id: 1, production_date: '2024-02-29', scheduled_minutes: 480, total_count: 350, good_count: 329, ideal_cycle_seconds: 60, note: null, created_by_user_id: MANAGER_ID, created_at: '2024-02-29T17:00:00.000Z' },
+    { id: 5, workcenter_id: 1, production_date: '2024-03-01', scheduled_minutes: 480, total_count: 447, good_count: 440, ideal_cycle_seconds: 60, note: null, created_by_user_id: MANAGER_ID, created_at: '2024-03-01T17:00:00.000Z' }
+  ],
+
+  request_stage_history: [
+    {
+      id: 1,
+      request_id: 1,
+      from_stage: 'NEW_REQUEST',
+      to_stage: 'IN_PROGRESS',
+      changed_by_user_id: TECH_ALICE_ID,
+      created_at: '2024-03-02T09:00:00.000Z'
+    }
+  ]
+};
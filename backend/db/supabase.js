@@ -0,0 +1,984 @@
+// Supabase implementation of the GearGuard repositories.
+// Every method resolves to `{ data, error }` exactly like the Supabase client does.
+
+const REQUEST_RELATIONS = `
+  *,
+  created_by:profiles!created_by_user_id(id, name),
+  equipment:equipment(id, name, serial_number),
+  workcenter:workcenters(id, name),
+  category:equipment_categories(name),
+  technician:profiles!technician_id(id, name),
+  team:teams(name)
+`;
+
+const EQUIPMENT_RELATIONS = `
+  *,
+  category:equipment_categories(name),
+  used_by_user:profiles!used_by_user_id(id, name),
+  used_by_department:departments(id, name),
+  default_technician:profiles!default_technician_id(id, name),
+  location:locations(name)
+`;
+
+// Escape the LIKE wildcards in user input so search text is matched literally
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, match => '\\' + match);
+}
+
+// Quote a value inside an .or() filter string so commas and parentheses stay literal
+function quoteFilterValue(text) {
+  return `"${text.replace(/["\\]/g, match => '\\' + match)}"`;
+}
+
+// Deliveries carry what the webhook delivery job needs to send them
+const WEBHOOK_DELIVERY_RELATIONS = `
+  *,
+  webhook:webhooks(id, url, secret, active)
+`;
+
+const ATTACHMENT_RELATIONS = `
+  *,
+  uploaded_by:profiles!uploaded_by_user_id(id, name)
+`;
+
+// Parts with their stock at every location
+const PART_RELATIONS = `
+  *,
+  stock:part_stock(location_id, quantity, reorder_point, location:locations(name))
+`;
+
+const PART_STOCK_RELATIONS = `
+  *,
+  part:parts(id, part_number, name, unit_cost),
+  location:locations(id, name)
+`;
+
+// Shared by stock_movements and request_parts
+const PART_LOG_RELATIONS = `
+  *,
+  part:parts(id, part_number, name),
+  location:locations(id, name),
+  created_by:profiles!created_by_user_id(id, name)
+`;
+
+// What backend/costs.js needs of a request, including the groups costs roll up to
+const COST_REQUEST_COLUMNS = `
+  id, subject, request_date, created_at, maintenance_type, stage, equipment_id, workcenter_id,
+  equipment:equipment(id, name, used_by_department:departments(id, name)),
+  category:equipment_categories(id, name),
+  team:teams(id, name)
+`;
+
+const TIME_ENTRY_RELATIONS = `
+  *,
+  user:profiles!user_id(id, name),
+  request:maintenance_requests(id, subject)
+`;
+
+const DOWNTIME_RELATIONS = `
+  *,
+  request:maintenance_requests(id, subject),
+  created_by:profiles!created_by_user_id(id, name)
+`;
+
+const TEAM_MEMBER_RELATIONS = `
+  id, team_id, user_id, role, category_ids,
+  user:profiles(id, name)
+`;
+
+// Columns the SLA escalation job and compliance report read (backend/sla.js)
+const SLA_REQUEST_COLUMNS = `
+  id, subject, priority, maintenance_type, stage, team_id, technician_id, created_at,
+  sla_policy_id, response_due_at, resolution_due_at, responded_at, resolved_at,
+  escalated_at, escalation_reason,
+  team:teams(name)
+`;
+
+const PM_PLAN_RELATIONS = `
+  *,
+  equipment:equipment(id, name),
+  workcenter:workcenters(id, name),
+  team:teams(name),
+  technician:profiles!technician_id(id, name)
+`;
+
+// .in() filters travel in the URL, so long id lists are queried in chunks and the rows joined
+const IN_CHUNK_SIZE = 200;
+
+async function selectIn(buildQuery, ids) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += IN_CHUNK_SIZE) {
+    const { data, error } = await buildQuery(ids.slice(i, i + IN_CHUNK_SIZE));
+    if (error) return { data: null, error };
+    rows.push(...(data || []));
+  }
+  return { data: rows, error: null };
+}
+
+// Columns that point at a lookup value, by the key countReferences reports them under;
+// `array` columns hold lists of ids
+const LOOKUP_REFERENCES = {
+  equipment_categories: {
+    equipment: { table: 'equipment', column: 'category_id' },
+    requests: { table: 'maintenance_requests', column: 'category_id' },
+    pm_plans: { table: 'pm_plans', column: 'category_id' },
+    parts: { table: 'parts', column: 'compatible_category_ids', array: true },
+    team_members: { table: 'team_members', column: 'category_ids', array: true }
+  },
+  departments: {
+    equipment: { table: 'equipment', column: 'used_by_department_id' }
+  },
+  locations: {
+    equipment: { table: 'equipment', column: 'location_id' },
+    part_stock: { table: 'part_stock', column: 'location_id' },
+    stock_movements: { table: 'stock_movements', column: 'location_id' },
+    request_parts: { table: 'request_parts', column: 'location_id' }
+  }
+};
+
+// Repositories for equipment_categories, departments and locations. `list` includes retired
+// values (with `archived_at`) so forms can still show the ones records use.
+function lookupRepository(client, table) {
+  return {
+    list() {
+      return client.from(table).select('id, name, archived_at').order('name');
+    },
+
+    findById(id) {
+      return client.from(table).select('*').eq('id', id).single();
+    },
+
+    // Case-insensitive exact match
+    findByName(name) {
+      return client.from(table).select('*').ilike('name', escapeLike(name)).limit(1).maybeSingle();
+    },
+
+    create(values) {
+      return client.from(table).insert(values).select().single();
+    },
+
+    update(id, values) {
+      return client.from(table).update(values).eq('id', id).select().single();
+    },
+
+    remove(id) {
+      return client.from(table).delete().eq('id', id);
+    },
+
+    // How many rows point at the value, per LOOKUP_REFERENCES key
+    async countReferences(id) {
+      const references = Object.entries(LOOKUP_REFERENCES[table]);
+      const results = await Promise.all(references.map(([, { table: from, column, array }]) => {
+        const query = client.from(from).select('id', { count: 'exact', head: true });
+        return array ? query.contains(column, [id]) : query.eq(column, id);
+      }));
+      const failed = results.find(r => r.error);
+      if (failed) return { data: null, error: failed.error };
+      return { data: Object.fromEntries(references.map(([key], i) => [key, results[i].count || 0])), error: null };
+    },
+
+    // Moves every reference from `fromId` to `intoId` and deletes `fromId` (016_lookups.sql)
+    merge(fromId, intoId) {
+      return client.rpc(`merge_${table}`, { p_from: fromId, p_into: intoId });
+    }
+  };
+}
+
+// Repositories for request_notes, request_instructions and request_worksheet_comments
+function requestLogRepository(client, table) {
+  return {
+    listByRequest(requestId) {
+      return client
+        .from(table)
+        .select('*, created_by:profiles(id, name)')
+        .eq('request_id', requestId)
+        .order('created_at', { ascending: false });
+    },
+
+    create(values) {
+      return client.from(table).insert(values).select().single();
+    }
+  };
+}
+
+function buildRepositories(client) {
+  return {
+    profiles: {
+      findById(id) {
+        return client.from('profiles').select('*').eq('id', id).single();
+      },
+
+      create(values) {
+        return client.from('profiles').insert(values).select().single();
+      },
+
+      list({ role, includeEmail = false, includeWorkingHours = false, includeHourlyRate = false } = {}) {
+        let columns = includeEmail ? 'id, name, email, role' : 'id, name, role';
+        if (includeWorkingHours) columns += ', work_days, work_hours_per_day';
+        if (includeHourlyRate) columns += ', hourly_rate';
+        let query = client.from('profiles').select(columns);
+        if (role) query = query.eq('role', role);
+        return query.order('name');
+      },
+
+      listByIds(ids) {
+        return client.from('profiles').select('id, name, email, role, notification_preferences, email_preferences').in('id', ids);
+      },
+
+      update(id, values) {
+        return client.from('profiles').update(values).eq('id', id).select().single();
+      }
+    },
+
+    equipment: {
+      list() {
+        return client
+          .from('equipment')
+          .select(EQUIPMENT_RELATIONS)
+          .order('created_at', { ascending: false });
+      },
+
+      listOptions() {
+        return client.from('equipment').select('id, name, serial_number').order('name');
+      },
+
+      findById(id) {
+        return client.from('equipment').select('*').eq('id', id).single();
+      },
+
+      create(values) {
+        return client.from('equipment').insert(values).select().single();
+      },
+
+      update(id, values) {
+        return client.from('equipment').update(values).eq('id', id).select().single();
+      },
+
+      remove(id) {
+        return client.from('equipment').delete().eq('id', id);
+      }
+    },
+
+    requests: {
+      // TECHNICIAN and EMPLOYEE scoping is passed in as technicianId / createdByUserId.
+      // `filters` maps columns to required values; the other options back the list page.
+      // Resolves with `count`, the number of matching rows before offset/limit.
+      list({
+        technicianId,
+        createdByUserId,
+        filters = {},
+        search,
+        dateFrom,
+        dateTo,
+        overdueAt,
+        sort = 'created_at',
+        ascending = false,
+        offset = 0,
+        limit
+      } = {}) {
+        let query = client.from('maintenance_requests').select(REQUEST_RELATIONS, { count: 'exact' });
+        if (technicianId) query = query.eq('technician_id', technicianId);
+        if (createdByUserId) query = query.eq('created_by_user_id', createdByUserId);
+        for (const [column, value] of Object.entries(filters)) {
+          if (value != null) query = query.eq(column, value);
+        }
+        if (search) query = query.ilike('subject', `%${escapeLike(search)}%`);
+        if (dateFrom) query = query.gte('request_date', dateFrom);
+        if (dateTo) query = query.lte('request_date', dateTo);
+        if (overdueAt) {
+          query = query.lt('scheduled_at', overdueAt).not('stage', 'in', '(REPAIRED,SCRAP)');
+        }
+        query = query
+          .order(sort, { ascending, nullsFirst: false })
+          .order('id', { ascending: false });
+        if (limit) query = query.range(offset, offset + limit - 1);
+        return query;
+      },
+
+      findById(id) {
+        return client.from('maintenance_requests').select('*').eq('id', id).single();
+      },
+
+      findDetailed(id) {
+        return client.from('maintenance_requests').select(REQUEST_RELATIONS).eq('id', id).single();
+      },
+
+      // Requests generated from a PM plan for occurrences between from and to
+      listForPlan(planId, { from, to }) {
+        return client
+          .from('maintenance_requests')
+          .select('id, pm_occurrence_at, scheduled_at, stage')
+          .eq('pm_plan_id', planId)
+          .gte('pm_occurrence_at', from)
+          .lte('pm_occurrence_at', to);
+      },
+
+      // Open requests that have a technician, for the technician load (backend/load.js)
+      listOpenAssigned() {
+        return client
+          .from('maintenance_requests')
+          .select('id, technician_id, scheduled_at, duration_minutes, stage')
+          .not('technician_id', 'is', null)
+          .in('stage', ['NEW_REQUEST', 'IN_PROGRESS']);
+      },
+
+      // Open requests scheduled before `scheduledBefore`, for the due reminder job
+      listForReminders(scheduledBefore) {
+        return client
+          .from('maintenance_requests')
+          .select('id, subject, stage, priority, scheduled_at, technician_id, created_by_user_id, due_soon_emailed_at, overdue_emailed_at')
+          .in('stage', ['NEW_REQUEST', 'IN_PROGRESS'])
+          .lt('scheduled_at', scheduledBefore);
+      },
+
+      // `openOnly` keeps NEW_REQUEST / IN_PROGRESS; createdFrom / createdTo bound created_at
+      listForSla({ openOnly = false, createdFrom, createdTo, teamId } = {}) {
+        let query = client
+          .from('maintenance_requests')
+          .select(SLA_REQUEST_COLUMNS)
+          .not('resolution_due_at', 'is', null);
+        if (openOnly) query = query.in('stage', ['NEW_REQUEST', 'IN_PROGRESS']);
+        if (createdFrom) query = query.gte('created_at', createdFrom);
+        if (createdTo) query = query.lte('created_at', createdTo);
+        if (teamId) query = query.eq('team_id', teamId);
+        return query.order('created_at', { ascending: true });
+      },
+
+      // Just the columns equipment health scoring needs (backend/health.js)
+      listForEquipment(equipmentId) {
+        let query = client
+          .from('maintenance_requests')
+          .select('id, equipment_id, maintenance_type, stage, scheduled_at, created_at')
+          .not('equipment_id', 'is', null);
+        if (equipmentId) query = query.eq('equipment_id', equipmentId);
+        return query;
+      },
+
+      // Requests dated (request_date) between dateFrom and dateTo, for cost rollups (backend/costs.js)
+      listForCosts({ dateFrom, dateTo, equipmentId } = {}) {
+        let query = client.from('maintenance_requests').select(COST_REQUEST_COLUMNS);
+        if (dateFrom) query = query.gte('request_date', dateFrom);
+        if (dateTo) query = query.lte('request_date', dateTo);
+        if (equipmentId) query = query.eq('equipment_id', equipmentId);
+        return query;
+      },
+
+      create(values) {
+        return client.from('maintenance_requests').insert(values).select().single();
+      },
+
+      update(id, values) {
+        return client.from('maintenance_requests').update(values).eq('id', id).select().single();
+      },
+
+      remove(id) {
+        return client.from('maintenance_requests').delete().eq('id', id);
+      }
+    },
+
+    notes: requestLogRepository(client, 'request_notes'),
+    instructions: requestLogRepository(client, 'request_instructions'),
+    worksheet: requestLogRepository(client, 'request_worksheet_comments'),
+
+    stageHistory: {
+      // Oldest first, so the rows read as a timeline
+      listByRequest(requestId) {
+        return client
+          .from('request_stage_history')
+          .select('*, changed_by:profiles!changed_by_user_id(id, name)')
+          .eq('request_id', requestId)
+          .order('created_at', { ascending: true });
+      },
+
+      create(values) {
+        return client.from('request_stage_history').insert(values);
+      }
+    },
+
+    pmPlans: {
+      list({ activeOnly = false, technicianId } = {}) {
+        let query = client.from('pm_plans').select(PM_PLAN_RELATIONS);
+        if (activeOnly) query = query.eq('active', true);
+        if (technicianId) query = query.eq('technician_id', technicianId);
+        return query.order('name');
+      },
+
+      findById(id) {
+        return client.from('pm_plans').select('*').eq('id', id).single();
+      },
+
+      create(values) {
+        return client.from('pm_plans').insert(values).select().single();
+      },
+
+      update(id, values) {
+        return client.from('pm_plans').update(values).eq('id', id).select().single();
+      },
+
+      remove(id) {
+        return client.from('pm_plans').delete().eq('id', id);
+      }
+    },
+
+    slaPolicies: {
+      list() {
+        return client.from('sla_policies').select('*').order('id');
+      },
+
+      findById(id) {
+        return client.from('sla_policies').select('*').eq('id', id).single();
+      },
+
+      create(values) {
+        return client.from('sla_policies').insert(values).select().single();
+      },
+
+      update(id, values) {
+        return client.from('sla_policies').update(values).eq('id', id).select().single();
+      },
+
+      remove(id) {
+        return client.from('sla_policies').delete().eq('id', id);
+      }
+    },
+
+    notifications: {
+      listForUser(userId, { unreadOnly = false, limit = 50 } = {}) {
+        let query = client.from('notifications').select('*').eq('user_id', userId);
+        if (unreadOnly) query = query.is('read_at', null);
+        return query.order('created_at', { ascending: false }).limit(limit);
+      },
+
+      // Resolves with `count` and no rows
+      countUnread(userId) {
+        return client
+          .from('notifications')
+          .select('id', { count: 'exact', head: true })
+          .eq('user_id', userId)
+          .is('read_at', null);
+      },
+
+      createMany(rows) {
+        return client.from('notifications').insert(rows).select();
+      },
+
+      markRead(userId, id, readAt) {
+        return client
+          .from('notifications')
+          .update({ read_at: readAt })
+          .eq('id', id)
+          .eq('user_id', userId)
+          .select()
+          .single();
+      },
+
+      markAllRead(userId, readAt) {
+        return client.from('notifications').update({ read_at: readAt }).eq('user_id', userId).is('read_at', null);
+      }
+    },
+
+    emailOutbox: {
+      list({ status, limit = 100 } = {}) {
+        let query = client.from('email_outbox').select('*');
+        if (status) query = query.eq('status', status);
+        return query.order('created_at', { ascending: false }).limit(limit);
+      },
+
+      findById(id) {
+        return client.from('email_outbox').select('*').eq('id', id).single();
+      },
+
+      createMany(rows) {
+        return client.from('email_outbox').insert(rows).select();
+      },
+
+      // PENDING emails whose next attempt is due, oldest first
+      listDue(now, limit) {
+        return client
+          .from('email_outbox')
+          .select('*')
+          .eq('status', 'PENDING')
+          .lte('next_attempt_at', now)
+          .order('next_attempt_at')
+          .limit(limit);
+      },
+
+      // Leases a due email to one sender by moving its next attempt to `until`, but only while
+      // it still has the status and next attempt `seen` by the caller; resolves with null when
+      // another run got there first
+      claim(id, seen, until) {
+        const query = client.from('email_outbox').update({ next_attempt_at: until }).eq('id', id).eq('status', seen.status);
+        return (seen.next_attempt_at == null ? query.is('next_attempt_at', null) : query.eq('next_attempt_at', seen.next_attempt_at))
+          .select()
+          .maybeSingle();
+      },
+
+      update(id, values) {
+        return client.from('email_outbox').update(values).eq('id', id).select().single();
+      }
+    },
+
+    webhooks: {
+      list() {
+        return client.from('webhooks').select('*').order('id');
+      },
+
+      findById(id) {
+        return client.from('webhooks').select('*').eq('id', id).single();
+      },
+
+      listActiveForEvent(event) {
+        return client.from('webhooks').select('id, url').eq('active', true).contains('events', [event]);
+      },
+
+      create(values) {
+        return client.from('webhooks').insert(values).select().single();
+      },
+
+      update(id, values) {
+        return client.from('webhooks').update(values).eq('id', id).select().single();
+      },
+
+      // Its deliveries go with it (ON DELETE CASCADE)
+      remove(id) {
+        return client.from('webhooks').delete().eq('id', id);
+      }
+    },
+
+    webhookDeliveries: {
+      listByWebhook(webhookId, { status, limit = 50 } = {}) {
+        let query = client.from('webhook_deliveries').select('*').eq('webhook_id', webhookId);
+        if (status) query = query.eq('status', status);
+        return query.order('created_at', { ascending: false }).limit(limit);
+      },
+
+      findById(id) {
+        return client.from('webhook_deliveries').select(WEBHOOK_DELIVERY_RELATIONS).eq('id', id).single();
+      },
+
+      createMany(rows) {
+        return client.from('webhook_deliveries').insert(rows).select(WEBHOOK_DELIVERY_RELATIONS);
+      },
+
+      // PENDING deliveries whose next attempt is due, oldest first
+      listDue(now, limit) {
+        return client
+          .from('webhook_deliveries')
+          .select(WEBHOOK_DELIVERY_RELATIONS)
+          .eq('status', 'PENDING')
+          .lte('next_attempt_at', now)
+          .order('next_attempt_at')
+          .limit(limit);
+      },
+
+      // Leases a delivery to one sender: makes it PENDING until `until`, but only while it still
+      // has the status and next attempt `seen` by the caller; resolves with null when another
+      // sender got there first
+      claim(id, seen, until) {
+        const query = client
+          .from('webhook_deliveries')
+          .update({ status: 'PENDING', next_attempt_at: until })
+          .eq('id', id)
+          .eq('status', seen.status);
+        return (seen.next_attempt_at == null ? query.is('next_attempt_at', null) : query.eq('next_attempt_at', seen.next_attempt_at))
+          .select()
+          .maybeSingle();
+      },
+
+      update(id, values) {
+        return client.from('webhook_deliveries').update(values).eq('id', id).select().single();
+      }
+    },
+
+    attachments: {
+      // The attachments of one request or one piece of equipment, newest first
+      listByOwner({ requestId, equipmentId }) {
+        const query = client.from('attachments').select(ATTACHMENT_RELATIONS);
+        return (requestId ? query.eq('request_id', requestId) : query.eq('equipment_id', equipmentId))
+          .order('created_at', { ascending: false });
+      },
+
+      findById(id) {
+        return client.from('attachments').select(ATTACHMENT_RELATIONS).eq('id', id).single();
+      },
+
+      create(values) {
+        return client.from('attachments').insert(values).select(ATTACHMENT_RELATIONS).single();
+      },
+
+      update(id, values) {
+        return client.from('attachments').update(values).eq('id', id).select(ATTACHMENT_RELATIONS).single();
+      },
+
+      remove(id) {
+        return client.from('attachments').delete().eq('id', id);
+      }
+    },
+
+    parts: {
+      // `categoryId` keeps the parts that fit equipment of that category
+      list({ search, categoryId } = {}) {
+        let query = client.from('parts').select(PART_RELATIONS);
+        if (search) {
+          const pattern = quoteFilterValue(`%${escapeLike(search)}%`);
+          query = query.or(`part_number.ilike.${pattern},name.ilike.${pattern}`);
+        }
+        if (categoryId) {
+          query = query.or(`compatible_category_ids.cs.{${categoryId}},compatible_category_ids.eq.{}`);
+        }
+        return query.order('part_number');
+      },
+
+      findById(id) {
+        return client.from('parts').select(PART_RELATIONS).eq('id', id).single();
+      },
+
+      // Resolves `data: null` when no part has the number
+      findByPartNumber(partNumber) {
+        return client.from('parts').select('*').eq('part_number', partNumber).maybeSingle();
+      },
+
+      create(values) {
+        return client.from('parts').insert(values).select(PART_RELATIONS).single();
+      },
+
+      update(id, values) {
+        return client.from('parts').update(values).eq('id', id).select(PART_RELATIONS).single();
+      },
+
+      remove(id) {
+        return client.from('parts').delete().eq('id', id);
+      }
+    },
+
+    partStock: {
+      // Stock rows at or below their reorder point (view part_stock_low)
+      listLow() {
+        return client.from('part_stock_low').select(PART_STOCK_RELATIONS).order('quantity');
+      },
+
+      setReorderPoint(partId, locationId, reorderPoint) {
+        return client
+          .from('part_stock')
+          .upsert({ part_id: partId, location_id: locationId, reorder_point: reorderPoint }, { onConflict: 'part_id,location_id' })
+          .select(PART_STOCK_RELATIONS)
+          .single();
+      }
+    },
+
+    stockMovements: {
+      list({ partId, locationId, type, limit = 100 } = {}) {
+        let query = client.from('stock_movements').select(PART_LOG_RELATIONS);
+        if (partId) query = query.eq('part_id', partId);
+        if (locationId) query = query.eq('location_id', locationId);
+        if (type) query = query.eq('type', type);
+        return query.order('created_at', { ascending: false }).order('id', { ascending: false }).limit(limit);
+      },
+
+      // Changes the stock and logs the movement in one transaction (function adjust_part_stock)
+      adjust({ part_id, location_id, change, type, request_id = null, note = null, created_by_user_id = null }) {
+        return client.rpc('adjust_part_stock', {
+          p_part_id: part_id,
+          p_location_id: location_id,
+          p_change: change,
+          p_type: type,
+          p_request_id: request_id,
+          p_note: note,
+          p_user_id: created_by_user_id
+        });
+      }
+    },
+
+    requestParts: {
+      listByRequest(requestId) {
+        return client
+          .from('request_parts')
+          .select(PART_LOG_RELATIONS)
+          .eq('request_id', requestId)
+          .order('created_at');
+      },
+
+      listByRequests(requestIds) {
+        return selectIn(ids => client.from('request_parts').select('*').in('request_id', ids), requestIds);
+      },
+
+      findById(id) {
+        return client.from('request_parts').select('*').eq('id', id).single();
+      },
+
+      // Takes the parts out of stock and adds the line (function consume_request_part)
+      consume({ request_id, part_id, location_id, quantity, created_by_user_id = null }) {
+        return client.rpc('consume_request_part', {
+          p_request_id: request_id,
+          p_part_id: part_id,
+          p_location_id: location_id,
+          p_quantity: quantity,
+          p_user_id: created_by_user_id
+        });
+      },
+
+      // Removes the line and puts its parts back into stock (function return_request_part)
+      returnToStock(id, userId = null) {
+        return client.rpc('return_request_part', { p_line_id: id, p_user_id: userId });
+      }
+    },
+
+    timeEntries: {
+      listByRequest(requestId) {
+        return client
+          .from('time_entries')
+          .select(TIME_ENTRY_RELATIONS)
+          .eq('request_id', requestId)
+          .order('started_at');
+      },
+
+      // Just the columns labor costs need (backend/costs.js)
+      listByRequests(requestIds) {
+        return selectIn(ids => client
+          .from('time_entries')
+          .select('id, request_id, user_id, started_at, ended_at')
+          .in('request_id', ids), requestIds);
+      },
+
+      // The user's entries that started in [from, to)
+      listForUser({ userId, from, to }) {
+        return client
+          .from('time_entries')
+          .select(TIME_ENTRY_RELATIONS)
+          .eq('user_id', userId)
+          .gte('started_at', from)
+          .lt('started_at', to)
+          .order('started_at');
+      },
+
+      // The user's running timer and paused timers
+      listOpen(userId) {
+        return client
+          .from('time_entries')
+          .select(TIME_ENTRY_RELATIONS)
+          .eq('user_id', userId)
+          .or('ended_at.is.null,paused.is.true');
+      },
+
+      // The user's entries that overlap [startedAt, endedAt); running timers reach to now and beyond
+      listOverlapping({ userId, startedAt, endedAt, excludeId }) {
+        let query = client
+          .from('time_entries')
+          .select(TIME_ENTRY_RELATIONS)
+          .eq('user_id', userId)
+          .lt('started_at', endedAt)
+          .or(`ended_at.is.null,ended_at.gt.${quoteFilterValue(startedAt)}`);
+        if (excludeId) query = query.neq('id', excludeId);
+        return query.order('started_at');
+      },
+
+      findById(id) {
+        return client.from('time_entries').select(TIME_ENTRY_RELATIONS).eq('id', id).single();
+      },
+
+      create(values) {
+        return client.from('time_entries').insert(values).select(TIME_ENTRY_RELATIONS).single();
+      },
+
+      update(id, values) {
+        return client.from('time_entries').update(values).eq('id', id).select(TIME_ENTRY_RELATIONS).single();
+      },
+
+      remove(id) {
+        return client.from('time_entries').delete().eq('id', id);
+      }
+    },
+
+    requestCharges: {
+      listByRequest(requestId) {
+        return client
+          .from('request_charges')
+          .select('*, created_by:profiles!created_by_user_id(id, name)')
+          .eq('request_id', requestId)
+          .order('created_at');
+      },
+
+      listByRequests(requestIds) {
+        return selectIn(ids => client.from('request_charges').select('*').in('request_id', ids), requestIds);
+      },
+
+      findById(id) {
+        return client.from('request_charges').select('*').eq('id', id).single();
+      },
+
+      create(values) {
+        return client.from('request_charges').insert(values).select().single();
+      },
+
+      remove(id) {
+        return client.from('request_charges').delete().eq('id', id);
+      }
+    },
+
+    downtimeEvents: {
+      // Events overlapping the dates `from` .. `to` (both included); ongoing ones never end
+      listByWorkcenter({ workcenterId, from, to }) {
+        const start = `${from}T00:00:00Z`;
+        const end = new Date(Date.parse(`${to}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString();
+        return client
+          .from('downtime_events')
+          .select(DOWNTIME_RELATIONS)
+          .eq('workcenter_id', workcenterId)
+          .lt('started_at', end)
+          .or(`ended_at.is.null,ended_at.gt.${quoteFilterValue(start)}`)
+          .order('started_at', { ascending: false });
+      },
+
+      findById(id) {
+        return client.from('downtime_events').select(DOWNTIME_RELATIONS).eq('id', id).single();
+      },
+
+      create(values) {
+        return client.from('downtime_events').insert(values).select(DOWNTIME_RELATIONS).single();
+      },
+
+      update(id, values) {
+        return client.from('downtime_events').update(values).eq('id', id).select(DOWNTIME_RELATIONS).single();
+      },
+
+      remove(id) {
+        return client.from('downtime_events').delete().eq('id', id);
+      }
+    },
+
+    productionCounts: {
+      listByWorkcenter({ workcenterId, from, to }) {
+        return client
+          .from('production_counts')
+          .select('*, created_by:profiles!created_by_user_id(id, name)')
+          .eq('workcenter_id', workcenterId)
+          .gte('production_date', from)
+          .lte('production_date', to)
+          .order('production_date', { ascending: false });
+      },
+
+      findById(id) {
+        return client.from('production_counts').select('*').eq('id', id).single();
+      },
+
+      create(values) {
+        return client.from('production_counts').insert(values).select().single();
+      },
+
+      remove(id) {
+        return client.from('production_counts').delete().eq('id', id);
+      }
+    },
+
+    workcenters: {
+      list({ includeArchived = false } = {}) {
+        let query = client.from('workcenters').select('*');
+        if (!includeArchived) query = query.is('archived_at', null);
+        return query.order('name');
+      },
+
+      findById(id) {
+        return client.from('workcenters').select('*').eq('id', id).single();
+      },
+
+      listOptions() {
+        return client.from('workcenters').select('id, name').is('archived_at', null).order('name');
+      },
+
+      create(values) {
+        return client.from('workcenters').insert(values).select().single();
+      },
+
+      update(id, values) {
+        return client.from('workcenters').update(values).eq('id', id).select().single();
+      }
+    },
+
+    teams: {
+      list() {
+        return client
+          .from('teams')
+          .select(`*, members:team_members(${TEAM_MEMBER_RELATIONS})`)
+          .order('name');
+      },
+
+      findById(id) {
+        return client
+          .from('teams')
+          .select(`*, members:team_members(${TEAM_MEMBER_RELATIONS})`)
+          .eq('id', id)
+          .single();
+      },
+
+      listOptions() {
+        return client.from('teams').select('id, name').order('name');
+      },
+
+      create(values) {
+        return client.from('teams').insert(values).select().single();
+      },
+
+      update(id, values) {
+        return client.from('teams').update(values).eq('id', id).select().single();
+      },
+
+      async remove(id) {
+        const { error } = await client.from('team_members').delete().eq('team_id', id);
+        if (error) return { data: null, error };
+        return client.from('teams').delete().eq('id', id);
+      },
+
+      // How many equipment, requests and PM plans still point at the team
+      async countReferences(id) {
+        const count = (table, column) => client
+          .from(table)
+          .select('id', { count: 'exact', head: true })
+          .eq(column, id);
+        const results = await Promise.all([
+          count('equipment', 'maintenance_team_id'),
+          count('maintenance_requests', 'team_id'),
+          count('pm_plans', 'team_id')
+        ]);
+        const failed = results.find(r => r.error);
+        if (failed) return { data: null, error: failed.error };
+        const [equipment, requests, pmPlans] = results.map(r => r.count || 0);
+        return { data: { equipment, requests, pm_plans: pmPlans }, error: null };
+      },
+
+      // A single insert, so either all rows are added or none
+      addMembers(rows) {
+        return client.from('team_members').insert(rows).select(TEAM_MEMBER_RELATIONS);
+      },
+
+      updateMember(teamId, userId, values) {
+        return client
+          .from('team_members')
+          .update(values)
+          .eq('team_id', teamId)
+          .eq('user_id', userId)
+          .select(TEAM_MEMBER_RELATIONS)
+          .single();
+      },
+
+      removeMember(teamId, userId) {
+        return client.from('team_members').delete().eq('team_id', teamId).eq('user_id', userId);
+      }
+    },
+
+    categories: lookupRepository(client, 'equipment_categories'),
+    departments: lookupRepository(client, 'departments'),
+    locations: lookupRepository(client, 'locations')
+  };
+}
+
+export function createSupabaseDb({ client, adminClient, createUserClient }) {
+  return {
+    ...buildRepositories(client),
+
+    // Repositories for writes that must pass RLS: the admin client when configured,
+    // otherwise a client acting with the caller's own access token
+    withAccessToken(token) {
+      return buildRepositories(adminClient || createUserClient(token));
+    }
+  };
+}
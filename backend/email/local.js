@@ -0,0 +1,28 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { buildMimeMessage } from './mime.js';
+
+// Email transports for local development and tests: nothing leaves the machine.
+
+// Writes every message as an .eml file into `dir`, which most mail clients can open
+export function createFileTransport({ dir, from }) {
+  let counter = 0;
+
+  async function send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const date = new Date();
+    const file = path.join(dir, `${date.toISOString().replace(/[:.]/g, '-')}-${++counter}.eml`);
+    await fs.writeFile(file, buildMimeMessage({ from, ...message, date }));
+  }
+
+  return { name: 'file', send };
+}
+
+// Prints the text part of every message
+export function createConsoleTransport({ logger = console } = {}) {
+  async function send({ to, subject, text }) {
+    logger.log(`📧 Email to ${to}: ${subject}\n${text}\n`);
+  }
+
+  return { name: 'console', send };
+}
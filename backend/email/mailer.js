@@ -0,0 +1,67 @@
+import { systemClock } from '../clock.js';
+import { EMAIL_TYPES, renderEmail } from './templates.js';
+
+// Queues templated emails about maintenance requests in the email outbox; the email queue job
+// (jobs/emailQueue.js) sends them through the configured transport and retries failures.
+// Users without an email address, or who turned the type off in their `email_preferences`,
+// are skipped. Like the notifier, the mailer logs its problems instead of throwing them.
+
+// Every type is on unless the user switched it off
+export function resolveEmailPreferences(stored) {
+  return Object.fromEntries(Object.keys(EMAIL_TYPES).map(type => [type, stored?.[type] !== false]));
+}
+
+export function createMailer({ db, clock = systemClock, logger = console, frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173' }) {
+  async function enqueue(type, userIds, { request, actor = null }) {
+    const ids = [...new Set(userIds.filter(Boolean))].filter(id => id !== actor?.id);
+    if (ids.length === 0) return 0;
+
+    const { data: profiles, error } = await db.profiles.listByIds(ids);
+    if (error) throw new Error(error.message);
+
+    const now = clock.now().toISOString();
+    const rows = (profiles || [])
+      .filter(p => p.email && resolveEmailPreferences(p.email_preferences)[type])
+      .map(recipient => ({
+        user_id: recipient.id,
+        to_email: recipient.email,
+        type,
+        request_id: request.id,
+        ...renderEmail(type, { recipient, request, actor, link: `${frontendUrl}/requests/${request.id}` }),
+        status: 'PENDING',
+        attempts: 0,
+        next_attempt_at: now
+      }));
+    if (rows.length === 0) return 0;
+
+    const { error: insertError } = await db.emailOutbox.createMany(rows);
+    if (insertError) throw new Error(insertError.message);
+    return rows.length;
+  }
+
+  function safely(type, send) {
+    return async (...args) => {
+      try {
+        return await send(...args);
+      } catch (error) {
+        logger.error(`Email ${type} failed:`, error.message);
+        return 0;
+      }
+    };
+  }
+
+  return {
+    requestAssigned: safely('REQUEST_ASSIGNED', (request, actor) =>
+      enqueue('REQUEST_ASSIGNED', [request.technician_id], { request, actor })),
+
+    // Goes to the employee who created the request
+    requestCompleted: safely('REQUEST_COMPLETED', (request, actor) =>
+      enqueue('REQUEST_COMPLETED', [request.created_by_user_id], { request, actor })),
+
+    requestDueSoon: safely('REQUEST_DUE_SOON', (request, userIds) =>
+      enqueue('REQUEST_DUE_SOON', userIds, { request })),
+
+    requestOverdue: safely('REQUEST_OVERDUE', (request, userIds) =>
+      enqueue('REQUEST_OVERDUE', userIds, { request }))
+  };
+}
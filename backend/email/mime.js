@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+// Builds the raw RFC 5322 message for `{ from, to, subject, text, html }`: a
+// multipart/alternative body with base64 encoded parts, so any UTF-8 content is safe to send.
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(value) {
+  return Buffer.from(value, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// The bare address of "Name <address>" or "address"
+export function emailAddress(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+export function buildMimeMessage({ from, to, subject, text, html, date = new Date() }) {
+  const boundary = `gearguard-${crypto.randomBytes(12).toString('hex')}`;
+  const domain = emailAddress(from).split('@')[1] || 'gearguard.local';
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
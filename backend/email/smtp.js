@@ -0,0 +1,142 @@
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+import { buildMimeMessage, emailAddress } from './mime.js';
+
+// SMTP transport: one connection per message. With `secure` the connection is TLS from the
+// start (port 465); otherwise it is upgraded with STARTTLS when the server offers it.
+// `user` / `pass` are sent with AUTH PLAIN, so they are never sent over a connection that
+// isn't encrypted.
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    const onTimeout = () => socket.destroy(new Error(`Could not connect to SMTP server ${host}:${port}`));
+    socket.setTimeout(timeoutMs, onTimeout);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.setTimeout(0, onTimeout);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host });
+    secureSocket.once('secureConnect', () => resolve(secureSocket));
+    secureSocket.once('error', reject);
+  });
+}
+
+// Collects the (possibly multi-line) replies the server sends on `socket`
+function replyReader(socket, timeoutMs) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      if (line[3] === '-') continue;
+
+      const reply = { code: Number(line.slice(0, 3)), text: lines.join(' ') };
+      lines = [];
+      if (waiting.length > 0) waiting.shift().resolve(reply);
+      else replies.push(reply);
+    }
+  }
+
+  function onFailure(error) {
+    failure = error || new Error('SMTP connection closed');
+    waiting.splice(0).forEach(w => w.reject(failure));
+  }
+
+  const onClose = () => onFailure(null);
+  const onTimeout = () => socket.destroy(new Error('SMTP server did not answer in time'));
+
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', onClose);
+  socket.setTimeout(timeoutMs, onTimeout);
+
+  return {
+    next() {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+
+    // Stops reading before the socket is handed over to TLS
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onFailure);
+      socket.off('close', onClose);
+      socket.setTimeout(0, onTimeout);
+    }
+  };
+}
+
+// Lines starting with "." are doubled so they can't end the DATA section early
+function dotStuff(message) {
+  return message.replace(/^\./gm, '..');
+}
+
+export function createSmtpTransport({ host, port = 587, secure = Number(port) === 465, user, pass, from, timeoutMs = 30000 }) {
+  if (!host) throw new Error('SMTP_HOST is required for the smtp email transport');
+  if (!from) throw new Error('EMAIL_FROM is required for the smtp email transport');
+
+  async function send({ to, subject, text, html }) {
+    let socket = await connect({ host, port: Number(port), secure, timeoutMs });
+    let encrypted = secure;
+    let reader = replyReader(socket, timeoutMs);
+
+    // Sends `line` (nothing for the greeting) and checks the reply code
+    async function command(line, expected) {
+      if (line != null) socket.write(`${line}\r\n`);
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        const verb = line == null ? 'greeting' : line.split(/[ :]/)[0];
+        throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.text}`);
+      }
+      return reply;
+    }
+
+    try {
+      await command(null, [220]);
+      const hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+      if (!secure && /\bSTARTTLS\b/i.test(hello.text)) {
+        await command('STARTTLS', [220]);
+        reader.detach();
+        socket = await upgrade(socket, host);
+        reader = replyReader(socket, timeoutMs);
+        encrypted = true;
+        await command(`EHLO ${os.hostname()}`, [250]);
+      }
+
+      if (user && !encrypted) {
+        throw new Error('SMTP server does not offer STARTTLS; not sending credentials in clear text');
+      }
+      if (user) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, [235]);
+      }
+
+      await command(`MAIL FROM:<${emailAddress(from)}>`, [250]);
+      await command(`RCPT TO:<${emailAddress(to)}>`, [250, 251]);
+      await command('DATA', [354]);
+      await command(`${dotStuff(buildMimeMessage({ from, to, subject, text, html }))}\r\n.`, [250]);
+      await command('QUIT', [221]).catch(() => {});
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  return { name: 'smtp', send };
+}
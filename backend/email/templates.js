@@ -0,0 +1,89 @@
+// Email templates for the request events GearGuard mails about (see email/mailer.js).
+//
+// Every template gets `{ recipient, request, link }` plus event specific fields and returns
+// `{ subject, text, html }`. The HTML part is the text part with the link made clickable.
+
+export const EMAIL_TYPES = {
+  REQUEST_ASSIGNED: 'A request is assigned to you',
+  REQUEST_DUE_SOON: 'A request you work on is scheduled within the next day',
+  REQUEST_OVERDUE: 'A request you work on is past its scheduled time',
+  REQUEST_COMPLETED: 'A request you created is completed'
+};
+
+const PRIORITY_LABELS = { 1: 'Low', 2: 'Medium', 3: 'High' };
+
+const FOOTER = 'You can turn these emails off under Notifications > Preferences in GearGuard.';
+
+function escapeHtml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toUTCString() : 'not scheduled';
+}
+
+const TEMPLATES = {
+  REQUEST_ASSIGNED: ({ request, actor }) => ({
+    subject: `[GearGuard] Assigned to you: ${request.subject}`,
+    lines: [
+      `${actor?.name || 'GearGuard'} assigned a maintenance request to you.`,
+      '',
+      `Subject: ${request.subject}`,
+      `Priority: ${PRIORITY_LABELS[request.priority] || request.priority}`,
+      `Scheduled: ${formatDate(request.scheduled_at)}`
+    ]
+  }),
+
+  REQUEST_DUE_SOON: ({ request }) => ({
+    subject: `[GearGuard] Due soon: ${request.subject}`,
+    lines: [
+      'A maintenance request assigned to you is coming up.',
+      '',
+      `Subject: ${request.subject}`,
+      `Scheduled: ${formatDate(request.scheduled_at)}`
+    ]
+  }),
+
+  REQUEST_OVERDUE: ({ request }) => ({
+    subject: `[GearGuard] Overdue: ${request.subject}`,
+    lines: [
+      'A maintenance request is past its scheduled time and still open.',
+      '',
+      `Subject: ${request.subject}`,
+      `Scheduled: ${formatDate(request.scheduled_at)}`,
+      `Stage: ${String(request.stage).replaceAll('_', ' ')}`
+    ]
+  }),
+
+  REQUEST_COMPLETED: ({ request, actor }) => ({
+    subject: `[GearGuard] Completed: ${request.subject}`,
+    lines: [
+      `${actor?.name || 'The technician'} marked your maintenance request as repaired.`,
+      '',
+      `Subject: ${request.subject}`,
+      ...(request.resolution ? [`Resolution: ${request.resolution}`] : [])
+    ]
+  })
+};
+
+export function renderEmail(type, context) {
+  const template = TEMPLATES[type];
+  if (!template) throw new Error(`Unknown email type "${type}"`);
+
+  const { subject, lines } = template(context);
+  const greeting = `Hello ${context.recipient.name || ''},`.replace(' ,', ',');
+
+  const text = [greeting, '', ...lines, '', `Open the request: ${context.link}`, '', '--', FOOTER].join('\n');
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    `<p>${lines.map(escapeHtml).join('<br>')}</p>`,
+    `<p><a href="${escapeHtml(context.link)}">Open the request</a></p>`,
+    `<p style="color:#6c757d;font-size:12px">${escapeHtml(FOOTER)}</p>`
+  ].join('\n');
+
+  return { subject, text, html };
+}
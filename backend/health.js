@@ -0,0 +1,87 @@
+// Equipment health score (0-100) for GET /api/equipment and the dashboard's "Critical Equipment" card.
+//
+// Every piece of equipment starts at 100 and loses points for:
+//   - corrective (breakdown) requests in the last 12 months
+//   - requests that are still open, and more for the overdue ones
+//   - age since purchase_date
+//   - an expired warranty
+//   - requests that ended in SCRAP
+// Each factor has a cap so a single one can't take the score to 0 on its own.
+// Equipment with a scrap_date in the past is retired: its score is 0 and it is never critical.
+
+const DAY = 24 * 60 * 60 * 1000;
+const YEAR = 365 * DAY;
+
+export const CRITICAL_HEALTH_THRESHOLD = 30;
+const FAIR_HEALTH_THRESHOLD = 70;
+
+const PENALTIES = {
+  corrective: { points: 10, max: 40 },
+  open: { points: 5, max: 15 },
+  overdue: { points: 10, max: 20 },
+  age: { points: 3, max: 15 },
+  warranty: { points: 10, max: 10 },
+  scrap: { points: 15, max: 30 }
+};
+
+const CLOSED_STAGES = ['REPAIRED', 'SCRAP'];
+
+function penalty(kind, count) {
+  const { points, max } = PENALTIES[kind];
+  return Math.min(max, count * points);
+}
+
+function isScrapped(equipment, now) {
+  return !!equipment.scrap_date && Date.parse(equipment.scrap_date) <= now.getTime();
+}
+
+export function healthStatus(score, scrapped = false) {
+  if (scrapped) return 'SCRAPPED';
+  if (score < CRITICAL_HEALTH_THRESHOLD) return 'CRITICAL';
+  if (score < FAIR_HEALTH_THRESHOLD) return 'FAIR';
+  return 'GOOD';
+}
+
+// `requests` are the equipment's maintenance requests (stage, maintenance_type, scheduled_at,
+// created_at). Returns the score, its status and the factors that lowered it.
+export function computeEquipmentHealth(equipment, requests, now) {
+  if (isScrapped(equipment, now)) {
+    return { score: 0, status: healthStatus(0, true), factors: [] };
+  }
+
+  const nowMs = now.getTime();
+  const open = requests.filter(r => !CLOSED_STAGES.includes(r.stage));
+  const counts = {
+    corrective: requests.filter(r => r.maintenance_type === 'CORRECTIVE'
+      && Date.parse(r.created_at) >= nowMs - YEAR).length,
+    open: open.length,
+    overdue: open.filter(r => r.scheduled_at && Date.parse(r.scheduled_at) < nowMs).length,
+    age: equipment.purchase_date
+      ? Math.max(0, Math.floor((nowMs - Date.parse(equipment.purchase_date)) / YEAR))
+      : 0,
+    warranty: equipment.warranty_end_date && Date.parse(equipment.warranty_end_date) < nowMs ? 1 : 0,
+    scrap: requests.filter(r => r.stage === 'SCRAP').length
+  };
+
+  const factors = Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([factor, count]) => ({ factor, count, penalty: penalty(factor, count) }));
+
+  const score = Math.max(0, 100 - factors.reduce((sum, f) => sum + f.penalty, 0));
+  return { score, status: healthStatus(score), factors };
+}
+
+// Scores a whole equipment list at once; `requests` may belong to any equipment
+export function scoreEquipmentList(equipmentList, requests, now) {
+  const byEquipment = new Map();
+  requests.forEach(r => {
+    const key = String(r.equipment_id);
+    if (!byEquipment.has(key)) byEquipment.set(key, []);
+    byEquipment.get(key).push(r);
+  });
+
+  return equipmentList.map(eq => ({
+    equipment: eq,
+    health: computeEquipmentHealth(eq, byEquipment.get(String(eq.id)) || [], now)
+  }));
+}
@@ -0,0 +1,65 @@
+import { systemClock } from '../clock.js';
+
+// Emails the technicians of open requests that are scheduled soon or past their scheduled time.
+//
+// Each request gets at most one due-soon and one overdue email for its current schedule: the
+// job stamps due_soon_emailed_at / overdue_emailed_at, and the request routes clear both when
+// the schedule or the technician changes. Overdue requests nobody is assigned to go to the
+// managers instead.
+
+const HOUR = 60 * 60 * 1000;
+const DUE_SOON_HOURS = 24;
+
+export function createDueReminders({ db, mailer, clock = systemClock, logger = console }) {
+  async function run() {
+    const now = clock.now();
+    const { data: requests, error } = await db.requests.listForReminders(new Date(now.getTime() + DUE_SOON_HOURS * HOUR).toISOString());
+    if (error) throw new Error(error.message);
+
+    let managerIds = null;
+    const result = { due_soon: 0, overdue: 0 };
+
+    for (const request of requests || []) {
+      const overdue = Date.parse(request.scheduled_at) < now.getTime();
+      let stamp = null;
+
+      if (overdue && !request.overdue_emailed_at) {
+        if (!request.technician_id && managerIds === null) {
+          const { data: managers } = await db.profiles.list({ role: 'MANAGER' });
+          managerIds = (managers || []).map(m => m.id);
+        }
+        await mailer.requestOverdue(request, request.technician_id ? [request.technician_id] : managerIds);
+        stamp = { overdue_emailed_at: now.toISOString() };
+        result.overdue++;
+      } else if (!overdue && request.technician_id && !request.due_soon_emailed_at) {
+        await mailer.requestDueSoon(request, [request.technician_id]);
+        stamp = { due_soon_emailed_at: now.toISOString() };
+        result.due_soon++;
+      }
+
+      if (stamp) {
+        const { error: updateError } = await db.requests.update(request.id, stamp);
+        if (updateError) logger.warn(`Could not record the reminder for request ${request.id}: ${updateError.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  let timer = null;
+
+  function start(intervalMs) {
+    if (timer) return;
+    const tick = () => run().catch(error => logger.error('Due reminder run failed:', error.message));
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { run, start, stop };
+}
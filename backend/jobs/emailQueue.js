@@ -0,0 +1,75 @@
+import { systemClock } from '../clock.js';
+
+// Sends the emails waiting in the outbox (see email/mailer.js) through `transport`.
+//
+// A failed send is retried after 1, 5, 15 and 60 minutes; after the last attempt the email is
+// marked FAILED with the transport's error, and can be queued again from the API.
+//
+// Each email is leased before it is sent (its next attempt is pushed LEASE_MINUTES ahead), so
+// overlapping runs, such as the job and POST /api/emails/send, never send the same email twice.
+
+const MINUTE = 60 * 1000;
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+const BATCH_SIZE = 50;
+const LEASE_MINUTES = 10;
+
+export function createEmailQueue({ db, transport, clock = systemClock, logger = console }) {
+  async function run() {
+    const now = clock.now();
+    const { data: due, error } = await db.emailOutbox.listDue(now.toISOString(), BATCH_SIZE);
+    if (error) throw new Error(error.message);
+
+    const result = { sent: 0, retrying: 0, failed: 0 };
+    for (const email of due || []) {
+      const leaseUntil = new Date(now.getTime() + LEASE_MINUTES * MINUTE).toISOString();
+      const { data: claimed, error: claimError } = await db.emailOutbox.claim(email.id, email, leaseUntil);
+      if (claimError) throw new Error(claimError.message);
+      if (!claimed) continue;
+
+      const attempts = (email.attempts || 0) + 1;
+
+      try {
+        await transport.send({ to: email.to_email, subject: email.subject, text: email.text, html: email.html });
+        await db.emailOutbox.update(email.id, { status: 'SENT', attempts, sent_at: clock.now().toISOString(), last_error: null });
+        result.sent++;
+      } catch (sendError) {
+        const failed = attempts >= MAX_ATTEMPTS;
+        await db.emailOutbox.update(email.id, {
+          status: failed ? 'FAILED' : 'PENDING',
+          attempts,
+          last_error: sendError.message,
+          next_attempt_at: failed ? null : new Date(now.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * MINUTE).toISOString()
+        });
+        logger.warn(`Email ${email.id} to ${email.to_email} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${sendError.message}`);
+        result[failed ? 'failed' : 'retrying']++;
+      }
+    }
+
+    return result;
+  }
+
+  let timer = null;
+  let running = null;
+
+  // A tick is skipped while the previous run is still sending
+  function start(intervalMs) {
+    if (timer) return;
+    const tick = () => {
+      if (running) return;
+      running = run()
+        .catch(error => logger.error('Email queue run failed:', error.message))
+        .finally(() => { running = null; });
+    };
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { run, start, stop };
+}
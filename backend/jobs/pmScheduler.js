@@ -0,0 +1,147 @@
+import { systemClock } from '../clock.js';
+import { listOccurrences } from '../recurrence.js';
+import { computeSlaFields } from '../sla.js';
+import { createAssigner } from '../assignment.js';
+
+// Materializes upcoming preventive maintenance requests from the active PM plans.
+//
+// Every run looks `lead_days` ahead of now for each plan and creates one request per
+// occurrence that does not exist yet (matched on pm_plan_id + pm_occurrence_at, which stays
+// put when the request is rescheduled), so it can run as often as needed without duplicating
+// work. The unique index on those two columns (db/migrations/002_pm_plans.sql) covers two
+// servers running at the same moment. Afterwards the plan's generated_through moves to the
+// last occurrence of the window, so a generated request that was deleted stays deleted.
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_LEAD_DAYS = 14;
+
+export function buildPlanRequest(plan, scheduledAt, now) {
+  return {
+    subject: plan.name,
+    created_by_user_id: plan.created_by_user_id,
+    maintenance_for: plan.maintenance_for || 'EQUIPMENT',
+    equipment_id: plan.equipment_id || null,
+    workcenter_id: plan.workcenter_id || null,
+    category_id: plan.category_id || null,
+    request_date: now.toISOString().split('T')[0],
+    maintenance_type: 'PREVENTIVE',
+    team_id: plan.team_id || null,
+    technician_id: plan.technician_id || null,
+    scheduled_at: scheduledAt,
+    pm_occurrence_at: scheduledAt,
+    duration_minutes: plan.duration_minutes || 0,
+    priority: plan.priority || 2,
+    stage: 'NEW_REQUEST',
+    blocked: false,
+    company: 'My Company',
+    pm_plan_id: plan.id
+  };
+}
+
+// The window a plan materializes requests for, from now to `lead_days` ahead
+export function planWindow(plan, now) {
+  const leadDays = plan.lead_days ?? DEFAULT_LEAD_DAYS;
+  return {
+    from: now.toISOString(),
+    to: new Date(now.getTime() + leadDays * DAY).toISOString()
+  };
+}
+
+// Whether the scheduler already handed out `occurrence`, so it gets no (new) request
+export function isGenerated(plan, occurrence) {
+  return Boolean(plan.generated_through) && Date.parse(occurrence) <= Date.parse(plan.generated_through);
+}
+
+// Every created request goes through the same side effects as POST /api/requests when the
+// hubs are given: the request.created webhook (`webhooks`, backend/webhooks.js), the live
+// update (`live`, backend/liveUpdates.js) and the created / assigned notifications
+// (`notifier`, backend/notifications.js), with no actor since nobody made the change
+export function createPmScheduler({ db, clock = systemClock, logger = console, live = null, webhooks = null, notifier = null }) {
+  const assigner = createAssigner({ db, clock });
+
+  async function generateForPlan(plan, slaPolicies) {
+    const now = clock.now();
+    const { from, to } = planWindow(plan, now);
+    const occurrences = listOccurrences(plan, from, to).filter(at => !isGenerated(plan, at));
+    if (occurrences.length === 0) return 0;
+
+    const { data: existing, error } = await db.requests.listForPlan(plan.id, { from, to });
+    if (error) throw new Error(error.message);
+
+    const taken = new Set((existing || []).map(r => Date.parse(r.pm_occurrence_at)));
+    let created = 0;
+
+    for (const scheduledAt of occurrences) {
+      if (taken.has(Date.parse(scheduledAt))) continue;
+
+      const values = buildPlanRequest(plan, scheduledAt, now);
+      // Plans without a technician are assigned like new requests (backend/assignment.js)
+      const { data: assignment, error: assignmentError } = await assigner.assign(values);
+      if (assignmentError) throw new Error(assignmentError.message);
+      values.team_id = assignment.team_id;
+      values.technician_id = assignment.technician_id;
+
+      const { data: request, error: createError } = await db.requests.create({
+        ...values,
+        ...computeSlaFields({ ...values, created_at: now.toISOString() }, slaPolicies)
+      });
+      if (createError) {
+        // Most likely the unique index: another run created it in the meantime
+        logger.warn(`PM plan ${plan.id}: skipped ${scheduledAt} (${createError.message})`);
+        continue;
+      }
+
+      if (plan.instructions) {
+        await db.instructions.create({
+          request_id: request.id,
+          instruction: plan.instructions,
+          created_by_user_id: plan.created_by_user_id
+        });
+      }
+      await webhooks?.emit('request.created', { request });
+      live?.publish('request.created', { id: request.id }, { request });
+      await notifier?.requestCreated(request, null);
+      if (request.technician_id) {
+        await notifier?.requestAssigned(request, null);
+      }
+      created++;
+    }
+
+    const { error: planError } = await db.pmPlans.update(plan.id, { generated_through: occurrences[occurrences.length - 1] });
+    if (planError) throw new Error(planError.message);
+
+    return created;
+  }
+
+  // Returns how many plans were checked and how many requests were created
+  async function run() {
+    const { data: plans, error } = await db.pmPlans.list({ activeOnly: true });
+    if (error) throw new Error(error.message);
+
+    const { data: slaPolicies, error: slaError } = await db.slaPolicies.list();
+    if (slaError) throw new Error(slaError.message);
+
+    let created = 0;
+    for (const plan of plans || []) {
+      created += await generateForPlan(plan, slaPolicies || []);
+    }
+    return { plans: (plans || []).length, created };
+  }
+
+  let timer = null;
+
+  function start(intervalMs) {
+    if (timer) return;
+    const tick = () => run().catch(error => logger.error('PM scheduler run failed:', error.message));
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { run, start, stop };
+}
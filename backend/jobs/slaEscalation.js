@@ -0,0 +1,91 @@
+import { systemClock } from '../clock.js';
+import { dueEscalation } from '../sla.js';
+
+// Escalates open requests that breached their SLA (see backend/sla.js).
+//
+// An escalation raises the request's priority by one step (up to High), flags it with
+// escalated_at / escalation_reason and notifies the leads of the request's team, or the managers
+// when the request has no team or its team no lead. A request is escalated once when its response
+// time is breached and once more when its resolution time is, so running the job often is safe.
+
+const MAX_PRIORITY = 3;
+const ESCALATION_FIELDS = ['priority', 'escalated_at', 'escalation_reason'];
+
+function logNotification(logger) {
+  return ({ request, reason, recipients }) => {
+    const names = recipients.map(r => r.name).join(', ') || 'nobody';
+    logger.warn(`SLA ${reason.toLowerCase()} time breached on request ${request.id} "${request.subject}" (notified: ${names})`);
+  };
+}
+
+// `notify({ request, reason, recipients })` delivers the escalation; it only logs by default.
+// The change also goes out like an edit through PATCH /api/requests/:id when the hubs are given:
+// the request.updated webhook (`webhooks`, backend/webhooks.js) and live update (`live`,
+// backend/liveUpdates.js)
+export function createSlaEscalator({ db, clock = systemClock, logger = console, notify = logNotification(logger), live = null, webhooks = null }) {
+  // The team leads as `{ id, name }`, each team loaded once per run
+  async function loadLeads(teamId, teams) {
+    if (!teams.has(teamId)) {
+      const { data: team } = await db.teams.findById(teamId);
+      teams.set(teamId, (team?.members || [])
+        .filter(m => m.role === 'LEAD')
+        .map(m => ({ id: m.user_id, name: m.user?.name || null })));
+    }
+    return teams.get(teamId);
+  }
+
+  async function run() {
+    const now = clock.now();
+    const { data: requests, error } = await db.requests.listForSla({ openOnly: true });
+    if (error) throw new Error(error.message);
+
+    const due = (requests || [])
+      .map(request => ({ request, reason: dueEscalation(request, now) }))
+      .filter(({ reason }) => reason);
+    if (due.length === 0) return { checked: (requests || []).length, escalated: 0 };
+
+    const { data: managers, error: managersError } = await db.profiles.list({ role: 'MANAGER' });
+    if (managersError) throw new Error(managersError.message);
+
+    const teams = new Map();
+    let escalated = 0;
+    for (const { request, reason } of due) {
+      const { data: updated, error: updateError } = await db.requests.update(request.id, {
+        priority: Math.min(MAX_PRIORITY, (request.priority || 1) + 1),
+        escalated_at: now.toISOString(),
+        escalation_reason: reason
+      });
+      if (updateError) {
+        logger.warn(`SLA escalation of request ${request.id} failed: ${updateError.message}`);
+        continue;
+      }
+
+      const escalatedRequest = { ...request, ...updated };
+      await webhooks?.emit('request.updated', { request: escalatedRequest, changed_fields: ESCALATION_FIELDS });
+      live?.publish('request.updated', { id: request.id }, { request: escalatedRequest, previous: request });
+
+      const leads = request.team_id ? await loadLeads(request.team_id, teams) : [];
+      await notify({ request: escalatedRequest, reason, recipients: leads.length > 0 ? leads : managers || [] });
+      escalated++;
+    }
+
+    return { checked: (requests || []).length, escalated };
+  }
+
+  let timer = null;
+
+  function start(intervalMs) {
+    if (timer) return;
+    const tick = () => run().catch(error => logger.error('SLA escalation run failed:', error.message));
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { run, start, stop };
+}
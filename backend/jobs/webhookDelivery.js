@@ -0,0 +1,134 @@
+import { systemClock } from '../clock.js';
+import { signPayload } from '../webhooks.js';
+
+// POSTs the queued webhook deliveries (see backend/webhooks.js) to their subscription's URL.
+//
+// Any 2xx answer counts as delivered. Otherwise the delivery is retried after 1, 5, 30, 120
+// and 720 minutes, then marked FAILED; the log keeps the last status code, error and the
+// start of the response body. Deliveries of a disabled subscription fail without a request.
+//
+// A delivery is leased before it is sent (its next attempt is pushed LEASE_MINUTES ahead), so
+// the job, POST /api/webhooks/deliver and a redelivery never send the same delivery at once.
+
+const MINUTE = 60 * 1000;
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+const BATCH_SIZE = 50;
+const LEASE_MINUTES = 5;
+const RESPONSE_BODY_LIMIT = 1000;
+
+export function createWebhookDelivery({ db, clock = systemClock, logger = console, fetchImpl = fetch, timeoutMs = 10000 }) {
+  async function post(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(clock.now().getTime() / 1000);
+
+    const response = await fetchImpl(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'GearGuard-Webhooks/1.0',
+        'X-GearGuard-Event': delivery.event,
+        'X-GearGuard-Delivery': delivery.payload.id,
+        'X-GearGuard-Timestamp': String(timestamp),
+        'X-GearGuard-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    const text = await response.text().catch(() => '');
+    return { status: response.status, ok: response.ok, body: text.substring(0, RESPONSE_BODY_LIMIT) };
+  }
+
+  // Makes one attempt and stores its outcome; resolves with the updated delivery, or null
+  // when another run is already sending it
+  async function deliver(delivery) {
+    const now = clock.now();
+    const leaseUntil = new Date(now.getTime() + LEASE_MINUTES * MINUTE).toISOString();
+    const { data: claimed, error: claimError } = await db.webhookDeliveries.claim(delivery.id, delivery, leaseUntil);
+    if (claimError) throw new Error(claimError.message);
+    if (!claimed) return null;
+
+    const attempts = (delivery.attempts || 0) + 1;
+    const webhook = delivery.webhook;
+    let outcome;
+
+    if (!webhook?.active) {
+      outcome = { error: 'Webhook is disabled', final: true };
+    } else {
+      try {
+        const response = await post(webhook, delivery);
+        outcome = response.ok
+          ? { response }
+          : { response, error: `Receiver answered ${response.status}` };
+      } catch (error) {
+        outcome = { error: error.name === 'TimeoutError' ? `No answer within ${timeoutMs / 1000}s` : (error.cause?.message || error.message) };
+      }
+    }
+
+    const failed = outcome.error && (outcome.final || attempts >= MAX_ATTEMPTS);
+    const changes = {
+      attempts,
+      response_status: outcome.response?.status ?? null,
+      response_body: outcome.response?.body ?? null,
+      last_error: outcome.error || null
+    };
+
+    if (!outcome.error) {
+      Object.assign(changes, { status: 'SUCCEEDED', delivered_at: now.toISOString(), next_attempt_at: null });
+    } else if (failed) {
+      Object.assign(changes, { status: 'FAILED', next_attempt_at: null });
+    } else {
+      changes.status = 'PENDING';
+      changes.next_attempt_at = new Date(now.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * MINUTE).toISOString();
+    }
+
+    const { data, error } = await db.webhookDeliveries.update(delivery.id, changes);
+    if (error) throw new Error(error.message);
+
+    if (outcome.error) {
+      logger.warn(`Webhook delivery ${delivery.id} (${delivery.event}) failed, attempt ${attempts}/${MAX_ATTEMPTS}: ${outcome.error}`);
+    }
+    return data;
+  }
+
+  async function run() {
+    const { data: due, error } = await db.webhookDeliveries.listDue(clock.now().toISOString(), BATCH_SIZE);
+    if (error) throw new Error(error.message);
+
+    const result = { delivered: 0, retrying: 0, failed: 0 };
+    for (const delivery of due || []) {
+      const updated = await deliver(delivery);
+      if (!updated) continue;
+      if (updated.status === 'SUCCEEDED') result.delivered++;
+      else if (updated.status === 'FAILED') result.failed++;
+      else result.retrying++;
+    }
+    return result;
+  }
+
+  let timer = null;
+  let running = null;
+
+  // A tick is skipped while the previous run is still sending
+  function start(intervalMs) {
+    if (timer) return;
+    const tick = () => {
+      if (running) return;
+      running = run()
+        .catch(error => logger.error('Webhook delivery run failed:', error.message))
+        .finally(() => { running = null; });
+    };
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { run, deliver, start, stop };
+}
@@ -0,0 +1,37 @@
+import { canViewRequest } from './permissions.js';
+
+// Live updates for open browser tabs, streamed as Server-Sent Events by GET /api/events.
+//
+// Routes and jobs publish request and equipment changes here. A request event only reaches
+// the users who may view that request, before or after the change (see canViewRequest), so
+// a technician also learns that a request was reassigned away from them. Equipment events
+// reach everyone. Events carry ids, not records: pages refetch what changed through the
+// regular API, which applies the usual access checks.
+
+export function createLiveUpdates({ logger = console } = {}) {
+  const clients = new Set();
+
+  // `send(type, data)` is called for every visible event until the returned function runs
+  function subscribe(userProfile, send) {
+    const client = { userProfile, send };
+    clients.add(client);
+    return () => clients.delete(client);
+  }
+
+  // `scope.request` / `scope.previous` are the request rows (after / before the change)
+  // that decide who sees the event; without them everybody does
+  function publish(type, data, scope = {}) {
+    const requests = [scope.request, scope.previous].filter(Boolean);
+
+    for (const client of clients) {
+      if (requests.length > 0 && !requests.some(request => canViewRequest(client.userProfile, request))) continue;
+      try {
+        client.send(type, data);
+      } catch (error) {
+        logger.error(`Live update ${type} failed:`, error.message);
+      }
+    }
+  }
+
+  return { subscribe, publish };
+}
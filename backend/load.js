@@ -0,0 +1,80 @@
+// Capacity-based technician load for the dashboard.
+//
+// A technician's capacity over a window is their working hours (`work_hours_per_day` on each of
+// their `work_days`) and their booked time is the `duration_minutes` of their open requests
+// scheduled inside the window. When the window contains today, overdue open requests are booked
+// too since that work still has to be done. Load is booked / capacity, so it can go over 100%.
+// Open requests without a scheduled_at are reported separately because they can't be placed in
+// the window yet.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+export const DEFAULT_WORK_HOURS_PER_DAY = 8;
+export const DEFAULT_LOAD_WINDOW_DAYS = 7;
+
+// Windows are `from` / `to` YYYY-MM-DD dates, both included
+export function defaultLoadWindow(from) {
+  const to = new Date(Date.parse(from) + (DEFAULT_LOAD_WINDOW_DAYS - 1) * DAY).toISOString().split('T')[0];
+  return { from, to };
+}
+
+export function capacityMinutes(technician, from, to) {
+  const workDays = technician.work_days || DEFAULT_WORK_DAYS;
+  const hoursPerDay = Number(technician.work_hours_per_day ?? DEFAULT_WORK_HOURS_PER_DAY);
+
+  let days = 0;
+  for (let day = Date.parse(from); day <= Date.parse(to); day += DAY) {
+    if (workDays.includes(new Date(day).getUTCDay())) days++;
+  }
+  return Math.round(days * hoursPerDay * 60);
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : 0;
+}
+
+// `requests` are open requests with a technician (see requests.listOpenAssigned)
+export function buildTechnicianLoad(technicians, requests, { from, to }, now) {
+  const startMs = Date.parse(from);
+  const endMs = Date.parse(to) + DAY;
+  const nowMs = now.getTime();
+  const includesToday = nowMs >= startMs && nowMs < endMs;
+
+  const rows = technicians.map(tech => {
+    const own = requests.filter(r => r.technician_id === tech.id);
+    const booked = own.filter(r => {
+      if (!r.scheduled_at) return false;
+      const at = Date.parse(r.scheduled_at);
+      return at < endMs && (at >= startMs || includesToday);
+    });
+    const capacity = capacityMinutes(tech, from, to);
+    const bookedMinutes = booked.reduce((sum, r) => sum + (r.duration_minutes || 0), 0);
+
+    return {
+      id: tech.id,
+      name: tech.name,
+      work_days: tech.work_days || DEFAULT_WORK_DAYS,
+      work_hours_per_day: Number(tech.work_hours_per_day ?? DEFAULT_WORK_HOURS_PER_DAY),
+      capacity_minutes: capacity,
+      scheduled_minutes: bookedMinutes,
+      available_minutes: Math.max(0, capacity - bookedMinutes),
+      load_percent: percent(bookedMinutes, capacity),
+      scheduled_requests: booked.length,
+      overdue_requests: own.filter(r => r.scheduled_at && Date.parse(r.scheduled_at) < nowMs).length,
+      unscheduled_requests: own.filter(r => !r.scheduled_at).length
+    };
+  });
+
+  const capacity = rows.reduce((sum, t) => sum + t.capacity_minutes, 0);
+  const booked = rows.reduce((sum, t) => sum + t.scheduled_minutes, 0);
+
+  return {
+    from,
+    to,
+    capacity_minutes: capacity,
+    scheduled_minutes: booked,
+    load_percent: percent(booked, capacity),
+    technicians: rows.sort((a, b) => b.load_percent - a.load_percent || a.name.localeCompare(b.name))
+  };
+}
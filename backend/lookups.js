@@ -0,0 +1,37 @@
+// Retired lookup values (see routes/lookups.js) stay on the records that already use them but
+// can't be picked anew. The routes that write those records check the picked ids here.
+
+// [field, lookup repository] pairs of each kind of record; list fields hold several ids
+export const EQUIPMENT_LOOKUPS = [
+  ['category_id', 'categories'],
+  ['used_by_department_id', 'departments'],
+  ['location_id', 'locations']
+];
+export const REQUEST_LOOKUPS = [['category_id', 'categories']];
+export const PART_LOOKUPS = [['compatible_category_ids', 'categories']];
+export const STOCK_LOOKUPS = [['location_id', 'locations']];
+export const PM_PLAN_LOOKUPS = [['category_id', 'categories']];
+export const TEAM_MEMBER_LOOKUPS = [['category_ids', 'categories']];
+
+// Field errors for the retired values `values` picks, or null. Ids `current` (the stored
+// record, null on create) already has are allowed; fields `values` leaves out are skipped.
+export async function checkRetiredLookups(db, lookups, values, current = null) {
+  const errors = {};
+
+  for (const [field, repository] of lookups) {
+    if (values[field] === undefined) continue;
+
+    const kept = [].concat(current?.[field] ?? []).map(String);
+    const picked = [].concat(values[field] ?? []).filter(id => id !== '' && !kept.includes(String(id)));
+
+    for (const id of picked) {
+      const { data: value } = await db[repository].findById(id);
+      if (value?.archived_at) {
+        errors[field] = `${value.name} is retired`;
+        break;
+      }
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? errors : null;
+}
@@ -0,0 +1,102 @@
+import { hasPermission } from '../permissions.js';
+
+// Authentication helpers and middleware bound to the app's auth adapter and repositories
+export function createAuthMiddleware({ db, auth }) {
+  // Helper function to get the access token from the Authorization header
+  function getAccessToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return null;
+    }
+
+    return authHeader.split('Bearer ')[1];
+  }
+
+  // Helper function to get user from Authorization header
+  async function getUserFromRequest(req) {
+    const token = getAccessToken(req);
+    if (!token) return null;
+
+    const { data: { user }, error } = await auth.getUser(token);
+
+    if (error || !user) return null;
+    return user;
+  }
+
+  // Helper function to get user profile with role
+  async function getUserProfile(req) {
+    const user = await getUserFromRequest(req);
+    if (!user) return null;
+
+    const { data: profile, error } = await db.profiles.findById(user.id);
+
+    if (error || !profile) return null;
+
+    return {
+      ...user,
+      role: profile.role,
+      name: profile.name
+    };
+  }
+
+  // Middleware to check permissions
+  function requirePermission(action) {
+    return async (req, res, next) => {
+      const userProfile = await getUserProfile(req);
+
+      if (!userProfile) {
+        return res.status(401).json({ message: "Not authenticated" });
+      }
+
+      if (!hasPermission(userProfile, action)) {
+        return res.status(403).json({ message: "You don't have permission to perform this action" });
+      }
+
+      req.userProfile = userProfile;
+      next();
+    };
+  }
+
+  // Middleware for routes every signed-in user may call
+  function requireAuth() {
+    return async (req, res, next) => {
+      const userProfile = await getUserProfile(req);
+
+      if (!userProfile) {
+        return res.status(401).json({ message: "Not authenticated" });
+      }
+
+      req.userProfile = userProfile;
+      next();
+    };
+  }
+
+  // Middleware to check if user can access own resource or all resources
+  function requireRequestAccess() {
+    return async (req, res, next) => {
+      const userProfile = await getUserProfile(req);
+
+      if (!userProfile) {
+        return res.status(401).json({ message: "Not authenticated" });
+      }
+
+      // ADMIN and MANAGER can view all
+      if (hasPermission(userProfile, 'view_all_requests')) {
+        req.userProfile = userProfile;
+        req.canViewAll = true;
+        return next();
+      }
+
+      // Others can only view own
+      if (hasPermission(userProfile, 'view_own_requests')) {
+        req.userProfile = userProfile;
+        req.canViewAll = false;
+        return next();
+      }
+
+      return res.status(403).json({ message: "You don't have permission to view requests" });
+    };
+  }
+
+  return { getAccessToken, getUserProfile, requireAuth, requirePermission, requireRequestAccess };
+}
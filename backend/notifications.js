@@ -0,0 +1,129 @@
+// In-app notifications about maintenance requests.
+//
+// The request routes (and the SLA escalation job) report events to the notifier, which works out
+// who should hear about them, drops the user who caused the event and anyone who turned that
+// type off in their `notification_preferences`, and stores one notification per recipient.
+// Delivery problems are logged and never fail the request that triggered them.
+
+export const NOTIFICATION_TYPES = {
+  REQUEST_CREATED: 'A new maintenance request is created (managers)',
+  REQUEST_ASSIGNED: 'A request is assigned to you',
+  STAGE_CHANGED: 'A request you created or work on changes stage',
+  NOTE_ADDED: 'A note is added to a request you created or work on',
+  INSTRUCTION_ADDED: 'An instruction is added to a request you work on',
+  SLA_ESCALATED: 'A request breaches its SLA (team leads, else managers)'
+};
+
+const STAGE_LABELS = {
+  NEW_REQUEST: 'New Request',
+  IN_PROGRESS: 'In Progress',
+  REPAIRED: 'Repaired',
+  SCRAP: 'Scrap'
+};
+
+// Every type is on unless the user switched it off
+export function resolvePreferences(stored) {
+  return Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [type, stored?.[type] !== false]));
+}
+
+function excerpt(text, length = 140) {
+  return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
+
+// `actor` is the profile that caused the event (null for background jobs). The optional
+// `mailer` (email/mailer.js) also emails assignments and completed requests.
+export function createNotifier({ db, mailer = null, logger = console }) {
+  async function managerIds() {
+    const { data } = await db.profiles.list({ role: 'MANAGER' });
+    return (data || []).map(p => p.id);
+  }
+
+  async function deliver(type, userIds, { request, actor, title, body = null }) {
+    const ids = [...new Set(userIds.filter(Boolean))].filter(id => id !== actor?.id);
+    if (ids.length === 0) return 0;
+
+    const { data: profiles, error } = await db.profiles.listByIds(ids);
+    if (error) throw new Error(error.message);
+
+    const rows = (profiles || [])
+      .filter(p => resolvePreferences(p.notification_preferences)[type])
+      .map(p => ({
+        user_id: p.id,
+        type,
+        request_id: request?.id ?? null,
+        actor_id: actor?.id ?? null,
+        title,
+        body
+      }));
+    if (rows.length === 0) return 0;
+
+    const { error: insertError } = await db.notifications.createMany(rows);
+    if (insertError) throw new Error(insertError.message);
+    return rows.length;
+  }
+
+  // Runs `send` and keeps its failures out of the caller
+  function safely(type, send) {
+    return async (...args) => {
+      try {
+        return await send(...args);
+      } catch (error) {
+        logger.error(`Notification ${type} failed:`, error.message);
+        return 0;
+      }
+    };
+  }
+
+  const byActor = actor => (actor?.name ? ` by ${actor.name}` : '');
+
+  return {
+    requestCreated: safely('REQUEST_CREATED', async (request, actor) => deliver('REQUEST_CREATED', await managerIds(), {
+      request,
+      actor,
+      title: `New request: ${request.subject}`,
+      body: `Created${byActor(actor)}`
+    })),
+
+    requestAssigned: safely('REQUEST_ASSIGNED', async (request, actor) => {
+      await mailer?.requestAssigned(request, actor);
+      return deliver('REQUEST_ASSIGNED', [request.technician_id], {
+        request,
+        actor,
+        title: `Assigned to you: ${request.subject}`,
+        body: request.scheduled_at ? `Scheduled for ${new Date(request.scheduled_at).toUTCString()}` : null
+      });
+    }),
+
+    stageChanged: safely('STAGE_CHANGED', async (request, fromStage, actor) => {
+      if (request.stage === 'REPAIRED') await mailer?.requestCompleted(request, actor);
+      return deliver('STAGE_CHANGED', [request.created_by_user_id, request.technician_id], {
+        request,
+        actor,
+        title: `${request.subject}: ${STAGE_LABELS[request.stage] || request.stage}`,
+        body: `Moved from ${STAGE_LABELS[fromStage] || fromStage}${byActor(actor)}`
+      });
+    }),
+
+    noteAdded: safely('NOTE_ADDED', (request, note, actor) => deliver('NOTE_ADDED', [request.created_by_user_id, request.technician_id], {
+      request,
+      actor,
+      title: `New note on ${request.subject}`,
+      body: excerpt(note)
+    })),
+
+    instructionAdded: safely('INSTRUCTION_ADDED', (request, instruction, actor) => deliver('INSTRUCTION_ADDED', [request.technician_id], {
+      request,
+      actor,
+      title: `New instruction on ${request.subject}`,
+      body: excerpt(instruction)
+    })),
+
+    // Same signature as the `notify` option of createSlaEscalator
+    slaEscalated: safely('SLA_ESCALATED', ({ request, reason, recipients }) => deliver('SLA_ESCALATED', recipients.map(r => r.id), {
+      request,
+      actor: null,
+      title: `SLA breached: ${request.subject}`,
+      body: `${reason === 'RESPONSE' ? 'Response' : 'Resolution'} time exceeded; priority raised`
+    }))
+  };
+}
@@ -0,0 +1,152 @@
+// Overall Equipment Effectiveness of a work center, for GET /api/workcenters/:id/oee.
+//
+// Per period (days are UTC dates):
+//   - planned production time: the scheduled_minutes of its production counts minus planned downtime
+//   - run time: planned production time minus unplanned downtime
+//   - availability = run time / planned production time
+//   - performance  = ideal time / run time, where ideal time is total_count x ideal_cycle_seconds,
+//                    divided by the work center's capacity (pieces made in parallel, 1 when unset)
+//   - quality      = good_count / total_count
+//   - OEE          = availability x performance x quality
+// Downtime counts for the part of it inside the period; ongoing downtime counts up to now.
+// Ratios are percentages with one decimal, or null when their denominator is zero.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export const OEE_GRANULARITIES = ['day', 'week', 'month'];
+
+function dayStart(date) {
+  return Date.parse(`${date}T00:00:00Z`);
+}
+
+function toDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// The periods between `from` and `to` (dates, both included) as [start, end) in ms. Weeks
+// start on Monday and months on the 1st; the first and last period are cut to the range.
+export function buildPeriods(from, to, granularity) {
+  const periods = [];
+  const last = dayStart(to) + DAY;
+  let start = dayStart(from);
+
+  while (start < last) {
+    const date = new Date(start);
+    let end;
+    if (granularity === 'month') {
+      end = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    } else if (granularity === 'week') {
+      end = start + (7 - ((date.getUTCDay() + 6) % 7)) * DAY;
+    } else {
+      end = start + DAY;
+    }
+    end = Math.min(end, last);
+    periods.push({ start, end });
+    start = end;
+  }
+
+  return periods;
+}
+
+function overlapMinutes(event, start, end, now) {
+  const from = Math.max(Date.parse(event.started_at), start);
+  const to = Math.min(event.ended_at ? Date.parse(event.ended_at) : now.getTime(), end);
+  return Math.max(0, (to - from) / MINUTE);
+}
+
+function percent(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 10 : null;
+}
+
+function measure({ downtime, production, capacity, start, end, now }) {
+  const counts = production.filter(p => dayStart(p.production_date) >= start && dayStart(p.production_date) < end);
+
+  let plannedDowntime = 0;
+  let unplannedDowntime = 0;
+  downtime.forEach(event => {
+    const minutes = overlapMinutes(event, start, end, now);
+    if (event.downtime_type === 'PLANNED') plannedDowntime += minutes;
+    else unplannedDowntime += minutes;
+  });
+
+  const scheduled = counts.reduce((sum, p) => sum + p.scheduled_minutes, 0);
+  const totalCount = counts.reduce((sum, p) => sum + p.total_count, 0);
+  const goodCount = counts.reduce((sum, p) => sum + p.good_count, 0);
+  const idealMinutes = counts.reduce((sum, p) => sum + p.total_count * Number(p.ideal_cycle_seconds), 0) / 60 / capacity;
+
+  const plannedProduction = Math.max(0, scheduled - plannedDowntime);
+  const run = Math.max(0, plannedProduction - unplannedDowntime);
+
+  const availability = percent(run, plannedProduction);
+  const performance = percent(idealMinutes, run);
+  const quality = percent(goodCount, totalCount);
+  const oee = availability == null || performance == null || quality == null
+    ? null
+    : Math.round(availability * performance * quality / 1000) / 10;
+
+  return {
+    scheduled_minutes: scheduled,
+    planned_downtime_minutes: Math.round(plannedDowntime),
+    unplanned_downtime_minutes: Math.round(unplannedDowntime),
+    planned_production_minutes: Math.round(plannedProduction),
+    run_minutes: Math.round(run),
+    total_count: totalCount,
+    good_count: goodCount,
+    availability,
+    performance,
+    quality,
+    oee
+  };
+}
+
+function withTarget(result, target) {
+  return { ...result, meets_target: result.oee == null || target == null ? null : result.oee >= target };
+}
+
+// Downtime minutes inside [start, end) per type and reason, longest first
+function downtimeByReason(downtime, start, end, now) {
+  const groups = new Map();
+
+  downtime.forEach(event => {
+    const minutes = overlapMinutes(event, start, end, now);
+    if (minutes <= 0) return;
+    const key = `${event.downtime_type}|${event.reason.trim().toLowerCase()}`;
+    if (!groups.has(key)) {
+      groups.set(key, { downtime_type: event.downtime_type, reason: event.reason.trim(), events: 0, minutes: 0 });
+    }
+    const group = groups.get(key);
+    group.events += 1;
+    group.minutes += minutes;
+  });
+
+  return [...groups.values()]
+    .map(group => ({ ...group, minutes: Math.round(group.minutes) }))
+    .sort((a, b) => b.minutes - a.minutes);
+}
+
+// OEE of `workcenter` from `from` to `to` (dates, both included), overall and per period.
+// `downtime` and `production` are its downtime_events and production_counts in that range.
+export function computeOee(workcenter, { downtime = [], production = [] }, { from, to, granularity }, now) {
+  const capacity = Number(workcenter.capacity) > 0 ? Number(workcenter.capacity) : 1;
+  const target = workcenter.oee_target == null ? null : Number(workcenter.oee_target);
+  const context = { downtime, production, capacity, now };
+  const rangeEnd = dayStart(to) + DAY;
+
+  return {
+    workcenter_id: workcenter.id,
+    from,
+    to,
+    granularity,
+    oee_target: target,
+    time_efficiency: workcenter.time_efficiency == null ? null : Number(workcenter.time_efficiency),
+    capacity,
+    summary: withTarget(measure({ ...context, start: dayStart(from), end: rangeEnd }), target),
+    periods: buildPeriods(from, to, granularity).map(({ start, end }) => ({
+      start: toDate(start),
+      end: toDate(end - DAY),
+      ...withTarget(measure({ ...context, start, end }), target)
+    })),
+    downtime_by_reason: downtimeByReason(downtime, dayStart(from), rangeEnd, now)
+  };
+}
@@ -0,0 +1,99 @@
+// Permission check functions based on role matrix
+export function hasPermission(userProfile, action) {
+  if (!userProfile || !userProfile.role) return false;
+
+  const role = userProfile.role;
+
+  // ADMIN has all permissions
+  if (role === 'ADMIN') return true;
+
+  // Permission matrix
+  const permissions = {
+    'view_all_requests': ['ADMIN', 'MANAGER'],
+    'view_own_requests': ['ADMIN', 'MANAGER', 'TECHNICIAN', 'EMPLOYEE'],
+    'create_request': ['ADMIN', 'MANAGER', 'EMPLOYEE'],
+    'update_request_stage': ['ADMIN', 'MANAGER', 'TECHNICIAN'],
+    'delete_request': ['ADMIN', 'MANAGER'],
+    'add_notes': ['ADMIN', 'MANAGER', 'EMPLOYEE'],
+    'add_instructions': ['ADMIN', 'MANAGER'],
+    'add_worksheet': ['ADMIN'],
+    'manage_equipment': ['ADMIN', 'MANAGER'],
+    'manage_workcenters': ['ADMIN', 'MANAGER'],
+    'manage_teams': ['ADMIN', 'MANAGER'],
+    'assign_requests': ['ADMIN', 'MANAGER'],
+    'manage_pm_plans': ['ADMIN', 'MANAGER'],
+    'manage_working_hours': ['ADMIN', 'MANAGER'],
+    'manage_sla_policies': ['ADMIN', 'MANAGER'],
+    'manage_email_outbox': ['ADMIN'],
+    'manage_webhooks': ['ADMIN'],
+    'delete_attachments': ['ADMIN', 'MANAGER'],
+    'manage_parts': ['ADMIN', 'MANAGER'],
+    'consume_parts': ['ADMIN', 'MANAGER', 'TECHNICIAN'],
+    'track_time': ['ADMIN', 'MANAGER', 'TECHNICIAN'],
+    'manage_time_entries': ['ADMIN', 'MANAGER'],
+    'manage_costs': ['ADMIN', 'MANAGER'],
+    'manage_lookups': ['ADMIN'],
+    'change_user_roles': ['ADMIN']
+  };
+
+  const allowedRoles = permissions[action];
+  return allowedRoles ? allowedRoles.includes(role) : false;
+}
+
+// Whether `userProfile` may see `request`: ADMIN / MANAGER every request, TECHNICIAN the
+// ones assigned to them and EMPLOYEE their own (the same scoping as GET /api/requests)
+export function canViewRequest(userProfile, request) {
+  if (!userProfile || !request) return false;
+  if (hasPermission(userProfile, 'view_all_requests')) return true;
+
+  switch (userProfile.role) {
+    case 'TECHNICIAN':
+      return request.technician_id === userProfile.id;
+    case 'EMPLOYEE':
+      return request.created_by_user_id === userProfile.id;
+    default:
+      return false;
+  }
+}
+
+// Request fields that PUT/PATCH /api/requests/:id accepts; stage and blocked
+// only change through PUT /api/requests/:id/stage
+export const EDITABLE_REQUEST_FIELDS = [
+  'subject', 'maintenance_for', 'equipment_id', 'workcenter_id', 'category_id', 'request_date',
+  'maintenance_type', 'team_id', 'technician_id', 'scheduled_at', 'duration_minutes', 'priority'
+];
+
+// Only ADMIN / MANAGER pick these; everyone else gets the automatic assignment (backend/assignment.js)
+export const ASSIGNMENT_FIELDS = ['team_id', 'technician_id'];
+
+// Fields `userProfile` may set on a new request (POST /api/requests)
+export function getCreatableRequestFields(userProfile) {
+  if (!hasPermission(userProfile, 'create_request')) return [];
+  return hasPermission(userProfile, 'assign_requests')
+    ? EDITABLE_REQUEST_FIELDS
+    : EDITABLE_REQUEST_FIELDS.filter(field => !ASSIGNMENT_FIELDS.includes(field));
+}
+
+// Fields of `request` that `userProfile` may change:
+// - ADMIN / MANAGER: everything
+// - EMPLOYEE: everything but team and technician on their own requests until work starts (stage NEW_REQUEST)
+// - TECHNICIAN: the schedule of requests assigned to them while still open
+export function getEditableRequestFields(userProfile, request) {
+  if (!userProfile || !request) return [];
+
+  switch (userProfile.role) {
+    case 'ADMIN':
+    case 'MANAGER':
+      return EDITABLE_REQUEST_FIELDS;
+    case 'EMPLOYEE':
+      return request.created_by_user_id === userProfile.id && request.stage === 'NEW_REQUEST'
+        ? EDITABLE_REQUEST_FIELDS.filter(field => !ASSIGNMENT_FIELDS.includes(field))
+        : [];
+    case 'TECHNICIAN':
+      return request.technician_id === userProfile.id && !['REPAIRED', 'SCRAP'].includes(request.stage)
+        ? ['scheduled_at', 'duration_minutes']
+        : [];
+    default:
+      return [];
+  }
+}
@@ -0,0 +1,78 @@
+// Recurrence rules of preventive maintenance plans.
+//
+// A plan repeats every `repeat_every` days, weeks or months (`frequency` DAILY / WEEKLY / MONTHLY)
+// counted from `start_date`, at `time_of_day` (UTC). Weekly plans can pin the day of the week
+// (`weekday`, 0 = Sunday) and monthly plans the day of the month (`day_of_month`, clamped to
+// the month's length). Nothing is generated after `end_date`.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+function atTime(dateMs, timeOfDay) {
+  const [hours, minutes] = (timeOfDay || '08:00').split(':').map(Number);
+  return dateMs + (hours * 60 + minutes) * 60 * 1000;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Midnight (UTC) of every occurrence date, in order, starting from the first one on or after
+// `start`. Stops by itself once `limitMs` is passed.
+function* occurrenceDates(plan, start, limitMs, fromMs) {
+  const interval = Math.max(1, plan.repeat_every || 1);
+
+  if (plan.frequency === 'MONTHLY') {
+    const startDate = new Date(start);
+    const day = plan.day_of_month || startDate.getUTCDate();
+    // Skip whole periods that end before `fromMs`
+    const fromDate = new Date(Math.max(fromMs, start));
+    const monthsToFrom = (fromDate.getUTCFullYear() - startDate.getUTCFullYear()) * 12
+      + fromDate.getUTCMonth() - startDate.getUTCMonth();
+    let k = Math.max(0, Math.floor(monthsToFrom / interval) - 1);
+
+    for (;;) {
+      const monthIndex = startDate.getUTCMonth() + k * interval;
+      const year = startDate.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = ((monthIndex % 12) + 12) % 12;
+      const date = Date.UTC(year, month, Math.min(day, daysInMonth(year, month)));
+      if (date > limitMs) return;
+      if (date >= start) yield date;
+      k++;
+    }
+  }
+
+  let first = start;
+  let step = interval * DAY;
+  if (plan.frequency === 'WEEKLY') {
+    const weekday = plan.weekday ?? new Date(start).getUTCDay();
+    first = start + ((weekday - new Date(start).getUTCDay() + 7) % 7) * DAY;
+    step = interval * 7 * DAY;
+  }
+
+  let k = Math.max(0, Math.floor((fromMs - first) / step) - 1);
+  for (;;) {
+    const date = first + k * step;
+    if (date > limitMs) return;
+    yield date;
+    k++;
+  }
+}
+
+// ISO timestamps of the plan's occurrences between `from` and `to` (inclusive)
+export function listOccurrences(plan, from, to) {
+  const fromMs = Date.parse(from);
+  let toMs = Date.parse(to);
+  if (plan.end_date) {
+    toMs = Math.min(toMs, atTime(Date.parse(plan.end_date), plan.time_of_day));
+  }
+
+  const start = Date.parse(plan.start_date.substring(0, 10));
+  const occurrences = [];
+  for (const date of occurrenceDates(plan, start, toMs, fromMs)) {
+    const at = atTime(date, plan.time_of_day);
+    if (at >= fromMs && at <= toMs) occurrences.push(new Date(at).toISOString());
+  }
+  return occurrences;
+}
@@ -0,0 +1,353 @@
+import express from 'express';
+import { canViewRequest, hasPermission } from '../permissions.js';
+import {
+  ATTACHMENT_CONTENT_TYPES,
+  THUMBNAIL_CONTENT_TYPES,
+  THUMBNAIL_MAX_BYTES,
+  baseContentType,
+  buildStorageKey,
+  isImage,
+  matchesSignature,
+  removeStoredFiles,
+  sanitizeFileName,
+  toAttachmentResponse
+} from '../attachments.js';
+
+// =========================================================
+// ATTACHMENT ROUTES (mounted at /api/attachments)
+// =========================================================
+
+// Uploads are the raw file as the request body, with its type in Content-Type and its
+// URI-encoded name in X-File-Name, e.g. `fetch(url, { method: 'POST', body: file })`
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+function decodeFileName(header) {
+  try {
+    return decodeURIComponent(header || '');
+  } catch {
+    return header;
+  }
+}
+
+// Rejects other content types before the body is read
+function requireContentType(allowed) {
+  return (req, res, next) => {
+    const type = baseContentType(req.headers['content-type']);
+    if (!allowed.includes(type)) {
+      return res.status(400).json({ message: `Files of type ${type || 'unknown'} can't be attached` });
+    }
+    req.uploadType = type;
+    next();
+  };
+}
+
+// Reads the raw body into a Buffer, up to `limit` bytes
+function readUpload(limit) {
+  const parse = express.raw({ type: () => true, limit });
+  return (req, res, next) => parse(req, res, error => {
+    if (!error) return next();
+    if (error.type === 'entity.too.large') {
+      return res.status(400).json({ message: `Files can be at most ${formatSize(limit)}` });
+    }
+    res.status(400).json({ message: error.message });
+  });
+}
+
+// The body of a file response; everything is served as a download except images, and
+// nothing may be interpreted as a page
+function sendFile(res, data, contentType, fileName) {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Length': data.length,
+    'Content-Disposition': `${isImage(contentType) ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.end(data);
+}
+
+// Uploaders manage their own files, ADMIN / MANAGER everybody's
+function canManageAttachment(userProfile, attachment) {
+  return attachment.uploaded_by_user_id === userProfile.id || hasPermission(userProfile, 'delete_attachments');
+}
+
+export default function attachmentRoutes({ db, storage, live, attachmentMaxBytes, requireAuth, requirePermission }) {
+  const router = express.Router();
+
+  // The request :id when the caller may see it; otherwise answers and resolves null
+  async function loadRequest(req, res, id) {
+    const { data: request } = await db.requests.findById(id);
+
+    if (!request) {
+      res.status(404).json({ message: "Request not found" });
+      return null;
+    }
+
+    if (!canViewRequest(req.userProfile, request)) {
+      res.status(403).json({ message: "You don't have access to this request" });
+      return null;
+    }
+
+    return request;
+  }
+
+  async function loadEquipment(req, res, id) {
+    const { data: equipment } = await db.equipment.findById(id);
+
+    if (!equipment) {
+      res.status(404).json({ message: "Equipment not found" });
+      return null;
+    }
+
+    return equipment;
+  }
+
+  // Attachment :id when the caller may see what it is attached to
+  async function loadAttachment(req, res) {
+    const { data: attachment } = await db.attachments.findById(req.params.id);
+
+    if (!attachment) {
+      res.status(404).json({ message: "Attachment not found" });
+      return null;
+    }
+
+    if (attachment.request_id) {
+      const request = await loadRequest(req, res, attachment.request_id);
+      if (!request) return null;
+      attachment.request = request;
+    }
+
+    return attachment;
+  }
+
+  // Tells open pages that the request / equipment the attachment belongs to changed
+  function publishChange(attachment) {
+    if (attachment.request_id) {
+      live.publish('request.updated', { id: attachment.request_id }, { request: attachment.request });
+    } else {
+      live.publish('equipment.updated', { id: attachment.equipment_id });
+    }
+  }
+
+  async function listAttachments(res, owner) {
+    const { data, error } = await db.attachments.listByOwner(owner);
+
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json((data || []).map(toAttachmentResponse));
+  }
+
+  async function saveUpload(req, res, owner) {
+    const data = req.body;
+
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      return res.status(400).json({ message: "The file is empty" });
+    }
+
+    if (!matchesSignature(req.uploadType, data)) {
+      return res.status(400).json({ message: "The file's content doesn't match its type" });
+    }
+
+    const key = buildStorageKey(owner.request_id ? 'requests' : 'equipment', owner.request_id || owner.equipment_id);
+    await storage.put(key, data, req.uploadType);
+
+    const { data: attachment, error } = await db.attachments.create({
+      request_id: owner.request_id || null,
+      equipment_id: owner.equipment_id || null,
+      file_name: sanitizeFileName(decodeFileName(req.headers['x-file-name'])),
+      content_type: req.uploadType,
+      size_bytes: data.length,
+      storage_key: key,
+      uploaded_by_user_id: req.userProfile.id
+    });
+
+    if (error) {
+      await removeStoredFiles(storage, [{ storage_key: key }]);
+      return res.status(400).json({ message: error.message });
+    }
+
+    publishChange({ ...attachment, request: owner.request });
+
+    res.json({ message: "File attached", data: toAttachmentResponse(attachment) });
+  }
+
+  // What the upload form needs to check files before sending them
+  router.get('/limits', requireAuth(), (req, res) => {
+    res.json({
+      max_bytes: attachmentMaxBytes,
+      content_types: Object.entries(ATTACHMENT_CONTENT_TYPES).map(([type, label]) => ({ type, label }))
+    });
+  });
+
+  router.get('/requests/:id', requireAuth(), async (req, res) => {
+    try {
+      const request = await loadRequest(req, res, req.params.id);
+      if (!request) return;
+
+      await listAttachments(res, { requestId: request.id });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Everyone who can see a request may attach files to it (e.g. photos of the failure)
+  router.post('/requests/:id', requireAuth(), requireContentType(Object.keys(ATTACHMENT_CONTENT_TYPES)), async (req, res, next) => {
+    try {
+      const request = await loadRequest(req, res, req.params.id);
+      if (!request) return;
+
+      req.owner = { request_id: request.id, request };
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }, readUpload(attachmentMaxBytes), async (req, res) => {
+    try {
+      await saveUpload(req, res, req.owner);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/equipment/:id', requireAuth(), async (req, res) => {
+    try {
+      const equipment = await loadEquipment(req, res, req.params.id);
+      if (!equipment) return;
+
+      await listAttachments(res, { equipmentId: equipment.id });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/equipment/:id', requirePermission('manage_equipment'), requireContentType(Object.keys(ATTACHMENT_CONTENT_TYPES)), async (req, res, next) => {
+    try {
+      const equipment = await loadEquipment(req, res, req.params.id);
+      if (!equipment) return;
+
+      req.owner = { equipment_id: equipment.id };
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }, readUpload(attachmentMaxBytes), async (req, res) => {
+    try {
+      await saveUpload(req, res, req.owner);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/:id/download', requireAuth(), async (req, res) => {
+    try {
+      const attachment = await loadAttachment(req, res);
+      if (!attachment) return;
+
+      const data = await storage.get(attachment.storage_key);
+
+      if (!data) {
+        return res.status(404).json({ message: "The file is missing from storage" });
+      }
+
+      sendFile(res, data, attachment.content_type, attachment.file_name);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/:id/thumbnail', requireAuth(), async (req, res) => {
+    try {
+      const attachment = await loadAttachment(req, res);
+      if (!attachment) return;
+
+      const data = attachment.thumbnail_key ? await storage.get(attachment.thumbnail_key) : null;
+
+      if (!data) {
+        return res.status(404).json({ message: "This attachment has no thumbnail" });
+      }
+
+      // Thumbnails are stored as uploaded, so their type comes from their content
+      const type = THUMBNAIL_CONTENT_TYPES.find(t => matchesSignature(t, data)) || 'application/octet-stream';
+      sendFile(res, data, type, `thumbnail-${attachment.file_name}`);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // The browser uploads a scaled-down copy of an image right after the image itself
+  router.put('/:id/thumbnail', requireAuth(), requireContentType(THUMBNAIL_CONTENT_TYPES), async (req, res, next) => {
+    try {
+      const attachment = await loadAttachment(req, res);
+      if (!attachment) return;
+
+      if (!canManageAttachment(req.userProfile, attachment)) {
+        return res.status(403).json({ message: "You can only change your own attachments" });
+      }
+
+      if (!isImage(attachment.content_type)) {
+        return res.status(400).json({ message: "Only images have thumbnails" });
+      }
+
+      req.attachment = attachment;
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }, readUpload(THUMBNAIL_MAX_BYTES), async (req, res) => {
+    try {
+      const attachment = req.attachment;
+
+      if (!Buffer.isBuffer(req.body) || !matchesSignature(req.uploadType, req.body)) {
+        return res.status(400).json({ message: "The thumbnail's content doesn't match its type" });
+      }
+
+      const key = `${attachment.storage_key}-thumbnail`;
+      if (attachment.thumbnail_key) await storage.remove([attachment.thumbnail_key]);
+      await storage.put(key, req.body, req.uploadType);
+
+      const { data, error } = await db.attachments.update(attachment.id, { thumbnail_key: key });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      publishChange(attachment);
+
+      res.json({ message: "Thumbnail saved", data: toAttachmentResponse(data) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.delete('/:id', requireAuth(), async (req, res) => {
+    try {
+      const attachment = await loadAttachment(req, res);
+      if (!attachment) return;
+
+      if (!canManageAttachment(req.userProfile, attachment)) {
+        return res.status(403).json({ message: "You can only delete your own attachments" });
+      }
+
+      const { error } = await db.attachments.remove(attachment.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      await removeStoredFiles(storage, [attachment]);
+      publishChange(attachment);
+
+      res.json({ message: "Attachment deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
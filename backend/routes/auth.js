@@ -0,0 +1,261 @@
+import express from 'express';
+import { validateBody } from '../validation.js';
+import { loginSchema, resendVerificationSchema, signupSchema, verifyEmailSchema } from '../schemas.js';
+
+// =========================================================
+// AUTHENTICATION ROUTES (mounted at /api/auth)
+// =========================================================
+
+export default function authRoutes({ db, auth, clock, frontendUrl }) {
+  const router = express.Router();
+
+  router.post('/login', validateBody(loginSchema), async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      const { data, error } = await auth.signInWithPassword({
+        email,
+        password,
+      });
+
+      if (error) {
+        // If user exists but email is not confirmed, try to handle it
+        if (error.message && (
+          error.message.toLowerCase().includes('email not confirmed') ||
+          error.message.toLowerCase().includes('not confirmed') ||
+          error.message.toLowerCase().includes('email_not_confirmed')
+        )) {
+          // If email verification is disabled in Supabase, we can try to confirm the user
+          // using admin client if available
+          if (auth.admin) {
+            try {
+              // Get the user by email using admin client
+              const { data: users, error: listError } = await auth.admin.listUsers();
+              if (!listError && users) {
+                const user = users.users.find(u => u.email === email);
+                if (user && !user.email_confirmed_at) {
+                  // Confirm the user
+                  await auth.admin.updateUserById(user.id, {
+                    email_confirm: true
+                  });
+                  // Try login again
+                  const { data: retryData, error: retryError } = await auth.signInWithPassword({
+                    email,
+                    password,
+                  });
+                  if (!retryError && retryData) {
+                    // Get user profile
+                    const { data: profile, error: profileError } = await db.profiles.findById(retryData.user.id);
+
+                    if (profileError) {
+                      return res.status(400).json({ message: profileError.message });
+                    }
+
+                    return res.json({
+                      user: {
+                        id: retryData.user.id,
+                        email: retryData.user.email,
+                        name: profile.name,
+                        role: profile.role
+                      },
+                      session: retryData.session
+                    });
+                  }
+                }
+              }
+            } catch (adminError) {
+              console.error('Error confirming user:', adminError);
+            }
+          }
+          return res.status(400).json({ 
+            message: "Your email is not confirmed. Please check your email for a verification link, or contact support."
+          });
+        }
+
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Get user profile
+      const { data: profile, error: profileError } = await db.profiles.findById(data.user.id);
+
+      if (profileError) {
+        return res.status(400).json({ message: profileError.message });
+      }
+
+      res.json({
+        user: {
+          id: data.user.id,
+          email: data.user.email,
+          name: profile.name,
+          role: profile.role
+        },
+        session: data.session
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/signup', validateBody(signupSchema), async (req, res) => {
+    try {
+      const { name, email, password, role } = req.body;
+
+      const userRole = role || 'EMPLOYEE';
+
+      const { data, error } = await auth.signUp({
+        email,
+        password,
+        options: {
+          data: {
+            name,
+            role: userRole
+          },
+          emailRedirectTo: `${frontendUrl}/verify-email`
+        }
+      });
+
+      if (error) {
+        // If user already exists, provide helpful message
+        if (error.message && (
+          error.message.toLowerCase().includes('already registered') ||
+          error.message.toLowerCase().includes('user already registered')
+        )) {
+          // If email verification is disabled, user should be able to login
+          // If admin client is available, try to confirm existing unconfirmed user
+          if (auth.admin) {
+            try {
+              const { data: users, error: listError } = await auth.admin.listUsers();
+              if (!listError && users) {
+                const user = users.users.find(u => u.email === email);
+                if (user && !user.email_confirmed_at) {
+                  // Confirm the existing user
+                  await auth.admin.updateUserById(user.id, {
+                    email_confirm: true
+                  });
+                  return res.status(400).json({ 
+                    message: "User already exists. Your account has been activated. Please try logging in."
+                  });
+                }
+              }
+            } catch (adminError) {
+              console.error('Error confirming existing user:', adminError);
+            }
+          }
+
+          return res.status(400).json({ 
+            message: "User already exists. Please try logging in instead."
+          });
+        }
+
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Update the profile with the role (the trigger creates the profile, but we need to set the role)
+      if (data.user) {
+        // Wait a bit for the trigger to create the profile
+        await clock.sleep(500);
+
+        // Always use admin client if available to bypass RLS and ensure role is set correctly
+        if (auth.admin) {
+          const { error: profileError } = await db.withAccessToken(null).profiles
+            .update(data.user.id, { role: userRole });
+
+          if (profileError) {
+            console.error('Error updating profile role with admin client:', profileError);
+            return res.status(500).json({ 
+              message: "User created but failed to set role. Please contact support." 
+            });
+          }
+          console.log(`Profile role set to ${userRole} for user ${data.user.id}`);
+        } else {
+          // Fallback to regular client (may fail due to RLS)
+          const { error: profileError } = await db.profiles.update(data.user.id, { role: userRole });
+
+          if (profileError) {
+            console.error('Error updating profile role (admin client not available):', profileError);
+            console.warn('SUPABASE_SERVICE_ROLE_KEY not set. Profile role may default to EMPLOYEE.');
+            console.warn('Please add SUPABASE_SERVICE_ROLE_KEY to .env file to ensure roles are set correctly.');
+          }
+        }
+
+        // If email verification is disabled and admin client is available, confirm the user immediately
+        if (auth.admin && !data.user.email_confirmed_at) {
+          try {
+            await auth.admin.updateUserById(data.user.id, {
+              email_confirm: true
+            });
+          } catch (confirmError) {
+            console.error('Error confirming new user:', confirmError);
+          }
+        }
+      }
+
+      res.json({ 
+        message: "Signup successful! You can now log in.",
+        email: data.user?.email
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/verify-email', validateBody(verifyEmailSchema), async (req, res) => {
+    try {
+      const { token, type } = req.body;
+
+      // Verify the email using the token
+      const { data, error } = await auth.verifyOtp({
+        token_hash: token,
+        type: type || 'email'
+      });
+
+      if (error) {
+        // Try alternative verification method
+        const { data: altData, error: altError } = await auth.verifyOtp({
+          token,
+          type: 'email'
+        });
+
+        if (altError) {
+          return res.status(400).json({ message: altError.message || "Invalid or expired verification token" });
+        }
+
+        return res.json({ 
+          message: "Email verified successfully!",
+          user: altData.user
+        });
+      }
+
+      res.json({ 
+        message: "Email verified successfully!",
+        user: data.user
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/resend-verification', validateBody(resendVerificationSchema), async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      const { error } = await auth.resend({
+        type: 'signup',
+        email: email,
+        options: {
+          emailRedirectTo: `${frontendUrl}/verify-email`
+        }
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Verification email sent! Please check your inbox." });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,234 @@
+import express from 'express';
+import { hasPermission } from '../permissions.js';
+import { validateBody, validateQuery } from '../validation.js';
+import { costSummaryQuerySchema, requestChargeSchema } from '../schemas.js';
+import { buildCostSummary, buildEquipmentTco, buildRates, computeRequestCost } from '../costs.js';
+
+// =========================================================
+// COST ROUTES (mounted at /api/costs)
+// =========================================================
+
+function groupByRequest(rows) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = String(row.request_id);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+}
+
+export default function costRoutes({ db, clock, live, getAccessToken, requirePermission }) {
+  const router = express.Router();
+
+  // Labor rates of everyone and of every work center, plus the profiles by id
+  async function loadRates(req) {
+    // Work centers are read like on the equipment form, past RLS when an admin client is
+    // configured; archived ones still price the time logged on their requests
+    const [profiles, workcenters] = await Promise.all([
+      db.profiles.list({ includeHourlyRate: true }),
+      db.withAccessToken(getAccessToken(req)).workcenters.list({ includeArchived: true })
+    ]);
+
+    const failed = [profiles, workcenters].find(result => result.error);
+    if (failed) throw new Error(failed.error.message);
+
+    return {
+      rates: buildRates(profiles.data || [], workcenters.data || []),
+      profiles: profiles.data || [],
+      workcenters: workcenters.data || []
+    };
+  }
+
+  // `{ request, cost }` for each of `requests` (see requests.listForCosts)
+  async function costRequests(req, requests) {
+    const ids = requests.map(r => r.id);
+    const [{ rates }, entries, parts, charges] = await Promise.all([
+      loadRates(req),
+      db.timeEntries.listByRequests(ids),
+      db.requestParts.listByRequests(ids),
+      db.requestCharges.listByRequests(ids)
+    ]);
+
+    const failed = [entries, parts, charges].find(result => result.error);
+    if (failed) throw new Error(failed.error.message);
+
+    const entriesByRequest = groupByRequest(entries.data || []);
+    const partsByRequest = groupByRequest(parts.data || []);
+    const chargesByRequest = groupByRequest(charges.data || []);
+    const now = clock.now();
+
+    return requests.map(request => ({
+      request,
+      cost: computeRequestCost(request, {
+        timeEntries: entriesByRequest.get(String(request.id)),
+        parts: partsByRequest.get(String(request.id)),
+        charges: chargesByRequest.get(String(request.id))
+      }, rates, now)
+    }));
+  }
+
+  // The request :id; otherwise answers 404 and resolves null
+  async function loadRequest(req, res) {
+    const { data: request } = await db.requests.findById(req.params.id);
+
+    if (!request) {
+      res.status(404).json({ message: "Request not found" });
+      return null;
+    }
+
+    return request;
+  }
+
+  // Labor per person, parts and external charges of one request with their totals
+  router.get('/requests/:id', requirePermission('manage_costs'), async (req, res) => {
+    try {
+      const request = await loadRequest(req, res);
+      if (!request) return;
+
+      const [{ rates }, entries, parts, charges] = await Promise.all([
+        loadRates(req),
+        db.timeEntries.listByRequest(request.id),
+        db.requestParts.listByRequest(request.id),
+        db.requestCharges.listByRequest(request.id)
+      ]);
+
+      const failed = [entries, parts, charges].find(result => result.error);
+      if (failed) {
+        return res.status(400).json({ message: failed.error.message });
+      }
+
+      const cost = computeRequestCost(request, {
+        timeEntries: entries.data || [],
+        parts: parts.data || [],
+        charges: charges.data || []
+      }, rates, clock.now());
+
+      const users = new Map((entries.data || []).map(e => [String(e.user_id), e.user]));
+
+      res.json({
+        request_id: request.id,
+        ...cost,
+        labor: cost.labor.map(row => ({ ...row, user: users.get(String(row.user_id)) || null })),
+        parts: (parts.data || []).map(l => ({ ...l, total_cost: l.quantity * Number(l.unit_cost) })),
+        charges: charges.data || []
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/requests/:id/charges', requirePermission('manage_costs'), validateBody(requestChargeSchema), async (req, res) => {
+    try {
+      const request = await loadRequest(req, res);
+      if (!request) return;
+
+      const { data, error } = await db.requestCharges.create({
+        request_id: request.id,
+        description: req.body.description,
+        vendor: req.body.vendor || null,
+        amount: req.body.amount,
+        created_by_user_id: req.userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('request.updated', { id: request.id }, { request });
+
+      res.json({ message: "Charge added", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.delete('/requests/:id/charges/:chargeId', requirePermission('manage_costs'), async (req, res) => {
+    try {
+      const request = await loadRequest(req, res);
+      if (!request) return;
+
+      const { data: charge } = await db.requestCharges.findById(req.params.chargeId);
+
+      if (!charge || String(charge.request_id) !== String(request.id)) {
+        return res.status(404).json({ message: "Charge not found" });
+      }
+
+      const { error } = await db.requestCharges.remove(charge.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('request.updated', { id: request.id }, { request });
+
+      res.json({ message: "Charge deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Maintenance spend of a piece of equipment against its purchase cost and age
+  router.get('/equipment/:id', requirePermission('manage_costs'), async (req, res) => {
+    try {
+      const { data: equipment } = await db.equipment.findById(req.params.id);
+
+      if (!equipment) {
+        return res.status(404).json({ message: "Equipment not found" });
+      }
+
+      const { data: requests, error } = await db.requests.listForCosts({ equipmentId: equipment.id });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const items = await costRequests(req, requests || []);
+
+      res.json(buildEquipmentTco(equipment, items, clock.now()));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Request costs rolled up by equipment, category, team or department, for the requests
+  // dated between `from` and `to` (both optional and included)
+  router.get('/summary', requirePermission('manage_costs'), validateQuery(costSummaryQuerySchema), async (req, res) => {
+    try {
+      const { data: requests, error } = await db.requests.listForCosts({
+        dateFrom: req.filters.from,
+        dateTo: req.filters.to
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const items = await costRequests(req, requests || []);
+
+      res.json({
+        from: req.filters.from || null,
+        to: req.filters.to || null,
+        ...buildCostSummary(items, req.filters.group_by || 'equipment')
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Hourly rates of the people who log time, and of the work centers they fall back to
+  router.get('/rates', requirePermission('manage_costs'), async (req, res) => {
+    try {
+      const { profiles, workcenters } = await loadRates(req);
+
+      res.json({
+        users: profiles.filter(p => hasPermission(p, 'track_time')),
+        workcenters: workcenters.map(w => ({ id: w.id, name: w.name, cost_per_hour: w.cost_per_hour }))
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
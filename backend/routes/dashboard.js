@@ -0,0 +1,128 @@
+import express from 'express';
+import { validateQuery } from '../validation.js';
+import { technicianLoadQuerySchema } from '../schemas.js';
+import { scoreEquipmentList } from '../health.js';
+import { buildTechnicianLoad, defaultLoadWindow } from '../load.js';
+import { slaStatus } from '../sla.js';
+
+// =========================================================
+// DASHBOARD ROUTES (mounted at /api/dashboard)
+// =========================================================
+
+export default function dashboardRoutes({ db, clock, requirePermission }) {
+  const router = express.Router();
+
+  // Technician load over `window`, optionally only for the members of `teamId`
+  async function getTechnicianLoad(window, teamId) {
+    const [technicians, requests] = await Promise.all([
+      db.profiles.list({ role: 'TECHNICIAN', includeWorkingHours: true }),
+      db.requests.listOpenAssigned()
+    ]);
+    if (technicians.error || requests.error) {
+      return { error: technicians.error || requests.error };
+    }
+
+    let selected = technicians.data || [];
+    if (teamId) {
+      const { data: teams, error } = await db.teams.list();
+      if (error) return { error };
+      const team = (teams || []).find(t => String(t.id) === String(teamId));
+      const memberIds = new Set((team?.members || []).map(m => m.user?.id));
+      selected = selected.filter(t => memberIds.has(t.id));
+    }
+
+    return { data: buildTechnicianLoad(selected, requests.data || [], window, clock.now()), error: null };
+  }
+
+  router.get('/summary', async (req, res) => {
+    try {
+      const { data: requests } = await db.requests.list();
+
+      const openRequests = (requests || []).filter(r => 
+        ['NEW_REQUEST', 'IN_PROGRESS'].includes(r.stage)
+      ).length;
+
+      const overdueRequests = (requests || []).filter(r => {
+        if (!r.scheduled_at || r.stage === 'REPAIRED' || r.stage === 'SCRAP') return false;
+        return new Date(r.scheduled_at) < clock.now();
+      }).length;
+
+      const today = clock.now().toISOString().split('T')[0];
+      const { data: load } = await getTechnicianLoad(defaultLoadWindow(today));
+
+      const [{ data: equipment }, { data: equipmentRequests }] = await Promise.all([
+        db.equipment.list(),
+        db.requests.listForEquipment()
+      ]);
+      const criticalEquipment = scoreEquipmentList(equipment || [], equipmentRequests || [], clock.now())
+        .filter(({ health }) => health.status === 'CRITICAL').length;
+
+      const { data: slaRequests } = await db.requests.listForSla({ openOnly: true });
+      const slaBreaches = (slaRequests || []).filter(r => {
+        const status = slaStatus(r, clock.now());
+        return status.response === 'BREACHED' || status.resolution === 'BREACHED';
+      }).length;
+
+      res.json({
+        critical_equipment: criticalEquipment,
+        technician_load_percent: load ? load.load_percent : 0,
+        open_requests: openRequests,
+        overdue_requests: overdueRequests,
+        sla_breaches: slaBreaches
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Per-technician capacity and booked time between `from` and `to` (YYYY-MM-DD, both included)
+  router.get('/technician-load', requirePermission('view_all_requests'), validateQuery(technicianLoadQuerySchema), async (req, res) => {
+    try {
+      const from = req.filters.from || clock.now().toISOString().split('T')[0];
+      const to = req.filters.to || defaultLoadWindow(from).to;
+
+      if (to < from) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: { to: 'To date must not be before From date' }
+        });
+      }
+
+      const { data, error } = await getTechnicianLoad({ from, to }, req.filters.team_id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json(data);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/recent-requests', async (req, res) => {
+    try {
+      const { data: requests, error } = await db.requests.list({ limit: 10 });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const formatted = (requests || []).map(req => ({
+        id: req.id,
+        subject: req.subject,
+        employee: req.created_by?.name || null,
+        technician: req.technician?.name || null,
+        category: req.category?.name || null,
+        stage: req.stage,
+        company: req.company
+      }));
+
+      res.json(formatted);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
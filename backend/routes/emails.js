@@ -0,0 +1,85 @@
+import express from 'express';
+import { validateQuery } from '../validation.js';
+import { emailOutboxQuerySchema } from '../schemas.js';
+import { createEmailQueue } from '../jobs/emailQueue.js';
+import { createDueReminders } from '../jobs/dueReminders.js';
+
+// =========================================================
+// EMAIL OUTBOX ROUTES (mounted at /api/emails)
+// =========================================================
+
+export default function emailRoutes({ db, clock, mailer, mailTransport, getAccessToken, requirePermission }) {
+  const router = express.Router();
+
+  // Newest first; `text` / `html` are left out to keep the list small
+  router.get('/', requirePermission('manage_email_outbox'), validateQuery(emailOutboxQuerySchema), async (req, res) => {
+    try {
+      const { data, error } = await db.emailOutbox.list({ status: req.filters.status, limit: req.filters.limit || 100 });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json((data || []).map(({ text, html, ...email }) => email));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Sends the due emails now instead of waiting for the queue's next tick
+  router.post('/send', requirePermission('manage_email_outbox'), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+      const result = await createEmailQueue({ db: scopedDb, transport: mailTransport, clock }).run();
+
+      res.json({ message: `${result.sent} email(s) sent`, data: result });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Queues the due-soon / overdue emails now
+  router.post('/reminders', requirePermission('manage_email_outbox'), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+      const result = await createDueReminders({ db: scopedDb, mailer, clock }).run();
+
+      res.json({ message: `${result.due_soon + result.overdue} reminder(s) queued`, data: result });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Gives a FAILED email a fresh set of attempts
+  router.post('/:id/retry', requirePermission('manage_email_outbox'), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data: email } = await scopedDb.emailOutbox.findById(req.params.id);
+
+      if (!email) {
+        return res.status(404).json({ message: "Email not found" });
+      }
+
+      if (email.status !== 'FAILED') {
+        return res.status(400).json({ message: "Only failed emails can be retried" });
+      }
+
+      const { data, error } = await scopedDb.emailOutbox.update(email.id, {
+        status: 'PENDING',
+        attempts: 0,
+        next_attempt_at: clock.now().toISOString()
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Email queued again", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,210 @@
+import express from 'express';
+import { validateBody, validateQuery } from '../validation.js';
+import { equipmentListQuerySchema, equipmentSchema } from '../schemas.js';
+import { computeEquipmentHealth, scoreEquipmentList } from '../health.js';
+import { removeStoredFiles } from '../attachments.js';
+import { EQUIPMENT_LOOKUPS, checkRetiredLookups } from '../lookups.js';
+
+// =========================================================
+// EQUIPMENT ROUTES (mounted at /api/equipment)
+// =========================================================
+
+export default function equipmentRoutes({ db, clock, webhooks, live, storage, getAccessToken, requirePermission }) {
+  const router = express.Router();
+
+  // `?health=CRITICAL` (or GOOD / FAIR / SCRAPPED) narrows the list to one health status
+  router.get('/', validateQuery(equipmentListQuerySchema), async (req, res) => {
+    try {
+      const [{ data: equipment, error }, { data: requests, error: requestsError }] = await Promise.all([
+        db.equipment.list(),
+        db.requests.listForEquipment()
+      ]);
+
+      if (error || requestsError) {
+        return res.status(400).json({ message: (error || requestsError).message });
+      }
+
+      const scored = scoreEquipmentList(equipment || [], requests || [], clock.now())
+        .filter(({ health }) => !req.filters.health || health.status === req.filters.health);
+
+      const formatted = scored.map(({ equipment: eq, health }) => ({
+        ...eq,
+        id: eq.id,
+        name: eq.name,
+        serial_number: eq.serial_number,
+        employee: eq.used_by_type === 'EMPLOYEE' ? eq.used_by_user?.name : null,
+        department: eq.used_by_type === 'DEPARTMENT' ? eq.used_by_department?.name : null,
+        technician: eq.default_technician?.name || null,
+        category: eq.category?.name || null,
+        company: eq.company,
+        health_score: health.score,
+        health_status: health.status,
+        health_factors: health.factors
+      }));
+
+      res.json(formatted);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/meta', async (req, res) => {
+    try {
+      // Use admin client for workcenters if available to bypass RLS, otherwise use authenticated client
+      const workcentersDb = db.withAccessToken(getAccessToken(req));
+
+      const [categories, departments, locations, teams, users, workcenters] = await Promise.all([
+        db.categories.list(),
+        db.departments.list(),
+        db.locations.list(),
+        db.teams.listOptions(),
+        db.profiles.list(),
+        workcentersDb.workcenters.listOptions()
+      ]);
+
+      // Log workcenters query result for debugging
+      if (workcenters.error) {
+        console.error('Error fetching workcenters:', workcenters.error);
+      }
+
+      res.json({
+        categories: categories.data || [],
+        departments: departments.data || [],
+        locations: locations.data || [],
+        teams: teams.data || [],
+        users: users.data || [],
+        workcenters: workcenters.data || []
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const { data, error } = await db.equipment.findById(req.params.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const { data: requests } = await db.requests.listForEquipment(data.id);
+
+      res.json({ ...data, health: computeEquipmentHealth(data, requests || [], clock.now()) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/', requirePermission('manage_equipment'), validateBody(equipmentSchema), async (req, res) => {
+    try {
+      // equipmentSchema already enforces the used_by constraints
+      const usedByType = req.body.used_by_type || 'EMPLOYEE';
+      const usedByUserId = req.body.used_by_user_id || null;
+      const usedByDepartmentId = req.body.used_by_department_id || null;
+
+      // Build insert object, only including workcenter_id if the column exists
+      const insertData = {
+        name: req.body.name,
+        serial_number: req.body.serial_number || null,
+        category_id: req.body.category_id || null,
+        used_by_type: usedByType,
+        used_by_user_id: usedByType === 'EMPLOYEE' ? usedByUserId : null,
+        used_by_department_id: usedByType === 'DEPARTMENT' ? usedByDepartmentId : null,
+        maintenance_team_id: req.body.maintenance_team_id || null,
+        default_technician_id: req.body.default_technician_id || null,
+        location_id: req.body.location_id || null,
+        assigned_date: req.body.assigned_date || null,
+        scrap_date: req.body.scrap_date || null,
+        purchase_date: req.body.purchase_date || null,
+        purchase_cost: req.body.purchase_cost ?? null,
+        warranty_end_date: req.body.warranty_end_date || null,
+        description: req.body.description || null,
+        company: 'My Company'
+      };
+
+      // Only add workcenter_id if provided (column may not exist in schema)
+      // Uncomment the line below after adding workcenter_id column to equipment table
+      // if (req.body.workcenter_id) {
+      //   insertData.workcenter_id = req.body.workcenter_id;
+      // }
+
+      const lookupErrors = await checkRetiredLookups(db, EQUIPMENT_LOOKUPS, insertData);
+      if (lookupErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: lookupErrors });
+      }
+
+      const { data, error } = await db.equipment.create(insertData);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      await webhooks.emit('equipment.created', { equipment: data });
+      live.publish('equipment.created', { id: data.id });
+
+      res.json({ message: "Equipment created", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.put('/:id', requirePermission('manage_equipment'), validateBody(equipmentSchema), async (req, res) => {
+    try {
+      // equipmentSchema already enforces the used_by constraints
+      const usedByType = req.body.used_by_type || 'EMPLOYEE';
+      const usedByUserId = req.body.used_by_user_id || null;
+      const usedByDepartmentId = req.body.used_by_department_id || null;
+
+      // Remove workcenter_id until the column is added to the equipment table
+      const updateData = { ...req.body };
+      delete updateData.workcenter_id;
+      updateData.used_by_type = usedByType;
+      updateData.used_by_user_id = usedByType === 'EMPLOYEE' ? usedByUserId : null;
+      updateData.used_by_department_id = usedByType === 'DEPARTMENT' ? usedByDepartmentId : null;
+
+      // Retired values the equipment already has can stay
+      const { data: current } = await db.equipment.findById(req.params.id);
+      const lookupErrors = await checkRetiredLookups(db, EQUIPMENT_LOOKUPS, updateData, current);
+      if (lookupErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: lookupErrors });
+      }
+
+      const { data, error } = await db.equipment.update(req.params.id, updateData);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      await webhooks.emit('equipment.updated', { equipment: data });
+      live.publish('equipment.updated', { id: data.id });
+
+      res.json({ message: "Updated", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.delete('/:id', requirePermission('manage_equipment'), async (req, res) => {
+    try {
+      const { data: attachments } = await db.attachments.listByOwner({ equipmentId: req.params.id });
+
+      const { error } = await db.equipment.remove(req.params.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // The attachment rows went with the equipment; their files are removed here
+      await removeStoredFiles(storage, attachments);
+      await webhooks.emit('equipment.deleted', { equipment: { id: Number(req.params.id) } });
+      live.publish('equipment.deleted', { id: Number(req.params.id) });
+
+      res.json({ message: "Deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
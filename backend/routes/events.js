@@ -0,0 +1,41 @@
+import express from 'express';
+
+// =========================================================
+// EVENT ROUTES (mounted at /api/events)
+// =========================================================
+
+// A comment line keeps idle connections from being closed by proxies
+const HEARTBEAT_MS = 25 * 1000;
+
+// Server-Sent Events stream of the changes the signed-in user may see (see backend/liveUpdates.js).
+// The browser reads it with fetch so the usual Authorization header applies.
+export default function eventRoutes({ live, requireAuth }) {
+  const router = express.Router();
+
+  router.get('/', requireAuth(), (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    function send(type, data) {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    send('ready', { user_id: req.userProfile.id });
+    const unsubscribe = live.subscribe(req.userProfile, send);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    heartbeat.unref?.();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
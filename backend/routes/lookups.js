@@ -0,0 +1,271 @@
+import express from 'express';
+import { validateBody } from '../validation.js';
+import { lookupMergeSchema, lookupSchema } from '../schemas.js';
+
+// =========================================================
+// LOOKUPS ROUTES (mounted at /api/lookups)
+// =========================================================
+
+// The reference lists under /api/lookups/:kind, with the db repository behind each and the
+// names used in messages
+const LOOKUP_KINDS = {
+  categories: { repository: 'categories', label: 'Category' },
+  departments: { repository: 'departments', label: 'Department' },
+  locations: { repository: 'locations', label: 'Location' }
+};
+
+// How countReferences keys read in messages and `used_by`: [singular, plural]
+const REFERENCE_LABELS = {
+  equipment: ['equipment', 'equipment'],
+  requests: ['request', 'requests'],
+  pm_plans: ['PM plan', 'PM plans'],
+  parts: ['spare part', 'spare parts'],
+  team_members: ['team member skill', 'team member skills'],
+  part_stock: ['stock level', 'stock levels'],
+  stock_movements: ['stock movement', 'stock movements'],
+  request_parts: ['part used on a request', 'parts used on requests']
+};
+
+function describeReferences(references) {
+  const listed = Object.entries(references)
+    .filter(([, count]) => count > 0)
+    .map(([key, count]) => `${count} ${REFERENCE_LABELS[key][count === 1 ? 0 : 1]}`);
+
+  return listed.length > 1
+    ? `${listed.slice(0, -1).join(', ')} and ${listed[listed.length - 1]}`
+    : listed[0] || null;
+}
+
+function totalReferences(references) {
+  return Object.values(references).reduce((sum, count) => sum + count, 0);
+}
+
+export default function lookupRoutes({ db, clock, getAccessToken, requirePermission }) {
+  const router = express.Router();
+
+  // The list :kind names; otherwise answers 404 and resolves null
+  function resolveKind(req, res) {
+    const kind = LOOKUP_KINDS[req.params.kind];
+
+    if (!kind) {
+      res.status(404).json({ message: "Unknown lookup list" });
+      return null;
+    }
+
+    return kind;
+  }
+
+  // The value :id of the list :kind; otherwise answers 404 and resolves null
+  async function loadValue(req, res, kind) {
+    const { data: value } = await db[kind.repository].findById(req.params.id);
+
+    if (!value) {
+      res.status(404).json({ message: `${kind.label} not found` });
+      return null;
+    }
+
+    return value;
+  }
+
+  // Names are unique per list, ignoring case; otherwise answers 400 and resolves false
+  async function checkNameFree(kind, name, ownId, res) {
+    const { data: existing, error } = await db[kind.repository].findByName(name);
+
+    if (error) {
+      res.status(400).json({ message: error.message });
+      return false;
+    }
+
+    if (existing && String(existing.id) !== String(ownId)) {
+      res.status(400).json({ message: "Validation failed", errors: { name: `A ${kind.label.toLowerCase()} with this name already exists` } });
+      return false;
+    }
+
+    return true;
+  }
+
+  // Every value, retired ones included, with how many records use it
+  router.get('/:kind', requirePermission('manage_lookups'), async (req, res) => {
+    try {
+      const kind = resolveKind(req, res);
+      if (!kind) return;
+
+      const { data: values, error } = await db[kind.repository].list();
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const usages = await Promise.all((values || []).map(v => db[kind.repository].countReferences(v.id)));
+
+      const failed = usages.find(result => result.error);
+      if (failed) {
+        return res.status(400).json({ message: failed.error.message });
+      }
+
+      res.json((values || []).map((v, i) => ({ ...v, usage: usages[i].data, used_by: describeReferences(usages[i].data) })));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/:kind', requirePermission('manage_lookups'), validateBody(lookupSchema), async (req, res) => {
+    try {
+      const kind = resolveKind(req, res);
+      if (!kind) return;
+
+      if (!(await checkNameFree(kind, req.body.name, null, res))) return;
+
+      const { data, error } = await db.withAccessToken(getAccessToken(req))[kind.repository].create({ name: req.body.name });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: `${kind.label} created`, data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Renaming shows up everywhere the value is used
+  router.put('/:kind/:id', requirePermission('manage_lookups'), validateBody(lookupSchema), async (req, res) => {
+    try {
+      const kind = resolveKind(req, res);
+      if (!kind) return;
+
+      const value = await loadValue(req, res, kind);
+      if (!value) return;
+
+      if (!(await checkNameFree(kind, req.body.name, value.id, res))) return;
+
+      const { data, error } = await db.withAccessToken(getAccessToken(req))[kind.repository].update(value.id, { name: req.body.name });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: `${kind.label} renamed`, data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Retired values stay on the records that use them but are no longer offered in forms
+  router.post('/:kind/:id/archive', requirePermission('manage_lookups'), async (req, res) => {
+    try {
+      const kind = resolveKind(req, res);
+      if (!kind) return;
+
+      const value = await loadValue(req, res, kind);
+      if (!value) return;
+
+      if (value.archived_at) {
+        return res.status(400).json({ message: `${kind.label} is already retired` });
+      }
+
+      const { data, error } = await db.withAccessToken(getAccessToken(req))[kind.repository].update(value.id, {
+        archived_at: clock.now().toISOString()
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: `${kind.label} retired`, data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/:kind/:id/restore', requirePermission('manage_lookups'), async (req, res) => {
+    try {
+      const kind = resolveKind(req, res);
+      if (!kind) return;
+
+      const value = await loadValue(req, res, kind);
+      if (!value) return;
+
+      if (!value.archived_at) {
+        return res.status(400).json({ message: `${kind.label} is not retired` });
+      }
+
+      const { data, error } = await db.withAccessToken(getAccessToken(req))[kind.repository].update(value.id, { archived_at: null });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: `${kind.label} restored`, data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Moves every record that uses :id over to `into_id`, then deletes :id; for duplicates and
+  // values being phased out
+  router.post('/:kind/:id/merge', requirePermission('manage_lookups'), validateBody(lookupMergeSchema), async (req, res) => {
+    try {
+      const kind = resolveKind(req, res);
+      if (!kind) return;
+
+      const value = await loadValue(req, res, kind);
+      if (!value) return;
+
+      if (String(req.body.into_id) === String(value.id)) {
+        return res.status(400).json({ message: "Validation failed", errors: { into_id: `Choose another ${kind.label.toLowerCase()}` } });
+      }
+
+      const { data: into } = await db[kind.repository].findById(req.body.into_id);
+
+      if (!into) {
+        return res.status(400).json({ message: "Validation failed", errors: { into_id: `${kind.label} not found` } });
+      }
+
+      const { error } = await db.withAccessToken(getAccessToken(req))[kind.repository].merge(value.id, into.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: `${value.name} merged into ${into.name}`, data: into });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Only values nothing uses can be deleted; the others are merged or retired instead
+  router.delete('/:kind/:id', requirePermission('manage_lookups'), async (req, res) => {
+    try {
+      const kind = resolveKind(req, res);
+      if (!kind) return;
+
+      const value = await loadValue(req, res, kind);
+      if (!value) return;
+
+      const { data: references, error: referencesError } = await db[kind.repository].countReferences(value.id);
+
+      if (referencesError) {
+        return res.status(400).json({ message: referencesError.message });
+      }
+
+      if (totalReferences(references) > 0) {
+        return res.status(400).json({
+          message: `${value.name} is still used by ${describeReferences(references)}; merge it into another ${kind.label.toLowerCase()} or retire it instead`
+        });
+      }
+
+      const { error } = await db.withAccessToken(getAccessToken(req))[kind.repository].remove(value.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: `${kind.label} deleted` });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,154 @@
+import express from 'express';
+import { validateBody, validateQuery } from '../validation.js';
+import {
+  emailPreferencesSchema,
+  notificationListQuerySchema,
+  notificationPreferencesSchema,
+  notificationReadSchema
+} from '../schemas.js';
+import { NOTIFICATION_TYPES, resolvePreferences } from '../notifications.js';
+import { EMAIL_TYPES } from '../email/templates.js';
+import { resolveEmailPreferences } from '../email/mailer.js';
+
+// =========================================================
+// NOTIFICATION ROUTES (mounted at /api/notifications)
+// =========================================================
+
+// Everything here works on the signed-in user's own notifications
+export default function notificationRoutes({ db, clock, getAccessToken, requireAuth }) {
+  const router = express.Router();
+
+  // Newest first; `unread_count` covers all unread notifications, not just the returned page
+  router.get('/', requireAuth(), validateQuery(notificationListQuerySchema), async (req, res) => {
+    try {
+      const userId = req.userProfile.id;
+
+      const [list, unread] = await Promise.all([
+        db.notifications.listForUser(userId, { unreadOnly: !!req.filters.unread, limit: req.filters.limit || 50 }),
+        db.notifications.countUnread(userId)
+      ]);
+
+      if (list.error) {
+        return res.status(400).json({ message: list.error.message });
+      }
+
+      res.json({ data: list.data || [], unread_count: unread.count || 0 });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/preferences', requireAuth(), async (req, res) => {
+    try {
+      const { data: profile, error } = await db.profiles.findById(req.userProfile.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({
+        preferences: resolvePreferences(profile.notification_preferences),
+        types: Object.entries(NOTIFICATION_TYPES).map(([type, description]) => ({ type, description }))
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.put('/preferences', requireAuth(), validateBody(notificationPreferencesSchema, { partial: true }), async (req, res) => {
+    try {
+      const { data: profile, error: profileError } = await db.profiles.findById(req.userProfile.id);
+
+      if (profileError) {
+        return res.status(400).json({ message: profileError.message });
+      }
+
+      const preferences = resolvePreferences({ ...profile.notification_preferences, ...req.body });
+
+      const { error } = await db.profiles.update(req.userProfile.id, { notification_preferences: preferences });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Notification preferences updated", preferences });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Opting out of an email type keeps its in-app notification, and the other way around
+  router.get('/email-preferences', requireAuth(), async (req, res) => {
+    try {
+      const { data: profile, error } = await db.profiles.findById(req.userProfile.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({
+        preferences: resolveEmailPreferences(profile.email_preferences),
+        types: Object.entries(EMAIL_TYPES).map(([type, description]) => ({ type, description }))
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.put('/email-preferences', requireAuth(), validateBody(emailPreferencesSchema, { partial: true }), async (req, res) => {
+    try {
+      const { data: profile, error: profileError } = await db.profiles.findById(req.userProfile.id);
+
+      if (profileError) {
+        return res.status(400).json({ message: profileError.message });
+      }
+
+      const preferences = resolveEmailPreferences({ ...profile.email_preferences, ...req.body });
+
+      const { error } = await db.profiles.update(req.userProfile.id, { email_preferences: preferences });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Email preferences updated", preferences });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.patch('/read-all', requireAuth(), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { error } = await scopedDb.notifications.markAllRead(req.userProfile.id, clock.now().toISOString());
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "All notifications marked as read" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.patch('/:id', requireAuth(), validateBody(notificationReadSchema), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+      const readAt = req.body.read ? clock.now().toISOString() : null;
+
+      const { data, error } = await scopedDb.notifications.markRead(req.userProfile.id, req.params.id, readAt);
+
+      if (error || !data) {
+        return res.status(404).json({ message: "Notification not found" });
+      }
+
+      res.json({ message: req.body.read ? "Notification marked as read" : "Notification marked as unread", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
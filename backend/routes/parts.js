@@ -0,0 +1,270 @@
+import express from 'express';
+import { validateBody, validateQuery } from '../validation.js';
+import { partListQuerySchema, partSchema, reorderPointSchema, stockAdjustmentSchema, stockMovementQuerySchema } from '../schemas.js';
+import { PART_LOOKUPS, STOCK_LOOKUPS, checkRetiredLookups } from '../lookups.js';
+
+// =========================================================
+// SPARE PART ROUTES (mounted at /api/parts)
+// =========================================================
+
+// Stock only changes through movements: receipts and adjustments here, consumption and
+// returns through the parts of a request (routes/requests.js)
+
+// The part with its stock summed over all locations
+function withStockTotals(part) {
+  const stock = part.stock || [];
+  return {
+    ...part,
+    total_quantity: stock.reduce((sum, s) => sum + s.quantity, 0),
+    low_stock: stock.some(s => s.reorder_point > 0 && s.quantity <= s.reorder_point)
+  };
+}
+
+export default function partRoutes({ db, live, getAccessToken, requirePermission }) {
+  const router = express.Router();
+
+  // Part numbers are unique; answers 400 and resolves true when another part has it
+  async function isDuplicatePartNumber(res, partNumber, id = null) {
+    const { data: existing } = await db.parts.findByPartNumber(partNumber);
+
+    if (existing && String(existing.id) !== String(id)) {
+      res.status(400).json({
+        message: "Validation failed",
+        errors: { part_number: `Part number ${partNumber} is already used by ${existing.name}` }
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  // Technicians read the catalog to pick the parts they used
+  router.get('/', requirePermission('consume_parts'), validateQuery(partListQuerySchema), async (req, res) => {
+    try {
+      const { data, error } = await db.parts.list({
+        search: req.filters.q,
+        categoryId: req.filters.category_id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json((data || []).map(withStockTotals));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Stock at or below its reorder point, emptiest first
+  router.get('/low-stock', requirePermission('manage_parts'), async (req, res) => {
+    try {
+      const { data, error } = await db.partStock.listLow();
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json((data || []).map(s => ({ ...s, shortfall: s.reorder_point - s.quantity })));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/movements', requirePermission('manage_parts'), validateQuery(stockMovementQuerySchema), async (req, res) => {
+    try {
+      const { data, error } = await db.stockMovements.list({
+        partId: req.filters.part_id,
+        locationId: req.filters.location_id,
+        type: req.filters.type,
+        limit: req.filters.limit
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json(data || []);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/:id', requirePermission('consume_parts'), async (req, res) => {
+    try {
+      const { data } = await db.parts.findById(req.params.id);
+
+      if (!data) {
+        return res.status(404).json({ message: "Part not found" });
+      }
+
+      res.json(withStockTotals(data));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/', requirePermission('manage_parts'), validateBody(partSchema), async (req, res) => {
+    try {
+      if (await isDuplicatePartNumber(res, req.body.part_number)) return;
+
+      const lookupErrors = await checkRetiredLookups(db, PART_LOOKUPS, req.body);
+      if (lookupErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: lookupErrors });
+      }
+
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data, error } = await scopedDb.parts.create({
+        part_number: req.body.part_number,
+        name: req.body.name,
+        description: req.body.description || null,
+        unit_cost: req.body.unit_cost,
+        compatible_category_ids: [...new Set(req.body.compatible_category_ids || [])]
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('part.created', { id: data.id });
+
+      res.json({ message: "Part created", data: withStockTotals(data) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Changing unit_cost only affects parts consumed from now on; request lines keep their cost
+  router.put('/:id', requirePermission('manage_parts'), validateBody(partSchema), async (req, res) => {
+    try {
+      const { data: current } = await db.parts.findById(req.params.id);
+
+      if (!current) {
+        return res.status(404).json({ message: "Part not found" });
+      }
+
+      if (await isDuplicatePartNumber(res, req.body.part_number, current.id)) return;
+
+      const lookupErrors = await checkRetiredLookups(db, PART_LOOKUPS, req.body, current);
+      if (lookupErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: lookupErrors });
+      }
+
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data, error } = await scopedDb.parts.update(current.id, {
+        part_number: req.body.part_number,
+        name: req.body.name,
+        description: req.body.description || null,
+        unit_cost: req.body.unit_cost,
+        compatible_category_ids: [...new Set(req.body.compatible_category_ids || [])]
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('part.updated', { id: data.id });
+
+      res.json({ message: "Part updated", data: withStockTotals(data) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Only parts that never had stock can be deleted, so the movement log stays complete
+  router.delete('/:id', requirePermission('manage_parts'), async (req, res) => {
+    try {
+      const { data: current } = await db.parts.findById(req.params.id);
+
+      if (!current) {
+        return res.status(404).json({ message: "Part not found" });
+      }
+
+      const { data: movements } = await db.stockMovements.list({ partId: current.id, limit: 1 });
+
+      if (movements && movements.length > 0) {
+        return res.status(400).json({ message: "Parts with stock movements can't be deleted" });
+      }
+
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+      const { error } = await scopedDb.parts.remove(current.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('part.deleted', { id: current.id });
+
+      res.json({ message: "Part deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Receives stock into a location, or corrects it after a count
+  router.post('/:id/stock', requirePermission('manage_parts'), validateBody(stockAdjustmentSchema), async (req, res) => {
+    try {
+      const { data: part } = await db.parts.findById(req.params.id);
+
+      if (!part) {
+        return res.status(404).json({ message: "Part not found" });
+      }
+
+      // A retired location only takes corrections of the stock it already holds
+      const stockedAt = { location_id: (part.stock || []).map(s => s.location_id) };
+      const lookupErrors = await checkRetiredLookups(db, STOCK_LOOKUPS, req.body, stockedAt);
+      if (lookupErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: lookupErrors });
+      }
+
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data, error } = await scopedDb.stockMovements.adjust({
+        part_id: part.id,
+        location_id: req.body.location_id,
+        change: req.body.quantity,
+        type: req.body.type,
+        note: req.body.note || null,
+        created_by_user_id: req.userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('part.updated', { id: part.id });
+
+      res.json({ message: req.body.type === 'RECEIPT' ? "Stock received" : "Stock adjusted", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.put('/:id/stock/:locationId', requirePermission('manage_parts'), validateBody(reorderPointSchema), async (req, res) => {
+    try {
+      const { data: part } = await db.parts.findById(req.params.id);
+
+      if (!part) {
+        return res.status(404).json({ message: "Part not found" });
+      }
+
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data, error } = await scopedDb.partStock.setReorderPoint(part.id, req.params.locationId, req.body.reorder_point);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('part.updated', { id: part.id });
+
+      res.json({ message: "Reorder point saved", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,219 @@
+import express from 'express';
+import { validateBody, validateQuery } from '../validation.js';
+import { pmForecastQuerySchema, pmPlanSchema } from '../schemas.js';
+import { listOccurrences } from '../recurrence.js';
+import { createPmScheduler, isGenerated } from '../jobs/pmScheduler.js';
+import { PM_PLAN_LOOKUPS, checkRetiredLookups } from '../lookups.js';
+
+// =========================================================
+// PREVENTIVE MAINTENANCE PLAN ROUTES (mounted at /api/pm-plans)
+// =========================================================
+
+// Stored values for a validated plan body; the recurrence fields that don't apply to
+// the chosen frequency are cleared
+function toPlanRow(body) {
+  const maintenanceFor = body.maintenance_for || 'EQUIPMENT';
+  return {
+    name: body.name,
+    maintenance_for: maintenanceFor,
+    equipment_id: maintenanceFor === 'EQUIPMENT' ? body.equipment_id : null,
+    workcenter_id: maintenanceFor === 'WORKCENTER' ? body.workcenter_id : null,
+    category_id: body.category_id ?? null,
+    team_id: body.team_id ?? null,
+    technician_id: body.technician_id ?? null,
+    duration_minutes: body.duration_minutes ?? 0,
+    priority: body.priority ?? 2,
+    instructions: body.instructions ?? null,
+    frequency: body.frequency,
+    repeat_every: body.repeat_every ?? 1,
+    weekday: body.frequency === 'WEEKLY' ? body.weekday ?? null : null,
+    day_of_month: body.frequency === 'MONTHLY' ? body.day_of_month ?? null : null,
+    time_of_day: body.time_of_day || '08:00',
+    start_date: body.start_date,
+    end_date: body.end_date ?? null,
+    lead_days: body.lead_days ?? 14,
+    active: body.active ?? true
+  };
+}
+
+export default function pmPlanRoutes({ db, clock, live, webhooks, notifier, getAccessToken, requirePermission, requireRequestAccess }) {
+  const router = express.Router();
+
+  // Active plans can't target an archived work center; otherwise answers 400 and resolves false
+  async function checkWorkcenter(scopedDb, row, res) {
+    if (!row.active || !row.workcenter_id) return true;
+
+    const { data: workcenter } = await scopedDb.workcenters.findById(row.workcenter_id);
+
+    if (workcenter?.archived_at) {
+      res.status(400).json({ message: "Validation failed", errors: { workcenter_id: "Work center is archived" } });
+      return false;
+    }
+
+    return true;
+  }
+
+  router.get('/', requirePermission('manage_pm_plans'), async (req, res) => {
+    try {
+      const { data, error } = await db.pmPlans.list();
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json((data || []).map(plan => ({
+        ...plan,
+        equipment: plan.equipment?.name || null,
+        workcenter: plan.workcenter?.name || null,
+        team: plan.team?.name || null,
+        technician: plan.technician?.name || null
+      })));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Upcoming occurrences of the active plans between `from` and `to` (YYYY-MM-DD).
+  // Occurrences the scheduler already turned into requests carry their request_id.
+  router.get('/forecast', requireRequestAccess(), validateQuery(pmForecastQuerySchema), async (req, res) => {
+    try {
+      const userProfile = req.userProfile;
+
+      // Forecasts follow the request scoping: technicians see their own plans, employees none
+      if (!req.canViewAll && userProfile.role !== 'TECHNICIAN') {
+        return res.json([]);
+      }
+
+      const { data: plans, error } = await db.pmPlans.list({
+        activeOnly: true,
+        technicianId: req.canViewAll ? undefined : userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const from = `${req.filters.from}T00:00:00.000Z`;
+      const to = `${req.filters.to}T23:59:59.999Z`;
+      const forecast = [];
+
+      for (const plan of plans || []) {
+        const occurrences = listOccurrences(plan, from, to);
+        if (occurrences.length === 0) continue;
+
+        const { data: existing } = await db.requests.listForPlan(plan.id, { from, to });
+        const requestIds = new Map((existing || []).map(r => [Date.parse(r.pm_occurrence_at), r.id]));
+
+        // Generated occurrences whose request was deleted since are gone for good
+        const shown = occurrences.filter(at => requestIds.has(Date.parse(at)) || !isGenerated(plan, at));
+
+        shown.forEach(scheduledAt => forecast.push({
+          plan_id: plan.id,
+          subject: plan.name,
+          scheduled_at: scheduledAt,
+          maintenance_for: plan.maintenance_for,
+          equipment: plan.equipment?.name || null,
+          workcenter: plan.workcenter?.name || null,
+          technician: plan.technician?.name || null,
+          duration_minutes: plan.duration_minutes,
+          request_id: requestIds.get(Date.parse(scheduledAt)) || null
+        }));
+      }
+
+      forecast.sort((a, b) => a.scheduled_at.localeCompare(b.scheduled_at));
+      res.json(forecast);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Runs the scheduler now instead of waiting for its next tick
+  router.post('/run', requirePermission('manage_pm_plans'), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+      const result = await createPmScheduler({ db: scopedDb, clock, live, webhooks, notifier }).run();
+
+      res.json({ message: `${result.created} preventive request(s) created`, data: result });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/', requirePermission('manage_pm_plans'), validateBody(pmPlanSchema), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+      const row = toPlanRow(req.body);
+
+      if (!(await checkWorkcenter(scopedDb, row, res))) return;
+
+      const lookupErrors = await checkRetiredLookups(db, PM_PLAN_LOOKUPS, row);
+      if (lookupErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: lookupErrors });
+      }
+
+      const { data, error } = await scopedDb.pmPlans.create({
+        ...row,
+        created_by_user_id: req.userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "PM plan created", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.put('/:id', requirePermission('manage_pm_plans'), validateBody(pmPlanSchema), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data: current } = await scopedDb.pmPlans.findById(req.params.id);
+
+      if (!current) {
+        return res.status(404).json({ message: "PM plan not found" });
+      }
+
+      const row = toPlanRow(req.body);
+
+      if (!(await checkWorkcenter(scopedDb, row, res))) return;
+
+      // A retired category the plan already has can stay
+      const lookupErrors = await checkRetiredLookups(db, PM_PLAN_LOOKUPS, row, current);
+      if (lookupErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: lookupErrors });
+      }
+
+      const { data, error } = await scopedDb.pmPlans.update(req.params.id, row);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "PM plan updated", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Requests already generated from the plan are kept
+  router.delete('/:id', requirePermission('manage_pm_plans'), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { error } = await scopedDb.pmPlans.remove(req.params.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "PM plan deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
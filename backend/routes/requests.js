@@ -0,0 +1,740 @@
+import express from 'express';
+import { validateBody, validateQuery } from '../validation.js';
+import { getCreatableRequestFields, getEditableRequestFields } from '../permissions.js';
+import { TRANSITIONS, checkTransition, getAvailableTransitions } from '../workflow.js';
+import { buildStagePeriods, buildTimeline, sumStageDurations } from '../timeline.js';
+import { computeSlaFields, slaStatus, stageChangeSlaFields } from '../sla.js';
+import { removeStoredFiles } from '../attachments.js';
+import { REQUEST_LOOKUPS, checkRetiredLookups } from '../lookups.js';
+import {
+  STAGES,
+  createRequestSchema,
+  requestInstructionSchema,
+  requestListQuerySchema,
+  requestNoteSchema,
+  requestPartSchema,
+  requestStageSchema,
+  requestWorksheetSchema
+} from '../schemas.js';
+
+// =========================================================
+// MAINTENANCE REQUESTS ROUTES (mounted at /api/requests)
+// =========================================================
+
+// Store "YYYY-MM-DD HH:mm" form values as UTC timestamps
+function normalizeScheduledAt(value) {
+  if (value && !value.includes('T')) {
+    return value.replace(' ', 'T') + 'Z';
+  }
+  return value;
+}
+
+// [field, repository, error] of the records a request points at
+const REQUEST_REFERENCES = [
+  ['equipment_id', 'equipment', 'Equipment not found'],
+  ['workcenter_id', 'workcenters', 'Work center not found'],
+  ['team_id', 'teams', 'Team not found']
+];
+
+// Field errors for the records `values` points at that don't exist, or null
+async function checkReferences(db, values) {
+  const errors = {};
+
+  for (const [field, repository, message] of REQUEST_REFERENCES) {
+    if (values[field] == null || values[field] === '') continue;
+
+    const { data } = await db[repository].findById(values[field]);
+    if (!data) errors[field] = message;
+  }
+
+  return Object.keys(errors).length > 0 ? errors : null;
+}
+
+// The 403 message when a TECHNICIAN / EMPLOYEE may not see `request`, otherwise null
+function viewAccessError(req, request) {
+  if (req.canViewAll) return null;
+  if (req.userProfile.role === 'TECHNICIAN' && request.technician_id !== req.userProfile.id) {
+    return "You can only view requests assigned to you";
+  }
+  if (req.userProfile.role === 'EMPLOYEE' && request.created_by_user_id !== req.userProfile.id) {
+    return "You can only view your own requests";
+  }
+  return null;
+}
+
+// Request fields the SLA due dates depend on (see backend/sla.js)
+const SLA_INPUT_FIELDS = ['priority', 'maintenance_type', 'scheduled_at'];
+
+// Changing these makes the due reminder emails go out again (see jobs/dueReminders.js)
+const REMINDER_INPUT_FIELDS = ['scheduled_at', 'technician_id'];
+
+// Whether an incoming (validated) value differs from the stored one
+function hasChanged(field, current, next) {
+  if (current == null || next == null) return (current ?? null) !== (next ?? null);
+  if (field === 'scheduled_at') return Date.parse(current) !== Date.parse(next);
+  if (field === 'request_date') return String(current).substring(0, 10) !== next;
+  return String(current) !== String(next);
+}
+
+export default function requestRoutes({ db, clock, notifier, webhooks, live, storage, assigner, requirePermission, requireRequestAccess }) {
+  const router = express.Router();
+
+  // Without `page` the full (filtered) list is returned as an array; with it the
+  // response is `{ data, total, page, page_size }`
+  router.get('/', requireRequestAccess(), validateQuery(requestListQuerySchema), async (req, res) => {
+    try {
+      const query = req.filters;
+      const pageSize = query.page_size || 20;
+      const options = {
+        filters: {
+          stage: query.stage,
+          priority: query.priority,
+          team_id: query.team_id,
+          technician_id: query.technician_id,
+          equipment_id: query.equipment_id,
+          maintenance_type: query.maintenance_type
+        },
+        search: query.q,
+        dateFrom: query.date_from,
+        dateTo: query.date_to,
+        overdueAt: query.overdue ? clock.now().toISOString() : null,
+        sort: query.sort || 'created_at',
+        ascending: query.order === 'asc',
+        offset: query.page ? (query.page - 1) * pageSize : 0,
+        limit: query.page ? pageSize : null
+      };
+
+      // Filter by user if they can't view all
+      if (!req.canViewAll) {
+        // TECHNICIAN can only see assigned requests, EMPLOYEE can only see own requests
+        if (req.userProfile.role === 'TECHNICIAN') {
+          options.technicianId = req.userProfile.id;
+        } else if (req.userProfile.role === 'EMPLOYEE') {
+          options.createdByUserId = req.userProfile.id;
+        }
+      }
+
+      const { data: requests, error, count } = await db.requests.list(options);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const now = clock.now();
+      const formatted = (requests || []).map(req => ({
+        ...req,
+        sla: slaStatus(req, now),
+        id: req.id,
+        subject: req.subject,
+        scheduled_at: req.scheduled_at,
+        stage: req.stage,
+        maintenance_for: req.maintenance_for,
+        employee: req.created_by?.name || null,
+        technician: req.technician?.name || null,
+        category: req.category?.name || null,
+        equipment: req.equipment?.name || null,
+        workcenter: req.workcenter?.name || null,
+        team: req.team?.name || null,
+        company: req.company
+      }));
+
+      if (!query.page) {
+        return res.json(formatted);
+      }
+
+      res.json({ data: formatted, total: count ?? formatted.length, page: query.page, page_size: pageSize });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/meta', async (req, res) => {
+    try {
+      const [equipment, workcenters, teams, techs, categories] = await Promise.all([
+        db.equipment.listOptions(),
+        db.workcenters.listOptions(),
+        db.teams.listOptions(),
+        db.profiles.list({ role: 'TECHNICIAN' }),
+        db.categories.list()
+      ]);
+
+      res.json({
+        equipment: equipment.data || [],
+        workcenters: workcenters.data || [],
+        teams: teams.data || [],
+        techs: techs.data || [],
+        categories: categories.data || []
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/workflow', (req, res) => {
+    res.json({ stages: STAGES, transitions: TRANSITIONS });
+  });
+
+  router.get('/:id/details', requireRequestAccess(), async (req, res) => {
+    try {
+      const id = req.params.id;
+      const userProfile = req.userProfile;
+
+      // Check if user can access this request
+      const { data: requestData } = await db.requests.findById(id);
+
+      if (!requestData) {
+        return res.status(404).json({ message: "Request not found" });
+      }
+
+      // Check access permissions
+      const accessError = viewAccessError(req, requestData);
+      if (accessError) {
+        return res.status(403).json({ message: accessError });
+      }
+
+      const [request, notes, instructions, worksheet] = await Promise.all([
+        db.requests.findDetailed(id),
+        db.notes.listByRequest(id),
+        db.instructions.listByRequest(id),
+        db.worksheet.listByRequest(id)
+      ]);
+
+      if (request.error) {
+        return res.status(400).json({ message: request.error.message });
+      }
+
+      res.json({
+        request: request.data,
+        sla: slaStatus(requestData, clock.now()),
+        transitions: getAvailableTransitions(userProfile.role, requestData),
+        notes: (notes.data || []).map(n => ({
+          id: n.id,
+          note: n.note,
+          created_at: new Date(n.created_at).toLocaleString(),
+          created_by: n.created_by?.name
+        })),
+        instructions: (instructions.data || []).map(i => ({
+          id: i.id,
+          instruction: i.instruction,
+          created_at: new Date(i.created_at).toLocaleString(),
+          created_by: i.created_by?.name
+        })),
+        worksheet: (worksheet.data || []).map(w => ({
+          id: w.id,
+          comment: w.comment,
+          created_at: new Date(w.created_at).toLocaleString(),
+          created_by: w.created_by?.name
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/:id/history', requireRequestAccess(), async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      const { data: request } = await db.requests.findDetailed(id);
+
+      if (!request) {
+        return res.status(404).json({ message: "Request not found" });
+      }
+
+      const accessError = viewAccessError(req, request);
+      if (accessError) {
+        return res.status(403).json({ message: accessError });
+      }
+
+      const [history, notes, instructions, worksheet] = await Promise.all([
+        db.stageHistory.listByRequest(id),
+        db.notes.listByRequest(id),
+        db.instructions.listByRequest(id),
+        db.worksheet.listByRequest(id)
+      ]);
+
+      if (history.error) {
+        return res.status(400).json({ message: history.error.message });
+      }
+
+      const stageChanges = history.data || [];
+      const periods = buildStagePeriods(request, stageChanges, clock.now().toISOString());
+
+      res.json({
+        timeline: buildTimeline(request, stageChanges, {
+          note: { rows: notes.data || [], textField: 'note' },
+          instruction: { rows: instructions.data || [], textField: 'instruction' },
+          worksheet: { rows: worksheet.data || [], textField: 'comment' }
+        }),
+        stages: periods,
+        time_in_stage: sumStageDurations(periods)
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/', requirePermission('create_request'), validateBody(createRequestSchema), async (req, res) => {
+    try {
+      const creatable = getCreatableRequestFields(req.userProfile);
+      const locked = Object.keys(req.body).filter(field => req.body[field] != null && !creatable.includes(field));
+
+      if (locked.length > 0) {
+        const errors = Object.fromEntries(locked.map(field => [field, "You can't set this field"]));
+        return res.status(403).json({ message: "You don't have permission to set some of these fields", errors });
+      }
+
+      const scheduledAt = normalizeScheduledAt(req.body.scheduled_at);
+
+      const { data: slaPolicies, error: slaError } = await db.slaPolicies.list();
+
+      if (slaError) {
+        return res.status(400).json({ message: slaError.message });
+      }
+
+      const values = {
+        subject: req.body.subject,
+        created_by_user_id: req.userProfile.id,
+        maintenance_for: req.body.maintenance_for || 'EQUIPMENT',
+        equipment_id: req.body.equipment_id || null,
+        workcenter_id: req.body.workcenter_id || null,
+        category_id: req.body.category_id || null,
+        request_date: req.body.request_date || clock.now().toISOString().split('T')[0],
+        maintenance_type: req.body.maintenance_type || 'CORRECTIVE',
+        team_id: req.body.team_id || null,
+        technician_id: req.body.technician_id || null,
+        scheduled_at: scheduledAt || null,
+        duration_minutes: req.body.duration_minutes || 0,
+        priority: req.body.priority || 2,
+        stage: 'NEW_REQUEST',
+        blocked: false,
+        company: 'My Company'
+      };
+
+      const referenceErrors = await checkReferences(db, values);
+      if (referenceErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: referenceErrors });
+      }
+
+      if (values.maintenance_for === 'WORKCENTER' && values.workcenter_id) {
+        const { data: workcenter } = await db.workcenters.findById(values.workcenter_id);
+        if (workcenter?.archived_at) {
+          return res.status(400).json({ message: "Validation failed", errors: { workcenter_id: "Work center is archived" } });
+        }
+      }
+
+      const lookupErrors = await checkRetiredLookups(db, REQUEST_LOOKUPS, values);
+      if (lookupErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: lookupErrors });
+      }
+
+      // Team and technician not picked by a manager come from the equipment / work center or
+      // the team's assignment strategy
+      const { data: assignment, error: assignmentError } = await assigner.assign(values);
+
+      if (assignmentError) {
+        return res.status(400).json({ message: assignmentError.message });
+      }
+
+      values.team_id = assignment.team_id;
+      values.technician_id = assignment.technician_id;
+
+      const { data, error } = await db.requests.create({
+        ...values,
+        ...computeSlaFields({ ...values, created_at: clock.now().toISOString() }, slaPolicies || [])
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      await webhooks.emit('request.created', { request: data });
+      live.publish('request.created', { id: data.id }, { request: data });
+      await notifier.requestCreated(data, req.userProfile);
+      if (data.technician_id) {
+        await notifier.requestAssigned(data, req.userProfile);
+      }
+
+      res.json({
+        message: "Request created",
+        data,
+        assignment: { team: assignment.team_source, technician: assignment.technician_source }
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // PUT expects the whole form (subject included), PATCH any subset of fields. Only values
+  // that actually differ from the stored request are checked against the caller's editable
+  // fields, so the form can always send the full record back.
+  async function updateRequest(req, res) {
+    try {
+      const id = req.params.id;
+      const userProfile = req.userProfile;
+
+      const { data: current } = await db.requests.findById(id);
+
+      if (!current) {
+        return res.status(404).json({ message: "Request not found" });
+      }
+
+      if (!req.canViewAll) {
+        if (userProfile.role === 'TECHNICIAN' && current.technician_id !== userProfile.id) {
+          return res.status(403).json({ message: "You can only edit requests assigned to you" });
+        }
+        if (userProfile.role === 'EMPLOYEE' && current.created_by_user_id !== userProfile.id) {
+          return res.status(403).json({ message: "You can only edit your own requests" });
+        }
+      }
+
+      const changes = {};
+      for (const [field, value] of Object.entries(req.body)) {
+        const next = field === 'scheduled_at' ? normalizeScheduledAt(value) : value;
+        if (hasChanged(field, current[field], next)) changes[field] = next;
+      }
+
+      const editable = getEditableRequestFields(userProfile, current);
+      const locked = Object.keys(changes).filter(field => !editable.includes(field));
+
+      if (locked.length > 0) {
+        const errors = Object.fromEntries(locked.map(field => [field, "You can't change this field"]));
+        const message = userProfile.role === 'EMPLOYEE' && current.stage !== 'NEW_REQUEST'
+          ? "Requests can only be edited until work has started"
+          : "You don't have permission to change some of these fields";
+        return res.status(403).json({ message, errors });
+      }
+
+      const crossFieldErrors = createRequestSchema.refine({ ...current, ...changes })
+        || await checkReferences(db, changes)
+        || await checkRetiredLookups(db, REQUEST_LOOKUPS, changes, current);
+      if (crossFieldErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: crossFieldErrors });
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return res.json({ message: "No changes", data: current });
+      }
+
+      // Due dates follow the policy of the new priority / maintenance type
+      if (SLA_INPUT_FIELDS.some(field => field in changes)) {
+        const { data: slaPolicies } = await db.slaPolicies.list();
+        Object.assign(changes, computeSlaFields({ ...current, ...changes }, slaPolicies || []));
+      }
+
+      if (REMINDER_INPUT_FIELDS.some(field => field in changes)) {
+        Object.assign(changes, { due_soon_emailed_at: null, overdue_emailed_at: null });
+      }
+
+      const { data, error } = await db.requests.update(id, changes);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      await webhooks.emit('request.updated', { request: { ...current, ...data }, changed_fields: Object.keys(changes) });
+      live.publish('request.updated', { id: current.id }, { request: { ...current, ...data }, previous: current });
+      if (changes.technician_id) {
+        await notifier.requestAssigned({ ...current, ...data }, userProfile);
+      }
+
+      res.json({ message: "Request updated", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+
+  router.put('/:id', requireRequestAccess(), validateBody(createRequestSchema), updateRequest);
+  router.patch('/:id', requireRequestAccess(), validateBody(createRequestSchema, { partial: true }), updateRequest);
+
+  router.put('/:id/stage', requirePermission('update_request_stage'), validateBody(requestStageSchema), async (req, res) => {
+    try {
+      const id = req.params.id;
+      const userProfile = req.userProfile;
+
+      const { data: current } = await db.requests.findById(id);
+
+      if (!current) {
+        return res.status(404).json({ message: "Request not found" });
+      }
+
+      // Check if TECHNICIAN can only update assigned requests
+      if (userProfile.role === 'TECHNICIAN' && current.technician_id !== userProfile.id) {
+        return res.status(403).json({ message: "You can only update requests assigned to you" });
+      }
+
+      const problem = checkTransition(userProfile.role, current, req.body);
+      if (problem) {
+        return res.status(problem.status).json({ message: problem.message, errors: problem.errors });
+      }
+
+      const changes = {
+        stage: req.body.stage,
+        ...stageChangeSlaFields(current, current.stage, req.body.stage, clock.now())
+      };
+      if (req.body.blocked != null) changes.blocked = req.body.blocked;
+      if (req.body.resolution) changes.resolution = req.body.resolution;
+
+      const { data, error } = await db.requests.update(id, changes);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Record stage history (blocking / unblocking alone is not a stage change)
+      if (current.stage !== req.body.stage) {
+        await db.stageHistory.create({
+          request_id: parseInt(id),
+          from_stage: current.stage,
+          to_stage: req.body.stage,
+          changed_by_user_id: userProfile.id
+        });
+        await webhooks.emit('request.stage_changed', {
+          request: { ...current, ...data },
+          from_stage: current.stage,
+          to_stage: req.body.stage
+        });
+        await notifier.stageChanged({ ...current, ...data }, current.stage, userProfile);
+        live.publish('request.stage_changed', { id: current.id, from_stage: current.stage, to_stage: req.body.stage }, { request: current });
+      } else {
+        live.publish('request.updated', { id: current.id }, { request: current });
+      }
+
+      res.json({ message: "Stage updated", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/:id/notes', requirePermission('add_notes'), validateBody(requestNoteSchema), async (req, res) => {
+    try {
+      const id = req.params.id;
+      const userProfile = req.userProfile;
+
+      const { data: request } = await db.requests.findById(id);
+
+      if (!request) {
+        return res.status(404).json({ message: "Request not found" });
+      }
+
+      // EMPLOYEE can only add notes to their own requests
+      if (userProfile.role === 'EMPLOYEE' && request.created_by_user_id !== userProfile.id) {
+        return res.status(403).json({ message: "You can only add notes to your own requests" });
+      }
+
+      const { data, error } = await db.notes.create({
+        request_id: parseInt(id),
+        note: req.body.note,
+        created_by_user_id: userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      await notifier.noteAdded(request, req.body.note, userProfile);
+      live.publish('request.updated', { id: request.id }, { request });
+
+      res.json({ message: "Note added", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/:id/instructions', requirePermission('add_instructions'), validateBody(requestInstructionSchema), async (req, res) => {
+    try {
+      const id = req.params.id;
+      const userProfile = req.userProfile;
+
+      const { data: request } = await db.requests.findById(id);
+
+      if (!request) {
+        return res.status(404).json({ message: "Request not found" });
+      }
+
+      const { data, error } = await db.instructions.create({
+        request_id: parseInt(id),
+        instruction: req.body.instruction,
+        created_by_user_id: userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      await notifier.instructionAdded(request, req.body.instruction, userProfile);
+      live.publish('request.updated', { id: request.id }, { request });
+
+      res.json({ message: "Instruction added", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/:id/worksheet', requirePermission('add_worksheet'), validateBody(requestWorksheetSchema), async (req, res) => {
+    try {
+      const id = req.params.id;
+      const userProfile = req.userProfile;
+
+      const { data: request } = await db.requests.findById(id);
+
+      if (!request) {
+        return res.status(404).json({ message: "Request not found" });
+      }
+
+      const { data, error } = await db.worksheet.create({
+        request_id: parseInt(id),
+        comment: req.body.comment,
+        created_by_user_id: userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('request.updated', { id: request.id }, { request });
+
+      res.json({ message: "Worksheet comment added", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/:id/parts', requireRequestAccess(), async (req, res) => {
+    try {
+      const { data: request } = await db.requests.findById(req.params.id);
+
+      if (!request) {
+        return res.status(404).json({ message: "Request not found" });
+      }
+
+      const accessError = viewAccessError(req, request);
+      if (accessError) {
+        return res.status(403).json({ message: accessError });
+      }
+
+      const { data, error } = await db.requestParts.listByRequest(request.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const lines = (data || []).map(l => ({ ...l, total_cost: l.quantity * Number(l.unit_cost) }));
+      res.json({ lines, total_cost: lines.reduce((sum, l) => sum + l.total_cost, 0) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Records parts used on the request and takes them out of stock at `location_id`
+  router.post('/:id/parts', requirePermission('consume_parts'), validateBody(requestPartSchema), async (req, res) => {
+    try {
+      const { data: request } = await db.requests.findById(req.params.id);
+
+      if (!request) {
+        return res.status(404).json({ message: "Request not found" });
+      }
+
+      const accessError = viewAccessError(req, request);
+      if (accessError) {
+        return res.status(403).json({ message: accessError });
+      }
+
+      const { data: part } = await db.parts.findById(req.body.part_id);
+
+      if (!part) {
+        return res.status(400).json({ message: "Validation failed", errors: { part_id: "Part not found" } });
+      }
+
+      const compatible = part.compatible_category_ids || [];
+      if (request.category_id && compatible.length > 0 && !compatible.some(id => String(id) === String(request.category_id))) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: { part_id: `${part.name} doesn't fit equipment of this request's category` }
+        });
+      }
+
+      const { data, error } = await db.requestParts.consume({
+        request_id: request.id,
+        part_id: part.id,
+        location_id: req.body.location_id,
+        quantity: req.body.quantity,
+        created_by_user_id: req.userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('request.updated', { id: request.id }, { request });
+      live.publish('part.updated', { id: part.id });
+
+      res.json({ message: "Parts recorded", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Takes a part line off the request and puts the parts back into stock
+  router.delete('/:id/parts/:lineId', requirePermission('consume_parts'), async (req, res) => {
+    try {
+      const { data: request } = await db.requests.findById(req.params.id);
+
+      if (!request) {
+        return res.status(404).json({ message: "Request not found" });
+      }
+
+      const accessError = viewAccessError(req, request);
+      if (accessError) {
+        return res.status(403).json({ message: accessError });
+      }
+
+      const { data: line } = await db.requestParts.findById(req.params.lineId);
+
+      if (!line || String(line.request_id) !== String(request.id)) {
+        return res.status(404).json({ message: "Part line not found" });
+      }
+
+      const { error } = await db.requestParts.returnToStock(line.id, req.userProfile.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('request.updated', { id: request.id }, { request });
+      live.publish('part.updated', { id: line.part_id });
+
+      res.json({ message: "Parts returned to stock" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.delete('/:id', requirePermission('delete_request'), async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      // Loaded first so the live update reaches everyone who could see the request
+      const { data: current } = await db.requests.findById(id);
+      const { data: attachments } = await db.attachments.listByOwner({ requestId: id });
+
+      const { error } = await db.requests.remove(id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // The attachment rows went with the request (and so did its part lines; consumed
+      // stock stays consumed); the attachment files are removed here
+      await removeStoredFiles(storage, attachments);
+      await webhooks.emit('request.deleted', { request: { id: Number(id) } });
+      if (current) live.publish('request.deleted', { id: current.id }, { request: current });
+
+      res.json({ message: "Request deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
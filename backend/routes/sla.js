@@ -0,0 +1,134 @@
+import express from 'express';
+import { validateBody, validateQuery } from '../validation.js';
+import { slaPolicySchema, slaReportQuerySchema } from '../schemas.js';
+import { buildSlaReport } from '../sla.js';
+import { createSlaEscalator } from '../jobs/slaEscalation.js';
+
+// =========================================================
+// SLA ROUTES (mounted at /api/sla)
+// =========================================================
+
+function toPolicyRow(body) {
+  return {
+    name: body.name,
+    priority: body.priority ?? null,
+    maintenance_type: body.maintenance_type ?? null,
+    response_minutes: body.response_minutes,
+    resolution_minutes: body.resolution_minutes,
+    active: body.active ?? true
+  };
+}
+
+export default function slaRoutes({ db, clock, live, webhooks, notifier, getAccessToken, requirePermission }) {
+  const router = express.Router();
+
+  router.get('/policies', requirePermission('view_all_requests'), async (req, res) => {
+    try {
+      const { data, error } = await db.slaPolicies.list();
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json(data || []);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Policies only apply to requests created (or re-prioritized) after the change
+  router.post('/policies', requirePermission('manage_sla_policies'), validateBody(slaPolicySchema), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data, error } = await scopedDb.slaPolicies.create(toPolicyRow(req.body));
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "SLA policy created", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.put('/policies/:id', requirePermission('manage_sla_policies'), validateBody(slaPolicySchema), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data: current } = await scopedDb.slaPolicies.findById(req.params.id);
+
+      if (!current) {
+        return res.status(404).json({ message: "SLA policy not found" });
+      }
+
+      const { data, error } = await scopedDb.slaPolicies.update(req.params.id, toPolicyRow(req.body));
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "SLA policy updated", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Requests keep the due dates the policy gave them
+  router.delete('/policies/:id', requirePermission('manage_sla_policies'), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { error } = await scopedDb.slaPolicies.remove(req.params.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "SLA policy deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Compliance of the requests created between `from` and `to` (YYYY-MM-DD, both included)
+  router.get('/report', requirePermission('view_all_requests'), validateQuery(slaReportQuerySchema), async (req, res) => {
+    try {
+      const { data, error } = await db.requests.listForSla({
+        createdFrom: `${req.filters.from}T00:00:00.000Z`,
+        createdTo: `${req.filters.to}T23:59:59.999Z`,
+        teamId: req.filters.team_id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const report = buildSlaReport(data || [], clock.now());
+
+      res.json({
+        from: req.filters.from,
+        to: req.filters.to,
+        ...report,
+        breaches: report.breaches.map(r => ({ ...r, team: r.team?.name || null }))
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Runs the escalation job now instead of waiting for its next tick
+  router.post('/escalate', requirePermission('manage_sla_policies'), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+      const result = await createSlaEscalator({ db: scopedDb, clock, live, webhooks, notify: notifier.slaEscalated }).run();
+
+      res.json({ message: `${result.escalated} request(s) escalated`, data: result });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
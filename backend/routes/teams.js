@@ -0,0 +1,302 @@
+import express from 'express';
+import { validateBody } from '../validation.js';
+import { teamMemberSchema, teamMemberUpdateSchema, teamSchema, teamUpdateSchema } from '../schemas.js';
+import { TEAM_MEMBER_LOOKUPS, checkRetiredLookups } from '../lookups.js';
+
+// =========================================================
+// TEAMS ROUTES (mounted at /api/teams)
+// =========================================================
+
+function formatMember(member) {
+  return {
+    id: member.id,
+    user_id: member.user_id,
+    name: member.user?.name || null,
+    role: member.role,
+    category_ids: member.category_ids || []
+  };
+}
+
+// Leads first, then by name
+function formatTeam(team) {
+  return {
+    id: team.id,
+    name: team.name,
+    company: team.company,
+    assignment_strategy: team.assignment_strategy || 'MANUAL',
+    members: (team.members || [])
+      .map(formatMember)
+      .sort((a, b) => a.role.localeCompare(b.role) || String(a.name || '').localeCompare(String(b.name || '')))
+  };
+}
+
+export default function teamRoutes({ db, getAccessToken, requirePermission }) {
+  const router = express.Router();
+
+  // The team :id with its members; otherwise answers 404 and resolves null
+  async function loadTeam(req, res) {
+    const { data: team } = await db.teams.findById(req.params.id);
+
+    if (!team) {
+      res.status(404).json({ message: "Team not found" });
+      return null;
+    }
+
+    return team;
+  }
+
+  router.get('/', requirePermission('manage_teams'), async (req, res) => {
+    try {
+      const { data: teams, error } = await db.teams.list();
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json((teams || []).map(formatTeam));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/meta', async (req, res) => {
+    try {
+      const [users, categories] = await Promise.all([
+        db.profiles.list(),
+        db.categories.list()
+      ]);
+
+      const failed = [users, categories].find(result => result.error);
+      if (failed) {
+        return res.status(400).json({ message: failed.error.message });
+      }
+
+      res.json({
+        users: users.data || [],
+        categories: categories.data || []
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/:id', requirePermission('manage_teams'), async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      res.json(formatTeam(team));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/', requirePermission('manage_teams'), validateBody(teamSchema), async (req, res) => {
+    try {
+      // Use admin client if available (bypasses RLS), otherwise use authenticated client
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { name, company, assignment_strategy, member_ids = [], lead_ids = [] } = req.body;
+
+      // Create the team
+      const { data: team, error: teamError } = await scopedDb.teams.create({
+        name,
+        company: company || 'My Company',
+        assignment_strategy: assignment_strategy || 'MANUAL'
+      });
+
+      if (teamError) {
+        return res.status(400).json({ message: teamError.message });
+      }
+
+      if (!team) {
+        return res.status(400).json({ message: "Failed to create team" });
+      }
+
+      // teamSchema guarantees profile ids; someone listed as both lead and member is a lead
+      const leadIds = [...new Set(lead_ids)];
+      const memberIds = [...new Set(member_ids)].filter(id => !leadIds.includes(id));
+      const membersToInsert = [
+        ...leadIds.map(user_id => ({ team_id: team.id, user_id, role: 'LEAD' })),
+        ...memberIds.map(user_id => ({ team_id: team.id, user_id, role: 'MEMBER' }))
+      ];
+
+      if (membersToInsert.length > 0) {
+        const { error: membersError } = await scopedDb.teams.addMembers(membersToInsert);
+
+        if (membersError) {
+          // The members go in as one insert, so removing the team undoes the whole creation
+          const { error: rollbackError } = await scopedDb.teams.remove(team.id);
+
+          if (rollbackError) {
+            console.error(`Error removing team ${team.id} after its members failed:`, rollbackError);
+          }
+
+          return res.status(400).json({ message: `Team was not created: ${membersError.message}` });
+        }
+      }
+
+      const { data: created } = await db.teams.findById(team.id);
+
+      res.json({ message: "Team created successfully", data: formatTeam(created || team) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.put('/:id', requirePermission('manage_teams'), validateBody(teamUpdateSchema), async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      const { error } = await db.withAccessToken(getAccessToken(req)).teams.update(team.id, {
+        name: req.body.name,
+        company: req.body.company || 'My Company',
+        assignment_strategy: req.body.assignment_strategy || team.assignment_strategy || 'MANUAL'
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const { data: updated } = await db.teams.findById(team.id);
+
+      res.json({ message: "Team updated successfully", data: formatTeam(updated) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Only teams nothing is assigned to can be deleted; their memberships go with them
+  router.delete('/:id', requirePermission('manage_teams'), async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      const { data: references, error: referencesError } = await db.teams.countReferences(team.id);
+
+      if (referencesError) {
+        return res.status(400).json({ message: referencesError.message });
+      }
+
+      const blockers = [
+        references.equipment > 0 && `${references.equipment} equipment`,
+        references.requests > 0 && `${references.requests} request${references.requests === 1 ? '' : 's'}`,
+        references.pm_plans > 0 && `${references.pm_plans} PM plan${references.pm_plans === 1 ? '' : 's'}`
+      ].filter(Boolean);
+
+      if (blockers.length > 0) {
+        const listed = blockers.length > 1
+          ? `${blockers.slice(0, -1).join(', ')} and ${blockers[blockers.length - 1]}`
+          : blockers[0];
+        return res.status(400).json({ message: `${team.name} is still assigned to ${listed}; reassign them before deleting` });
+      }
+
+      const { error } = await db.withAccessToken(getAccessToken(req)).teams.remove(team.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Team deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/:id/members', requirePermission('manage_teams'), validateBody(teamMemberSchema), async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      const { user_id, role = 'MEMBER', category_ids = [] } = req.body;
+
+      if ((team.members || []).some(m => m.user_id === user_id)) {
+        return res.status(400).json({ message: "Validation failed", errors: { user_id: "Already a member of this team" } });
+      }
+
+      const { data: profile } = await db.profiles.findById(user_id);
+
+      if (!profile) {
+        return res.status(400).json({ message: "Validation failed", errors: { user_id: "User not found" } });
+      }
+
+      const lookupErrors = await checkRetiredLookups(db, TEAM_MEMBER_LOOKUPS, { category_ids });
+      if (lookupErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: lookupErrors });
+      }
+
+      const { data, error } = await db.withAccessToken(getAccessToken(req)).teams.addMembers([
+        { team_id: team.id, user_id, role, category_ids: [...new Set(category_ids)] }
+      ]);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Member added", data: formatMember(data[0]) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.put('/:id/members/:userId', requirePermission('manage_teams'), validateBody(teamMemberUpdateSchema, { partial: true }), async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      const member = (team.members || []).find(m => m.user_id === req.params.userId);
+
+      if (!member) {
+        return res.status(404).json({ message: "Team member not found" });
+      }
+
+      const changes = {};
+      if (req.body.role) changes.role = req.body.role;
+      if (req.body.category_ids) changes.category_ids = [...new Set(req.body.category_ids)];
+
+      if (Object.keys(changes).length === 0) {
+        return res.json({ message: "No changes", data: formatMember(member) });
+      }
+
+      // Skills in a retired category the member already has can stay
+      const lookupErrors = await checkRetiredLookups(db, TEAM_MEMBER_LOOKUPS, changes, member);
+      if (lookupErrors) {
+        return res.status(400).json({ message: "Validation failed", errors: lookupErrors });
+      }
+
+      const { data, error } = await db.withAccessToken(getAccessToken(req)).teams.updateMember(team.id, member.user_id, changes);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Member updated", data: formatMember(data) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.delete('/:id/members/:userId', requirePermission('manage_teams'), async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      if (!(team.members || []).some(m => m.user_id === req.params.userId)) {
+        return res.status(404).json({ message: "Team member not found" });
+      }
+
+      const { error } = await db.withAccessToken(getAccessToken(req)).teams.removeMember(team.id, req.params.userId);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Member removed" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
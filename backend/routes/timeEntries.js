@@ -0,0 +1,425 @@
+import express from 'express';
+import { canViewRequest, hasPermission } from '../permissions.js';
+import { validateBody, validateQuery } from '../validation.js';
+import { timeEntrySchema, timesheetQuerySchema } from '../schemas.js';
+import { CLOSED_STAGES } from '../sla.js';
+
+// =========================================================
+// TIME ENTRY ROUTES (mounted at /api/time-entries)
+// =========================================================
+
+// Time is logged per request and person, with a timer or as a manual entry. A timer is an
+// entry without ended_at; pausing ends that entry and marks it paused, resuming starts a
+// new one. Nobody's entries may overlap, so a person has at most one running timer.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TIMESHEET_DAYS = 92;
+
+// Whole minutes of an entry; a running timer counts up to `now`
+function entryMinutes(entry, now) {
+  const end = entry.ended_at ? Date.parse(entry.ended_at) : now.getTime();
+  return Math.max(0, Math.round((end - Date.parse(entry.started_at)) / 60000));
+}
+
+function toEntryResponse(entry, now) {
+  return { ...entry, minutes: entryMinutes(entry, now), running: !entry.ended_at };
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().substring(0, 10);
+}
+
+// Monday of the (UTC) week `now` falls in, as YYYY-MM-DD
+function startOfWeek(now) {
+  const today = now.toISOString().substring(0, 10);
+  return addDays(today, -((now.getUTCDay() + 6) % 7));
+}
+
+export default function timeEntryRoutes({ db, clock, live, requirePermission }) {
+  const router = express.Router();
+
+  // The request :id when the caller may see it; otherwise answers and resolves null
+  async function loadRequest(req, res, id) {
+    const { data: request } = await db.requests.findById(id);
+
+    if (!request) {
+      res.status(404).json({ message: "Request not found" });
+      return null;
+    }
+
+    if (!canViewRequest(req.userProfile, request)) {
+      res.status(403).json({ message: "You don't have access to this request" });
+      return null;
+    }
+
+    return request;
+  }
+
+  // Entry :id when it is the caller's own or the caller manages time entries
+  async function loadOwnEntry(req, res) {
+    const { data: entry } = await db.timeEntries.findById(req.params.id);
+
+    if (!entry) {
+      res.status(404).json({ message: "Time entry not found" });
+      return null;
+    }
+
+    if (entry.user_id !== req.userProfile.id && !hasPermission(req.userProfile, 'manage_time_entries')) {
+      res.status(403).json({ message: "You can only change your own time entries" });
+      return null;
+    }
+
+    return entry;
+  }
+
+  // The caller's running timer (on any request) and paused timers
+  async function loadOpenEntries(userId) {
+    const { data, error } = await db.timeEntries.listOpen(userId);
+    if (error) throw new Error(error.message);
+    return {
+      running: (data || []).find(e => !e.ended_at) || null,
+      paused: (data || []).filter(e => e.ended_at && e.paused)
+    };
+  }
+
+  // Field errors for a manual entry of `userId` from `startedAt` to `endedAt`, or null
+  async function checkManualEntry(userId, startedAt, endedAt, excludeId = null) {
+    if (Date.parse(endedAt) > clock.now().getTime()) {
+      return { ended_at: "End can't be in the future" };
+    }
+
+    const { data: overlapping, error } = await db.timeEntries.listOverlapping({ userId, startedAt, endedAt, excludeId });
+    if (error) throw new Error(error.message);
+
+    if (overlapping && overlapping.length > 0) {
+      const other = overlapping[0];
+      return {
+        started_at: other.ended_at
+          ? `Overlaps time already logged on request #${other.request_id}`
+          : `Overlaps the timer running on request #${other.request_id}`
+      };
+    }
+
+    return null;
+  }
+
+  function publishChange(request) {
+    live.publish('request.updated', { id: request.id }, { request });
+  }
+
+  // The caller's running timer, e.g. for a "timer running" indicator
+  router.get('/running', requirePermission('track_time'), async (req, res) => {
+    try {
+      const { running } = await loadOpenEntries(req.userProfile.id);
+      res.json({ entry: running ? toEntryResponse(running, clock.now()) : null });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Logged time of a request against its planned duration_minutes, and the caller's timer on it
+  router.get('/requests/:id', requirePermission('track_time'), async (req, res) => {
+    try {
+      const request = await loadRequest(req, res, req.params.id);
+      if (!request) return;
+
+      const { data, error } = await db.timeEntries.listByRequest(request.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const now = clock.now();
+      const entries = (data || []).map(e => toEntryResponse(e, now));
+
+      const byUser = new Map();
+      for (const entry of entries) {
+        const total = byUser.get(entry.user_id) || { user: entry.user, minutes: 0 };
+        total.minutes += entry.minutes;
+        byUser.set(entry.user_id, total);
+      }
+
+      const own = entries.filter(e => e.user_id === req.userProfile.id);
+      const running = own.find(e => e.running);
+      const paused = own.find(e => e.paused);
+
+      res.json({
+        planned_minutes: request.duration_minutes || 0,
+        actual_minutes: entries.reduce((sum, e) => sum + e.minutes, 0),
+        by_user: [...byUser.values()],
+        entries,
+        timer: running
+          ? { state: 'RUNNING', entry_id: running.id }
+          : { state: paused ? 'PAUSED' : 'STOPPED', entry_id: paused?.id ?? null }
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Starts (or resumes) the caller's timer on a request
+  router.post('/requests/:id/start', requirePermission('track_time'), async (req, res) => {
+    try {
+      const request = await loadRequest(req, res, req.params.id);
+      if (!request) return;
+
+      if (CLOSED_STAGES.includes(request.stage)) {
+        return res.status(400).json({ message: "Timers can't be started on closed requests" });
+      }
+
+      const { running, paused } = await loadOpenEntries(req.userProfile.id);
+
+      if (running) {
+        const where = String(running.request_id) === String(request.id) ? 'this request' : `request #${running.request_id}`;
+        return res.status(400).json({ message: `Your timer is already running on ${where}. Pause or stop it first.` });
+      }
+
+      const { data, error } = await db.timeEntries.create({
+        request_id: request.id,
+        user_id: req.userProfile.id,
+        started_at: clock.now().toISOString(),
+        source: 'TIMER',
+        created_by_user_id: req.userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Resuming: the paused segments on this request are no longer waiting
+      const pausedHere = paused.filter(e => String(e.request_id) === String(request.id));
+      for (const entry of pausedHere) {
+        await db.timeEntries.update(entry.id, { paused: false });
+      }
+
+      publishChange(request);
+
+      res.json({ message: pausedHere.length > 0 ? "Timer resumed" : "Timer started", data: toEntryResponse(data, clock.now()) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/requests/:id/pause', requirePermission('track_time'), async (req, res) => {
+    try {
+      const request = await loadRequest(req, res, req.params.id);
+      if (!request) return;
+
+      const { running } = await loadOpenEntries(req.userProfile.id);
+
+      if (!running || String(running.request_id) !== String(request.id)) {
+        return res.status(400).json({ message: "Your timer isn't running on this request" });
+      }
+
+      const { data, error } = await db.timeEntries.update(running.id, { ended_at: clock.now().toISOString(), paused: true });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      publishChange(request);
+
+      res.json({ message: "Timer paused", data: toEntryResponse(data, clock.now()) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Stops a running or paused timer
+  router.post('/requests/:id/stop', requirePermission('track_time'), async (req, res) => {
+    try {
+      const request = await loadRequest(req, res, req.params.id);
+      if (!request) return;
+
+      const { running, paused } = await loadOpenEntries(req.userProfile.id);
+      const pausedHere = paused.filter(e => String(e.request_id) === String(request.id));
+
+      if (running && String(running.request_id) === String(request.id)) {
+        const { error } = await db.timeEntries.update(running.id, { ended_at: clock.now().toISOString(), paused: false });
+
+        if (error) {
+          return res.status(400).json({ message: error.message });
+        }
+      } else if (pausedHere.length === 0) {
+        return res.status(400).json({ message: "You have no timer on this request" });
+      }
+
+      for (const entry of pausedHere) {
+        await db.timeEntries.update(entry.id, { paused: false });
+      }
+
+      publishChange(request);
+
+      res.json({ message: "Timer stopped" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Logs time after the fact; ADMIN / MANAGER may log it for someone else (user_id)
+  router.post('/requests/:id', requirePermission('track_time'), validateBody(timeEntrySchema), async (req, res) => {
+    try {
+      const request = await loadRequest(req, res, req.params.id);
+      if (!request) return;
+
+      const userId = req.body.user_id || req.userProfile.id;
+
+      if (userId !== req.userProfile.id) {
+        if (!hasPermission(req.userProfile, 'manage_time_entries')) {
+          return res.status(403).json({ message: "You can only log your own time" });
+        }
+
+        const { data: profile } = await db.profiles.findById(userId);
+
+        if (!profile || !hasPermission(profile, 'track_time')) {
+          return res.status(400).json({
+            message: "Validation failed",
+            errors: { user_id: "Time can only be logged for technicians, managers and admins" }
+          });
+        }
+      }
+
+      const startedAt = new Date(req.body.started_at).toISOString();
+      const endedAt = new Date(req.body.ended_at).toISOString();
+
+      const errors = await checkManualEntry(userId, startedAt, endedAt);
+      if (errors) {
+        return res.status(400).json({ message: "Validation failed", errors });
+      }
+
+      const { data, error } = await db.timeEntries.create({
+        request_id: request.id,
+        user_id: userId,
+        started_at: startedAt,
+        ended_at: endedAt,
+        source: 'MANUAL',
+        note: req.body.note || null,
+        created_by_user_id: req.userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      publishChange(request);
+
+      res.json({ message: "Time logged", data: toEntryResponse(data, clock.now()) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Corrects the times or note of a finished entry; whose time it is doesn't change
+  router.put('/:id', requirePermission('track_time'), validateBody(timeEntrySchema), async (req, res) => {
+    try {
+      const entry = await loadOwnEntry(req, res);
+      if (!entry) return;
+
+      if (!entry.ended_at) {
+        return res.status(400).json({ message: "Stop the timer before editing this entry" });
+      }
+
+      const startedAt = new Date(req.body.started_at).toISOString();
+      const endedAt = new Date(req.body.ended_at).toISOString();
+
+      const errors = await checkManualEntry(entry.user_id, startedAt, endedAt, entry.id);
+      if (errors) {
+        return res.status(400).json({ message: "Validation failed", errors });
+      }
+
+      const { data, error } = await db.timeEntries.update(entry.id, {
+        started_at: startedAt,
+        ended_at: endedAt,
+        note: req.body.note || null
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const { data: request } = await db.requests.findById(entry.request_id);
+      if (request) publishChange(request);
+
+      res.json({ message: "Time entry updated", data: toEntryResponse(data, clock.now()) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Deleting a running entry discards the timer
+  router.delete('/:id', requirePermission('track_time'), async (req, res) => {
+    try {
+      const entry = await loadOwnEntry(req, res);
+      if (!entry) return;
+
+      const { error } = await db.timeEntries.remove(entry.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const { data: request } = await db.requests.findById(entry.request_id);
+      if (request) publishChange(request);
+
+      res.json({ message: "Time entry deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // One person's entries that started between `from` and `to` (both included), with daily
+  // totals; TECHNICIAN only sees their own
+  router.get('/timesheet', requirePermission('track_time'), validateQuery(timesheetQuerySchema), async (req, res) => {
+    try {
+      const userId = req.filters.user_id || req.userProfile.id;
+
+      if (userId !== req.userProfile.id && !hasPermission(req.userProfile, 'manage_time_entries')) {
+        return res.status(403).json({ message: "You can only view your own timesheet" });
+      }
+
+      const now = clock.now();
+      const from = req.filters.from || startOfWeek(now);
+      const to = req.filters.to || addDays(from, 6);
+
+      if (to < from || Date.parse(to) - Date.parse(from) >= MAX_TIMESHEET_DAYS * DAY_MS) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: { to: `Choose a range of 1 to ${MAX_TIMESHEET_DAYS} days` }
+        });
+      }
+
+      const { data, error } = await db.timeEntries.listForUser({
+        userId,
+        from: `${from}T00:00:00.000Z`,
+        to: `${addDays(to, 1)}T00:00:00.000Z`
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const entries = (data || []).map(e => toEntryResponse(e, now));
+
+      const days = [];
+      for (let date = from; date <= to; date = addDays(date, 1)) {
+        const minutes = entries
+          .filter(e => e.started_at.substring(0, 10) === date)
+          .reduce((sum, e) => sum + e.minutes, 0);
+        days.push({ date, minutes });
+      }
+
+      res.json({
+        user_id: userId,
+        from,
+        to,
+        total_minutes: entries.reduce((sum, e) => sum + e.minutes, 0),
+        days,
+        entries
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,89 @@
+import express from 'express';
+import { validateBody } from '../validation.js';
+import { hourlyRateSchema, userRoleSchema, workingHoursSchema } from '../schemas.js';
+
+// =========================================================
+// USER MANAGEMENT ROUTES (mounted at /api/users)
+// =========================================================
+
+export default function userRoutes({ db, requirePermission }) {
+  const router = express.Router();
+
+  router.put('/:id/role', requirePermission('change_user_roles'), validateBody(userRoleSchema), async (req, res) => {
+    try {
+      const userId = req.params.id;
+      const { role } = req.body;
+
+      const { data, error } = await db.profiles.update(userId, { role });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "User role updated", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Working hours feed the technician load on the dashboard (backend/load.js)
+  router.put('/:id/working-hours', requirePermission('manage_working_hours'), validateBody(workingHoursSchema), async (req, res) => {
+    try {
+      const { data: profile } = await db.profiles.findById(req.params.id);
+
+      if (!profile) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const { data, error } = await db.profiles.update(req.params.id, {
+        work_days: [...new Set(req.body.work_days)].sort((a, b) => a - b),
+        work_hours_per_day: req.body.work_hours_per_day
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Working hours updated", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Hourly rates price the time people log on requests (backend/costs.js)
+  router.put('/:id/hourly-rate', requirePermission('manage_costs'), validateBody(hourlyRateSchema), async (req, res) => {
+    try {
+      const { data: profile } = await db.profiles.findById(req.params.id);
+
+      if (!profile) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const { data, error } = await db.profiles.update(req.params.id, { hourly_rate: req.body.hourly_rate ?? null });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Hourly rate updated", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/', requirePermission('change_user_roles'), async (req, res) => {
+    try {
+      const { data: users, error } = await db.profiles.list({ includeEmail: true });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json(users || []);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,199 @@
+import express from 'express';
+import { validateBody, validateQuery } from '../validation.js';
+import { webhookDeliveryQuerySchema, webhookSchema } from '../schemas.js';
+import { TEST_EVENT, WEBHOOK_EVENTS, buildDelivery, generateWebhookSecret } from '../webhooks.js';
+import { createWebhookDelivery } from '../jobs/webhookDelivery.js';
+
+// =========================================================
+// WEBHOOK ROUTES (mounted at /api/webhooks)
+// =========================================================
+
+// Secrets are only shown in full when they are created
+function withMaskedSecret({ secret, ...webhook }) {
+  return { ...webhook, secret_hint: secret ? `…${secret.slice(-4)}` : null };
+}
+
+export default function webhookRoutes({ db, clock, getAccessToken, requirePermission }) {
+  const router = express.Router();
+
+  router.get('/', requirePermission('manage_webhooks'), async (req, res) => {
+    try {
+      const { data, error } = await db.webhooks.list();
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json((data || []).map(withMaskedSecret));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/events', requirePermission('manage_webhooks'), (req, res) => {
+    res.json(Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description })));
+  });
+
+  router.post('/', requirePermission('manage_webhooks'), validateBody(webhookSchema), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data, error } = await scopedDb.webhooks.create({
+        name: req.body.name,
+        url: req.body.url,
+        secret: req.body.secret || generateWebhookSecret(),
+        events: [...new Set(req.body.events)],
+        active: req.body.active ?? true,
+        created_by_user_id: req.userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Webhook created", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.put('/:id', requirePermission('manage_webhooks'), validateBody(webhookSchema), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data: current } = await scopedDb.webhooks.findById(req.params.id);
+
+      if (!current) {
+        return res.status(404).json({ message: "Webhook not found" });
+      }
+
+      const changes = {
+        name: req.body.name,
+        url: req.body.url,
+        events: [...new Set(req.body.events)],
+        active: req.body.active ?? current.active
+      };
+      if (req.body.secret) changes.secret = req.body.secret;
+
+      const { data, error } = await scopedDb.webhooks.update(req.params.id, changes);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Webhook updated", data: withMaskedSecret(data) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.delete('/:id', requirePermission('manage_webhooks'), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { error } = await scopedDb.webhooks.remove(req.params.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({ message: "Webhook deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // The delivery log, newest first
+  router.get('/:id/deliveries', requirePermission('manage_webhooks'), validateQuery(webhookDeliveryQuerySchema), async (req, res) => {
+    try {
+      const { data, error } = await db.webhookDeliveries.listByWebhook(req.params.id, {
+        status: req.filters.status,
+        limit: req.filters.limit || 50
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json(data || []);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Sends a `webhook.test` event right away and answers with the outcome; a failed
+  // test is retried like any other delivery
+  router.post('/:id/test', requirePermission('manage_webhooks'), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data: webhook } = await scopedDb.webhooks.findById(req.params.id);
+
+      if (!webhook) {
+        return res.status(404).json({ message: "Webhook not found" });
+      }
+
+      const now = clock.now();
+      const { data: created, error } = await scopedDb.webhookDeliveries.createMany([
+        buildDelivery(webhook, TEST_EVENT, { webhook: { id: webhook.id, name: webhook.name }, message: "Test event from GearGuard" }, now)
+      ]);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const delivery = await createWebhookDelivery({ db: scopedDb, clock }).deliver(created[0]);
+
+      if (!delivery) {
+        return res.json({ message: "Test event queued; the delivery job is sending it", data: created[0] });
+      }
+
+      res.json({
+        message: delivery.status === 'SUCCEEDED' ? "Test event delivered" : `Test event failed: ${delivery.last_error}`,
+        data: delivery
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Sends a delivery again now, with a fresh set of retries if it fails
+  router.post('/deliveries/:id/redeliver', requirePermission('manage_webhooks'), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data: delivery } = await scopedDb.webhookDeliveries.findById(req.params.id);
+
+      if (!delivery) {
+        return res.status(404).json({ message: "Delivery not found" });
+      }
+
+      const updated = await createWebhookDelivery({ db: scopedDb, clock }).deliver({ ...delivery, attempts: 0 });
+
+      if (!updated) {
+        return res.status(409).json({ message: "This delivery is already being sent" });
+      }
+
+      res.json({
+        message: updated.status === 'SUCCEEDED' ? "Delivered" : `Delivery failed: ${updated.last_error}`,
+        data: updated
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Runs the delivery job now instead of waiting for its next tick
+  router.post('/deliver', requirePermission('manage_webhooks'), async (req, res) => {
+    try {
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+      const result = await createWebhookDelivery({ db: scopedDb, clock }).run();
+
+      res.json({ message: `${result.delivered} webhook event(s) delivered`, data: result });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
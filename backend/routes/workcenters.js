@@ -0,0 +1,475 @@
+import express from 'express';
+import { validateBody, validateQuery } from '../validation.js';
+import { downtimeEventSchema, oeeQuerySchema, productionCountSchema, workcenterListQuerySchema, workcenterSchema } from '../schemas.js';
+import { computeOee } from '../oee.js';
+import { CLOSED_STAGES } from '../sla.js';
+
+// =========================================================
+// WORKCENTERS ROUTES (mounted at /api/workcenters)
+// =========================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+// The columns a work center is created or replaced with
+function workcenterValues(body) {
+  return {
+    name: body.name,
+    code: body.code ?? null,
+    tag: body.tag ?? null,
+    alternative_workcenters: body.alternative_workcenters ?? null,
+    cost_per_hour: body.cost_per_hour ?? null,
+    capacity: body.capacity ?? null,
+    time_efficiency: body.time_efficiency ?? null,
+    oee_target: body.oee_target ?? null,
+    maintenance_team_id: body.maintenance_team_id ?? null,
+    default_technician_id: body.default_technician_id ?? null
+  };
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+export default function workcenterRoutes({ db, clock, live, getAccessToken, requirePermission }) {
+  const router = express.Router();
+
+  // The work center :id, read past RLS like the list; otherwise answers 404 and resolves null
+  async function loadWorkcenter(req, res) {
+    const { data: workcenter } = await db.withAccessToken(getAccessToken(req)).workcenters.findById(req.params.id);
+
+    if (!workcenter) {
+      res.status(404).json({ message: "Work center not found" });
+      return null;
+    }
+
+    return workcenter;
+  }
+
+  // `from` / `to` of the query with the 30 days up to today as default; otherwise answers 400
+  // and resolves null
+  function resolveRange(req, res) {
+    const to = req.filters.to || (req.filters.from ? addDays(req.filters.from, DEFAULT_RANGE_DAYS - 1) : clock.now().toISOString().split('T')[0]);
+    const from = req.filters.from || addDays(to, 1 - DEFAULT_RANGE_DAYS);
+
+    if (to < from || Date.parse(to) - Date.parse(from) >= MAX_RANGE_DAYS * DAY_MS) {
+      res.status(400).json({
+        message: "Invalid query parameters",
+        errors: { to: `Choose a range of 1 to ${MAX_RANGE_DAYS} days` }
+      });
+      return null;
+    }
+
+    return { from, to };
+  }
+
+  // A linked request has to exist; otherwise answers 400 and resolves false
+  async function checkRequest(requestId, res) {
+    if (!requestId) return true;
+
+    const { data: request } = await db.requests.findById(requestId);
+
+    if (!request) {
+      res.status(400).json({ message: "Validation failed", errors: { request_id: "Request not found" } });
+      return false;
+    }
+
+    return true;
+  }
+
+  // Archived work centers only with include_archived=true
+  router.get('/', requirePermission('manage_workcenters'), validateQuery(workcenterListQuerySchema), async (req, res) => {
+    try {
+      const { data, error } = await db.workcenters.list({ includeArchived: req.filters.include_archived === true });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json(data || []);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/', requirePermission('manage_workcenters'), validateBody(workcenterSchema), async (req, res) => {
+    try {
+      // Use admin client if available (bypasses RLS), otherwise use authenticated client
+      const scopedDb = db.withAccessToken(getAccessToken(req));
+
+      const { data: workcenter, error: workcenterError } = await scopedDb.workcenters.create(workcenterValues(req.body));
+
+      if (workcenterError) {
+        return res.status(400).json({ message: workcenterError.message });
+      }
+
+      if (!workcenter) {
+        return res.status(400).json({ message: "Failed to create work center" });
+      }
+
+      res.json({ message: "Work center created successfully", data: workcenter });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get('/:id', requirePermission('manage_workcenters'), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      res.json(workcenter);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Replaces every field, like POST /
+  router.put('/:id', requirePermission('manage_workcenters'), validateBody(workcenterSchema), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      const { data, error } = await db.withAccessToken(getAccessToken(req)).workcenters.update(workcenter.id, workcenterValues(req.body));
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('workcenter.updated', { id: workcenter.id });
+
+      res.json({ message: "Work center updated successfully", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Archived work centers keep their requests, downtime and production counts but can't be
+  // picked for new equipment, requests or PM plans. Open requests and active PM plans
+  // against the work center have to be closed or moved first.
+  router.post('/:id/archive', requirePermission('manage_workcenters'), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      if (workcenter.archived_at) {
+        return res.status(400).json({ message: "Work center is already archived" });
+      }
+
+      const [requests, plans] = await Promise.all([
+        db.requests.list({ filters: { maintenance_for: 'WORKCENTER', workcenter_id: workcenter.id } }),
+        db.pmPlans.list({ activeOnly: true })
+      ]);
+
+      const failed = [requests, plans].find(result => result.error);
+      if (failed) {
+        return res.status(400).json({ message: failed.error.message });
+      }
+
+      const openRequests = (requests.data || []).filter(r => !CLOSED_STAGES.includes(r.stage));
+      const activePlans = (plans.data || []).filter(p => p.maintenance_for === 'WORKCENTER' && String(p.workcenter_id) === String(workcenter.id));
+
+      if (openRequests.length > 0 || activePlans.length > 0) {
+        const blockers = [
+          openRequests.length > 0 && plural(openRequests.length, 'open request'),
+          activePlans.length > 0 && plural(activePlans.length, 'active PM plan')
+        ].filter(Boolean).join(' and ');
+        return res.status(400).json({ message: `${workcenter.name} has ${blockers}; close or move them before archiving` });
+      }
+
+      const { data, error } = await db.withAccessToken(getAccessToken(req)).workcenters.update(workcenter.id, {
+        archived_at: clock.now().toISOString()
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('workcenter.updated', { id: workcenter.id });
+
+      res.json({ message: "Work center archived", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/:id/restore', requirePermission('manage_workcenters'), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      if (!workcenter.archived_at) {
+        return res.status(400).json({ message: "Work center is not archived" });
+      }
+
+      const { data, error } = await db.withAccessToken(getAccessToken(req)).workcenters.update(workcenter.id, { archived_at: null });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('workcenter.updated', { id: workcenter.id });
+
+      res.json({ message: "Work center restored", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // The maintenance requests raised against the work center (maintenance_for = WORKCENTER), newest first
+  router.get('/:id/requests', requirePermission('manage_workcenters'), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      const { data, error } = await db.requests.list({
+        filters: { maintenance_for: 'WORKCENTER', workcenter_id: workcenter.id }
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json((data || []).map(r => ({
+        id: r.id,
+        subject: r.subject,
+        stage: r.stage,
+        maintenance_type: r.maintenance_type,
+        priority: r.priority,
+        request_date: r.request_date,
+        scheduled_at: r.scheduled_at,
+        technician: r.technician?.name || null,
+        team: r.team?.name || null
+      })));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Availability, performance, quality and OEE between `from` and `to` (both included),
+  // overall and per day, week or month, against the work center's oee_target
+  router.get('/:id/oee', requirePermission('manage_workcenters'), validateQuery(oeeQuerySchema), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      const range = resolveRange(req, res);
+      if (!range) return;
+
+      const [downtime, production] = await Promise.all([
+        db.downtimeEvents.listByWorkcenter({ workcenterId: workcenter.id, ...range }),
+        db.productionCounts.listByWorkcenter({ workcenterId: workcenter.id, ...range })
+      ]);
+
+      const failed = [downtime, production].find(result => result.error);
+      if (failed) {
+        return res.status(400).json({ message: failed.error.message });
+      }
+
+      res.json(computeOee(workcenter, {
+        downtime: downtime.data || [],
+        production: production.data || []
+      }, { ...range, granularity: req.filters.granularity || 'day' }, clock.now()));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // =========================================================
+  // DOWNTIME EVENTS
+  // =========================================================
+
+  // Events overlapping `from` .. `to`, newest first
+  router.get('/:id/downtime', requirePermission('manage_workcenters'), validateQuery(oeeQuerySchema), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      const range = resolveRange(req, res);
+      if (!range) return;
+
+      const { data, error } = await db.downtimeEvents.listByWorkcenter({ workcenterId: workcenter.id, ...range });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json(data || []);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/:id/downtime', requirePermission('manage_workcenters'), validateBody(downtimeEventSchema), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      if (!(await checkRequest(req.body.request_id, res))) return;
+
+      const { data, error } = await db.downtimeEvents.create({
+        workcenter_id: workcenter.id,
+        downtime_type: req.body.downtime_type,
+        reason: req.body.reason,
+        started_at: req.body.started_at,
+        ended_at: req.body.ended_at || null,
+        request_id: req.body.request_id || null,
+        created_by_user_id: req.userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('workcenter.updated', { id: workcenter.id });
+
+      res.json({ message: "Downtime logged", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // Replaces the event; ending an ongoing stop is an update that sets ended_at
+  router.put('/:id/downtime/:eventId', requirePermission('manage_workcenters'), validateBody(downtimeEventSchema), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      const { data: event } = await db.downtimeEvents.findById(req.params.eventId);
+
+      if (!event || String(event.workcenter_id) !== String(workcenter.id)) {
+        return res.status(404).json({ message: "Downtime event not found" });
+      }
+
+      if (!(await checkRequest(req.body.request_id, res))) return;
+
+      const { data, error } = await db.downtimeEvents.update(event.id, {
+        downtime_type: req.body.downtime_type,
+        reason: req.body.reason,
+        started_at: req.body.started_at,
+        ended_at: req.body.ended_at || null,
+        request_id: req.body.request_id || null
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('workcenter.updated', { id: workcenter.id });
+
+      res.json({ message: "Downtime updated", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.delete('/:id/downtime/:eventId', requirePermission('manage_workcenters'), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      const { data: event } = await db.downtimeEvents.findById(req.params.eventId);
+
+      if (!event || String(event.workcenter_id) !== String(workcenter.id)) {
+        return res.status(404).json({ message: "Downtime event not found" });
+      }
+
+      const { error } = await db.downtimeEvents.remove(event.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('workcenter.updated', { id: workcenter.id });
+
+      res.json({ message: "Downtime deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // =========================================================
+  // PRODUCTION COUNTS
+  // =========================================================
+
+  // Counts dated `from` .. `to`, newest first
+  router.get('/:id/production', requirePermission('manage_workcenters'), validateQuery(oeeQuerySchema), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      const range = resolveRange(req, res);
+      if (!range) return;
+
+      const { data, error } = await db.productionCounts.listByWorkcenter({ workcenterId: workcenter.id, ...range });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json(data || []);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.post('/:id/production', requirePermission('manage_workcenters'), validateBody(productionCountSchema), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      const { data, error } = await db.productionCounts.create({
+        workcenter_id: workcenter.id,
+        production_date: req.body.production_date,
+        scheduled_minutes: req.body.scheduled_minutes,
+        total_count: req.body.total_count,
+        good_count: req.body.good_count,
+        ideal_cycle_seconds: req.body.ideal_cycle_seconds,
+        note: req.body.note || null,
+        created_by_user_id: req.userProfile.id
+      });
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('workcenter.updated', { id: workcenter.id });
+
+      res.json({ message: "Production count added", data });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.delete('/:id/production/:countId', requirePermission('manage_workcenters'), async (req, res) => {
+    try {
+      const workcenter = await loadWorkcenter(req, res);
+      if (!workcenter) return;
+
+      const { data: count } = await db.productionCounts.findById(req.params.countId);
+
+      if (!count || String(count.workcenter_id) !== String(workcenter.id)) {
+        return res.status(404).json({ message: "Production count not found" });
+      }
+
+      const { error } = await db.productionCounts.remove(count.id);
+
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      live.publish('workcenter.updated', { id: workcenter.id });
+
+      res.json({ message: "Production count deleted" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,543 @@
+import { defineSchema, field } from './validation.js';
+import { FREQUENCIES } from './recurrence.js';
+import { NOTIFICATION_TYPES } from './notifications.js';
+import { EMAIL_TYPES } from './email/templates.js';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+import { OEE_GRANULARITIES } from './oee.js';
+import { ASSIGNMENT_STRATEGIES } from './assignment.js';
+
+// =========================================================
+// ENUMS
+// =========================================================
+
+export const ROLES = ['ADMIN', 'MANAGER', 'TECHNICIAN', 'EMPLOYEE'];
+export const STAGES = ['NEW_REQUEST', 'IN_PROGRESS', 'REPAIRED', 'SCRAP'];
+export const MAINTENANCE_TYPES = ['CORRECTIVE', 'PREVENTIVE'];
+export const MAINTENANCE_FOR = ['EQUIPMENT', 'WORKCENTER'];
+export const USED_BY_TYPES = ['EMPLOYEE', 'DEPARTMENT'];
+export const PRIORITIES = [1, 2, 3];
+export const OTP_TYPES = ['email', 'signup', 'invite', 'magiclink', 'recovery', 'email_change'];
+
+// =========================================================
+// AUTH
+// =========================================================
+
+export const loginSchema = defineSchema({
+  email: field.email({ required: true }),
+  password: field.password({ required: true })
+});
+
+export const signupSchema = defineSchema({
+  name: field.string({ required: true, maxLength: 120 }),
+  email: field.email({ required: true }),
+  password: field.password({ required: true, minLength: 6 }),
+  role: field.oneOf(ROLES)
+});
+
+export const verifyEmailSchema = defineSchema({
+  token: field.string({ required: true, label: 'Verification token' }),
+  type: field.oneOf(OTP_TYPES)
+});
+
+export const resendVerificationSchema = defineSchema({
+  email: field.email({ required: true })
+});
+
+// =========================================================
+// EQUIPMENT
+// =========================================================
+
+export const equipmentSchema = defineSchema({
+  name: field.string({ required: true, maxLength: 200 }),
+  serial_number: field.string({ maxLength: 100 }),
+  category_id: field.id({ label: 'Equipment category' }),
+  used_by_type: field.oneOf(USED_BY_TYPES, { label: 'Used by' }),
+  used_by_user_id: field.uuid({ label: 'Employee' }),
+  used_by_department_id: field.id({ label: 'Department' }),
+  maintenance_team_id: field.id({ label: 'Maintenance team' }),
+  default_technician_id: field.uuid({ label: 'Technician' }),
+  location_id: field.id({ label: 'Location' }),
+  workcenter_id: field.id({ label: 'Work center' }),
+  assigned_date: field.date(),
+  scrap_date: field.date(),
+  purchase_date: field.date(),
+  purchase_cost: field.number({ min: 0, max: 9999999999, label: 'Purchase cost' }),
+  warranty_end_date: field.date(),
+  description: field.string({ maxLength: 2000 })
+}, body => {
+  // Mirrors the used_by check constraint on the equipment table
+  const usedByType = body.used_by_type || 'EMPLOYEE';
+  if (usedByType === 'EMPLOYEE' && !body.used_by_user_id) {
+    return { used_by_user_id: "Employee is required when 'Used By' is Employee" };
+  }
+  if (usedByType === 'DEPARTMENT' && !body.used_by_department_id) {
+    return { used_by_department_id: "Department is required when 'Used By' is Department" };
+  }
+  return null;
+});
+
+// =========================================================
+// MAINTENANCE REQUESTS
+// =========================================================
+
+// Requests and PM plans target either a piece of equipment or a work center
+function requireMaintenanceTarget(body) {
+  const maintenanceFor = body.maintenance_for || 'EQUIPMENT';
+  if (maintenanceFor === 'EQUIPMENT' && !body.equipment_id) {
+    return { equipment_id: "Equipment is required when 'Maintenance For' is Equipment" };
+  }
+  if (maintenanceFor === 'WORKCENTER' && !body.workcenter_id) {
+    return { workcenter_id: "Work center is required when 'Maintenance For' is Work Center" };
+  }
+  return null;
+}
+
+// created_by_user_id, stage and blocked are not accepted: new requests always belong
+// to the caller and start unblocked in NEW_REQUEST
+export const createRequestSchema = defineSchema({
+  subject: field.string({ required: true, maxLength: 200 }),
+  maintenance_for: field.oneOf(MAINTENANCE_FOR, { label: 'Maintenance for' }),
+  equipment_id: field.id({ label: 'Equipment' }),
+  workcenter_id: field.id({ label: 'Work center' }),
+  category_id: field.id({ label: 'Category' }),
+  request_date: field.date(),
+  maintenance_type: field.oneOf(MAINTENANCE_TYPES),
+  team_id: field.id({ label: 'Team' }),
+  technician_id: field.uuid({ label: 'Technician' }),
+  scheduled_at: field.dateTime({ label: 'Scheduled date' }),
+  duration_minutes: field.integer({ min: 0, label: 'Duration' }),
+  priority: field.oneOf(PRIORITIES)
+}, requireMaintenanceTarget);
+
+// Query parameters of GET /api/equipment
+export const equipmentListQuerySchema = defineSchema({
+  health: field.oneOf(['GOOD', 'FAIR', 'CRITICAL', 'SCRAPPED'], { label: 'Health' })
+});
+
+export const REQUEST_SORT_FIELDS = ['created_at', 'request_date', 'scheduled_at', 'priority', 'subject', 'stage'];
+
+// Query parameters of GET /api/requests
+export const requestListQuerySchema = defineSchema({
+  q: field.string({ maxLength: 200, label: 'Search' }),
+  stage: field.oneOf(STAGES),
+  priority: field.oneOf(PRIORITIES),
+  team_id: field.id({ label: 'Team' }),
+  technician_id: field.uuid({ label: 'Technician' }),
+  equipment_id: field.id({ label: 'Equipment' }),
+  maintenance_type: field.oneOf(MAINTENANCE_TYPES),
+  date_from: field.date({ label: 'From date' }),
+  date_to: field.date({ label: 'To date' }),
+  overdue: field.boolean(),
+  sort: field.oneOf(REQUEST_SORT_FIELDS),
+  order: field.oneOf(['asc', 'desc']),
+  page: field.integer({ min: 1 }),
+  page_size: field.integer({ min: 1, max: 100, label: 'Page size' })
+}, query => {
+  if (query.date_from && query.date_to && query.date_from > query.date_to) {
+    return { date_to: 'To date must not be before From date' };
+  }
+  return null;
+});
+
+// Which transitions need `resolution` is decided by backend/workflow.js
+export const requestStageSchema = defineSchema({
+  stage: field.oneOf(STAGES, { required: true }),
+  blocked: field.boolean(),
+  resolution: field.string({ maxLength: 5000 })
+});
+
+export const requestNoteSchema = defineSchema({
+  note: field.string({ required: true, maxLength: 5000 })
+});
+
+export const requestInstructionSchema = defineSchema({
+  instruction: field.string({ required: true, maxLength: 5000 })
+});
+
+export const requestWorksheetSchema = defineSchema({
+  comment: field.string({ required: true, maxLength: 5000 })
+});
+
+// =========================================================
+// PREVENTIVE MAINTENANCE PLANS
+// =========================================================
+
+export const pmPlanSchema = defineSchema({
+  name: field.string({ required: true, maxLength: 200, label: 'Plan name' }),
+  maintenance_for: field.oneOf(MAINTENANCE_FOR, { label: 'Maintenance for' }),
+  equipment_id: field.id({ label: 'Equipment' }),
+  workcenter_id: field.id({ label: 'Work center' }),
+  category_id: field.id({ label: 'Category' }),
+  team_id: field.id({ label: 'Team' }),
+  technician_id: field.uuid({ label: 'Technician' }),
+  duration_minutes: field.integer({ min: 0, label: 'Duration' }),
+  priority: field.oneOf(PRIORITIES),
+  instructions: field.string({ maxLength: 5000 }),
+  frequency: field.oneOf(FREQUENCIES, { required: true }),
+  repeat_every: field.integer({ min: 1, max: 365 }),
+  weekday: field.integer({ min: 0, max: 6, label: 'Day of the week' }),
+  day_of_month: field.integer({ min: 1, max: 31, label: 'Day of the month' }),
+  time_of_day: field.time({ label: 'Time' }),
+  start_date: field.date({ required: true }),
+  end_date: field.date(),
+  lead_days: field.integer({ min: 0, max: 365, label: 'Generate ahead (days)' }),
+  active: field.boolean()
+}, body => {
+  const targetErrors = requireMaintenanceTarget(body);
+  if (targetErrors) return targetErrors;
+  if (body.end_date && body.end_date < body.start_date) {
+    return { end_date: 'End date must not be before the start date' };
+  }
+  return null;
+});
+
+export const pmForecastQuerySchema = defineSchema({
+  from: field.date({ required: true, label: 'From date' }),
+  to: field.date({ required: true, label: 'To date' })
+}, query => {
+  if (query.to < query.from) return { to: 'To date must not be before From date' };
+  return null;
+});
+
+// =========================================================
+// SLA
+// =========================================================
+
+// Leaving priority or maintenance_type out makes the policy apply to every value
+export const slaPolicySchema = defineSchema({
+  name: field.string({ required: true, maxLength: 200, label: 'Policy name' }),
+  priority: field.oneOf(PRIORITIES),
+  maintenance_type: field.oneOf(MAINTENANCE_TYPES),
+  response_minutes: field.integer({ required: true, min: 1, label: 'Response time' }),
+  resolution_minutes: field.integer({ required: true, min: 1, label: 'Resolution time' }),
+  active: field.boolean()
+}, body => {
+  if (body.resolution_minutes < body.response_minutes) {
+    return { resolution_minutes: 'Resolution time must not be shorter than the response time' };
+  }
+  return null;
+});
+
+// Query parameters of GET /api/sla/report; requests are picked by created_at
+export const slaReportQuerySchema = defineSchema({
+  from: field.date({ required: true, label: 'From date' }),
+  to: field.date({ required: true, label: 'To date' }),
+  team_id: field.id({ label: 'Team' })
+}, query => {
+  if (query.to < query.from) return { to: 'To date must not be before From date' };
+  return null;
+});
+
+// =========================================================
+// NOTIFICATIONS
+// =========================================================
+
+// Query parameters of GET /api/notifications
+export const notificationListQuerySchema = defineSchema({
+  unread: field.boolean({ label: 'Unread only' }),
+  limit: field.integer({ min: 1, max: 100 })
+});
+
+export const notificationReadSchema = defineSchema({
+  read: field.boolean({ required: true })
+});
+
+// One optional on / off switch per notification type; types left out keep their setting
+export const notificationPreferencesSchema = defineSchema(
+  Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [type, field.boolean()]))
+);
+
+// =========================================================
+// EMAIL
+// =========================================================
+
+export const EMAIL_STATUSES = ['PENDING', 'SENT', 'FAILED'];
+
+// Same shape as notificationPreferencesSchema, for the email types
+export const emailPreferencesSchema = defineSchema(
+  Object.fromEntries(Object.keys(EMAIL_TYPES).map(type => [type, field.boolean()]))
+);
+
+// Query parameters of GET /api/emails
+export const emailOutboxQuerySchema = defineSchema({
+  status: field.oneOf(EMAIL_STATUSES),
+  limit: field.integer({ min: 1, max: 500 })
+});
+
+// =========================================================
+// WEBHOOKS
+// =========================================================
+
+export const WEBHOOK_DELIVERY_STATUSES = ['PENDING', 'SUCCEEDED', 'FAILED'];
+
+// Without a secret a new one is generated (on create) or the current one is kept (on update)
+export const webhookSchema = defineSchema({
+  name: field.string({ required: true, maxLength: 120 }),
+  url: field.url({ required: true, label: 'URL' }),
+  secret: field.string({ minLength: 16, maxLength: 200 }),
+  events: field.arrayOf(field.oneOf(Object.keys(WEBHOOK_EVENTS)), { required: true }),
+  active: field.boolean()
+}, body => {
+  if (body.events.length === 0) return { events: 'Choose at least one event' };
+  return null;
+});
+
+// Query parameters of GET /api/webhooks/:id/deliveries
+export const webhookDeliveryQuerySchema = defineSchema({
+  status: field.oneOf(WEBHOOK_DELIVERY_STATUSES),
+  limit: field.integer({ min: 1, max: 200 })
+});
+
+// =========================================================
+// SPARE PARTS
+// =========================================================
+
+// CONSUMPTION and RETURN movements only come from the parts used on requests
+export const STOCK_MOVEMENT_TYPES = ['RECEIPT', 'ADJUSTMENT', 'CONSUMPTION', 'RETURN'];
+
+// An empty compatible_category_ids means the part fits every piece of equipment
+export const partSchema = defineSchema({
+  part_number: field.string({ required: true, maxLength: 60, label: 'Part number' }),
+  name: field.string({ required: true, maxLength: 200 }),
+  description: field.string({ maxLength: 2000 }),
+  unit_cost: field.number({ required: true, min: 0, max: 9999999999, label: 'Unit cost' }),
+  compatible_category_ids: field.arrayOf(field.id(), { label: 'Compatible categories' })
+});
+
+// Query parameters of GET /api/parts
+export const partListQuerySchema = defineSchema({
+  q: field.string({ maxLength: 200, label: 'Search' }),
+  category_id: field.id({ label: 'Category' })
+});
+
+// RECEIPT adds `quantity`; ADJUSTMENT adds or removes it (a negative quantity)
+export const stockAdjustmentSchema = defineSchema({
+  location_id: field.id({ required: true, label: 'Location' }),
+  type: field.oneOf(['RECEIPT', 'ADJUSTMENT'], { required: true }),
+  quantity: field.integer({ required: true, min: -1000000, max: 1000000 }),
+  note: field.string({ maxLength: 500 })
+}, body => {
+  if (body.quantity === 0) return { quantity: 'Quantity must not be 0' };
+  if (body.type === 'RECEIPT' && body.quantity < 0) return { quantity: 'Received quantity must be positive' };
+  return null;
+});
+
+export const reorderPointSchema = defineSchema({
+  reorder_point: field.integer({ required: true, min: 0, max: 1000000, label: 'Reorder point' })
+});
+
+// Query parameters of GET /api/parts/movements
+export const stockMovementQuerySchema = defineSchema({
+  part_id: field.id({ label: 'Part' }),
+  location_id: field.id({ label: 'Location' }),
+  type: field.oneOf(STOCK_MOVEMENT_TYPES),
+  limit: field.integer({ min: 1, max: 500 })
+});
+
+export const requestPartSchema = defineSchema({
+  part_id: field.id({ required: true, label: 'Part' }),
+  location_id: field.id({ required: true, label: 'Location' }),
+  quantity: field.integer({ required: true, min: 1, max: 1000000 })
+});
+
+// =========================================================
+// TIME TRACKING
+// =========================================================
+
+// A manual entry; user_id (whose time it is) defaults to the caller and only ADMIN /
+// MANAGER may log time for someone else
+export const timeEntrySchema = defineSchema({
+  started_at: field.dateTime({ required: true, label: 'Start' }),
+  ended_at: field.dateTime({ required: true, label: 'End' }),
+  note: field.string({ maxLength: 500 }),
+  user_id: field.uuid({ label: 'Technician' })
+}, body => {
+  if (Date.parse(body.ended_at) <= Date.parse(body.started_at)) {
+    return { ended_at: 'End must be after Start' };
+  }
+  return null;
+});
+
+// Query parameters of GET /api/time-entries/timesheet; the week defaults to the current one
+export const timesheetQuerySchema = defineSchema({
+  from: field.date({ label: 'From date' }),
+  to: field.date({ label: 'To date' }),
+  user_id: field.uuid({ label: 'Technician' })
+}, query => {
+  if (query.from && query.to && query.to < query.from) {
+    return { to: 'To date must not be before From date' };
+  }
+  return null;
+});
+
+// =========================================================
+// COSTS
+// =========================================================
+
+// What GET /api/costs/summary rolls request costs up by; department is the equipment's
+export const COST_GROUPS = ['equipment', 'category', 'team', 'department'];
+
+// An external charge on a request (contractor, rental, shipping...)
+export const requestChargeSchema = defineSchema({
+  description: field.string({ required: true, maxLength: 200 }),
+  vendor: field.string({ maxLength: 200 }),
+  amount: field.number({ required: true, min: 0, max: 9999999999 })
+});
+
+// Query parameters of GET /api/costs/summary; from / to bound the request_date
+export const costSummaryQuerySchema = defineSchema({
+  group_by: field.oneOf(COST_GROUPS, { label: 'Group by' }),
+  from: field.date({ label: 'From date' }),
+  to: field.date({ label: 'To date' })
+}, query => {
+  if (query.from && query.to && query.to < query.from) {
+    return { to: 'To date must not be before From date' };
+  }
+  return null;
+});
+
+// =========================================================
+// DASHBOARD
+// =========================================================
+
+// Query parameters of GET /api/dashboard/technician-load; the window defaults to the next 7 days
+export const technicianLoadQuerySchema = defineSchema({
+  from: field.date({ label: 'From date' }),
+  to: field.date({ label: 'To date' }),
+  team_id: field.id({ label: 'Team' })
+}, query => {
+  if (query.from && query.to && query.to < query.from) {
+    return { to: 'To date must not be before From date' };
+  }
+  if (query.from && query.to && Date.parse(query.to) - Date.parse(query.from) > 92 * 24 * 60 * 60 * 1000) {
+    return { to: 'The window can be at most 93 days' };
+  }
+  return null;
+});
+
+// =========================================================
+// WORKCENTERS
+// =========================================================
+
+export const workcenterSchema = defineSchema({
+  name: field.string({ required: true, maxLength: 200, label: 'Work center name' }),
+  code: field.string({ maxLength: 50 }),
+  tag: field.string({ maxLength: 50 }),
+  alternative_workcenters: field.string({ maxLength: 500 }),
+  cost_per_hour: field.number({ min: 0 }),
+  capacity: field.number({ min: 0 }),
+  time_efficiency: field.number({ min: 0, max: 100 }),
+  oee_target: field.number({ min: 0, max: 100, label: 'OEE target' }),
+  maintenance_team_id: field.id({ label: 'Maintenance team' }),
+  default_technician_id: field.uuid({ label: 'Technician' })
+});
+
+// Query parameters of GET /api/workcenters
+export const workcenterListQuerySchema = defineSchema({
+  include_archived: field.boolean({ label: 'Include archived' })
+});
+
+export const DOWNTIME_TYPES = ['PLANNED', 'UNPLANNED'];
+
+// A stop of a work center; without ended_at it is still ongoing
+export const downtimeEventSchema = defineSchema({
+  downtime_type: field.oneOf(DOWNTIME_TYPES, { required: true, label: 'Type' }),
+  reason: field.string({ required: true, maxLength: 200 }),
+  started_at: field.dateTime({ required: true, label: 'Start' }),
+  ended_at: field.dateTime({ label: 'End' }),
+  request_id: field.id({ label: 'Request' })
+}, body => {
+  if (body.ended_at && Date.parse(body.ended_at) < Date.parse(body.started_at)) {
+    return { ended_at: 'End must not be before Start' };
+  }
+  return null;
+});
+
+// What a work center produced in one shift or run
+export const productionCountSchema = defineSchema({
+  production_date: field.date({ required: true, label: 'Date' }),
+  scheduled_minutes: field.integer({ required: true, min: 1, max: 1440, label: 'Scheduled minutes' }),
+  total_count: field.integer({ required: true, min: 0, label: 'Total count' }),
+  good_count: field.integer({ required: true, min: 0, label: 'Good count' }),
+  ideal_cycle_seconds: field.number({ required: true, min: 0.01, max: 86400, label: 'Ideal cycle time' }),
+  note: field.string({ maxLength: 500 })
+}, body => {
+  if (body.good_count > body.total_count) {
+    return { good_count: 'Good count must not exceed Total count' };
+  }
+  return null;
+});
+
+// Query parameters of GET /api/workcenters/:id/oee, /downtime and /production; the range
+// defaults to the 30 days up to today and is checked once the defaults are applied
+export const oeeQuerySchema = defineSchema({
+  from: field.date({ label: 'From date' }),
+  to: field.date({ label: 'To date' }),
+  granularity: field.oneOf(OEE_GRANULARITIES)
+});
+
+// =========================================================
+// TEAMS
+// =========================================================
+
+export const TEAM_MEMBER_ROLES = ['LEAD', 'MEMBER'];
+
+const teamFields = {
+  name: field.string({ required: true, maxLength: 200, label: 'Team name' }),
+  company: field.string({ maxLength: 200 }),
+  assignment_strategy: field.oneOf(ASSIGNMENT_STRATEGIES, { label: 'Assignment' })
+};
+
+// Creating a team adds `member_ids` as MEMBERs and `lead_ids` as LEADs
+export const teamSchema = defineSchema({
+  ...teamFields,
+  member_ids: field.arrayOf(field.uuid(), { label: 'Team members' }),
+  lead_ids: field.arrayOf(field.uuid(), { label: 'Team leads' })
+});
+
+export const teamUpdateSchema = defineSchema(teamFields);
+
+// `category_ids` are the equipment categories the member is skilled in (SKILLS assignment)
+export const teamMemberSchema = defineSchema({
+  user_id: field.uuid({ required: true, label: 'User' }),
+  role: field.oneOf(TEAM_MEMBER_ROLES),
+  category_ids: field.arrayOf(field.id(), { label: 'Skills' })
+});
+
+// PUT /api/teams/:id/members/:userId changes either or both
+export const teamMemberUpdateSchema = defineSchema({
+  role: field.oneOf(TEAM_MEMBER_ROLES),
+  category_ids: field.arrayOf(field.id(), { label: 'Skills' })
+});
+
+// =========================================================
+// LOOKUPS (equipment categories, departments, locations)
+// =========================================================
+
+export const lookupSchema = defineSchema({
+  name: field.string({ required: true, maxLength: 200 })
+});
+
+// Merging moves everything that uses the value over to `into_id`
+export const lookupMergeSchema = defineSchema({
+  into_id: field.id({ required: true, label: 'Merge into' })
+});
+
+// =========================================================
+// USERS
+// =========================================================
+
+export const userRoleSchema = defineSchema({
+  role: field.oneOf(ROLES, { required: true })
+});
+
+// Weekdays are 0 = Sunday ... 6 = Saturday
+export const workingHoursSchema = defineSchema({
+  work_days: field.arrayOf(field.integer({ min: 0, max: 6 }), { required: true, label: 'Working days' }),
+  work_hours_per_day: field.number({ required: true, min: 0, max: 24, label: 'Hours per day' })
+});
+
+// An empty hourly_rate clears it, so the work center rate applies (backend/costs.js)
+export const hourlyRateSchema = defineSchema({
+  hourly_rate: field.number({ min: 0, max: 100000, label: 'Hourly rate' })
+});
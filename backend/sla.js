@@ -0,0 +1,137 @@
+// Service level agreements for maintenance requests.
+//
+// An SLA policy gives the response time (until work starts, i.e. the request leaves NEW_REQUEST)
+// and the resolution time (until it is REPAIRED or SCRAP) for requests of a priority and / or
+// maintenance type; a policy without one of them applies to all values. The most specific active
+// policy wins. Due dates are stored on the request when it is created or when its priority or
+// maintenance type changes. The SLA clock starts at created_at, except for preventive requests
+// scheduled later, which start at scheduled_at since the work isn't expected before its slot.
+
+const MINUTE = 60 * 1000;
+
+export const CLOSED_STAGES = ['REPAIRED', 'SCRAP'];
+export const ESCALATION_REASONS = ['RESPONSE', 'RESOLUTION'];
+
+function specificity(policy) {
+  return (policy.priority != null ? 2 : 0) + (policy.maintenance_type ? 1 : 0);
+}
+
+export function findPolicy(policies, request) {
+  const matching = policies.filter(p => p.active !== false
+    && (p.priority == null || Number(p.priority) === Number(request.priority))
+    && (!p.maintenance_type || p.maintenance_type === request.maintenance_type));
+  return matching.sort((a, b) => specificity(b) - specificity(a) || a.id - b.id)[0] || null;
+}
+
+function slaStart(request) {
+  const createdMs = Date.parse(request.created_at);
+  if (request.maintenance_type === 'PREVENTIVE' && request.scheduled_at) {
+    return Math.max(createdMs, Date.parse(request.scheduled_at));
+  }
+  return createdMs;
+}
+
+// SLA columns for `request` (created_at must be set); all null when no policy applies
+export function computeSlaFields(request, policies) {
+  const policy = findPolicy(policies, request);
+  if (!policy) {
+    return { sla_policy_id: null, response_due_at: null, resolution_due_at: null };
+  }
+
+  const start = slaStart(request);
+  return {
+    sla_policy_id: policy.id,
+    response_due_at: new Date(start + policy.response_minutes * MINUTE).toISOString(),
+    resolution_due_at: new Date(start + policy.resolution_minutes * MINUTE).toISOString()
+  };
+}
+
+// Timestamps to store when a request moves from `from` to `to`
+export function stageChangeSlaFields(request, from, to, now) {
+  const fields = {};
+  if (from === 'NEW_REQUEST' && to !== 'NEW_REQUEST' && !request.responded_at) {
+    fields.responded_at = now.toISOString();
+  }
+  if (CLOSED_STAGES.includes(to)) {
+    fields.resolved_at = now.toISOString();
+  } else if (CLOSED_STAGES.includes(from)) {
+    fields.resolved_at = null;
+  }
+  return fields;
+}
+
+// MET / BREACHED once the target happened, PENDING / BREACHED while it hasn't, null without a due date
+function targetStatus(dueAt, doneAt, now) {
+  if (!dueAt) return null;
+  const due = Date.parse(dueAt);
+  if (doneAt) return Date.parse(doneAt) <= due ? 'MET' : 'BREACHED';
+  return now.getTime() > due ? 'BREACHED' : 'PENDING';
+}
+
+export function slaStatus(request, now) {
+  return {
+    response: targetStatus(request.response_due_at, request.responded_at, now),
+    resolution: targetStatus(request.resolution_due_at, request.resolved_at, now)
+  };
+}
+
+// The escalation `request` is due for: RESOLUTION once the resolution time is breached,
+// RESPONSE when only the response time is; each happens at most once
+export function dueEscalation(request, now) {
+  if (CLOSED_STAGES.includes(request.stage)) return null;
+
+  const status = slaStatus(request, now);
+  if (status.resolution === 'BREACHED' && request.escalation_reason !== 'RESOLUTION') return 'RESOLUTION';
+  if (status.response === 'BREACHED' && !request.escalation_reason) return 'RESPONSE';
+  return null;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : null;
+}
+
+function summarize(requests, now) {
+  const counts = {
+    total: requests.length,
+    response: { MET: 0, BREACHED: 0, PENDING: 0 },
+    resolution: { MET: 0, BREACHED: 0, PENDING: 0 }
+  };
+  requests.forEach(r => {
+    const status = slaStatus(r, now);
+    counts.response[status.response]++;
+    counts.resolution[status.resolution]++;
+  });
+
+  // Compliance only counts requests whose outcome is known (met, or breached already)
+  return {
+    ...counts,
+    response_compliance: percent(counts.response.MET, counts.response.MET + counts.response.BREACHED),
+    resolution_compliance: percent(counts.resolution.MET, counts.resolution.MET + counts.resolution.BREACHED)
+  };
+}
+
+function groupBy(requests, key, now) {
+  const groups = new Map();
+  requests.forEach(r => {
+    if (!groups.has(r[key])) groups.set(r[key], []);
+    groups.get(r[key]).push(r);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .map(([value, rows]) => ({ [key]: value, ...summarize(rows, now) }));
+}
+
+// `requests` are the requests with due dates created in the report window
+export function buildSlaReport(requests, now) {
+  const withSla = requests.filter(r => r.resolution_due_at);
+
+  return {
+    overall: summarize(withSla, now),
+    by_priority: groupBy(withSla, 'priority', now),
+    by_maintenance_type: groupBy(withSla, 'maintenance_type', now),
+    breaches: withSla
+      .map(r => ({ ...r, sla: slaStatus(r, now) }))
+      .filter(r => r.sla.response === 'BREACHED' || r.sla.resolution === 'BREACHED')
+      .sort((a, b) => a.resolution_due_at.localeCompare(b.resolution_due_at))
+  };
+}
@@ -0,0 +1,38 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Keeps attachment files under `dir` on the local disk, one file per storage key
+export function createLocalStorage({ dir = 'uploads' } = {}) {
+  const root = path.resolve(dir);
+
+  // Keys are generated by the server, but never let one point outside the folder
+  function resolve(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  }
+
+  async function put(key, data) {
+    const file = resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data, { flag: 'wx' });
+  }
+
+  // Resolves with a Buffer, or null when there is no such file
+  async function get(key) {
+    try {
+      return await fs.readFile(resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function remove(keys) {
+    await Promise.all(keys.map(key => fs.rm(resolve(key), { force: true })));
+  }
+
+  return { put, get, remove };
+}
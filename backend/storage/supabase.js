@@ -0,0 +1,28 @@
+// Keeps attachment files in a Supabase Storage bucket. The bucket should be private: files
+// are only handed out through the API, which checks access first.
+export function createSupabaseStorage({ client, bucket = 'attachments' }) {
+  const files = () => client.storage.from(bucket);
+
+  async function put(key, data, contentType) {
+    const { error } = await files().upload(key, data, { contentType, upsert: false });
+    if (error) throw new Error(error.message);
+  }
+
+  // Resolves with a Buffer, or null when there is no such file
+  async function get(key) {
+    const { data, error } = await files().download(key);
+    if (error) {
+      if (/not found/i.test(error.message)) return null;
+      throw new Error(error.message);
+    }
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async function remove(keys) {
+    if (keys.length === 0) return;
+    const { error } = await files().remove(keys);
+    if (error) throw new Error(error.message);
+  }
+
+  return { put, get, remove };
+}
@@ -0,0 +1,34 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Create the Supabase clients used by the Supabase data and auth adapters
+export function createSupabaseClients(env = process.env) {
+  const client = createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
+
+  // Admin client (service role key) bypasses RLS and should only be used server-side
+  const adminClient = env.SUPABASE_SERVICE_ROLE_KEY
+    ? createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, {
+        auth: {
+          autoRefreshToken: false,
+          persistSession: false
+        }
+      })
+    : null;
+
+  // Client that acts with the caller's access token so RLS policies apply to them
+  function createUserClient(token) {
+    if (!token) return client;
+
+    return createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      },
+      auth: {
+        persistSession: false
+      }
+    });
+  }
+
+  return { client, adminClient, createUserClient };
+}
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+const BOB_ID = '00000000-0000-4000-8000-000000000004';
+
+// A team of Alice and Bob looking after a new Machinery (category 2) press that has no
+// default technician
+async function setUp(app, token, strategy) {
+  const { body: { data: team } } = await app.call('POST', '/teams', {
+    name: 'Press crew',
+    assignment_strategy: strategy,
+    member_ids: [BOB_ID, ALICE_ID]
+  }, token);
+  const { body: { data: press } } = await app.call('POST', '/equipment', {
+    name: 'Hydraulic press',
+    category_id: 2,
+    used_by_type: 'DEPARTMENT',
+    used_by_department_id: 1,
+    maintenance_team_id: team.id
+  }, token);
+  return { team, press };
+}
+
+async function report(app, token, values) {
+  const { status, body } = await app.call('POST', '/requests', { subject: 'Press leaks oil', maintenance_for: 'EQUIPMENT', ...values }, token);
+  assert.equal(status, 200);
+  return { technician: body.data.technician_id, source: body.assignment.technician, team: body.data.team_id };
+}
+
+// Books `minutes` of work for `technicianId` tomorrow, inside the load window
+async function book(app, token, technicianId, minutes) {
+  const { status } = await app.call('POST', '/requests', {
+    subject: 'Planned overhaul',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 1,
+    technician_id: technicianId,
+    scheduled_at: '2024-03-05T08:00:00Z',
+    duration_minutes: minutes
+  }, token);
+  assert.equal(status, 200);
+}
+
+test('manual teams leave the technician to a manager', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const { team, press } = await setUp(app, manager, 'MANUAL');
+
+  assert.deepEqual(await report(app, manager, { equipment_id: press.id }), { technician: null, source: null, team: team.id });
+  assert.deepEqual(await report(app, manager, { equipment_id: press.id, technician_id: BOB_ID }), { technician: BOB_ID, source: 'REQUEST', team: team.id });
+});
+
+test('round robin takes the members in turn by name', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const { press } = await setUp(app, manager, 'ROUND_ROBIN');
+
+  const picked = [];
+  for (let i = 0; i < 3; i++) {
+    const { technician, source } = await report(app, manager, { equipment_id: press.id });
+    assert.equal(source, 'ROUND_ROBIN');
+    picked.push(technician);
+  }
+  assert.deepEqual(picked, [ALICE_ID, BOB_ID, ALICE_ID]);
+});
+
+test('least loaded picks the member with the least work ahead', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const { press } = await setUp(app, manager, 'LEAST_LOADED');
+
+  await book(app, manager, ALICE_ID, 2000);
+  assert.deepEqual(await report(app, manager, { equipment_id: press.id }), { technician: BOB_ID, source: 'LEAST_LOADED', team: press.maintenance_team_id });
+
+  await book(app, manager, BOB_ID, 4000);
+  assert.equal((await report(app, manager, { equipment_id: press.id })).technician, ALICE_ID);
+});
+
+test('skills pick the least loaded member skilled in the category', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const { team, press } = await setUp(app, manager, 'SKILLS');
+  await app.call('PUT', `/teams/${team.id}/members/${ALICE_ID}`, { category_ids: [2] }, manager);
+  await app.call('PUT', `/teams/${team.id}/members/${BOB_ID}`, { category_ids: [3] }, manager);
+
+  // Alice is busier but the only one skilled in Machinery
+  await book(app, manager, ALICE_ID, 2000);
+  assert.deepEqual(await report(app, manager, { equipment_id: press.id }), { technician: ALICE_ID, source: 'SKILLS', team: team.id });
+  assert.equal((await report(app, manager, { equipment_id: press.id, category_id: 3 })).technician, BOB_ID);
+
+  // Nobody knows Computers, so everyone is a candidate
+  assert.equal((await report(app, manager, { equipment_id: press.id, category_id: 1 })).technician, BOB_ID);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+test('login returns the profile and a session that authenticates later calls', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const { status, body } = await app.call('POST', '/auth/login', { email: 'manager@gearguard.local', password: 'gearguard' });
+
+  assert.equal(status, 200);
+  assert.equal(body.user.email, 'manager@gearguard.local');
+  assert.equal(body.user.role, 'MANAGER');
+  assert.ok(body.session.access_token);
+
+  const requests = await app.call('GET', '/requests', undefined, body.session.access_token);
+  assert.equal(requests.status, 200);
+});
+
+test('login rejects a wrong password', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const { status, body } = await app.call('POST', '/auth/login', { email: 'manager@gearguard.local', password: 'wrong' });
+
+  assert.equal(status, 400);
+  assert.ok(body.message);
+});
+
+test('login validates the body', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const { status, body } = await app.call('POST', '/auth/login', { email: 'manager@gearguard.local' });
+
+  assert.equal(status, 400);
+  assert.ok(body.errors.password);
+});
+
+test('protected routes need a session', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const { status } = await app.call('GET', '/requests');
+
+  assert.equal(status, 401);
+});
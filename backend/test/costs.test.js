@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+const MANAGER_ID = '00000000-0000-4000-8000-000000000002';
+
+// Alice's hourly rate is 45, the manager has none; work center 1 costs 120 per hour and
+// part 1 costs 85
+async function logTime(app, token, requestId, userId, startedAt, endedAt) {
+  const { status } = await app.call('POST', `/time-entries/requests/${requestId}`, {
+    started_at: startedAt,
+    ended_at: endedAt,
+    user_id: userId
+  }, token);
+  assert.equal(status, 200);
+}
+
+test('request costs add up labor, parts and charges and roll up by group', async (t) => {
+  const app = await startApp({ now: '2024-06-03T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  const before = (await app.call('GET', '/costs/equipment/1', undefined, manager)).body;
+  const { body: { data: repair } } = await app.call('POST', '/requests', {
+    subject: 'Replace the spindle bearing',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 1,
+    technician_id: ALICE_ID
+  }, manager);
+  const { body: { data: cleaning } } = await app.call('POST', '/requests', {
+    subject: 'Clean the line',
+    maintenance_for: 'WORKCENTER',
+    workcenter_id: 1
+  }, manager);
+
+  await logTime(app, manager, repair.id, ALICE_ID, '2024-06-03T06:00:00Z', '2024-06-03T07:30:00Z');
+  await logTime(app, manager, repair.id, MANAGER_ID, '2024-06-03T07:30:00Z', '2024-06-03T08:00:00Z');
+  await logTime(app, manager, cleaning.id, MANAGER_ID, '2024-06-03T07:00:00Z', '2024-06-03T07:30:00Z');
+  await app.call('POST', `/requests/${repair.id}/parts`, { part_id: 1, location_id: 1, quantity: 2 }, manager);
+  const charge = await app.call('POST', `/costs/requests/${repair.id}/charges`, { description: 'Crane rental', amount: 100 }, manager);
+  assert.equal(charge.status, 200);
+
+  const cost = (await app.call('GET', `/costs/requests/${repair.id}`, undefined, manager)).body;
+  assert.equal(cost.labor_minutes, 120);
+  assert.equal(cost.unpriced_minutes, 30);
+  assert.equal(cost.labor_cost, 67.5);
+  assert.equal(cost.parts_cost, 170);
+  assert.equal(cost.external_cost, 100);
+  assert.equal(cost.total_cost, 337.5);
+  assert.deepEqual(cost.labor.map(row => [row.user.name, row.rate_source]), [
+    ['Alice Technician', 'USER'],
+    ['Max Manager', null]
+  ]);
+
+  // Without a rate of their own the manager's time is priced at the work center's rate
+  const fallback = (await app.call('GET', `/costs/requests/${cleaning.id}`, undefined, manager)).body;
+  assert.deepEqual(fallback.labor.map(row => [row.rate_source, row.cost]), [['WORKCENTER', 60]]);
+
+  const summary = (await app.call('GET', '/costs/summary?from=2024-06-01', undefined, manager)).body;
+  assert.deepEqual(summary.total, {
+    requests: 2, labor_minutes: 150, unpriced_minutes: 30, labor_cost: 127.5, parts_cost: 170, external_cost: 100, total_cost: 397.5
+  });
+  assert.deepEqual(summary.groups.map(g => [g.id, g.total_cost]), [[1, 337.5], [null, 60]]);
+
+  // Both requests went to the Mechanics team
+  const byTeam = (await app.call('GET', '/costs/summary?from=2024-06-01&group_by=team', undefined, manager)).body;
+  assert.deepEqual(byTeam.groups.map(g => [g.name, g.requests, g.total_cost]), [['Mechanics', 2, 397.5]]);
+
+  const tco = (await app.call('GET', '/costs/equipment/1', undefined, manager)).body;
+  assert.equal(tco.maintenance.total_cost, before.maintenance.total_cost + 337.5);
+  assert.equal(tco.total_cost_of_ownership, 85000 + tco.maintenance.total_cost);
+  assert.equal(tco.by_year.at(-1).year, 2024);
+
+  // Costs follow the current rates
+  await app.call('PUT', `/users/${ALICE_ID}/hourly-rate`, { hourly_rate: 60 }, manager);
+  assert.equal((await app.call('GET', `/costs/requests/${repair.id}`, undefined, manager)).body.labor_cost, 90);
+});
+
+test('costs are for managers and take a valid date range', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  const reversed = await app.call('GET', '/costs/summary?from=2024-06-01&to=2024-05-01', undefined, manager);
+  assert.equal(reversed.status, 400);
+  assert.ok(reversed.body.errors.to);
+  assert.equal((await app.call('GET', '/costs/summary?group_by=color', undefined, manager)).status, 400);
+  assert.equal((await app.call('GET', '/costs/requests/999', undefined, manager)).status, 404);
+  assert.equal((await app.call('GET', '/costs/summary', undefined, await app.login('alice'))).status, 403);
+});
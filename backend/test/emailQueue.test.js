@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDb } from '../db/memory.js';
+import { createEmailQueue } from '../jobs/emailQueue.js';
+import { createFakeClock } from './helpers.js';
+
+const quiet = { warn() {}, error() {} };
+
+async function queueEmail(db, clock) {
+  const { data } = await db.emailOutbox.createMany([{
+    to_email: 'alice@gearguard.local',
+    type: 'REQUEST_ASSIGNED',
+    subject: 'Assigned',
+    text: 'A request was assigned to you',
+    html: '<p>A request was assigned to you</p>',
+    status: 'PENDING',
+    attempts: 0,
+    next_attempt_at: clock.now().toISOString()
+  }]);
+  return data[0];
+}
+
+test('overlapping runs send each email once', async () => {
+  const clock = createFakeClock('2024-03-04T08:00:00Z');
+  const db = createMemoryDb({ clock });
+  const email = await queueEmail(db, clock);
+
+  const sent = [];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const transport = {
+    async send(message) {
+      sent.push(message.to);
+      await gate;
+    }
+  };
+  const queue = createEmailQueue({ db, transport, clock, logger: quiet });
+
+  const first = queue.run();
+  const second = queue.run();
+  release();
+  const results = await Promise.all([first, second]);
+
+  assert.deepEqual(sent, ['alice@gearguard.local']);
+  assert.equal(results[0].sent + results[1].sent, 1);
+  const { data: stored } = await db.emailOutbox.findById(email.id);
+  assert.equal(stored.status, 'SENT');
+  assert.equal(stored.attempts, 1);
+});
+
+test('a failed send is retried after its delay', async () => {
+  const clock = createFakeClock('2024-03-04T08:00:00Z');
+  const db = createMemoryDb({ clock });
+  const email = await queueEmail(db, clock);
+
+  const transport = { async send() { throw new Error('SMTP is down'); } };
+  const queue = createEmailQueue({ db, transport, clock, logger: quiet });
+
+  assert.deepEqual(await queue.run(), { sent: 0, retrying: 1, failed: 0 });
+  const { data: stored } = await db.emailOutbox.findById(email.id);
+  assert.equal(stored.status, 'PENDING');
+  assert.equal(stored.last_error, 'SMTP is down');
+  assert.equal(stored.next_attempt_at, '2024-03-04T08:01:00.000Z');
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+// Three years old at 2024-03-04 (-9) with an expired warranty (-10)
+const PRESS = {
+  name: 'Hydraulic Press 02',
+  used_by_type: 'DEPARTMENT',
+  used_by_department_id: 1,
+  purchase_date: '2021-01-01',
+  warranty_end_date: '2023-01-01'
+};
+
+// An open breakdown that was due on March 1st: -10 corrective, -5 open, -10 overdue
+async function reportOverdueBreakdown(app, token, equipmentId) {
+  await app.call('POST', '/requests', {
+    subject: 'Press loses pressure',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: equipmentId,
+    maintenance_type: 'CORRECTIVE',
+    scheduled_at: '2024-03-01T08:00:00Z'
+  }, token);
+}
+
+test('the health score adds up its penalties', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const { body: { data: press } } = await app.call('POST', '/equipment', PRESS, manager);
+
+  let { body } = await app.call('GET', `/equipment/${press.id}`, undefined, manager);
+  assert.equal(body.health.score, 81);
+  assert.equal(body.health.status, 'GOOD');
+  assert.deepEqual(body.health.factors, [
+    { factor: 'age', count: 3, penalty: 9 },
+    { factor: 'warranty', count: 1, penalty: 10 }
+  ]);
+
+  await reportOverdueBreakdown(app, manager, press.id);
+  ({ body } = await app.call('GET', `/equipment/${press.id}`, undefined, manager));
+  assert.equal(body.health.score, 56);
+  assert.equal(body.health.status, 'FAIR');
+
+  // Open and overdue requests stop counting at their caps (15 and 20)
+  await reportOverdueBreakdown(app, manager, press.id);
+  await reportOverdueBreakdown(app, manager, press.id);
+  await reportOverdueBreakdown(app, manager, press.id);
+  ({ body } = await app.call('GET', `/equipment/${press.id}`, undefined, manager));
+  assert.equal(body.health.score, 6);
+  assert.equal(body.health.status, 'CRITICAL');
+});
+
+test('critical equipment is listed, counted on the dashboard and scrapped equipment is not', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const before = (await app.call('GET', '/dashboard/summary', undefined, manager)).body.critical_equipment;
+
+  const { body: { data: press } } = await app.call('POST', '/equipment', PRESS, manager);
+  for (let i = 0; i < 3; i++) await reportOverdueBreakdown(app, manager, press.id);
+
+  const critical = await app.call('GET', '/equipment?health=CRITICAL', undefined, manager);
+  assert.equal(critical.status, 200);
+  const listed = critical.body.find(eq => eq.id === press.id);
+  assert.equal(listed.health_score, 16);
+  assert.equal(listed.health_status, 'CRITICAL');
+  assert.ok(critical.body.every(eq => eq.health_status === 'CRITICAL'));
+  assert.equal((await app.call('GET', '/dashboard/summary', undefined, manager)).body.critical_equipment, before + 1);
+
+  await app.call('PUT', `/equipment/${press.id}`, { ...PRESS, scrap_date: '2024-03-01' }, manager);
+  const scrapped = await app.call('GET', '/equipment?health=SCRAPPED', undefined, manager);
+  assert.deepEqual(scrapped.body.filter(eq => eq.id === press.id).map(eq => eq.health_score), [0]);
+  assert.equal((await app.call('GET', '/dashboard/summary', undefined, manager)).body.critical_equipment, before);
+
+  assert.equal((await app.call('GET', '/equipment?health=BROKEN', undefined, manager)).status, 400);
+});
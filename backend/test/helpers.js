@@ -0,0 +1,81 @@
+// Boots the real app on the in-memory adapters with the seed data and a fake clock, so route
+// tests run offline. Every call to startApp gets its own copy of the data.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createApp } from '../app.js';
+import { createMemoryDb } from '../db/memory.js';
+import { createMemoryAuth } from '../auth/memory.js';
+import { createLocalStorage } from '../storage/local.js';
+import { createLiveUpdates } from '../liveUpdates.js';
+import seed from '../db/seed.js';
+
+export const USERS = {
+  admin: 'admin@gearguard.local',
+  manager: 'manager@gearguard.local',
+  alice: 'alice@gearguard.local',
+  bob: 'bob@gearguard.local',
+  employee: 'employee@gearguard.local'
+};
+
+export const PASSWORD = 'gearguard';
+
+// A clock that only moves when told to; `sleep` advances it instead of waiting
+export function createFakeClock(start) {
+  let current = new Date(start).getTime();
+
+  return {
+    now: () => new Date(current),
+    sleep: async ms => { current += ms; },
+    set: time => { current = new Date(time).getTime(); },
+    advance: ms => { current += ms; }
+  };
+}
+
+// Resolves with `{ base, call, login, db, clock, close }`; `call(method, path, body, token)` takes
+// paths without the /api prefix and resolves with `{ status, body }`, `base` is the API's URL
+export async function startApp({ now = '2024-03-04T08:00:00Z', mailTransport } = {}) {
+  const clock = createFakeClock(now);
+  const db = createMemoryDb({ clock });
+  const auth = createMemoryAuth({ db, users: seed.users, clock });
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gearguard-test-'));
+  const app = createApp({
+    db,
+    auth,
+    clock,
+    live: createLiveUpdates(),
+    storage: createLocalStorage({ dir: storageDir }),
+    ...(mailTransport ? { mailTransport } : {})
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  async function call(method, urlPath, body, token) {
+    const response = await fetch(base + urlPath, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  }
+
+  async function login(user) {
+    const { status, body } = await call('POST', '/auth/login', { email: USERS[user] || user, password: PASSWORD });
+    if (status !== 200) throw new Error(`Login as ${user} failed: ${body?.message}`);
+    return body.session.access_token;
+  }
+
+  async function close() {
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  }
+
+  return { base, call, login, db, clock, close };
+}
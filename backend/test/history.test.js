@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+
+test('the history merges stage changes with the log and times each stage', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const admin = await app.login('admin');
+
+  const { body: { data: request } } = await app.call('POST', '/requests', {
+    subject: 'Hydraulic leak',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 1,
+    technician_id: ALICE_ID
+  }, manager);
+
+  app.clock.advance(10 * MINUTE);
+  await app.call('POST', `/requests/${request.id}/notes`, { note: 'Oil under the press' }, manager);
+  app.clock.advance(20 * MINUTE);
+  await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'IN_PROGRESS' }, manager);
+  app.clock.advance(5 * MINUTE);
+  await app.call('POST', `/requests/${request.id}/instructions`, { instruction: 'Replace the seal kit' }, manager);
+  app.clock.advance(60 * MINUTE);
+  await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'REPAIRED', resolution: 'Seal replaced' }, manager);
+  app.clock.advance(25 * MINUTE);
+  await app.call('POST', `/requests/${request.id}/worksheet`, { comment: 'Checked after an hour' }, admin);
+  app.clock.advance(30 * MINUTE);
+
+  const { status, body } = await app.call('GET', `/requests/${request.id}/history`, undefined, manager);
+  assert.equal(status, 200);
+
+  assert.deepEqual(body.timeline.map(e => e.type), ['created', 'note', 'stage', 'instruction', 'stage', 'worksheet']);
+  const [created, note, started, , repaired, worksheet] = body.timeline;
+  assert.equal(created.by, 'Max Manager');
+  assert.equal(note.text, 'Oil under the press');
+  assert.equal(started.at, '2024-03-04T08:30:00.000Z');
+  assert.deepEqual([started.from_stage, started.to_stage], ['NEW_REQUEST', 'IN_PROGRESS']);
+  assert.deepEqual([repaired.from_stage, repaired.to_stage], ['IN_PROGRESS', 'REPAIRED']);
+  assert.equal(worksheet.by, 'Ada Admin');
+
+  assert.deepEqual(body.stages.map(p => [p.stage, p.duration_minutes, p.left_at]), [
+    ['NEW_REQUEST', 30, '2024-03-04T08:30:00.000Z'],
+    ['IN_PROGRESS', 65, '2024-03-04T09:35:00.000Z'],
+    ['REPAIRED', 55, null]
+  ]);
+  assert.deepEqual(body.time_in_stage, { NEW_REQUEST: 30, IN_PROGRESS: 65, REPAIRED: 55 });
+});
+
+test('the history follows the request access rules', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const bob = await app.login('bob');
+
+  const { body: { data: request } } = await app.call('POST', '/requests', {
+    subject: 'Hydraulic leak',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 1,
+    technician_id: ALICE_ID
+  }, manager);
+
+  assert.equal((await app.call('GET', `/requests/${request.id}/history`, undefined, bob)).status, 403);
+  assert.equal((await app.call('GET', '/requests/999/history', undefined, manager)).status, 404);
+});
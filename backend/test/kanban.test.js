@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const BOB_ID = '00000000-0000-4000-8000-000000000004';
+
+// The Kanban board loads GET /requests unpaged, groups it by stage (and team or technician for
+// swimlanes) and moves cards with PUT /requests/:id/stage, resending the card's blocked flag
+test('the board gets every request with its lane fields', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  const { body: { data: request } } = await app.call('POST', '/requests', {
+    subject: 'Laptop screen flickers',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 2,
+    team_id: 2,
+    technician_id: BOB_ID
+  }, manager);
+
+  const { status, body } = await app.call('GET', '/requests', undefined, manager);
+  assert.equal(status, 200);
+  assert.ok(Array.isArray(body));
+  const card = body.find(r => r.id === request.id);
+  assert.equal(card.stage, 'NEW_REQUEST');
+  assert.equal(card.blocked, false);
+  assert.equal(card.team_id, 2);
+  assert.equal(card.team, 'IT Support');
+  assert.equal(card.technician_id, BOB_ID);
+  assert.equal(card.technician, 'Bob Technician');
+});
+
+test('technicians move their own cards only', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const alice = await app.login('alice');
+  const bob = await app.login('bob');
+
+  const { body: { data: request } } = await app.call('POST', '/requests', {
+    subject: 'Laptop screen flickers',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 2,
+    team_id: 2,
+    technician_id: BOB_ID
+  }, manager);
+
+  const own = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'IN_PROGRESS', blocked: false }, bob);
+  assert.equal(own.status, 200);
+
+  const board = await app.call('GET', '/requests', undefined, bob);
+  assert.ok(board.body.every(r => r.technician_id === BOB_ID));
+  assert.equal(board.body.find(r => r.id === request.id).stage, 'IN_PROGRESS');
+
+  const other = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'REPAIRED', blocked: false, resolution: 'Replaced the cable' }, alice);
+  assert.equal(other.status, 403);
+  assert.equal((await app.db.requests.findById(request.id)).data.stage, 'IN_PROGRESS');
+});
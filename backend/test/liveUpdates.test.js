@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+const BOB_ID = '00000000-0000-4000-8000-000000000004';
+
+// Opens GET /events for `token` and collects its events until the app closes
+async function subscribe(app, token) {
+  const response = await fetch(`${app.base}/events`, { headers: { Authorization: `Bearer ${token}` } });
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  const events = [];
+
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const type = block.match(/^event: (.*)$/m)?.[1];
+          if (type) events.push({ type, data: JSON.parse(block.match(/^data: (.*)$/m)[1]) });
+        }
+      }
+    } catch {
+      // The app closed the stream
+    }
+  })();
+
+  await waitFor([events], event => event.type === 'ready');
+  return events;
+}
+
+async function waitFor(streams, matches) {
+  const deadline = Date.now() + 2000;
+  while (!streams.every(events => events.some(matches))) {
+    if (Date.now() > deadline) throw new Error('The event never arrived');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Equipment events reach everyone, so once they arrive every earlier event has too
+async function settle(app, token, streams) {
+  const { body } = await app.call('POST', '/equipment', { name: 'Marker', used_by_type: 'DEPARTMENT', used_by_department_id: 1 }, token);
+  await waitFor(streams, event => event.type === 'equipment.created' && event.data.id === body.data.id);
+}
+
+const seen = (events, type, id) => events.some(event => event.type === type && event.data.id === id);
+
+test('request events reach only the users who may view the request', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const streams = {
+    manager: await subscribe(app, manager),
+    alice: await subscribe(app, await app.login('alice')),
+    bob: await subscribe(app, await app.login('bob')),
+    employee: await subscribe(app, await app.login('employee'))
+  };
+  const all = Object.values(streams);
+
+  const { body: { data: request } } = await app.call('POST', '/requests', {
+    subject: 'Printer jams',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 2,
+    team_id: 2,
+    technician_id: BOB_ID
+  }, manager);
+  await settle(app, manager, all);
+
+  assert.ok(seen(streams.manager, 'request.created', request.id));
+  assert.ok(seen(streams.bob, 'request.created', request.id));
+  assert.ok(!seen(streams.alice, 'request.created', request.id));
+  assert.ok(!seen(streams.employee, 'request.created', request.id));
+
+  // Bob hears that the request moved away from him, Alice that it came to her
+  await app.call('PATCH', `/requests/${request.id}`, { team_id: 1, technician_id: ALICE_ID }, manager);
+  await settle(app, manager, all);
+
+  assert.ok(seen(streams.bob, 'request.updated', request.id));
+  assert.ok(seen(streams.alice, 'request.updated', request.id));
+  assert.ok(!seen(streams.employee, 'request.updated', request.id));
+});
+
+test('the event stream needs a session', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const response = await fetch(`${app.base}/events`);
+  assert.equal(response.status, 401);
+});
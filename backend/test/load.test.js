@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const BOB_ID = '00000000-0000-4000-8000-000000000004';
+
+// April 1st 2024 is a Monday; Bob works Monday, Wednesday and Friday for 6 hours and Alice
+// the default five days of 8 hours
+const APRIL_WEEK = 'from=2024-04-01&to=2024-04-07';
+
+async function assignBob(app, token, values) {
+  await app.call('POST', '/requests', {
+    subject: 'Network switch check',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 2,
+    technician_id: BOB_ID,
+    ...values
+  }, token);
+}
+
+test('load is the scheduled work over the working hours of the window', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const bobRow = body => body.technicians.find(tech => tech.id === BOB_ID);
+
+  const before = (await app.call('GET', `/dashboard/technician-load?${APRIL_WEEK}`, undefined, manager)).body;
+  await assignBob(app, manager, { scheduled_at: '2024-04-03T09:00:00Z', duration_minutes: 540 });
+  await assignBob(app, manager, { scheduled_at: '2024-04-10T09:00:00Z', duration_minutes: 120 });
+  await assignBob(app, manager, { duration_minutes: 60 });
+
+  const { status, body } = await app.call('GET', `/dashboard/technician-load?${APRIL_WEEK}`, undefined, manager);
+  assert.equal(status, 200);
+  const bob = bobRow(body);
+  assert.equal(bob.capacity_minutes, 3 * 6 * 60);
+  assert.equal(bob.scheduled_minutes, 540);
+  assert.equal(bob.available_minutes, 540);
+  assert.equal(bob.load_percent, 50);
+  assert.equal(bob.scheduled_requests, 1);
+  assert.equal(bob.unscheduled_requests, bobRow(before).unscheduled_requests + 1);
+  assert.equal(body.scheduled_minutes, before.scheduled_minutes + 540);
+
+  const hours = await app.call('PUT', `/users/${BOB_ID}/working-hours`, { work_days: [5, 1, 2, 3, 4], work_hours_per_day: 4.5 }, manager);
+  assert.equal(hours.status, 200);
+  assert.deepEqual(hours.body.data.work_days, [1, 2, 3, 4, 5]);
+  const updated = bobRow((await app.call('GET', `/dashboard/technician-load?${APRIL_WEEK}`, undefined, manager)).body);
+  assert.equal(updated.capacity_minutes, 5 * 270);
+  assert.equal(updated.load_percent, 40);
+
+  const team = await app.call('GET', `/dashboard/technician-load?${APRIL_WEEK}&team_id=2`, undefined, manager);
+  assert.deepEqual(team.body.technicians.map(tech => tech.id), [BOB_ID]);
+});
+
+test('a window that contains today books the overdue work too', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const bobMinutes = async () => (await app.call('GET', '/dashboard/technician-load', undefined, manager)).body
+    .technicians.find(tech => tech.id === BOB_ID).scheduled_minutes;
+
+  const before = await bobMinutes();
+  await assignBob(app, manager, { scheduled_at: '2024-03-01T09:00:00Z', duration_minutes: 60 });
+  assert.equal(await bobMinutes(), before + 60);
+
+  const reversed = await app.call('GET', '/dashboard/technician-load?from=2024-04-07&to=2024-04-01', undefined, manager);
+  assert.equal(reversed.status, 400);
+  assert.equal((await app.call('GET', '/dashboard/technician-load', undefined, await app.login('bob'))).status, 403);
+});
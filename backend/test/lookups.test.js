@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+
+// Seed equipment 1 uses category 2, department 1 and location 1
+const EQUIPMENT = {
+  name: 'CNC Machine 01',
+  serial_number: 'CNC-0001',
+  category_id: 2,
+  used_by_type: 'DEPARTMENT',
+  used_by_department_id: 1,
+  location_id: 1
+};
+
+test('retired lookups stay on their records but cannot be picked anew', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const token = await app.login('admin');
+
+  const listed = await app.call('GET', '/lookups/categories', undefined, token);
+  const machinery = listed.body.find(c => c.id === 2);
+  assert.match(machinery.used_by, /\b1 PM plan\b.*\b2 spare parts\b/);
+
+  const retired = await app.call('POST', '/lookups/categories/2/archive', {}, token);
+  assert.equal(retired.status, 200);
+
+  const kept = await app.call('PUT', '/equipment/1', EQUIPMENT, token);
+  assert.equal(kept.status, 200);
+
+  const equipment = await app.call('POST', '/equipment', { ...EQUIPMENT, name: 'CNC Machine 02', serial_number: 'CNC-0002' }, token);
+  assert.equal(equipment.status, 400);
+  assert.match(equipment.body.errors.category_id, /is retired/);
+
+  const request = { subject: 'Spindle noise', maintenance_for: 'EQUIPMENT', equipment_id: 1 };
+  const rejected = await app.call('POST', '/requests', { ...request, category_id: 2 }, token);
+  assert.equal(rejected.status, 400);
+  assert.match(rejected.body.errors.category_id, /is retired/);
+
+  const created = await app.call('POST', '/requests', request, token);
+  assert.equal(created.status, 200);
+  const changed = await app.call('PATCH', `/requests/${created.body.data.id}`, { category_id: 2 }, token);
+  assert.equal(changed.status, 400);
+  assert.match(changed.body.errors.category_id, /is retired/);
+
+  const part = await app.call('POST', '/parts', { part_number: 'SP-100', name: 'Spindle bearing', unit_cost: 40, compatible_category_ids: [2] }, token);
+  assert.equal(part.status, 400);
+  assert.match(part.body.errors.compatible_category_ids, /is retired/);
+
+  // The seeded PM plan 1 uses category 2
+  const plan = { name: 'CNC spindle lubrication', maintenance_for: 'EQUIPMENT', equipment_id: 1, category_id: 2, frequency: 'MONTHLY', day_of_month: 15, start_date: '2024-01-15' };
+  assert.equal((await app.call('PUT', '/pm-plans/1', plan, token)).status, 200);
+  const newPlan = await app.call('POST', '/pm-plans', { ...plan, name: 'Coolant check' }, token);
+  assert.equal(newPlan.status, 400);
+  assert.match(newPlan.body.errors.category_id, /is retired/);
+
+  const skilled = await app.call('PUT', `/teams/1/members/${ALICE_ID}`, { category_ids: [2] }, token);
+  assert.equal(skilled.status, 400);
+  assert.match(skilled.body.errors.category_ids, /is retired/);
+  const member = await app.call('POST', '/teams/2/members', { user_id: ALICE_ID, category_ids: [2] }, token);
+  assert.equal(member.status, 400);
+  assert.match(member.body.errors.category_ids, /is retired/);
+
+  await app.call('POST', '/lookups/categories/2/restore', {}, token);
+  const restored = await app.call('POST', '/equipment', { ...EQUIPMENT, name: 'CNC Machine 02', serial_number: 'CNC-0002' }, token);
+  assert.equal(restored.status, 200);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+const BOB_ID = '00000000-0000-4000-8000-000000000004';
+
+const REQUEST = { subject: 'Printer jams', maintenance_for: 'EQUIPMENT', equipment_id: 2 };
+
+async function inbox(app, token, query = '') {
+  return (await app.call('GET', `/notifications${query}`, undefined, token)).body;
+}
+
+test('preferences start on and switch single types off', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const bob = await app.login('bob');
+
+  const initial = await app.call('GET', '/notifications/preferences', undefined, bob);
+  assert.ok(Object.values(initial.body.preferences).every(Boolean));
+  assert.ok(initial.body.types.some(({ type }) => type === 'REQUEST_ASSIGNED'));
+
+  const updated = await app.call('PUT', '/notifications/preferences', { REQUEST_ASSIGNED: false }, bob);
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.preferences.REQUEST_ASSIGNED, false);
+  assert.equal(updated.body.preferences.STAGE_CHANGED, true);
+
+  const unknown = await app.call('PUT', '/notifications/preferences', { EVERYTHING: false }, bob);
+  assert.equal(unknown.status, 400);
+});
+
+test('notifications skip the actor and anyone who turned the type off', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const employee = await app.login('employee');
+  const alice = await app.login('alice');
+  const bob = await app.login('bob');
+  await app.call('PUT', '/notifications/preferences', { REQUEST_ASSIGNED: false }, bob);
+
+  const own = (await app.call('POST', '/requests', REQUEST, manager)).body.data;
+  const reported = (await app.call('POST', '/requests', REQUEST, employee)).body.data;
+  const created = (await inbox(app, manager)).data.filter(n => n.type === 'REQUEST_CREATED').map(n => n.request_id);
+  assert.ok(created.includes(reported.id));
+  assert.ok(!created.includes(own.id));
+
+  assert.equal((await app.call('PATCH', `/requests/${own.id}`, { technician_id: ALICE_ID }, manager)).status, 200);
+  const assigned = (await inbox(app, alice)).data.find(n => n.type === 'REQUEST_ASSIGNED' && n.request_id === own.id);
+  assert.equal(assigned.title, `Assigned to you: ${REQUEST.subject}`);
+  assert.equal((await app.call('PATCH', `/requests/${own.id}`, { technician_id: BOB_ID }, manager)).status, 200);
+  assert.ok(!(await inbox(app, bob)).data.some(n => n.type === 'REQUEST_ASSIGNED'));
+});
+
+test('notifications are read one by one or all at once by their owner only', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const employee = await app.login('employee');
+  await app.call('POST', '/requests', REQUEST, employee);
+  await app.call('POST', '/requests', REQUEST, employee);
+
+  const before = await inbox(app, manager);
+  assert.ok(before.unread_count >= 2);
+  const [first] = before.data;
+
+  assert.equal((await app.call('PATCH', `/notifications/${first.id}`, { read: true }, employee)).status, 404);
+  const read = await app.call('PATCH', `/notifications/${first.id}`, { read: true }, manager);
+  assert.equal(read.status, 200);
+  const after = await inbox(app, manager, '?unread=true');
+  assert.equal(after.unread_count, before.unread_count - 1);
+  assert.ok(!after.data.some(n => n.id === first.id));
+
+  await app.call('PATCH', '/notifications/read-all', undefined, manager);
+  assert.equal((await inbox(app, manager)).unread_count, 0);
+});
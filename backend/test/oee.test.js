@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const RANGE = 'from=2024-03-11&to=2024-03-12';
+
+async function post(app, path, body, token) {
+  const response = await app.call('POST', path, body, token);
+  assert.equal(response.status, 200);
+  return response.body.data;
+}
+
+test('OEE multiplies availability, performance and quality per period', async (t) => {
+  const app = await startApp({ now: '2024-03-12T17:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  // Two pieces at a time, so 700 pieces of 60 seconds take 350 ideal minutes
+  const line = await post(app, '/workcenters', { name: 'Bottling line', capacity: 2, oee_target: 60 }, manager);
+  const base = `/workcenters/${line.id}`;
+  await post(app, `${base}/production`, {
+    production_date: '2024-03-11', scheduled_minutes: 480, total_count: 700, good_count: 665, ideal_cycle_seconds: 60
+  }, manager);
+  await post(app, `${base}/production`, {
+    production_date: '2024-03-12', scheduled_minutes: 480, total_count: 400, good_count: 400, ideal_cycle_seconds: 60
+  }, manager);
+  await post(app, `${base}/downtime`, {
+    downtime_type: 'PLANNED', reason: 'Changeover', started_at: '2024-03-11T10:00:00Z', ended_at: '2024-03-11T10:30:00Z'
+  }, manager);
+  await post(app, `${base}/downtime`, {
+    downtime_type: 'UNPLANNED', reason: 'Jam', started_at: '2024-03-11T13:00:00Z', ended_at: '2024-03-11T13:45:00Z'
+  }, manager);
+  // Still down, so it counts up to now
+  await post(app, `${base}/downtime`, {
+    downtime_type: 'UNPLANNED', reason: 'Motor fault', started_at: '2024-03-12T16:00:00Z'
+  }, manager);
+
+  const { status, body } = await app.call('GET', `${base}/oee?${RANGE}`, undefined, manager);
+  assert.equal(status, 200);
+  const ratios = period => [period.run_minutes, period.availability, period.performance, period.quality, period.oee, period.meets_target];
+  assert.deepEqual(body.periods.map(p => p.start), ['2024-03-11', '2024-03-12']);
+  assert.deepEqual(ratios(body.periods[0]), [405, 90, 86.4, 95, 73.9, true]);
+  assert.deepEqual(ratios(body.periods[1]), [420, 87.5, 47.6, 100, 41.7, false]);
+  assert.deepEqual(ratios(body.summary), [825, 88.7, 66.7, 96.8, 57.3, false]);
+  assert.deepEqual(body.downtime_by_reason.map(r => [r.reason, r.minutes]), [['Motor fault', 60], ['Jam', 45], ['Changeover', 30]]);
+
+  const weekly = (await app.call('GET', `${base}/oee?${RANGE}&granularity=week`, undefined, manager)).body;
+  assert.equal(weekly.periods.length, 1);
+  assert.equal(weekly.periods[0].oee, body.summary.oee);
+});
+
+test('OEE needs counts that add up and a bounded range', async (t) => {
+  const app = await startApp({ now: '2024-03-12T17:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  const empty = (await app.call('GET', '/workcenters/1/oee?from=2024-01-01&to=2024-01-01', undefined, manager)).body;
+  assert.equal(empty.summary.oee, null);
+  assert.equal(empty.summary.meets_target, null);
+
+  const tooGood = await app.call('POST', '/workcenters/1/production', {
+    production_date: '2024-03-12', scheduled_minutes: 480, total_count: 10, good_count: 11, ideal_cycle_seconds: 60
+  }, manager);
+  assert.equal(tooGood.status, 400);
+  assert.ok(tooGood.body.errors.good_count);
+  assert.equal((await app.call('GET', '/workcenters/1/oee?from=2024-03-12&to=2024-03-01', undefined, manager)).status, 400);
+  assert.equal((await app.call('GET', '/workcenters/1/oee', undefined, await app.login('alice'))).status, 403);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+
+// Seeded part 1 "Spindle bearing" costs 85 and has 4 in stock at location 1 (reorder point 2);
+// it fits Machinery (category 2), part 3 "Laptop charger" only fits Computers
+async function createRequest(app, token) {
+  const { body } = await app.call('POST', '/requests', {
+    subject: 'Replace the spindle bearing',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 1,
+    category_id: 2,
+    technician_id: ALICE_ID
+  }, token);
+  return body.data;
+}
+
+test('parts used on a request come out of stock and go back when the line is removed', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const alice = await app.login('alice');
+  const request = await createRequest(app, manager);
+
+  app.clock.advance(MINUTE);
+  const used = await app.call('POST', `/requests/${request.id}/parts`, { part_id: 1, location_id: 1, quantity: 3 }, alice);
+  assert.equal(used.status, 200);
+
+  const part = (await app.call('GET', '/parts/1', undefined, manager)).body;
+  assert.equal(part.total_quantity, 1);
+  assert.equal(part.low_stock, true);
+  const low = (await app.call('GET', '/parts/low-stock', undefined, manager)).body.find(s => s.part_id === 1);
+  assert.equal(low.shortfall, 1);
+
+  const lines = (await app.call('GET', `/requests/${request.id}/parts`, undefined, manager)).body;
+  assert.equal(lines.total_cost, 255);
+
+  const tooMany = await app.call('POST', `/requests/${request.id}/parts`, { part_id: 1, location_id: 1, quantity: 5 }, alice);
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.body.message, 'Not enough stock: 1 left at this location');
+
+  app.clock.advance(MINUTE);
+  const returned = await app.call('DELETE', `/requests/${request.id}/parts/${used.body.data.id}`, undefined, alice);
+  assert.equal(returned.status, 200);
+  assert.equal((await app.call('GET', '/parts/1', undefined, manager)).body.total_quantity, 4);
+
+  const movements = (await app.call('GET', '/parts/movements?part_id=1', undefined, manager)).body;
+  assert.deepEqual(movements.map(m => [m.type, m.change, m.quantity_after]), [
+    ['RETURN', 3, 4],
+    ['CONSUMPTION', -3, 1],
+    ['RECEIPT', 4, 4]
+  ]);
+});
+
+test('stock is received and corrected per location', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  const received = await app.call('POST', '/parts/1/stock', { location_id: 2, type: 'RECEIPT', quantity: 5 }, manager);
+  assert.equal(received.status, 200);
+  assert.equal((await app.call('GET', '/parts/1', undefined, manager)).body.total_quantity, 9);
+
+  const negativeReceipt = await app.call('POST', '/parts/1/stock', { location_id: 2, type: 'RECEIPT', quantity: -1 }, manager);
+  assert.equal(negativeReceipt.status, 400);
+  assert.ok(negativeReceipt.body.errors.quantity);
+  const belowZero = await app.call('POST', '/parts/1/stock', { location_id: 2, type: 'ADJUSTMENT', quantity: -10 }, manager);
+  assert.equal(belowZero.status, 400);
+
+  app.clock.advance(MINUTE);
+  await app.call('POST', '/parts/1/stock', { location_id: 2, type: 'ADJUSTMENT', quantity: -2, note: 'Counted 3' }, manager);
+  const adjustments = (await app.call('GET', '/parts/movements?part_id=1&type=ADJUSTMENT', undefined, manager)).body;
+  assert.deepEqual(adjustments.map(m => [m.location_id, m.change, m.quantity_after, m.note]), [[2, -2, 3, 'Counted 3']]);
+});
+
+test('parts must fit the request and be used by someone who may work on it', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const request = await createRequest(app, manager);
+
+  const misfit = await app.call('POST', `/requests/${request.id}/parts`, { part_id: 3, location_id: 2, quantity: 1 }, manager);
+  assert.equal(misfit.status, 400);
+  assert.match(misfit.body.errors.part_id, /doesn't fit/);
+
+  const bob = await app.login('bob');
+  const other = await app.call('POST', `/requests/${request.id}/parts`, { part_id: 1, location_id: 1, quantity: 1 }, bob);
+  assert.equal(other.status, 403);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+// The seeded plan "CNC spindle lubrication" runs on the 15th at 08:00 with 14 lead days
+test('generated requests get the side effects of a created request', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const admin = await app.login('admin');
+  const manager = await app.login('manager');
+  const alice = await app.login('alice');
+
+  const webhook = await app.call('POST', '/webhooks', {
+    name: 'Requests',
+    url: 'https://example.com/hooks/gearguard',
+    events: ['request.created']
+  }, admin);
+  assert.equal(webhook.status, 200);
+
+  const run = await app.call('POST', '/pm-plans/run', {}, manager);
+  assert.equal(run.status, 200);
+  assert.equal(run.body.data.created, 1);
+
+  const generated = (await app.call('GET', '/requests', undefined, manager)).body
+    .find(r => r.subject === 'CNC spindle lubrication' && r.scheduled_at === '2024-03-15T08:00:00.000Z');
+  assert.ok(generated);
+
+  const deliveries = await app.call('GET', `/webhooks/${webhook.body.data.id}/deliveries`, undefined, admin);
+  assert.deepEqual(deliveries.body.map(d => d.event), ['request.created']);
+
+  const managerNotifications = await app.call('GET', '/notifications', undefined, manager);
+  assert.ok(managerNotifications.body.data.some(n => n.type === 'REQUEST_CREATED' && n.request_id === generated.id));
+
+  const aliceNotifications = await app.call('GET', '/notifications', undefined, alice);
+  assert.ok(aliceNotifications.body.data.some(n => n.type === 'REQUEST_ASSIGNED' && n.request_id === generated.id));
+
+  // A second run finds the occurrence taken and repeats nothing
+  const again = await app.call('POST', '/pm-plans/run', {}, manager);
+  assert.equal(again.body.data.created, 0);
+  const after = await app.call('GET', `/webhooks/${webhook.body.data.id}/deliveries`, undefined, admin);
+  assert.equal(after.body.length, 1);
+});
+
+test('rescheduled and deleted requests keep their occurrence', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const forecast = async () => (await app.call('GET', '/pm-plans/forecast?from=2024-03-01&to=2024-03-31', undefined, manager)).body
+    .filter(f => f.subject === 'CNC spindle lubrication');
+
+  assert.equal((await app.call('POST', '/pm-plans/run', {}, manager)).body.data.created, 1);
+  const [occurrence] = await forecast();
+  assert.equal(occurrence.scheduled_at, '2024-03-15T08:00:00.000Z');
+
+  const moved = await app.call('PATCH', `/requests/${occurrence.request_id}`, { scheduled_at: '2024-03-16T10:00:00.000Z' }, manager);
+  assert.equal(moved.status, 200);
+  assert.equal((await app.call('POST', '/pm-plans/run', {}, manager)).body.data.created, 0);
+  assert.deepEqual((await forecast()).map(f => f.request_id), [occurrence.request_id]);
+
+  const removed = await app.call('DELETE', `/requests/${occurrence.request_id}`, undefined, manager);
+  assert.equal(removed.status, 200);
+  assert.equal((await app.call('POST', '/pm-plans/run', {}, manager)).body.data.created, 0);
+  assert.deepEqual(await forecast(), []);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+const BOB_ID = '00000000-0000-4000-8000-000000000004';
+
+// Three requests a minute apart that only the search "hydraulic" finds; the first one is in
+// progress and past its scheduled date
+async function createRequests(app, token) {
+  const created = [];
+  for (const values of [
+    { subject: 'Hydraulic leak at press 1', priority: 1, request_date: '2024-03-01', scheduled_at: '2024-03-02T09:00:00Z', technician_id: ALICE_ID },
+    { subject: 'Hydraulic hose worn', priority: 3, request_date: '2024-03-03', scheduled_at: '2024-03-10T09:00:00Z', technician_id: ALICE_ID },
+    { subject: 'Hydraulic pump noise', priority: 2, request_date: '2024-03-04', technician_id: BOB_ID }
+  ]) {
+    const { body } = await app.call('POST', '/requests', { maintenance_for: 'EQUIPMENT', equipment_id: 1, ...values }, token);
+    created.push(body.data.id);
+    app.clock.advance(60 * 1000);
+  }
+  await app.call('PUT', `/requests/${created[0]}/stage`, { stage: 'IN_PROGRESS' }, token);
+  return created;
+}
+
+test('the request list filters, sorts and pages on the server', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const [leak, hose, pump] = await createRequests(app, manager);
+  const ids = async query => (await app.call('GET', `/requests?q=hydraulic${query}`, undefined, manager)).body.map(r => r.id);
+
+  assert.deepEqual(await ids(''), [pump, hose, leak]);
+  assert.deepEqual(await ids('&sort=priority&order=asc'), [leak, pump, hose]);
+  assert.deepEqual(await ids('&stage=IN_PROGRESS'), [leak]);
+  assert.deepEqual(await ids(`&technician_id=${BOB_ID}`), [pump]);
+  assert.deepEqual(await ids('&date_from=2024-03-02&date_to=2024-03-03'), [hose]);
+  assert.deepEqual(await ids('&overdue=true'), [leak]);
+
+  const page = await app.call('GET', '/requests?q=hydraulic&page=2&page_size=2', undefined, manager);
+  assert.equal(page.status, 200);
+  assert.deepEqual(page.body.data.map(r => r.id), [leak]);
+  assert.equal(page.body.total, 3);
+  assert.equal(page.body.page, 2);
+  assert.equal(page.body.page_size, 2);
+});
+
+test('the request list rejects bad filters and keeps technicians to their own requests', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const bob = await app.login('bob');
+  const [, , pump] = await createRequests(app, manager);
+
+  const range = await app.call('GET', '/requests?date_from=2024-03-10&date_to=2024-03-01', undefined, manager);
+  assert.equal(range.status, 400);
+  assert.ok(range.body.errors.date_to);
+
+  const sort = await app.call('GET', '/requests?sort=cost', undefined, manager);
+  assert.equal(sort.status, 400);
+  assert.ok(sort.body.errors.sort);
+
+  const own = await app.call('GET', `/requests?q=hydraulic&technician_id=${ALICE_ID}`, undefined, bob);
+  assert.deepEqual(own.body.map(r => r.id), []);
+  const all = await app.call('GET', '/requests?q=hydraulic', undefined, bob);
+  assert.deepEqual(all.body.map(r => r.id), [pump]);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const NEW_REQUEST = {
+  subject: 'Conveyor belt slipping',
+  maintenance_for: 'EQUIPMENT',
+  equipment_id: 1,
+  maintenance_type: 'CORRECTIVE',
+  priority: 2
+};
+
+test('requests can be created, read, updated and deleted', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const token = await app.login('manager');
+
+  const created = await app.call('POST', '/requests', NEW_REQUEST, token);
+  assert.equal(created.status, 200);
+  const id = created.body.data.id;
+  assert.equal(created.body.data.subject, NEW_REQUEST.subject);
+  assert.equal(created.body.data.stage, 'NEW_REQUEST');
+
+  const read = await app.call('GET', `/requests/${id}/details`, undefined, token);
+  assert.equal(read.status, 200);
+  assert.equal(read.body.request.subject, NEW_REQUEST.subject);
+
+  const listed = await app.call('GET', '/requests', undefined, token);
+  assert.ok(listed.body.some(r => r.id === id));
+
+  const updated = await app.call('PATCH', `/requests/${id}`, { subject: 'Conveyor belt replaced' }, token);
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.data.subject, 'Conveyor belt replaced');
+
+  const deleted = await app.call('DELETE', `/requests/${id}`, undefined, token);
+  assert.equal(deleted.status, 200);
+
+  const after = await app.call('GET', '/requests', undefined, token);
+  assert.ok(!after.body.some(r => r.id === id));
+});
+
+test('creating a request validates the body', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const token = await app.login('manager');
+
+  const { status, body } = await app.call('POST', '/requests', { ...NEW_REQUEST, subject: '', priority: 9 }, token);
+
+  assert.equal(status, 400);
+  assert.ok(body.errors.subject);
+  assert.ok(body.errors.priority);
+});
+
+test('employees only see and edit their own requests', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const employee = await app.login('employee');
+
+  const managers = await app.call('POST', '/requests', NEW_REQUEST, manager);
+  const own = await app.call('POST', '/requests', NEW_REQUEST, employee);
+  assert.equal(own.status, 200);
+  assert.equal(own.body.data.created_by_user_id, '00000000-0000-4000-8000-000000000005');
+
+  const listed = await app.call('GET', '/requests', undefined, employee);
+  assert.ok(listed.body.some(r => r.id === own.body.data.id));
+  assert.ok(!listed.body.some(r => r.id === managers.body.data.id));
+
+  const edit = await app.call('PATCH', `/requests/${managers.body.data.id}`, { subject: 'Not mine' }, employee);
+  assert.equal(edit.status, 403);
+
+  const remove = await app.call('DELETE', `/requests/${own.body.data.id}`, undefined, employee);
+  assert.equal(remove.status, 403);
+});
+
+test('requests must point at existing records', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const token = await app.login('manager');
+
+  const rejected = await app.call('POST', '/requests', { ...NEW_REQUEST, equipment_id: 999 }, token);
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.body.errors.equipment_id, 'Equipment not found');
+
+  const { body: { data: request } } = await app.call('POST', '/requests', NEW_REQUEST, token);
+  for (const [field, error] of [['equipment_id', 'Equipment not found'], ['team_id', 'Team not found']]) {
+    const patched = await app.call('PATCH', `/requests/${request.id}`, { [field]: 999 }, token);
+    assert.equal(patched.status, 400);
+    assert.equal(patched.body.errors[field], error);
+  }
+
+  const put = await app.call('PUT', `/requests/${request.id}`, { ...NEW_REQUEST, maintenance_for: 'WORKCENTER', equipment_id: null, workcenter_id: 999 }, token);
+  assert.equal(put.status, 400);
+  assert.equal(put.body.errors.workcenter_id, 'Work center not found');
+});
+
+test('details of a missing request answer 404', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const token = await app.login('manager');
+
+  const { status } = await app.call('GET', '/requests/999/details', undefined, token);
+  assert.equal(status, 404);
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+
+// Seeded policy "Corrective maintenance": 240 minutes to respond, 2880 to resolve
+async function createCorrective(app, token, priority = 2) {
+  const { body } = await app.call('POST', '/requests', {
+    subject: 'Hydraulic pressure drops',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 1,
+    maintenance_type: 'CORRECTIVE',
+    priority
+  }, token);
+  return body.data;
+}
+
+async function findRequest(app, id) {
+  const { data } = await app.db.requests.findById(id);
+  return data;
+}
+
+test('new requests get due dates from the matching policy and the clock', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  const normal = await createCorrective(app, manager, 2);
+  assert.equal(normal.sla_policy_id, 2);
+  assert.equal(normal.response_due_at, '2024-03-04T12:00:00.000Z');
+  assert.equal(normal.resolution_due_at, '2024-03-06T08:00:00.000Z');
+
+  // The more specific "High priority breakdowns" policy wins for priority 3
+  const urgent = await createCorrective(app, manager, 3);
+  assert.equal(urgent.sla_policy_id, 1);
+  assert.equal(urgent.response_due_at, '2024-03-04T09:00:00.000Z');
+});
+
+test('the SLA status follows the clock', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const request = await createCorrective(app, manager);
+
+  const pending = await app.call('GET', `/requests/${request.id}/details`, undefined, manager);
+  assert.equal(pending.body.sla.response, 'PENDING');
+
+  app.clock.advance(241 * MINUTE);
+  const breached = await app.call('GET', `/requests/${request.id}/details`, undefined, manager);
+  assert.equal(breached.body.sla.response, 'BREACHED');
+  assert.equal(breached.body.sla.resolution, 'PENDING');
+});
+
+test('a response made in time is met even after the due date passes', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const request = await createCorrective(app, manager);
+
+  app.clock.advance(60 * MINUTE);
+  await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'IN_PROGRESS' }, manager);
+  app.clock.advance(600 * MINUTE);
+
+  const { body } = await app.call('GET', `/requests/${request.id}/details`, undefined, manager);
+  assert.equal(body.sla.response, 'MET');
+});
+
+test('breached requests are escalated once per breach', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const request = await createCorrective(app, manager);
+
+  app.clock.advance(239 * MINUTE);
+  await app.call('POST', '/sla/escalate', {}, manager);
+  assert.equal((await findRequest(app, request.id)).escalated_at ?? null, null);
+
+  app.clock.advance(2 * MINUTE);
+  const escalated = await app.call('POST', '/sla/escalate', {}, manager);
+  assert.equal(escalated.status, 200);
+  let stored = await findRequest(app, request.id);
+  assert.equal(stored.escalation_reason, 'RESPONSE');
+  assert.equal(stored.escalated_at, '2024-03-04T12:01:00.000Z');
+  assert.equal(stored.priority, 3);
+
+  // Running again before the resolution breach changes nothing
+  app.clock.advance(60 * MINUTE);
+  await app.call('POST', '/sla/escalate', {}, manager);
+  stored = await findRequest(app, request.id);
+  assert.equal(stored.escalated_at, '2024-03-04T12:01:00.000Z');
+
+  app.clock.set('2024-03-06T08:01:00Z');
+  await app.call('POST', '/sla/escalate', {}, manager);
+  stored = await findRequest(app, request.id);
+  assert.equal(stored.escalation_reason, 'RESOLUTION');
+  assert.equal(stored.priority, 3);
+});
+
+test('closed requests are not escalated', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const request = await createCorrective(app, manager);
+  await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'SCRAP', resolution: 'Replaced the machine' }, manager);
+
+  app.clock.set('2024-03-10T08:00:00Z');
+  await app.call('POST', '/sla/escalate', {}, manager);
+
+  assert.equal((await findRequest(app, request.id)).escalated_at ?? null, null);
+});
+
+test('escalations notify the team leads, or the managers when the team has none', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const admin = await app.login('admin');
+  const manager = await app.login('manager');
+  const alice = await app.login('alice');
+
+  const webhook = await app.call('POST', '/webhooks', {
+    name: 'Updates',
+    url: 'https://example.com/hooks/gearguard',
+    events: ['request.updated']
+  }, admin);
+  // Request ids the user was told were escalated; seeded requests breach too
+  const escalated = async token => (await app.call('GET', '/notifications', undefined, token)).body.data
+    .filter(n => n.type === 'SLA_ESCALATED')
+    .map(n => n.request_id);
+
+  // Equipment 1 belongs to team 1, led by Alice
+  const first = await createCorrective(app, manager);
+  assert.equal(first.team_id, 1);
+  app.clock.advance(241 * MINUTE);
+  await app.call('POST', '/sla/escalate', {}, manager);
+
+  assert.ok((await escalated(alice)).includes(first.id));
+  assert.ok(!(await escalated(manager)).includes(first.id));
+  const deliveries = await app.call('GET', `/webhooks/${webhook.body.data.id}/deliveries`, undefined, admin);
+  assert.ok(deliveries.body.some(d => d.event === 'request.updated' && d.payload.data.request.id === first.id));
+
+  // Without a lead the managers hear of it
+  const demoted = await app.call('PUT', `/teams/1/members/${ALICE_ID}`, { role: 'MEMBER' }, admin);
+  assert.equal(demoted.status, 200);
+  const second = await createCorrective(app, manager);
+  app.clock.advance(241 * MINUTE);
+  await app.call('POST', '/sla/escalate', {}, manager);
+
+  assert.ok((await escalated(manager)).includes(second.id));
+  assert.ok(!(await escalated(alice)).includes(second.id));
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const MANAGER_ID = '00000000-0000-4000-8000-000000000002';
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+const BOB_ID = '00000000-0000-4000-8000-000000000004';
+const UNKNOWN_ID = '00000000-0000-4000-8000-000000000099';
+
+const roles = team => team.members.map(m => [m.name, m.role]);
+
+test('team members are leads or members and can change role', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  // Someone listed as both lead and member is a lead
+  const created = await app.call('POST', '/teams', {
+    name: 'Night shift',
+    member_ids: [BOB_ID, ALICE_ID],
+    lead_ids: [ALICE_ID]
+  }, manager);
+  assert.equal(created.status, 200);
+  const team = created.body.data;
+  assert.deepEqual(roles(team), [['Alice Technician', 'LEAD'], ['Bob Technician', 'MEMBER']]);
+
+  const promoted = await app.call('PUT', `/teams/${team.id}/members/${BOB_ID}`, { role: 'LEAD' }, manager);
+  assert.equal(promoted.body.data.role, 'LEAD');
+  const unchanged = await app.call('PUT', `/teams/${team.id}/members/${BOB_ID}`, {}, manager);
+  assert.equal(unchanged.body.message, 'No changes');
+
+  const added = await app.call('POST', `/teams/${team.id}/members`, { user_id: MANAGER_ID, category_ids: [2] }, manager);
+  assert.deepEqual([added.body.data.role, added.body.data.category_ids], ['MEMBER', [2]]);
+  const twice = await app.call('POST', `/teams/${team.id}/members`, { user_id: MANAGER_ID }, manager);
+  assert.equal(twice.body.errors.user_id, 'Already a member of this team');
+  const badRole = await app.call('PUT', `/teams/${team.id}/members/${MANAGER_ID}`, { role: 'OWNER' }, manager);
+  assert.equal(badRole.status, 400);
+
+  assert.equal((await app.call('DELETE', `/teams/${team.id}/members/${ALICE_ID}`, undefined, manager)).status, 200);
+  assert.equal((await app.call('DELETE', `/teams/${team.id}/members/${ALICE_ID}`, undefined, manager)).status, 404);
+  const current = (await app.call('GET', `/teams/${team.id}`, undefined, manager)).body;
+  assert.deepEqual(roles(current), [['Bob Technician', 'LEAD'], ['Max Manager', 'MEMBER']]);
+});
+
+test('a team whose members fail to save is not created', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  const failed = await app.call('POST', '/teams', { name: 'Ghost crew', member_ids: [ALICE_ID, UNKNOWN_ID] }, manager);
+  assert.equal(failed.status, 400);
+  assert.match(failed.body.message, /^Team was not created: /);
+
+  const teams = (await app.call('GET', '/teams', undefined, manager)).body;
+  assert.ok(!teams.some(team => team.name === 'Ghost crew'));
+  assert.equal((await app.call('POST', '/teams', { name: 'Ghost crew' }, manager)).status, 200);
+});
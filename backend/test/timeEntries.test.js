@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+
+async function createRequest(app, token) {
+  const { body } = await app.call('POST', '/requests', {
+    subject: 'Align the spindle',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 1,
+    technician_id: ALICE_ID,
+    duration_minutes: 120
+  }, token);
+  return body.data;
+}
+
+test('a timer starts, pauses, resumes and stops', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const alice = await app.login('alice');
+  const request = await createRequest(app, manager);
+  const other = await createRequest(app, manager);
+  const logged = async () => (await app.call('GET', `/time-entries/requests/${request.id}`, undefined, alice)).body;
+
+  const started = await app.call('POST', `/time-entries/requests/${request.id}/start`, undefined, alice);
+  assert.equal(started.body.message, 'Timer started');
+  assert.equal((await app.call('GET', '/time-entries/running', undefined, alice)).body.entry.request_id, request.id);
+  assert.equal((await app.call('POST', `/time-entries/requests/${request.id}/start`, undefined, alice)).status, 400);
+
+  app.clock.advance(30 * MINUTE);
+  assert.equal((await app.call('POST', `/time-entries/requests/${request.id}/pause`, undefined, alice)).status, 200);
+  let summary = await logged();
+  assert.deepEqual(summary.timer.state, 'PAUSED');
+  assert.equal(summary.actual_minutes, 30);
+
+  app.clock.advance(10 * MINUTE);
+  const resumed = await app.call('POST', `/time-entries/requests/${request.id}/start`, undefined, alice);
+  assert.equal(resumed.body.message, 'Timer resumed');
+  app.clock.advance(20 * MINUTE);
+  summary = await logged();
+  assert.equal(summary.timer.state, 'RUNNING');
+  assert.equal(summary.actual_minutes, 50);
+
+  const elsewhere = await app.call('POST', `/time-entries/requests/${other.id}/start`, undefined, alice);
+  assert.equal(elsewhere.status, 400);
+  assert.match(elsewhere.body.message, new RegExp(`already running on request #${request.id}`));
+
+  assert.equal((await app.call('POST', `/time-entries/requests/${request.id}/stop`, undefined, alice)).status, 200);
+  summary = await logged();
+  assert.equal(summary.timer.state, 'STOPPED');
+  assert.equal(summary.planned_minutes, 120);
+  assert.deepEqual(summary.by_user.map(u => u.minutes), [50]);
+  assert.equal((await app.call('POST', `/time-entries/requests/${request.id}/stop`, undefined, alice)).status, 400);
+  assert.equal((await app.call('GET', '/time-entries/running', undefined, alice)).body.entry, null);
+});
+
+test('manual entries may not overlap or end in the future and add up on the timesheet', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const alice = await app.login('alice');
+  const request = await createRequest(app, manager);
+
+  await app.call('POST', `/time-entries/requests/${request.id}/start`, undefined, alice);
+  app.clock.advance(30 * MINUTE);
+  await app.call('POST', `/time-entries/requests/${request.id}/stop`, undefined, alice);
+
+  const overlapping = await app.call('POST', `/time-entries/requests/${request.id}`, {
+    started_at: '2024-03-04T08:10:00Z',
+    ended_at: '2024-03-04T08:20:00Z'
+  }, alice);
+  assert.equal(overlapping.status, 400);
+  assert.match(overlapping.body.errors.started_at, /Overlaps time already logged/);
+
+  const future = await app.call('POST', `/time-entries/requests/${request.id}`, {
+    started_at: '2024-03-04T08:40:00Z',
+    ended_at: '2024-03-04T09:00:00Z'
+  }, alice);
+  assert.equal(future.status, 400);
+  assert.ok(future.body.errors.ended_at);
+
+  const manual = await app.call('POST', `/time-entries/requests/${request.id}`, {
+    started_at: '2024-03-04T07:00:00Z',
+    ended_at: '2024-03-04T07:45:00Z',
+    note: 'Prepared the tools'
+  }, alice);
+  assert.equal(manual.status, 200);
+  assert.equal(manual.body.data.minutes, 45);
+
+  const sheet = (await app.call('GET', '/time-entries/timesheet', undefined, alice)).body;
+  assert.equal(sheet.from, '2024-03-04');
+  assert.equal(sheet.to, '2024-03-10');
+  assert.equal(sheet.total_minutes, 75);
+  assert.deepEqual(sheet.days[0], { date: '2024-03-04', minutes: 75 });
+
+  const bob = await app.login('bob');
+  assert.equal((await app.call('GET', `/time-entries/timesheet?user_id=${ALICE_ID}`, undefined, bob)).status, 403);
+  assert.equal((await app.call('POST', `/time-entries/requests/${request.id}/start`, undefined, bob)).status, 403);
+  assert.equal((await app.call('GET', `/time-entries/timesheet?user_id=${ALICE_ID}`, undefined, manager)).body.total_minutes, 75);
+});
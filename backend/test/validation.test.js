@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const ALICE_ID = '00000000-0000-4000-8000-000000000003';
+
+test('bodies with unknown fields or bad values are rejected field by field', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const admin = await app.login('admin');
+
+  // Stage, creator and priority are not the client's to pick
+  const request = await app.call('POST', '/requests', {
+    subject: 'Spindle noise',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 1,
+    stage: 'REPAIRED',
+    created_by_user_id: ALICE_ID,
+    priority: 5
+  }, manager);
+  assert.equal(request.status, 400);
+  assert.equal(request.body.message, 'Validation failed');
+  assert.equal(request.body.errors.stage, 'Unknown field "stage"');
+  assert.equal(request.body.errors.created_by_user_id, 'Unknown field "created_by_user_id"');
+  assert.match(request.body.errors.priority, /must be one of/);
+
+  const equipment = await app.call('PUT', '/equipment/1', { name: 'CNC Machine 01', used_by_type: 'VENDOR' }, manager);
+  assert.equal(equipment.status, 400);
+  assert.match(equipment.body.errors.used_by_type, /must be one of: EMPLOYEE, DEPARTMENT/);
+
+  const workcenter = await app.call('POST', '/workcenters', { name: 'Press line', cost_per_hour: 'cheap', time_efficiency: 120 }, manager);
+  assert.equal(workcenter.status, 400);
+  assert.match(workcenter.body.errors.cost_per_hour, /must be a number/);
+  assert.match(workcenter.body.errors.time_efficiency, /must be at most 100/);
+
+  const role = await app.call('PUT', `/users/${ALICE_ID}/role`, { role: 'OWNER' }, admin);
+  assert.equal(role.status, 400);
+  assert.ok(role.body.errors.role);
+});
+
+test('valid bodies are stored with their parsed values', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  const { status, body } = await app.call('POST', '/workcenters', { name: 'Press line', cost_per_hour: '12.5', capacity: '3' }, manager);
+
+  assert.equal(status, 200);
+  assert.equal(body.data.cost_per_hour, 12.5);
+  assert.equal(body.data.capacity, 3);
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDb } from '../db/memory.js';
+import { createWebhookDispatcher } from '../webhooks.js';
+import { createWebhookDelivery } from '../jobs/webhookDelivery.js';
+import { createFakeClock } from './helpers.js';
+
+const quiet = { warn() {}, error() {} };
+
+async function setup() {
+  const clock = createFakeClock('2024-03-04T08:00:00Z');
+  const db = createMemoryDb({ clock });
+  await db.webhooks.create({
+    name: 'Receiver',
+    url: 'https://example.test/hook',
+    secret: 'secret',
+    events: ['request.created'],
+    active: true
+  });
+  await createWebhookDispatcher({ db, clock, logger: quiet }).emit('request.created', { request: { id: 1 } });
+  const { data: due } = await db.webhookDeliveries.listDue(clock.now().toISOString(), 10);
+
+  // A receiver that holds every request until released
+  const posted = [];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const fetchImpl = async url => {
+    posted.push(url);
+    await gate;
+    return new Response('ok', { status: 200 });
+  };
+
+  return { clock, db, delivery: due[0], posted, release, job: createWebhookDelivery({ db, clock, logger: quiet, fetchImpl }) };
+}
+
+test('overlapping runs post each delivery once', async () => {
+  const { db, delivery, posted, release, job } = await setup();
+
+  const first = job.run();
+  const second = job.run();
+  release();
+  const results = await Promise.all([first, second]);
+
+  assert.equal(posted.length, 1);
+  assert.equal(results[0].delivered + results[1].delivered, 1);
+  const { data: stored } = await db.webhookDeliveries.findById(delivery.id);
+  assert.equal(stored.status, 'SUCCEEDED');
+  assert.equal(stored.attempts, 1);
+});
+
+test('a delivery the job is sending is not redelivered at the same time', async () => {
+  const { delivery, posted, release, job } = await setup();
+
+  const running = job.run();
+  while (posted.length === 0) await new Promise(resolve => setImmediate(resolve));
+  const redelivered = await job.deliver({ ...delivery, attempts: 0 });
+  release();
+  await running;
+
+  assert.equal(redelivered, null);
+  assert.equal(posted.length, 1);
+});
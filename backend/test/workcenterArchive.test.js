@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const PLAN = {
+  name: 'Weekly line inspection',
+  maintenance_for: 'WORKCENTER',
+  frequency: 'WEEKLY',
+  weekday: 1,
+  start_date: '2025-01-06',
+  lead_days: 0
+};
+
+test('a work center with open requests or active PM plans cannot be archived', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  const { body: { data: line } } = await app.call('POST', '/workcenters', { name: 'Packing line' }, manager);
+  const { body: { data: request } } = await app.call('POST', '/requests', {
+    subject: 'Belt slips',
+    maintenance_for: 'WORKCENTER',
+    workcenter_id: line.id
+  }, manager);
+  const plan = { ...PLAN, workcenter_id: line.id };
+  const { body: { data: created } } = await app.call('POST', '/pm-plans', plan, manager);
+
+  const blocked = await app.call('POST', `/workcenters/${line.id}/archive`, undefined, manager);
+  assert.equal(blocked.status, 400);
+  assert.equal(blocked.body.message, 'Packing line has 1 open request and 1 active PM plan; close or move them before archiving');
+
+  assert.equal((await app.call('PATCH', `/requests/${request.id}`, { workcenter_id: 1 }, manager)).status, 200);
+  assert.equal((await app.call('PUT', `/pm-plans/${created.id}`, { ...plan, active: false }, manager)).status, 200);
+
+  const archived = await app.call('POST', `/workcenters/${line.id}/archive`, undefined, manager);
+  assert.equal(archived.status, 200);
+  assert.ok(archived.body.data.archived_at);
+  assert.equal((await app.call('POST', `/workcenters/${line.id}/archive`, undefined, manager)).status, 400);
+
+  const listed = async query => (await app.call('GET', `/workcenters${query}`, undefined, manager)).body.some(w => w.id === line.id);
+  assert.equal(await listed(''), false);
+  assert.equal(await listed('?include_archived=true'), true);
+
+  const picked = await app.call('POST', '/requests', { subject: 'Belt slips again', maintenance_for: 'WORKCENTER', workcenter_id: line.id }, manager);
+  assert.equal(picked.status, 400);
+  assert.equal(picked.body.errors.workcenter_id, 'Work center is archived');
+
+  assert.equal((await app.call('POST', `/workcenters/${line.id}/restore`, undefined, manager)).status, 200);
+  assert.equal(await listed(''), true);
+});
+
+test('closed requests do not hold back the archive', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+
+  // Work center 1 only has the repaired request 6
+  const archived = await app.call('POST', '/workcenters/1/archive', undefined, manager);
+  assert.equal(archived.status, 200);
+  assert.equal((await app.call('POST', '/workcenters/999/archive', undefined, manager)).status, 404);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+
+// A corrective request on CNC Machine 01, which assigns it to Alice
+async function createRequest(app, token) {
+  const { body } = await app.call('POST', '/requests', {
+    subject: 'Coolant leak',
+    maintenance_for: 'EQUIPMENT',
+    equipment_id: 1,
+    maintenance_type: 'CORRECTIVE',
+    priority: 2
+  }, token);
+  return body.data;
+}
+
+test('stage changes follow the workflow and are stamped with the clock', async (t) => {
+  const app = await startApp({ now: '2024-03-04T08:00:00Z' });
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const alice = await app.login('alice');
+  const request = await createRequest(app, manager);
+
+  app.clock.advance(30 * MINUTE);
+  const started = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'IN_PROGRESS' }, alice);
+  assert.equal(started.status, 200);
+  assert.equal(started.body.data.responded_at, '2024-03-04T08:30:00.000Z');
+
+  app.clock.advance(2 * 60 * MINUTE);
+  const repaired = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'REPAIRED', resolution: 'Replaced the seal' }, alice);
+  assert.equal(repaired.status, 200);
+  assert.equal(repaired.body.data.resolved_at, '2024-03-04T10:30:00.000Z');
+
+  const history = await app.call('GET', `/requests/${request.id}/history`, undefined, manager);
+  assert.equal(history.status, 200);
+});
+
+test('transitions outside the workflow answer 409', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const request = await createRequest(app, manager);
+
+  const skipped = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'REPAIRED', resolution: 'Done' }, manager);
+
+  assert.equal(skipped.status, 409);
+  assert.match(skipped.body.message, /can't move from New Request to Repaired/);
+});
+
+test('finishing a request requires a resolution', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const request = await createRequest(app, manager);
+  await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'IN_PROGRESS' }, manager);
+
+  const { status, body } = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'REPAIRED' }, manager);
+
+  assert.equal(status, 409);
+  assert.ok(body.errors.resolution);
+});
+
+test('technicians may not scrap a request', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const alice = await app.login('alice');
+  const request = await createRequest(app, manager);
+
+  const { status } = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'SCRAP', resolution: 'Beyond repair' }, alice);
+
+  assert.equal(status, 403);
+});
+
+test('technicians only move requests assigned to them', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const bob = await app.login('bob');
+  const request = await createRequest(app, manager);
+
+  const { status } = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'IN_PROGRESS' }, bob);
+
+  assert.equal(status, 403);
+});
+
+test('a blocked request has to be unblocked before its stage can change', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const manager = await app.login('manager');
+  const request = await createRequest(app, manager);
+  await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'IN_PROGRESS' }, manager);
+
+  const blocked = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'IN_PROGRESS', blocked: true }, manager);
+  assert.equal(blocked.status, 200);
+  assert.equal(blocked.body.data.blocked, true);
+
+  const moved = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'REPAIRED', resolution: 'x' }, manager);
+  assert.equal(moved.status, 409);
+
+  // Unblocking in the same call as the stage change is refused too
+  const unblockedAndMoved = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'REPAIRED', resolution: 'x', blocked: false }, manager);
+  assert.equal(unblockedAndMoved.status, 409);
+  assert.equal((await app.db.requests.findById(request.id)).data.stage, 'IN_PROGRESS');
+
+  const unblocked = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'IN_PROGRESS', blocked: false }, manager);
+  assert.equal(unblocked.status, 200);
+
+  const repaired = await app.call('PUT', `/requests/${request.id}/stage`, { stage: 'REPAIRED', resolution: 'x' }, manager);
+  assert.equal(repaired.status, 200);
+});
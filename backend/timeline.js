@@ -0,0 +1,79 @@
+// Builds the history of a maintenance request for GET /api/requests/:id/history:
+// one chronological list of stage changes and log entries, plus the time spent in each stage.
+
+const MINUTE = 60 * 1000;
+
+function minutesBetween(from, to) {
+  return Math.max(0, Math.round((Date.parse(to) - Date.parse(from)) / MINUTE));
+}
+
+// Splits the request's life into stage periods. The first period starts when the request was
+// created and every stage change closes the running one; the last stays open (`left_at` null)
+// and is measured up to `now`.
+export function buildStagePeriods(request, history, now) {
+  const periods = [];
+  let stage = history[0]?.from_stage || request.stage;
+  let enteredAt = request.created_at;
+
+  for (const change of history) {
+    periods.push({
+      stage,
+      entered_at: enteredAt,
+      left_at: change.created_at,
+      duration_minutes: minutesBetween(enteredAt, change.created_at)
+    });
+    stage = change.to_stage;
+    enteredAt = change.created_at;
+  }
+
+  periods.push({
+    stage,
+    entered_at: enteredAt,
+    left_at: null,
+    duration_minutes: minutesBetween(enteredAt, now)
+  });
+
+  return periods;
+}
+
+// `logs` maps an entry type (note, instruction, worksheet) to its rows and text column
+export function buildTimeline(request, history, logs) {
+  const events = [
+    {
+      id: `created-${request.id}`,
+      type: 'created',
+      at: request.created_at,
+      by: request.created_by?.name || null,
+      to_stage: history[0]?.from_stage || 'NEW_REQUEST'
+    },
+    ...history.map(h => ({
+      id: `stage-${h.id}`,
+      type: 'stage',
+      at: h.created_at,
+      by: h.changed_by?.name || null,
+      from_stage: h.from_stage,
+      to_stage: h.to_stage
+    }))
+  ];
+
+  for (const [type, { rows, textField }] of Object.entries(logs)) {
+    rows.forEach(row => events.push({
+      id: `${type}-${row.id}`,
+      type,
+      at: row.created_at,
+      by: row.created_by?.name || null,
+      text: row[textField]
+    }));
+  }
+
+  return events.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+// Total minutes per stage (a stage can be visited more than once)
+export function sumStageDurations(periods) {
+  const totals = {};
+  periods.forEach(p => {
+    totals[p.stage] = (totals[p.stage] || 0) + p.duration_minutes;
+  });
+  return totals;
+}
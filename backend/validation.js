@@ -0,0 +1,251 @@
+// Declarative request-body validation.
+//
+// A schema maps field names to rules built with `field.*`. `validateBody(schema)` rejects
+// unknown fields, checks every rule, and replaces req.body with the cleaned values (numeric
+// strings become numbers, text is trimmed, "" becomes null for optional fields).
+// Failures answer 400 with `{ message, errors }`, where `errors` maps each field name to a
+// message the frontend shows next to the matching input.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function humanize(name) {
+  const text = name.replace(/_id$/, '').replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+function rule(parse, options = {}) {
+  return { required: false, ...options, parse };
+}
+
+function checkRange(value, { min, max }) {
+  if (min != null && value < min) return `must be at least ${min}`;
+  if (max != null && value > max) return `must be at most ${max}`;
+  return null;
+}
+
+export const field = {
+  string(options = {}) {
+    return rule(value => {
+      if (typeof value !== 'string') return { error: 'must be text' };
+      const text = value.trim();
+      if (options.minLength && text.length < options.minLength) {
+        return { error: `must be at least ${options.minLength} characters` };
+      }
+      if (options.maxLength && text.length > options.maxLength) {
+        return { error: `must be at most ${options.maxLength} characters` };
+      }
+      return { value: text };
+    }, options);
+  },
+
+  email(options = {}) {
+    return rule(value => {
+      if (typeof value !== 'string' || !EMAIL_PATTERN.test(value.trim())) {
+        return { error: 'must be a valid email address' };
+      }
+      return { value: value.trim() };
+    }, options);
+  },
+
+  // Absolute http(s) URL
+  url(options = {}) {
+    return rule(value => {
+      let url = null;
+      try {
+        url = typeof value === 'string' ? new URL(value.trim()) : null;
+      } catch {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http(s) URL' };
+      return { value: value.trim() };
+    }, options);
+  },
+
+  // Passwords are never trimmed
+  password(options = {}) {
+    return rule(value => {
+      if (typeof value !== 'string') return { error: 'must be text' };
+      if (options.minLength && value.length < options.minLength) {
+        return { error: `must be at least ${options.minLength} characters` };
+      }
+      return { value };
+    }, options);
+  },
+
+  number(options = {}) {
+    return rule(value => {
+      const number = toNumber(value);
+      if (!Number.isFinite(number)) return { error: 'must be a number' };
+      const rangeError = checkRange(number, options);
+      return rangeError ? { error: rangeError } : { value: number };
+    }, options);
+  },
+
+  integer(options = {}) {
+    return rule(value => {
+      const number = toNumber(value);
+      if (!Number.isInteger(number)) return { error: 'must be a whole number' };
+      const rangeError = checkRange(number, options);
+      return rangeError ? { error: rangeError } : { value: number };
+    }, options);
+  },
+
+  // Integer primary keys (equipment, teams, workcenters, ...)
+  id(options = {}) {
+    return field.integer({ min: 1, ...options });
+  },
+
+  // Profile ids are Supabase auth user ids
+  uuid(options = {}) {
+    return rule(value => {
+      if (typeof value !== 'string' || !UUID_PATTERN.test(value)) return { error: 'must be a valid user id' };
+      return { value };
+    }, options);
+  },
+
+  // Query strings carry booleans as the text "true" / "false"
+  boolean(options = {}) {
+    return rule(value => {
+      if (value === 'true' || value === 'false') return { value: value === 'true' };
+      if (typeof value !== 'boolean') return { error: 'must be true or false' };
+      return { value };
+    }, options);
+  },
+
+  oneOf(values, options = {}) {
+    return rule(value => {
+      const match = values.find(v => v === value || (typeof v === 'number' && v === toNumber(value)));
+      if (match === undefined) return { error: `must be one of: ${values.join(', ')}` };
+      return { value: match };
+    }, options);
+  },
+
+  // Calendar date as YYYY-MM-DD (a full timestamp is cut down to its date part)
+  date(options = {}) {
+    return rule(value => {
+      const text = typeof value === 'string' ? value.substring(0, 10) : '';
+      if (!DATE_PATTERN.test(text) || Number.isNaN(Date.parse(text))) {
+        return { error: 'must be a date (YYYY-MM-DD)' };
+      }
+      return { value: text };
+    }, options);
+  },
+
+  dateTime(options = {}) {
+    return rule(value => {
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value.replace(' ', 'T')))) {
+        return { error: 'must be a date and time' };
+      }
+      return { value };
+    }, options);
+  },
+
+  // Time of day as HH:MM (24h)
+  time(options = {}) {
+    return rule(value => {
+      if (typeof value !== 'string' || !TIME_PATTERN.test(value.trim())) {
+        return { error: 'must be a time (HH:MM)' };
+      }
+      return { value: value.trim() };
+    }, options);
+  },
+
+  arrayOf(item, options = {}) {
+    return rule(value => {
+      if (!Array.isArray(value)) return { error: 'must be a list' };
+      const items = [];
+      for (const entry of value) {
+        const result = item.parse(entry);
+        if (result.error) return { error: `contains an invalid entry (${result.error})` };
+        items.push(result.value);
+      }
+      return { value: items };
+    }, options);
+  }
+};
+
+// `fields` maps body keys to rules; `refine(body)` may return extra field errors
+// for rules that span several fields (e.g. "employee is required when used by employee").
+export function defineSchema(fields, refine = null) {
+  return { fields, refine };
+}
+
+// With `partial`, required fields may be omitted and `refine` is skipped, because
+// cross-field rules can only be checked once the changes are merged with the stored row.
+export function validate(schema, body, { partial = false } = {}) {
+  const errors = {};
+  const value = {};
+  const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+
+  for (const key of Object.keys(input)) {
+    if (!schema.fields[key]) errors[key] = `Unknown field "${key}"`;
+  }
+
+  for (const [key, fieldRule] of Object.entries(schema.fields)) {
+    const label = fieldRule.label || humanize(key);
+    const raw = input[key];
+    const empty = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+    if (raw === undefined && partial) continue;
+
+    if (empty) {
+      if (fieldRule.required) {
+        errors[key] = `${label} is required`;
+      } else if (raw !== undefined) {
+        value[key] = null;
+      }
+      continue;
+    }
+
+    const result = fieldRule.parse(raw);
+    if (result.error) {
+      errors[key] = `${label} ${result.error}`;
+    } else {
+      value[key] = result.value;
+    }
+  }
+
+  if (Object.keys(errors).length === 0 && schema.refine && !partial) {
+    Object.assign(errors, schema.refine(value) || {});
+  }
+
+  return { value, errors };
+}
+
+// Middleware that validates req.body against `schema` (see `validate` for `options`)
+export function validateBody(schema, options) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, options);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: "Validation failed", errors });
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+// Same as validateBody for query-string parameters; the cleaned values go to req.filters
+// and req.query is left as parsed by Express
+export function validateQuery(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.query);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: "Invalid query parameters", errors });
+    }
+
+    req.filters = value;
+    next();
+  };
+}
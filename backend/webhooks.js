@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import { systemClock } from './clock.js';
+
+// Outbound webhooks: admins subscribe a URL to some of the events below, and every event the
+// routes emit is queued as one delivery per matching subscription. The webhook delivery job
+// (jobs/webhookDelivery.js) POSTs them and retries failures.
+//
+// A delivery is a JSON body `{ id, event, occurred_at, data }` with these headers:
+// - X-GearGuard-Event: the event type
+// - X-GearGuard-Delivery: the delivery id, stable across retries
+// - X-GearGuard-Timestamp: seconds since the epoch when the attempt was signed
+// - X-GearGuard-Signature: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" keyed with
+//   the subscription's secret
+
+export const WEBHOOK_EVENTS = {
+  'request.created': 'A maintenance request is created',
+  'request.updated': 'A maintenance request is edited',
+  'request.stage_changed': 'A maintenance request moves to another stage',
+  'request.deleted': 'A maintenance request is deleted',
+  'equipment.created': 'Equipment is created',
+  'equipment.updated': 'Equipment is edited',
+  'equipment.deleted': 'Equipment is deleted'
+};
+
+// Sent by "send test event"; subscriptions don't choose it
+export const TEST_EVENT = 'webhook.test';
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+export function buildDelivery(webhook, event, data, now) {
+  return {
+    webhook_id: webhook.id,
+    event,
+    payload: { id: crypto.randomUUID(), event, occurred_at: now.toISOString(), data },
+    status: 'PENDING',
+    attempts: 0,
+    next_attempt_at: now.toISOString()
+  };
+}
+
+export function createWebhookDispatcher({ db, clock = systemClock, logger = console }) {
+  // Queues `event` for every active subscription to it; never throws, so a broken
+  // subscription can't fail the request that caused the event
+  async function emit(event, data) {
+    try {
+      const { data: webhooks, error } = await db.webhooks.listActiveForEvent(event);
+      if (error) throw new Error(error.message);
+      if (!webhooks?.length) return 0;
+
+      const now = clock.now();
+      const { error: insertError } = await db.webhookDeliveries.createMany(webhooks.map(w => buildDelivery(w, event, data, now)));
+      if (insertError) throw new Error(insertError.message);
+      return webhooks.length;
+    } catch (error) {
+      logger.error(`Webhook event ${event} failed:`, error.message);
+      return 0;
+    }
+  }
+
+  return { emit };
+}
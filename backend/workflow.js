@@ -0,0 +1,73 @@
+// Maintenance request workflow: which stage changes are allowed, who may make them
+// and which fields they need. PUT /api/requests/:id/stage enforces it and
+// GET /api/requests/workflow publishes it to the frontend.
+
+const WORK_ROLES = ['ADMIN', 'MANAGER', 'TECHNICIAN'];
+const SUPERVISOR_ROLES = ['ADMIN', 'MANAGER'];
+
+export const TRANSITIONS = [
+  { from: 'NEW_REQUEST', to: 'IN_PROGRESS', roles: WORK_ROLES, requires: [] },
+  { from: 'NEW_REQUEST', to: 'SCRAP', roles: SUPERVISOR_ROLES, requires: ['resolution'] },
+  { from: 'IN_PROGRESS', to: 'NEW_REQUEST', roles: WORK_ROLES, requires: [] },
+  { from: 'IN_PROGRESS', to: 'REPAIRED', roles: WORK_ROLES, requires: ['resolution'] },
+  { from: 'IN_PROGRESS', to: 'SCRAP', roles: SUPERVISOR_ROLES, requires: ['resolution'] },
+  // Reopening a finished repair
+  { from: 'REPAIRED', to: 'IN_PROGRESS', roles: SUPERVISOR_ROLES, requires: [] }
+];
+
+const FIELD_LABELS = {
+  resolution: 'Resolution'
+};
+
+function stageLabel(stage) {
+  return stage.replace('_', ' ').toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+}
+
+export function findTransition(from, to) {
+  return TRANSITIONS.find(t => t.from === from && t.to === to) || null;
+}
+
+// Transitions out of the request's current stage that `role` may use
+export function getAvailableTransitions(role, request) {
+  if (!request) return [];
+  return TRANSITIONS.filter(t => t.from === request.stage && t.roles.includes(role));
+}
+
+// Checks moving `request` to `change.stage` (with its required fields). Returns null when
+// allowed, otherwise `{ status, message, errors? }`: 409 when the workflow forbids it in the
+// current state, 403 when the role may not make it. The stored `blocked` flag counts, so
+// unblocking has to be its own change before the stage can move.
+export function checkTransition(role, request, change) {
+  if (change.stage === request.stage) return null;
+
+  const transition = findTransition(request.stage, change.stage);
+  if (!transition) {
+    const allowed = TRANSITIONS.filter(t => t.from === request.stage).map(t => stageLabel(t.to));
+    return {
+      status: 409,
+      message: `A request can't move from ${stageLabel(request.stage)} to ${stageLabel(change.stage)}`
+        + (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ' (it is closed)')
+    };
+  }
+
+  if (!transition.roles.includes(role)) {
+    return {
+      status: 403,
+      message: `Only ${transition.roles.join(' or ')} can move a request from ${stageLabel(transition.from)} to ${stageLabel(transition.to)}`
+    };
+  }
+
+  if (request.blocked) {
+    return { status: 409, message: "This request is blocked; unblock it before changing its stage" };
+  }
+
+  const missing = transition.requires.filter(f => !change[f]);
+  if (missing.length > 0) {
+    const errors = Object.fromEntries(missing.map(f => [
+      f, `${FIELD_LABELS[f] || f} is required to move a request to ${stageLabel(transition.to)}`
+    ]));
+    return { status: 409, message: Object.values(errors)[0], errors };
+  }
+
+  return null;
+}
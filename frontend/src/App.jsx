@@ -12,8 +12,18 @@ import EquipmentList from "./pages/EquipmentList.jsx";
 import EquipmentForm from "./pages/EquipmentForm.jsx";
 import Teams from "./pages/Teams.jsx";
 import WorkCenters from "./pages/WorkCenters.jsx";
+import WorkCenterDetail from "./pages/WorkCenterDetail.jsx";
 import Requests from "./pages/Requests.jsx";
+import RequestList from "./pages/RequestList.jsx";
+import Kanban from "./pages/Kanban.jsx";
 import Calendar from "./pages/Calendar.jsx";
+import PmPlans from "./pages/PmPlans.jsx";
+import Sla from "./pages/Sla.jsx";
+import Webhooks from "./pages/Webhooks.jsx";
+import Parts from "./pages/Parts.jsx";
+import Timesheet from "./pages/Timesheet.jsx";
+import Costs from "./pages/Costs.jsx";
+import Settings from "./pages/Settings.jsx";
 
 export default function App() {
   return (
@@ -32,8 +42,19 @@ export default function App() {
           <Route path="/equipment/:id" element={<EquipmentForm mode="edit" />} />
           <Route path="/teams" element={<Teams />} />
           <Route path="/workcenters" element={<WorkCenters />} />
-          <Route path="/requests" element={<Requests />} />
+          <Route path="/workcenters/:id" element={<WorkCenterDetail />} />
+          <Route path="/requests" element={<RequestList />} />
+          <Route path="/requests/new" element={<Requests />} />
+          <Route path="/requests/:id" element={<Requests />} />
+          <Route path="/kanban" element={<Kanban />} />
           <Route path="/calendar" element={<Calendar />} />
+          <Route path="/pm-plans" element={<PmPlans />} />
+          <Route path="/sla" element={<Sla />} />
+          <Route path="/webhooks" element={<Webhooks />} />
+          <Route path="/parts" element={<Parts />} />
+          <Route path="/timesheet" element={<Timesheet />} />
+          <Route path="/costs" element={<Costs />} />
+          <Route path="/settings" element={<Settings />} />
         </Route>
       </Route>
 
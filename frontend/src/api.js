@@ -11,7 +11,11 @@ async function parseRes(res) {
   }
   if (!res.ok) {
     const msg = (data && data.message) ? data.message : `Request failed (${res.status})`;
-    throw new Error(msg);
+    const error = new Error(msg);
+    error.status = res.status;
+    // Field-level validation messages keyed by field name, e.g. { name: "Name is required" }
+    error.errors = (data && data.errors) || {};
+    throw error;
   }
   return data;
 }
@@ -76,7 +80,55 @@ export async function apiPut(path, body) {
   });
 }
 
+export async function apiPatch(path, body) {
+  return makeRequest(path, {
+    method: 'PATCH',
+    body: JSON.stringify(body || {})
+  });
+}
+
 export async function apiDelete(path) {
   return makeRequest(path, { method: 'DELETE' });
 }
 
+// Sends a file as the raw request body (see backend/routes/attachments.js)
+export async function apiUpload(path, file, { method = 'POST', fileName = file.name } = {}) {
+  const token = getAuthToken();
+  const headers = {
+    'Content-Type': file.type || 'application/octet-stream',
+    'X-File-Name': encodeURIComponent(fileName || 'file')
+  };
+
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const res = await fetch(API_BASE + path, { method, headers, body: file });
+  return parseRes(res);
+}
+
+// Downloads a protected file as a Blob (img src and links can't send the token)
+export async function apiBlob(path) {
+  const token = getAuthToken();
+  const headers = token ? { 'Authorization': `Bearer ${token}` } : {};
+
+  const res = await fetch(API_BASE + path, { headers });
+  if (!res.ok) await parseRes(res);
+  return res.blob();
+}
+
+// Opens a streaming GET (Server-Sent Events) and resolves with the response once the
+// server accepts it; the caller reads `res.body` and aborts through `signal`
+export async function apiStream(path, signal) {
+  const token = getAuthToken();
+  const headers = { 'Accept': 'text/event-stream' };
+
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const res = await fetch(API_BASE + path, { headers, signal });
+  if (!res.ok) await parseRes(res);
+  return res;
+}
+
@@ -0,0 +1,222 @@
+import React, { useEffect, useRef, useState } from "react";
+import { apiBlob, apiDelete, apiGet, apiUpload } from "../api.js";
+import { canDeleteAttachment } from "../permissions.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+
+// Longest side of the thumbnails made for uploaded images
+const THUMBNAIL_SIZE = 256;
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+// Scales an image file down to a JPEG thumbnail in the browser; null when it can't be decoded
+async function makeThumbnail(file) {
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+    return await new Promise(resolve => canvas.toBlob(resolve, "image/jpeg", 0.8));
+  } catch {
+    return null;
+  }
+}
+
+function fetchAttachments(owner, ownerId, setAttachments) {
+  return apiGet(`/attachments/${owner}/${ownerId}`).then(setAttachments);
+}
+
+// Files attached to a request (`owner="requests"`) or a piece of equipment (`owner="equipment"`)
+export default function AttachmentsPanel({ owner, ownerId, user, canUpload }) {
+  const [attachments, setAttachments] = useState([]);
+  const [limits, setLimits] = useState(null);
+  const [thumbnails, setThumbnails] = useState({});
+  const [isUploading, setIsUploading] = useState(false);
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+  const fileInput = useRef(null);
+  // The object URLs handed out so far, by attachment id; `thumbnails` renders a copy
+  const thumbnailsRef = useRef({});
+
+  function load() {
+    return fetchAttachments(owner, ownerId, setAttachments);
+  }
+
+  useEffect(() => {
+    fetchAttachments(owner, ownerId, setAttachments)
+      .then(() => { setErr(""); setMsg(""); })
+      .catch(e => setErr(e.message));
+  }, [owner, ownerId]);
+
+  useEffect(() => {
+    apiGet("/attachments/limits").then(setLimits).catch(console.error);
+  }, []);
+
+  // Attachments added or removed in another tab show up here too
+  useLiveUpdates([owner === "requests" ? "request" : "equipment"], events => {
+    if (events.some(e => e.type === "resync" || String(e.data.id) === String(ownerId))) {
+      load().catch(e => setErr(e.message));
+    }
+  });
+
+  // Thumbnails need the auth header, so they are fetched as blobs and shown through object URLs
+  useEffect(() => {
+    let cancelled = false;
+    const missing = attachments.filter(a => a.has_thumbnail && !thumbnailsRef.current[a.id]);
+
+    Promise.all(missing.map(async a => {
+      try {
+        return [a.id, URL.createObjectURL(await apiBlob(`/attachments/${a.id}/thumbnail`))];
+      } catch {
+        return null;
+      }
+    })).then(entries => {
+      const loaded = entries.filter(Boolean);
+      if (cancelled) {
+        loaded.forEach(([, url]) => URL.revokeObjectURL(url));
+      } else if (loaded.length > 0) {
+        thumbnailsRef.current = { ...thumbnailsRef.current, ...Object.fromEntries(loaded) };
+        setThumbnails(thumbnailsRef.current);
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, [attachments]);
+
+  useEffect(() => () => Object.values(thumbnailsRef.current).forEach(url => URL.revokeObjectURL(url)), []);
+
+  function checkFile(file) {
+    if (!limits) return null;
+    if (!limits.content_types.some(t => t.type === file.type)) {
+      return `${file.name}: files of this type can't be attached`;
+    }
+    if (file.size > limits.max_bytes) {
+      return `${file.name}: files can be at most ${formatSize(limits.max_bytes)}`;
+    }
+    return null;
+  }
+
+  async function upload(files) {
+    setErr(""); setMsg("");
+    const problems = [];
+    let uploaded = 0;
+    setIsUploading(true);
+
+    for (const file of files) {
+      const problem = checkFile(file);
+      if (problem) {
+        problems.push(problem);
+        continue;
+      }
+
+      try {
+        const res = await apiUpload(`/attachments/${owner}/${ownerId}`, file);
+        if (file.type.startsWith("image/")) {
+          const thumbnail = await makeThumbnail(file);
+          if (thumbnail) {
+            await apiUpload(`/attachments/${res.data.id}/thumbnail`, thumbnail, { method: "PUT", fileName: "thumbnail.jpg" })
+              .catch(console.error);
+          }
+        }
+        uploaded++;
+      } catch (e) {
+        problems.push(`${file.name}: ${e.message}`);
+      }
+    }
+
+    setIsUploading(false);
+    if (fileInput.current) fileInput.current.value = "";
+    if (problems.length > 0) setErr(problems.join("\n"));
+    if (uploaded > 0) setMsg(`${uploaded} file(s) attached`);
+    await load().catch(e => setErr(e.message));
+  }
+
+  async function download(attachment) {
+    setErr("");
+    try {
+      const url = URL.createObjectURL(await apiBlob(`/attachments/${attachment.id}/download`));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = attachment.file_name;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  async function remove(attachment) {
+    if (!window.confirm(`Delete ${attachment.file_name}?`)) return;
+    setErr(""); setMsg("");
+    try {
+      const res = await apiDelete(`/attachments/${attachment.id}`);
+      setMsg(res.message);
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  return (
+    <div className="card" style={{ marginBottom: "1.5rem" }}>
+      <h4 style={{ margin: "0 0 1rem 0", color: "var(--odoo-text)" }}>Attachments</h4>
+
+      {canUpload && (
+        <div style={{ marginBottom: "1rem" }}>
+          <input
+            ref={fileInput}
+            type="file"
+            multiple
+            disabled={isUploading}
+            accept={(limits?.content_types || []).map(t => t.type).join(",")}
+            onChange={(e) => upload([...e.target.files])}
+          />
+          {limits && (
+            <div className="small" style={{ color: "var(--odoo-text-muted)", marginTop: "0.25rem" }}>
+              Images, PDF, text and Office files up to {formatSize(limits.max_bytes)}
+            </div>
+          )}
+        </div>
+      )}
+
+      {err && <div className="error" style={{ marginBottom: "1rem", whiteSpace: "pre-line" }}>{err}</div>}
+      {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+      {attachments.length === 0 ? (
+        <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic" }}>
+          No files attached yet.
+        </p>
+      ) : (
+        <div className="attachments">
+          {attachments.map(a => (
+            <div key={a.id} className="attachment">
+              <button className="attachment-preview" onClick={() => download(a)} title="Download">
+                {thumbnails[a.id]
+                  ? <img src={thumbnails[a.id]} alt={a.file_name} />
+                  : <span>{(a.file_name.split(".").pop() || "file").toUpperCase()}</span>}
+              </button>
+              <div className="attachment-info">
+                <button className="attachment-name" onClick={() => download(a)}>{a.file_name}</button>
+                <div className="small" style={{ color: "var(--odoo-text-muted)" }}>
+                  {formatSize(a.size_bytes)} · {a.uploaded_by?.name || "Unknown"} · {new Date(a.created_at).toLocaleDateString()}
+                </div>
+              </div>
+              {canDeleteAttachment(user, a) && (
+                <button className="btn btn-danger" onClick={() => remove(a)}>Delete</button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
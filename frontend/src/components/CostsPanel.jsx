@@ -0,0 +1,209 @@
+import React, { useEffect, useState } from "react";
+import { apiDelete, apiGet, apiPost } from "../api.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { formatCost } from "../costs.js";
+import { formatMinutes } from "../timeEntries.js";
+import FieldError from "./FieldError.jsx";
+
+const EMPTY_FORM = { description: "", vendor: "", amount: "" };
+
+const RATE_SOURCES = { USER: "own rate", WORKCENTER: "work center rate" };
+
+function fetchCosts(requestId, setCosts) {
+  return apiGet(`/costs/requests/${requestId}`).then(setCosts);
+}
+
+// Labor, parts and external charges of a request (GET /api/costs/requests/:id)
+export default function CostsPanel({ requestId }) {
+  const [costs, setCosts] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+
+  function load() {
+    return fetchCosts(requestId, setCosts);
+  }
+
+  useEffect(() => {
+    fetchCosts(requestId, setCosts)
+      .then(() => { setErr(""); setMsg(""); setForm(EMPTY_FORM); })
+      .catch(e => setErr(e.message));
+  }, [requestId]);
+
+  useLiveUpdates(["request"], events => {
+    if (events.some(e => e.type === "resync" || String(e.data.id) === String(requestId))) {
+      load().catch(e => setErr(e.message));
+    }
+  });
+
+  function setVal(k, v) {
+    setForm(prev => ({ ...prev, [k]: v }));
+  }
+
+  async function addCharge() {
+    setErr(""); setMsg(""); setFieldErrors({});
+    try {
+      const res = await apiPost(`/costs/requests/${requestId}/charges`, {
+        description: form.description,
+        vendor: form.vendor,
+        amount: form.amount === "" ? null : Number(form.amount)
+      });
+      setMsg(res.message);
+      setForm(EMPTY_FORM);
+      await load();
+    } catch (e) {
+      setErr(e.message);
+      setFieldErrors(e.errors || {});
+    }
+  }
+
+  async function deleteCharge(charge) {
+    if (!window.confirm(`Delete the charge "${charge.description}"?`)) return;
+    setErr(""); setMsg("");
+    try {
+      const res = await apiDelete(`/costs/requests/${requestId}/charges/${charge.id}`);
+      setMsg(res.message);
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  if (!costs) {
+    return err ? <div className="error">{err}</div> : null;
+  }
+
+  return (
+    <div className="card" style={{ marginBottom: "1.5rem" }}>
+      <h4 style={{ margin: "0 0 1rem 0", color: "var(--odoo-text)" }}>Costs</h4>
+
+      <div className="stagebar" style={{ marginBottom: "1rem" }}>
+        <span className="badge">Labor: {formatCost(costs.labor_cost)}</span>
+        <span className="badge">Parts: {formatCost(costs.parts_cost)}</span>
+        <span className="badge">External: {formatCost(costs.external_cost)}</span>
+        <span className="badge"><strong>Total: {formatCost(costs.total_cost)}</strong></span>
+      </div>
+
+      {costs.unpriced_minutes > 0 && (
+        <div className="error" style={{ marginBottom: "1rem" }}>
+          {formatMinutes(costs.unpriced_minutes)} of labor has no hourly rate and isn't counted. Set a rate on the Costs page.
+        </div>
+      )}
+
+      {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+      {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+      <h5 style={{ margin: "0 0 0.5rem 0" }}>Labor</h5>
+      {costs.labor.length === 0 ? (
+        <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic" }}>
+          No time logged yet.
+        </p>
+      ) : (
+        <div className="table-wrap" style={{ marginBottom: "1rem" }}>
+          <table>
+            <thead>
+              <tr>
+                <th>Technician</th>
+                <th>Time</th>
+                <th>Hourly Rate</th>
+                <th>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {costs.labor.map(l => (
+                <tr key={l.user_id}>
+                  <td>{l.user?.name}</td>
+                  <td>{formatMinutes(l.minutes)}</td>
+                  <td>{l.hourly_rate == null ? "—" : `${formatCost(l.hourly_rate)} (${RATE_SOURCES[l.rate_source]})`}</td>
+                  <td>{formatCost(l.cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h5 style={{ margin: "0 0 0.5rem 0" }}>Parts</h5>
+      {costs.parts.length === 0 ? (
+        <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic" }}>
+          No parts used yet.
+        </p>
+      ) : (
+        <div className="table-wrap" style={{ marginBottom: "1rem" }}>
+          <table>
+            <thead>
+              <tr>
+                <th>Part</th>
+                <th>Quantity</th>
+                <th>Unit Cost</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {costs.parts.map(l => (
+                <tr key={l.id}>
+                  <td>{l.part?.part_number} - {l.part?.name}</td>
+                  <td>{l.quantity}</td>
+                  <td>{formatCost(l.unit_cost)}</td>
+                  <td>{formatCost(l.total_cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h5 style={{ margin: "0 0 0.5rem 0" }}>External Charges</h5>
+      <div className="filterbar">
+        <div className={fieldErrors.description ? "field has-error" : "field"}>
+          <div className="label">Description</div>
+          <input className="input" value={form.description} onChange={(e) => setVal("description", e.target.value)} />
+          <FieldError error={fieldErrors.description} />
+        </div>
+        <div className={fieldErrors.vendor ? "field has-error" : "field"}>
+          <div className="label">Vendor</div>
+          <input className="input" value={form.vendor} onChange={(e) => setVal("vendor", e.target.value)} />
+          <FieldError error={fieldErrors.vendor} />
+        </div>
+        <div className={fieldErrors.amount ? "field has-error" : "field"}>
+          <div className="label">Amount</div>
+          <input className="input" type="number" min="0" step="0.01" value={form.amount} onChange={(e) => setVal("amount", e.target.value)} />
+          <FieldError error={fieldErrors.amount} />
+        </div>
+        <button className="btn btn-primary" onClick={addCharge}>Add Charge</button>
+      </div>
+
+      {costs.charges.length === 0 ? (
+        <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic" }}>
+          No external charges.
+        </p>
+      ) : (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>Description</th>
+                <th>Vendor</th>
+                <th>Amount</th>
+                <th>Added By</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {costs.charges.map(c => (
+                <tr key={c.id}>
+                  <td>{c.description}</td>
+                  <td>{c.vendor || ""}</td>
+                  <td>{formatCost(c.amount)}</td>
+                  <td>{c.created_by?.name || ""}</td>
+                  <td><button className="btn btn-danger" onClick={() => deleteCharge(c)}>Delete</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import React from "react";
+
+// A panel sliding in from the right; clicking the backdrop closes it like the × does
+export default function Drawer({ isOpen, onClose, title, children }) {
+  if (!isOpen) return null;
+
+  return (
+    <div className="drawer-overlay" onClick={onClose}>
+      <div className="drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="drawer-header">
+          <h3>{title}</h3>
+          <button className="drawer-close" onClick={onClose}>&times;</button>
+        </div>
+        <div className="drawer-body">
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+}
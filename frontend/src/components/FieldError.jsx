@@ -0,0 +1,7 @@
+import React from "react";
+
+// Validation message shown under a form input (see `errors` on API errors)
+export default function FieldError({ error }) {
+  if (!error) return null;
+  return <div className="field-error">{error}</div>;
+}
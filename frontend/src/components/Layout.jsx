@@ -1,7 +1,8 @@
 import React, { useEffect, useState } from "react";
 import { NavLink, Outlet, useNavigate } from "react-router-dom";
 import { logout, getUser } from "../auth.js";
-import { canManageEquipment, canManageWorkcenters, canManageTeams } from "../permissions.js";
+import NotificationBell from "./NotificationBell.jsx";
+import { canManageEquipment, canManageWorkcenters, canManageTeams, canManagePmPlans, canViewAllRequests, canManageWebhooks, canManageParts, canTrackTime, canManageCosts, canManageLookups } from "../permissions.js";
 
 export default function Layout() {
   const nav = useNavigate();
@@ -25,14 +26,23 @@ export default function Layout() {
       <aside className="sidebar">
         <div className="sidebar-header">
           <h2>GearGuard</h2>
+          <NotificationBell />
         </div>
         <nav className="sidebar-nav">
           <NavLink to="/dashboard">Dashboard</NavLink>
           <NavLink to="/requests">Maintenance</NavLink>
+          <NavLink to="/kanban">Board</NavLink>
           <NavLink to="/calendar">Calendar</NavLink>
           {canManageEquipment(user) && <NavLink to="/equipment">Equipment</NavLink>}
           {canManageWorkcenters(user) && <NavLink to="/workcenters">Work Centers</NavLink>}
           {canManageTeams(user) && <NavLink to="/teams">Teams</NavLink>}
+          {canManagePmPlans(user) && <NavLink to="/pm-plans">PM Plans</NavLink>}
+          {canManageParts(user) && <NavLink to="/parts">Parts</NavLink>}
+          {canTrackTime(user) && <NavLink to="/timesheet">Timesheet</NavLink>}
+          {canManageCosts(user) && <NavLink to="/costs">Costs</NavLink>}
+          {canViewAllRequests(user) && <NavLink to="/sla">SLA</NavLink>}
+          {canManageWebhooks(user) && <NavLink to="/webhooks">Webhooks</NavLink>}
+          {canManageLookups(user) && <NavLink to="/settings">Settings</NavLink>}
         </nav>
         <div className="sidebar-footer">
           <button className="btn btn-danger" onClick={doLogout} style={{ width: "100%" }}>
@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { apiGet, apiPatch, apiPut } from "../api.js";
+import Modal from "./Modal.jsx";
+
+// How often the unread count is refreshed while the inbox is closed
+const POLL_INTERVAL_MS = 60 * 1000;
+
+function timeAgo(value) {
+  const minutes = Math.round((Date.now() - new Date(value).getTime()) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 1440) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(value).toLocaleDateString();
+}
+
+// The latest notifications and the unread count
+function fetchInbox(unreadOnly, setNotifications, setUnreadCount) {
+  return apiGet(`/notifications?limit=20${unreadOnly ? "&unread=true" : ""}`).then(res => {
+    setNotifications(res.data || []);
+    setUnreadCount(res.unread_count || 0);
+  });
+}
+
+export default function NotificationBell() {
+  const nav = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [err, setErr] = useState("");
+  const [isPrefsOpen, setIsPrefsOpen] = useState(false);
+  const [types, setTypes] = useState([]);
+  const [preferences, setPreferences] = useState({});
+  const [emailTypes, setEmailTypes] = useState([]);
+  const [emailPreferences, setEmailPreferences] = useState({});
+  const [prefsErr, setPrefsErr] = useState("");
+
+  function load() {
+    return fetchInbox(unreadOnly, setNotifications, setUnreadCount);
+  }
+
+  useEffect(() => {
+    const refresh = () => fetchInbox(unreadOnly, setNotifications, setUnreadCount).catch(console.error);
+    refresh();
+    const timer = setInterval(refresh, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [unreadOnly]);
+
+  function toggle() {
+    if (!isOpen) load().then(() => setErr("")).catch(e => setErr(e.message));
+    setIsOpen(!isOpen);
+  }
+
+  async function openNotification(n) {
+    try {
+      if (!n.read_at) await apiPatch(`/notifications/${n.id}`, { read: true });
+      setIsOpen(false);
+      await load();
+      if (n.request_id) nav(`/requests/${n.request_id}`);
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  async function toggleRead(e, n) {
+    e.stopPropagation();
+    try {
+      await apiPatch(`/notifications/${n.id}`, { read: !n.read_at });
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  async function markAllRead() {
+    try {
+      await apiPatch("/notifications/read-all");
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  async function openPreferences() {
+    setPrefsErr("");
+    try {
+      const [inApp, email] = await Promise.all([
+        apiGet("/notifications/preferences"),
+        apiGet("/notifications/email-preferences")
+      ]);
+      setTypes(inApp.types || []);
+      setPreferences(inApp.preferences || {});
+      setEmailTypes(email.types || []);
+      setEmailPreferences(email.preferences || {});
+      setIsOpen(false);
+      setIsPrefsOpen(true);
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  async function savePreferences() {
+    setPrefsErr("");
+    try {
+      await Promise.all([
+        apiPut("/notifications/preferences", preferences),
+        apiPut("/notifications/email-preferences", emailPreferences)
+      ]);
+      setIsPrefsOpen(false);
+    } catch (e) {
+      setPrefsErr(e.message);
+    }
+  }
+
+  return (
+    <div className="notif">
+      <button className="notif-bell" onClick={toggle} title="Notifications">
+        &#128276;
+        {unreadCount > 0 && <span className="notif-count">{unreadCount > 99 ? "99+" : unreadCount}</span>}
+      </button>
+
+      {isOpen && (
+        <div className="notif-panel">
+          <div className="notif-panel-header">
+            <strong>Notifications</strong>
+            <label>
+              <input type="checkbox" checked={unreadOnly} onChange={(e) => setUnreadOnly(e.target.checked)} /> Unread only
+            </label>
+          </div>
+
+          {err && <div className="error" style={{ margin: "0.5rem" }}>{err}</div>}
+
+          <div className="notif-list">
+            {notifications.length === 0 && <div className="notif-empty">You're all caught up</div>}
+            {notifications.map(n => (
+              <div key={n.id} className={n.read_at ? "notif-item" : "notif-item unread"} onClick={() => openNotification(n)}>
+                <div className="notif-title">{n.title}</div>
+                {n.body && <div className="notif-body">{n.body}</div>}
+                <div className="notif-meta">
+                  {timeAgo(n.created_at)}
+                  <button className="notif-link" onClick={(e) => toggleRead(e, n)}>
+                    {n.read_at ? "Mark unread" : "Mark read"}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="notif-panel-footer">
+            <button className="notif-link" onClick={markAllRead} disabled={unreadCount === 0}>Mark all as read</button>
+            <button className="notif-link" onClick={openPreferences}>Preferences</button>
+          </div>
+        </div>
+      )}
+
+      <Modal isOpen={isPrefsOpen} onClose={() => setIsPrefsOpen(false)} title="Notification Preferences">
+        <p style={{ marginTop: 0, color: "var(--odoo-text-muted)" }}>Notify me in GearGuard when:</p>
+        {types.map(t => (
+          <label key={t.type} className="checkbox" style={{ display: "flex", gap: "0.5rem", marginBottom: "0.75rem" }}>
+            <input
+              type="checkbox"
+              checked={!!preferences[t.type]}
+              onChange={(e) => setPreferences(prev => ({ ...prev, [t.type]: e.target.checked }))}
+            />
+            {t.description}
+          </label>
+        ))}
+
+        <p style={{ marginTop: "1.5rem", color: "var(--odoo-text-muted)" }}>Email me when:</p>
+        {emailTypes.map(t => (
+          <label key={t.type} className="checkbox" style={{ display: "flex", gap: "0.5rem", marginBottom: "0.75rem" }}>
+            <input
+              type="checkbox"
+              checked={!!emailPreferences[t.type]}
+              onChange={(e) => setEmailPreferences(prev => ({ ...prev, [t.type]: e.target.checked }))}
+            />
+            {t.description}
+          </label>
+        ))}
+
+        {prefsErr && <div className="error" style={{ marginTop: "1rem" }}>{prefsErr}</div>}
+
+        <div style={{ display: "flex", gap: "0.5rem", marginTop: "1.5rem", justifyContent: "flex-end" }}>
+          <button className="btn" onClick={() => setIsPrefsOpen(false)}>Cancel</button>
+          <button className="btn btn-primary" onClick={savePreferences}>Save Preferences</button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,454 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { apiDelete, apiGet, apiPost, apiPut } from "../api.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { DOWNTIME_TYPE_LABELS, OEE_GRANULARITY_LABELS, formatPercent } from "../oee.js";
+import { entryMinutes, formatMinutes, fromLocalInput, toLocalInput } from "../timeEntries.js";
+import TrendChart from "./TrendChart.jsx";
+import Modal from "./Modal.jsx";
+import FieldError from "./FieldError.jsx";
+
+const EMPTY_DOWNTIME = { downtime_type: "UNPLANNED", reason: "", started_at: "", ended_at: "", request_id: "" };
+const EMPTY_COUNT = { production_date: "", scheduled_minutes: "", total_count: "", good_count: "", ideal_cycle_seconds: "", note: "" };
+
+const OEE_SERIES = [{ key: "oee", label: "OEE", color: "#875A7B" }];
+const FACTOR_SERIES = [
+  { key: "availability", label: "Availability", color: "#17A2B8" },
+  { key: "performance", label: "Performance", color: "#FFC107" },
+  { key: "quality", label: "Quality", color: "#28A745" }
+];
+
+function targetClass(meetsTarget) {
+  if (meetsTarget == null) return "badge";
+  return meetsTarget ? "badge sla-met" : "badge sla-breached";
+}
+
+function downtimeBody(form) {
+  return {
+    downtime_type: form.downtime_type,
+    reason: form.reason,
+    started_at: fromLocalInput(form.started_at),
+    ended_at: fromLocalInput(form.ended_at),
+    request_id: form.request_id === "" ? null : Number(form.request_id)
+  };
+}
+
+// The OEE, downtime events and production counts of work center `id` for `range`
+// ({ from, to, granularity }); `set` holds the panel's state setters
+function fetchOee(id, { from, to, granularity }, set) {
+  const params = new URLSearchParams({ granularity });
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+  return Promise.all([
+    apiGet(`/workcenters/${id}/oee?${params}`),
+    apiGet(`/workcenters/${id}/downtime?${params}`),
+    apiGet(`/workcenters/${id}/production?${params}`)
+  ]).then(([result, events, counts]) => {
+    set.oee(result);
+    set.downtime(events);
+    set.production(counts);
+    set.err(""); set.filterErrors({});
+  }).catch(e => {
+    set.err(e.message);
+    set.filterErrors(e.errors || {});
+  });
+}
+
+// OEE of a work center against its oee_target, with the downtime events and production
+// counts it is computed from (GET /api/workcenters/:id/oee, /downtime, /production)
+export default function OeePanel({ workcenterId: id }) {
+  const [oee, setOee] = useState(null);
+  const [downtime, setDowntime] = useState([]);
+  const [production, setProduction] = useState([]);
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [granularity, setGranularity] = useState("day");
+  const [filterErrors, setFilterErrors] = useState({});
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [downtimeForm, setDowntimeForm] = useState(EMPTY_DOWNTIME);
+  const [downtimeErrors, setDowntimeErrors] = useState({});
+  const [downtimeErr, setDowntimeErr] = useState("");
+  const [countForm, setCountForm] = useState(EMPTY_COUNT);
+  const [countErrors, setCountErrors] = useState({});
+
+  function load() {
+    return fetchOee(id, { from, to, granularity }, {
+      oee: setOee, downtime: setDowntime, production: setProduction, err: setErr, filterErrors: setFilterErrors
+    });
+  }
+
+  useEffect(() => {
+    fetchOee(id, { from, to, granularity }, {
+      oee: setOee, downtime: setDowntime, production: setProduction, err: setErr, filterErrors: setFilterErrors
+    });
+  }, [id, from, to, granularity]);
+
+  useLiveUpdates(["workcenter"], events => {
+    if (events.some(e => e.type === "resync" || String(e.data.id) === String(id))) {
+      load();
+    }
+  });
+
+  function openDowntime(event) {
+    setEditing(event || "new");
+    setDowntimeForm(event ? {
+      downtime_type: event.downtime_type,
+      reason: event.reason,
+      started_at: toLocalInput(event.started_at),
+      ended_at: toLocalInput(event.ended_at),
+      request_id: event.request_id == null ? "" : String(event.request_id)
+    } : EMPTY_DOWNTIME);
+    setDowntimeErrors({}); setDowntimeErr("");
+  }
+
+  function setDowntimeVal(k, v) {
+    setDowntimeForm(prev => ({ ...prev, [k]: v }));
+  }
+
+  async function saveDowntime() {
+    setDowntimeErrors({}); setDowntimeErr("");
+    try {
+      const res = editing === "new"
+        ? await apiPost(`/workcenters/${id}/downtime`, downtimeBody(downtimeForm))
+        : await apiPut(`/workcenters/${id}/downtime/${editing.id}`, downtimeBody(downtimeForm));
+      setMsg(res.message);
+      setEditing(null);
+      await load();
+    } catch (e) {
+      setDowntimeErr(e.message);
+      setDowntimeErrors(e.errors || {});
+    }
+  }
+
+  async function endDowntime(event) {
+    setErr(""); setMsg("");
+    try {
+      const res = await apiPut(`/workcenters/${id}/downtime/${event.id}`, {
+        downtime_type: event.downtime_type,
+        reason: event.reason,
+        started_at: event.started_at,
+        ended_at: new Date().toISOString(),
+        request_id: event.request_id
+      });
+      setMsg(res.message);
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  async function deleteDowntime(event) {
+    if (!window.confirm(`Delete the downtime "${event.reason}"?`)) return;
+    setErr(""); setMsg("");
+    try {
+      const res = await apiDelete(`/workcenters/${id}/downtime/${event.id}`);
+      setMsg(res.message);
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  function setCountVal(k, v) {
+    setCountForm(prev => ({ ...prev, [k]: v }));
+  }
+
+  async function addCount() {
+    setErr(""); setMsg(""); setCountErrors({});
+    const number = v => (v === "" ? null : Number(v));
+    try {
+      const res = await apiPost(`/workcenters/${id}/production`, {
+        production_date: countForm.production_date,
+        scheduled_minutes: number(countForm.scheduled_minutes),
+        total_count: number(countForm.total_count),
+        good_count: number(countForm.good_count),
+        ideal_cycle_seconds: number(countForm.ideal_cycle_seconds),
+        note: countForm.note
+      });
+      setMsg(res.message);
+      setCountForm(EMPTY_COUNT);
+      await load();
+    } catch (e) {
+      setErr(e.message);
+      setCountErrors(e.errors || {});
+    }
+  }
+
+  async function deleteCount(count) {
+    if (!window.confirm(`Delete the production count of ${count.production_date}?`)) return;
+    setErr(""); setMsg("");
+    try {
+      const res = await apiDelete(`/workcenters/${id}/production/${count.id}`);
+      setMsg(res.message);
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  const summary = oee?.summary;
+
+  return (
+    <div>
+      <div className="filterbar">
+        <div className={filterErrors.from ? "field has-error" : "field"}>
+          <div className="label">From</div>
+          <input className="input" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+          <FieldError error={filterErrors.from} />
+        </div>
+        <div className={filterErrors.to ? "field has-error" : "field"}>
+          <div className="label">To</div>
+          <input className="input" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+          <FieldError error={filterErrors.to} />
+        </div>
+        <div className="field">
+          <div className="label">Per</div>
+          <select value={granularity} onChange={(e) => setGranularity(e.target.value)}>
+            {Object.entries(OEE_GRANULARITY_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+      {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+      {summary && (
+        <>
+          <div className="stagebar" style={{ marginBottom: "1rem" }}>
+            <span className={targetClass(summary.meets_target)}>
+              <strong>OEE: {formatPercent(summary.oee)}</strong>
+              {oee.oee_target != null && <> (target {formatPercent(oee.oee_target)})</>}
+            </span>
+            <span className="badge">Availability: {formatPercent(summary.availability)}</span>
+            <span className="badge">
+              Performance: {formatPercent(summary.performance)}
+              {oee.time_efficiency != null && <> (time efficiency {formatPercent(oee.time_efficiency)})</>}
+            </span>
+            <span className="badge">Quality: {formatPercent(summary.quality)}</span>
+          </div>
+
+          <p className="small" style={{ color: "var(--odoo-text-muted)" }}>
+            {oee.from} – {oee.to} · Scheduled {formatMinutes(summary.scheduled_minutes)}
+            {" · "}Planned downtime {formatMinutes(summary.planned_downtime_minutes)}
+            {" · "}Unplanned downtime {formatMinutes(summary.unplanned_downtime_minutes)}
+            {" · "}{summary.good_count} good of {summary.total_count} pieces
+            {" · "}Capacity {oee.capacity}
+          </p>
+
+          <div className="row">
+            <div className="card col">
+              <h4 style={{ margin: "0 0 1rem 0" }}>OEE Trend</h4>
+              <TrendChart periods={oee.periods} series={OEE_SERIES} target={oee.oee_target} targetLabel="OEE target" />
+            </div>
+            <div className="card col">
+              <h4 style={{ margin: "0 0 1rem 0" }}>Availability, Performance and Quality</h4>
+              <TrendChart periods={oee.periods} series={FACTOR_SERIES} />
+            </div>
+          </div>
+
+          <div className="table-wrap" style={{ marginBottom: "1.5rem" }}>
+            <table>
+              <thead>
+                <tr>
+                  <th>Period</th>
+                  <th>Scheduled</th>
+                  <th>Downtime</th>
+                  <th>Pieces</th>
+                  <th>Availability</th>
+                  <th>Performance</th>
+                  <th>Quality</th>
+                  <th>OEE</th>
+                </tr>
+              </thead>
+              <tbody>
+                {oee.periods.filter(p => p.scheduled_minutes > 0 || p.unplanned_downtime_minutes > 0 || p.planned_downtime_minutes > 0).map(p => (
+                  <tr key={p.start}>
+                    <td>{p.start === p.end ? p.start : `${p.start} – ${p.end}`}</td>
+                    <td>{formatMinutes(p.scheduled_minutes)}</td>
+                    <td>{formatMinutes(p.planned_downtime_minutes + p.unplanned_downtime_minutes)}</td>
+                    <td>{p.good_count} / {p.total_count}</td>
+                    <td>{formatPercent(p.availability)}</td>
+                    <td>{formatPercent(p.performance)}</td>
+                    <td>{formatPercent(p.quality)}</td>
+                    <td><span className={targetClass(p.meets_target)}>{formatPercent(p.oee)}</span></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <div className="card" style={{ marginBottom: "1.5rem" }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "1rem" }}>
+          <h4 style={{ margin: 0 }}>Downtime</h4>
+          <button className="btn btn-primary" onClick={() => openDowntime(null)}>Log Downtime</button>
+        </div>
+
+        {oee?.downtime_by_reason.length > 0 && (
+          <p className="small" style={{ color: "var(--odoo-text-muted)" }}>
+            {oee.downtime_by_reason.map(r => `${r.reason} (${DOWNTIME_TYPE_LABELS[r.downtime_type].toLowerCase()}): ${formatMinutes(r.minutes)}`).join(" · ")}
+          </p>
+        )}
+
+        {downtime.length === 0 ? (
+          <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic" }}>
+            No downtime in this range.
+          </p>
+        ) : (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Reason</th>
+                  <th>Start</th>
+                  <th>End</th>
+                  <th>Duration</th>
+                  <th>Request</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {downtime.map(e => (
+                  <tr key={e.id}>
+                    <td>{DOWNTIME_TYPE_LABELS[e.downtime_type]}</td>
+                    <td>{e.reason}</td>
+                    <td>{new Date(e.started_at).toLocaleString()}</td>
+                    <td>{e.ended_at ? new Date(e.ended_at).toLocaleString() : <span className="badge sla-breached">Ongoing</span>}</td>
+                    <td>{formatMinutes(entryMinutes(e))}</td>
+                    <td>{e.request ? <Link to={`/requests/${e.request.id}`}>{e.request.subject}</Link> : ""}</td>
+                    <td style={{ whiteSpace: "nowrap" }}>
+                      {!e.ended_at && <button className="btn" onClick={() => endDowntime(e)}>End Now</button>}{" "}
+                      <button className="btn" onClick={() => openDowntime(e)}>Edit</button>{" "}
+                      <button className="btn btn-danger" onClick={() => deleteDowntime(e)}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <h4 style={{ margin: "0 0 1rem 0" }}>Production Counts</h4>
+
+        <div className="filterbar">
+          <div className={countErrors.production_date ? "field has-error" : "field"}>
+            <div className="label">Date</div>
+            <input className="input" type="date" value={countForm.production_date} onChange={(e) => setCountVal("production_date", e.target.value)} />
+            <FieldError error={countErrors.production_date} />
+          </div>
+          <div className={countErrors.scheduled_minutes ? "field has-error" : "field"}>
+            <div className="label">Scheduled (min)</div>
+            <input className="input" type="number" min="1" value={countForm.scheduled_minutes} onChange={(e) => setCountVal("scheduled_minutes", e.target.value)} />
+            <FieldError error={countErrors.scheduled_minutes} />
+          </div>
+          <div className={countErrors.total_count ? "field has-error" : "field"}>
+            <div className="label">Total Count</div>
+            <input className="input" type="number" min="0" value={countForm.total_count} onChange={(e) => setCountVal("total_count", e.target.value)} />
+            <FieldError error={countErrors.total_count} />
+          </div>
+          <div className={countErrors.good_count ? "field has-error" : "field"}>
+            <div className="label">Good Count</div>
+            <input className="input" type="number" min="0" value={countForm.good_count} onChange={(e) => setCountVal("good_count", e.target.value)} />
+            <FieldError error={countErrors.good_count} />
+          </div>
+          <div className={countErrors.ideal_cycle_seconds ? "field has-error" : "field"}>
+            <div className="label">Ideal Cycle (s)</div>
+            <input className="input" type="number" min="0" step="0.01" value={countForm.ideal_cycle_seconds} onChange={(e) => setCountVal("ideal_cycle_seconds", e.target.value)} />
+            <FieldError error={countErrors.ideal_cycle_seconds} />
+          </div>
+          <div className={countErrors.note ? "field has-error" : "field"}>
+            <div className="label">Note</div>
+            <input className="input" value={countForm.note} onChange={(e) => setCountVal("note", e.target.value)} />
+            <FieldError error={countErrors.note} />
+          </div>
+          <button className="btn btn-primary" onClick={addCount}>Add Count</button>
+        </div>
+
+        {production.length === 0 ? (
+          <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic" }}>
+            No production counts in this range.
+          </p>
+        ) : (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Scheduled</th>
+                  <th>Total</th>
+                  <th>Good</th>
+                  <th>Ideal Cycle</th>
+                  <th>Note</th>
+                  <th>Added By</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {production.map(p => (
+                  <tr key={p.id}>
+                    <td>{p.production_date}</td>
+                    <td>{formatMinutes(p.scheduled_minutes)}</td>
+                    <td>{p.total_count}</td>
+                    <td>{p.good_count}</td>
+                    <td>{Number(p.ideal_cycle_seconds)} s</td>
+                    <td>{p.note || ""}</td>
+                    <td>{p.created_by?.name || ""}</td>
+                    <td><button className="btn btn-danger" onClick={() => deleteCount(p)}>Delete</button></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <Modal isOpen={!!editing} onClose={() => setEditing(null)} title={editing === "new" ? "Log Downtime" : "Edit Downtime"}>
+        <div className={downtimeErrors.downtime_type ? "field has-error" : "field"}>
+          <div className="label">Type</div>
+          <select value={downtimeForm.downtime_type} onChange={(e) => setDowntimeVal("downtime_type", e.target.value)}>
+            {Object.entries(DOWNTIME_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <FieldError error={downtimeErrors.downtime_type} />
+        </div>
+
+        <div className={downtimeErrors.reason ? "field has-error" : "field"}>
+          <div className="label">Reason *</div>
+          <input className="input" value={downtimeForm.reason} onChange={(e) => setDowntimeVal("reason", e.target.value)} placeholder="Breakdown, changeover, material shortage..." />
+          <FieldError error={downtimeErrors.reason} />
+        </div>
+
+        <div className={downtimeErrors.started_at ? "field has-error" : "field"}>
+          <div className="label">Start *</div>
+          <input className="input" type="datetime-local" value={downtimeForm.started_at} onChange={(e) => setDowntimeVal("started_at", e.target.value)} />
+          <FieldError error={downtimeErrors.started_at} />
+        </div>
+
+        <div className={downtimeErrors.ended_at ? "field has-error" : "field"}>
+          <div className="label">End</div>
+          <input className="input" type="datetime-local" value={downtimeForm.ended_at} onChange={(e) => setDowntimeVal("ended_at", e.target.value)} />
+          <FieldError error={downtimeErrors.ended_at} />
+          <div className="small" style={{ color: "var(--odoo-text-muted)" }}>Leave empty while the work center is still down.</div>
+        </div>
+
+        <div className={downtimeErrors.request_id ? "field has-error" : "field"}>
+          <div className="label">Request #</div>
+          <input className="input" type="number" min="1" value={downtimeForm.request_id} onChange={(e) => setDowntimeVal("request_id", e.target.value)} placeholder="Maintenance request it caused or was fixed by" />
+          <FieldError error={downtimeErrors.request_id} />
+        </div>
+
+        {downtimeErr && <div className="error" style={{ marginTop: "1rem" }}>{downtimeErr}</div>}
+
+        <div style={{ display: "flex", gap: "0.5rem", marginTop: "1.5rem", justifyContent: "flex-end" }}>
+          <button className="btn" onClick={() => setEditing(null)}>Cancel</button>
+          <button className="btn btn-primary" onClick={saveDowntime}>Save</button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
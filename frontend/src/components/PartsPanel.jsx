@@ -0,0 +1,181 @@
+import React, { useEffect, useState } from "react";
+import { apiDelete, apiGet, apiPost } from "../api.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import FieldError from "./FieldError.jsx";
+
+const EMPTY_FORM = { part_id: "", location_id: "", quantity: 1 };
+
+function formatCost(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+function fetchLines(requestId, setLines, setTotalCost) {
+  return apiGet(`/requests/${requestId}/parts`).then(res => {
+    setLines(res.lines);
+    setTotalCost(res.total_cost);
+  });
+}
+
+// Only the parts that fit the request's equipment category
+async function fetchParts(categoryId, canConsume, setParts) {
+  if (!canConsume) return;
+  setParts(await apiGet(categoryId ? `/parts?category_id=${categoryId}` : "/parts"));
+}
+
+// Spare parts used on a request; `canConsume` shows the form that takes parts out of stock
+export default function PartsPanel({ requestId, categoryId, canConsume }) {
+  const [lines, setLines] = useState([]);
+  const [totalCost, setTotalCost] = useState(0);
+  const [parts, setParts] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+
+  function load() {
+    return fetchLines(requestId, setLines, setTotalCost);
+  }
+
+  function loadParts() {
+    return fetchParts(categoryId, canConsume, setParts);
+  }
+
+  useEffect(() => {
+    fetchLines(requestId, setLines, setTotalCost)
+      .then(() => { setErr(""); setMsg(""); setForm(EMPTY_FORM); })
+      .catch(e => setErr(e.message));
+  }, [requestId]);
+
+  useEffect(() => {
+    fetchParts(categoryId, canConsume, setParts).catch(e => setErr(e.message));
+  }, [categoryId, canConsume]);
+
+  useLiveUpdates(["request", "part"], events => {
+    if (events.some(e => e.type === "resync" || e.type.startsWith("part."))) {
+      loadParts().catch(console.error);
+    }
+    if (events.some(e => e.type === "resync" || (e.type.startsWith("request.") && String(e.data.id) === String(requestId)))) {
+      load().catch(e => setErr(e.message));
+    }
+  });
+
+  function setVal(k, v) {
+    setForm(prev => ({ ...prev, [k]: v }));
+  }
+
+  const selectedPart = parts.find(p => String(p.id) === String(form.part_id));
+  const stockOptions = (selectedPart?.stock || []).filter(s => s.quantity > 0);
+
+  async function addPart() {
+    setErr(""); setMsg(""); setFieldErrors({});
+    try {
+      const res = await apiPost(`/requests/${requestId}/parts`, {
+        part_id: form.part_id ? Number(form.part_id) : null,
+        location_id: form.location_id ? Number(form.location_id) : null,
+        quantity: Number(form.quantity)
+      });
+      setMsg(res.message);
+      setForm(EMPTY_FORM);
+      await Promise.all([load(), loadParts()]);
+    } catch (e) {
+      setErr(e.message);
+      setFieldErrors(e.errors || {});
+    }
+  }
+
+  async function returnLine(line) {
+    if (!window.confirm(`Return ${line.quantity} × ${line.part?.name} to stock?`)) return;
+    setErr(""); setMsg("");
+    try {
+      const res = await apiDelete(`/requests/${requestId}/parts/${line.id}`);
+      setMsg(res.message);
+      await Promise.all([load(), loadParts()]);
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  return (
+    <div className="card" style={{ marginBottom: "1.5rem" }}>
+      <h4 style={{ margin: "0 0 1rem 0", color: "var(--odoo-text)" }}>Parts Used</h4>
+
+      {canConsume && (
+        <div className="filterbar">
+          <div className={fieldErrors.part_id ? "field has-error" : "field"}>
+            <div className="label">Part</div>
+            <select value={form.part_id} onChange={(e) => setForm({ ...EMPTY_FORM, part_id: e.target.value })}>
+              <option value="">Select a part</option>
+              {parts.map(p => (
+                <option key={p.id} value={p.id} disabled={p.total_quantity === 0}>
+                  {p.part_number} - {p.name} ({p.total_quantity} in stock)
+                </option>
+              ))}
+            </select>
+            <FieldError error={fieldErrors.part_id} />
+          </div>
+          <div className={fieldErrors.location_id ? "field has-error" : "field"}>
+            <div className="label">From Location</div>
+            <select value={form.location_id} onChange={(e) => setVal("location_id", e.target.value)} disabled={!selectedPart}>
+              <option value="">Select a location</option>
+              {stockOptions.map(s => (
+                <option key={s.location_id} value={s.location_id}>{s.location?.name} ({s.quantity})</option>
+              ))}
+            </select>
+            <FieldError error={fieldErrors.location_id} />
+          </div>
+          <div className={fieldErrors.quantity ? "field has-error" : "field"}>
+            <div className="label">Quantity</div>
+            <input className="input" type="number" min="1" value={form.quantity} onChange={(e) => setVal("quantity", e.target.value)} />
+            <FieldError error={fieldErrors.quantity} />
+          </div>
+          <button className="btn btn-primary" onClick={addPart}>Add</button>
+        </div>
+      )}
+
+      {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+      {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+      {lines.length === 0 ? (
+        <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic" }}>
+          No parts used yet.
+        </p>
+      ) : (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>Part</th>
+                <th>Location</th>
+                <th>Quantity</th>
+                <th>Unit Cost</th>
+                <th>Total</th>
+                <th>Added By</th>
+                {canConsume && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map(l => (
+                <tr key={l.id}>
+                  <td>{l.part?.part_number} - {l.part?.name}</td>
+                  <td>{l.location?.name}</td>
+                  <td>{l.quantity}</td>
+                  <td>{formatCost(l.unit_cost)}</td>
+                  <td>{formatCost(l.total_cost)}</td>
+                  <td>{l.created_by?.name || ""}</td>
+                  {canConsume && (
+                    <td><button className="btn" onClick={() => returnLine(l)}>Return</button></td>
+                  )}
+                </tr>
+              ))}
+              <tr>
+                <td colSpan={4}><strong>Total</strong></td>
+                <td><strong>{formatCost(totalCost)}</strong></td>
+                <td colSpan={canConsume ? 2 : 1}></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,22 @@
 import React from "react";
 
-export default function Table({ columns, rows, onRowClick }) {
+// Columns marked `sortable` get a clickable header when `onSort` is given;
+// `sort` is the active `{ key, order }` and shows the arrow on that column.
+export default function Table({ columns, rows, onRowClick, sort, onSort }) {
+  function header(c) {
+    if (!c.sortable || !onSort) return c.label;
+    const arrow = sort?.key === c.key ? (sort.order === "asc" ? " ▲" : " ▼") : "";
+    return (
+      <span className="sortable" onClick={() => onSort(c.key)}>{c.label}{arrow}</span>
+    );
+  }
+
   return (
     <div className="table-wrap">
       <table>
         <thead>
           <tr>
-            {columns.map((c) => <th key={c.key}>{c.label}</th>)}
+            {columns.map((c) => <th key={c.key}>{header(c)}</th>)}
           </tr>
         </thead>
         <tbody>
@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { apiGet } from "../api.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { formatCost } from "../costs.js";
+
+function fetchTco(equipmentId, setTco) {
+  return apiGet(`/costs/equipment/${equipmentId}`).then(setTco);
+}
+
+// Total cost of ownership of a piece of equipment: purchase cost plus the cost of its
+// maintenance requests, per year of age (GET /api/costs/equipment/:id)
+export default function TcoPanel({ equipmentId }) {
+  const [tco, setTco] = useState(null);
+  const [err, setErr] = useState("");
+
+  function load() {
+    return fetchTco(equipmentId, setTco);
+  }
+
+  useEffect(() => {
+    fetchTco(equipmentId, setTco)
+      .then(() => setErr(""))
+      .catch(e => setErr(e.message));
+  }, [equipmentId]);
+
+  // Any request may belong to this equipment, so every request change reloads
+  useLiveUpdates(["request", "equipment"], events => {
+    if (events.some(e => e.type.startsWith("request.") || e.type === "resync" || String(e.data.id) === String(equipmentId))) {
+      load().catch(e => setErr(e.message));
+    }
+  });
+
+  if (!tco) {
+    return err ? <div className="error">{err}</div> : null;
+  }
+
+  const maintenance = tco.maintenance;
+
+  return (
+    <div className="card" style={{ padding: "1.5rem" }}>
+      <h3 style={{ marginTop: 0, marginBottom: "1.5rem", fontSize: "1.1rem", fontWeight: 600 }}>Total Cost of Ownership</h3>
+
+      {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+
+      <div className="stagebar" style={{ marginBottom: "1rem" }}>
+        <span className="badge">Purchase: {tco.purchase_cost == null ? "not set" : formatCost(tco.purchase_cost)}</span>
+        <span className="badge">Age: {tco.age_years == null ? "unknown" : `${tco.age_years} years`}</span>
+        <span className="badge">Maintenance: {formatCost(maintenance.total_cost)}</span>
+        <span className="badge"><strong>TCO: {formatCost(tco.total_cost_of_ownership)}</strong></span>
+      </div>
+
+      <p className="small" style={{ color: "var(--odoo-text-muted)" }}>
+        Labor {formatCost(maintenance.labor_cost)} · Parts {formatCost(maintenance.parts_cost)} · External {formatCost(maintenance.external_cost)}
+        {tco.maintenance_per_year != null && <> · {formatCost(tco.maintenance_per_year)} per year</>}
+        {tco.maintenance_to_purchase_percent != null && <> · {tco.maintenance_to_purchase_percent}% of the purchase cost</>}
+        {" · "}
+        {tco.by_type.map(t => `${t.maintenance_type === "CORRECTIVE" ? "Corrective" : "Preventive"} ${formatCost(t.total_cost)}`).join(" · ")}
+      </p>
+
+      {tco.by_year.length > 0 && (
+        <div className="table-wrap" style={{ marginBottom: "1rem" }}>
+          <table>
+            <thead>
+              <tr>
+                <th>Year</th>
+                <th>Requests</th>
+                <th>Labor</th>
+                <th>Parts</th>
+                <th>External</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tco.by_year.map(y => (
+                <tr key={y.year}>
+                  <td>{y.year}</td>
+                  <td>{y.requests}</td>
+                  <td>{formatCost(y.labor_cost)}</td>
+                  <td>{formatCost(y.parts_cost)}</td>
+                  <td>{formatCost(y.external_cost)}</td>
+                  <td>{formatCost(y.total_cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {tco.requests.length === 0 ? (
+        <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic" }}>
+          No maintenance requests yet.
+        </p>
+      ) : (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>Request</th>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tco.requests.map(r => (
+                <tr key={r.id}>
+                  <td><Link to={`/requests/${r.id}`}>{r.subject}</Link></td>
+                  <td>{r.request_date}</td>
+                  <td>{r.maintenance_type}</td>
+                  <td>{formatCost(r.total_cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from "react";
+import { apiDelete, apiGet, apiPost, apiPut } from "../api.js";
+import { ASSIGNMENT_STRATEGY_LABELS, TEAM_MEMBER_ROLE_LABELS } from "../teams.js";
+import { activeOptions } from "../lookups.js";
+import Drawer from "./Drawer.jsx";
+import FieldError from "./FieldError.jsx";
+
+function fetchTeam(teamId, setTeam, setForm, setErr) {
+  return apiGet(`/teams/${teamId}`)
+    .then(data => {
+      setTeam(data);
+      setForm({ name: data.name || "", company: data.company || "", assignment_strategy: data.assignment_strategy });
+    })
+    .catch(e => setErr(e.message));
+}
+
+// One team: its name, company and assignment rule, and the members added, removed, made lead
+// or given skills (equipment categories) one at a time. `onChanged` lets the list refetch;
+// `onClose` also follows a deletion.
+export default function TeamDrawer({ teamId, users, categories, onClose, onChanged }) {
+  const [team, setTeam] = useState(null);
+  const [form, setForm] = useState({ name: "", company: "", assignment_strategy: "MANUAL" });
+  const [newMember, setNewMember] = useState({ user_id: "", role: "MEMBER" });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+  const [shownId, setShownId] = useState(teamId);
+
+  // Another team starts from a clean drawer
+  if (teamId !== shownId) {
+    setShownId(teamId);
+    setTeam(null);
+    setErr(""); setMsg(""); setFieldErrors({});
+    setNewMember({ user_id: "", role: "MEMBER" });
+  }
+
+  function load() {
+    return fetchTeam(teamId, setTeam, setForm, setErr);
+  }
+
+  useEffect(() => {
+    if (teamId) fetchTeam(teamId, setTeam, setForm, setErr);
+  }, [teamId]);
+
+  // Runs a change, then shows its message and refetches the team and the list
+  async function run(request, after = load) {
+    setErr(""); setMsg(""); setFieldErrors({});
+    try {
+      const res = await request();
+      setMsg(res.message);
+      onChanged();
+      await after();
+    } catch (e) {
+      setErr(e.message);
+      setFieldErrors(e.errors || {});
+    }
+  }
+
+  function saveDetails() {
+    run(() => apiPut(`/teams/${teamId}`, {
+      name: form.name.trim(),
+      company: form.company.trim(),
+      assignment_strategy: form.assignment_strategy
+    }));
+  }
+
+  function addMember() {
+    run(() => apiPost(`/teams/${teamId}/members`, newMember), async () => {
+      setNewMember({ user_id: "", role: "MEMBER" });
+      await load();
+    });
+  }
+
+  function changeRole(member, role) {
+    run(() => apiPut(`/teams/${teamId}/members/${member.user_id}`, { role }));
+  }
+
+  function toggleSkill(member, categoryId) {
+    const categoryIds = member.category_ids.includes(categoryId)
+      ? member.category_ids.filter(id => id !== categoryId)
+      : [...member.category_ids, categoryId];
+    run(() => apiPut(`/teams/${teamId}/members/${member.user_id}`, { category_ids: categoryIds }));
+  }
+
+  function removeMember(member) {
+    if (!window.confirm(`Remove ${member.name} from ${team.name}?`)) return;
+    run(() => apiDelete(`/teams/${teamId}/members/${member.user_id}`));
+  }
+
+  function deleteTeam() {
+    if (!window.confirm(`Delete ${team.name}?`)) return;
+    run(() => apiDelete(`/teams/${teamId}`), async () => onClose());
+  }
+
+  const memberIds = (team?.members || []).map(m => m.user_id);
+  const candidates = (users || []).filter(u => !memberIds.includes(u.id));
+
+  return (
+    <Drawer isOpen={Boolean(teamId)} onClose={onClose} title={team?.name || "Team"}>
+      {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+      {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+      {team && (
+        <>
+          <div className={fieldErrors.name ? "field has-error" : "field"}>
+            <div className="label">Team Name *</div>
+            <input className="input" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} />
+            <FieldError error={fieldErrors.name} />
+          </div>
+
+          <div className={fieldErrors.company ? "field has-error" : "field"}>
+            <div className="label">Company</div>
+            <input className="input" value={form.company} onChange={(e) => setForm(prev => ({ ...prev, company: e.target.value }))} />
+            <FieldError error={fieldErrors.company} />
+          </div>
+
+          <div className={fieldErrors.assignment_strategy ? "field has-error" : "field"}>
+            <div className="label">Assign New Requests</div>
+            <select className="input" value={form.assignment_strategy} onChange={(e) => setForm(prev => ({ ...prev, assignment_strategy: e.target.value }))}>
+              {Object.entries(ASSIGNMENT_STRATEGY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <FieldError error={fieldErrors.assignment_strategy} />
+            <p className="small" style={{ color: "var(--odoo-text-muted)", margin: "0.25rem 0 0 0" }}>
+              Applies to requests that get no technician from their equipment or work center.
+            </p>
+          </div>
+
+          <div style={{ display: "flex", justifyContent: "flex-end", marginBottom: "1.5rem" }}>
+            <button className="btn btn-primary" onClick={saveDetails}>Save</button>
+          </div>
+
+          <h4 style={{ margin: "0 0 0.5rem 0" }}>Members</h4>
+          {team.members.length === 0 && (
+            <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic" }}>No members yet.</p>
+          )}
+          {team.members.map(m => (
+            <div key={m.user_id} className="member-row">
+              <span className="member-name">
+                {m.name || m.user_id}
+                {team.assignment_strategy === "SKILLS" && (
+                  <span className="member-skills">
+                    {activeOptions(categories, m.category_ids).map(c => (
+                      <label key={c.id} className="checkbox">
+                        <input type="checkbox" checked={m.category_ids.includes(c.id)} onChange={() => toggleSkill(m, c.id)} /> {c.name}
+                      </label>
+                    ))}
+                  </span>
+                )}
+              </span>
+              <select className="input" style={{ width: "auto" }} value={m.role} onChange={(e) => changeRole(m, e.target.value)}>
+                {Object.entries(TEAM_MEMBER_ROLE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button className="btn" onClick={() => removeMember(m)}>Remove</button>
+            </div>
+          ))}
+
+          <div className={fieldErrors.user_id ? "field has-error" : "field"} style={{ marginTop: "1rem" }}>
+            <div className="label">Add Member</div>
+            <div style={{ display: "flex", gap: "0.5rem" }}>
+              <select className="input" value={newMember.user_id} onChange={(e) => setNewMember(prev => ({ ...prev, user_id: e.target.value }))}>
+                <option value="">Select a user...</option>
+                {candidates.map(u => (
+                  <option key={u.id} value={u.id}>{u.name} {u.role && `(${u.role})`}</option>
+                ))}
+              </select>
+              <select className="input" style={{ width: "auto" }} value={newMember.role} onChange={(e) => setNewMember(prev => ({ ...prev, role: e.target.value }))}>
+                {Object.entries(TEAM_MEMBER_ROLE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button className="btn btn-primary" onClick={addMember} disabled={!newMember.user_id}>Add</button>
+            </div>
+            <FieldError error={fieldErrors.user_id} />
+          </div>
+
+          <div style={{ borderTop: "1px solid var(--odoo-border)", marginTop: "1.5rem", paddingTop: "1rem" }}>
+            <button className="btn btn-danger" onClick={deleteTeam}>Delete Team</button>
+            <p className="small" style={{ color: "var(--odoo-text-muted)", marginBottom: 0 }}>
+              Teams still assigned to equipment, requests or PM plans can't be deleted.
+            </p>
+          </div>
+        </>
+      )}
+    </Drawer>
+  );
+}
@@ -0,0 +1,246 @@
+import React, { useEffect, useState } from "react";
+import { apiDelete, apiGet, apiPost, apiPut } from "../api.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { canEditTimeEntry, hasPermission } from "../permissions.js";
+import { entryMinutes, formatMinutes, fromLocalInput, toLocalInput } from "../timeEntries.js";
+import FieldError from "./FieldError.jsx";
+
+const EMPTY_FORM = { started_at: "", ended_at: "", note: "", user_id: "" };
+
+// The request's time summary; running timers count from the moment it arrived
+function fetchSummary(requestId, setSummary, setNow) {
+  return apiGet(`/time-entries/requests/${requestId}`).then(summary => {
+    setSummary(summary);
+    setNow(Date.now());
+  });
+}
+
+// Time logged on a request against its planned duration, with the user's timer and
+// manual entries; `techs` are the people ADMIN / MANAGER can log time for
+export default function TimePanel({ requestId, user, techs = [], closed }) {
+  const [summary, setSummary] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+
+  const canLogForOthers = hasPermission(user, "manage_time_entries");
+
+  function load() {
+    return fetchSummary(requestId, setSummary, setNow);
+  }
+
+  useEffect(() => {
+    fetchSummary(requestId, setSummary, setNow)
+      .then(() => { setErr(""); setMsg(""); setForm(EMPTY_FORM); setEditingId(null); })
+      .catch(e => setErr(e.message));
+  }, [requestId]);
+
+  // Running timers keep counting on screen
+  const isRunning = summary?.entries.some(e => e.running);
+  useEffect(() => {
+    if (!isRunning) return;
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, [isRunning]);
+
+  useLiveUpdates(["request"], events => {
+    if (events.some(e => e.type === "resync" || String(e.data.id) === String(requestId))) {
+      load().catch(e => setErr(e.message));
+    }
+  });
+
+  function setVal(k, v) {
+    setForm(prev => ({ ...prev, [k]: v }));
+  }
+
+  async function timerAction(action) {
+    setErr(""); setMsg("");
+    try {
+      const res = await apiPost(`/time-entries/requests/${requestId}/${action}`);
+      setMsg(res.message);
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  function editEntry(entry) {
+    setEditingId(entry.id);
+    setForm({
+      started_at: toLocalInput(entry.started_at),
+      ended_at: toLocalInput(entry.ended_at),
+      note: entry.note || "",
+      user_id: entry.user_id
+    });
+    setFieldErrors({});
+  }
+
+  function cancelEdit() {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setFieldErrors({});
+  }
+
+  async function saveEntry() {
+    setErr(""); setMsg(""); setFieldErrors({});
+    const body = {
+      started_at: fromLocalInput(form.started_at),
+      ended_at: fromLocalInput(form.ended_at),
+      note: form.note.trim() || null
+    };
+    if (!editingId && form.user_id) body.user_id = form.user_id;
+
+    try {
+      const res = editingId
+        ? await apiPut(`/time-entries/${editingId}`, body)
+        : await apiPost(`/time-entries/requests/${requestId}`, body);
+      setMsg(res.message);
+      cancelEdit();
+      await load();
+    } catch (e) {
+      setErr(e.message);
+      setFieldErrors(e.errors || {});
+    }
+  }
+
+  async function deleteEntry(entry) {
+    if (!window.confirm(entry.running ? "Discard the running timer?" : "Delete this time entry?")) return;
+    setErr(""); setMsg("");
+    try {
+      const res = await apiDelete(`/time-entries/${entry.id}`);
+      setMsg(res.message);
+      if (editingId === entry.id) cancelEdit();
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  if (!summary) {
+    return err ? <div className="error">{err}</div> : null;
+  }
+
+  const entries = summary.entries.map(e => ({ ...e, minutes: e.running ? entryMinutes(e, now) : e.minutes }));
+  const actual = entries.reduce((sum, e) => sum + e.minutes, 0);
+  const planned = summary.planned_minutes;
+  const state = summary.timer.state;
+
+  return (
+    <div className="card" style={{ marginBottom: "1.5rem" }}>
+      <h4 style={{ margin: "0 0 1rem 0", color: "var(--odoo-text)" }}>Time Tracking</h4>
+
+      <div style={{ display: "flex", gap: "1rem", alignItems: "center", flexWrap: "wrap", marginBottom: "1rem" }}>
+        <span>
+          Logged <strong>{formatMinutes(actual)}</strong>
+          {planned > 0 ? <> of {formatMinutes(planned)} planned</> : " (no planned duration)"}
+        </span>
+        {planned > 0 && (
+          <span className={actual > planned ? "badge sla-breached" : "badge sla-met"}>
+            {actual > planned ? `${formatMinutes(actual - planned)} over` : `${formatMinutes(planned - actual)} left`}
+          </span>
+        )}
+        <div style={{ flex: 1 }} />
+        {state === "STOPPED" && (
+          <button className="btn btn-primary" onClick={() => timerAction("start")} disabled={closed}>Start Timer</button>
+        )}
+        {state === "RUNNING" && (
+          <button className="btn" onClick={() => timerAction("pause")}>Pause</button>
+        )}
+        {state === "PAUSED" && (
+          <button className="btn btn-primary" onClick={() => timerAction("start")} disabled={closed}>Resume</button>
+        )}
+        {state !== "STOPPED" && (
+          <button className="btn" onClick={() => timerAction("stop")}>Stop</button>
+        )}
+      </div>
+
+      {summary.by_user.length > 1 && (
+        <div className="stagebar" style={{ marginBottom: "1rem" }}>
+          {summary.by_user.map(u => (
+            <span key={u.user?.id} className="badge">{u.user?.name}: {formatMinutes(u.minutes)}</span>
+          ))}
+        </div>
+      )}
+
+      {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+      {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+      <div className="filterbar">
+        {canLogForOthers && !editingId && (
+          <div className={fieldErrors.user_id ? "field has-error" : "field"}>
+            <div className="label">Technician</div>
+            <select value={form.user_id} onChange={(e) => setVal("user_id", e.target.value)}>
+              <option value="">Me</option>
+              {techs.filter(t => t.id !== user?.id).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+            <FieldError error={fieldErrors.user_id} />
+          </div>
+        )}
+        <div className={fieldErrors.started_at ? "field has-error" : "field"}>
+          <div className="label">Start</div>
+          <input className="input" type="datetime-local" value={form.started_at} onChange={(e) => setVal("started_at", e.target.value)} />
+          <FieldError error={fieldErrors.started_at} />
+        </div>
+        <div className={fieldErrors.ended_at ? "field has-error" : "field"}>
+          <div className="label">End</div>
+          <input className="input" type="datetime-local" value={form.ended_at} onChange={(e) => setVal("ended_at", e.target.value)} />
+          <FieldError error={fieldErrors.ended_at} />
+        </div>
+        <div className={fieldErrors.note ? "field has-error" : "field"}>
+          <div className="label">Note</div>
+          <input className="input" value={form.note} onChange={(e) => setVal("note", e.target.value)} />
+          <FieldError error={fieldErrors.note} />
+        </div>
+        <button className="btn btn-primary" onClick={saveEntry}>{editingId ? "Save Entry" : "Log Time"}</button>
+        {editingId && <button className="btn" onClick={cancelEdit}>Cancel</button>}
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic" }}>
+          No time logged yet.
+        </p>
+      ) : (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>Technician</th>
+                <th>Start</th>
+                <th>End</th>
+                <th>Duration</th>
+                <th>Note</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(e => (
+                <tr key={e.id}>
+                  <td>{e.user?.name}</td>
+                  <td>{new Date(e.started_at).toLocaleString()}</td>
+                  <td>
+                    {e.running
+                      ? <span className="badge sla-pending">Running</span>
+                      : <>{new Date(e.ended_at).toLocaleString()}{e.paused && <> <span className="badge">Paused</span></>}</>}
+                  </td>
+                  <td>{formatMinutes(e.minutes)}</td>
+                  <td>{e.source === "MANUAL" ? (e.note || "Manual entry") : (e.note || "")}</td>
+                  <td>
+                    {canEditTimeEntry(user, e) && (
+                      <div style={{ display: "flex", gap: "0.5rem" }}>
+                        {!e.running && <button className="btn" onClick={() => editEntry(e)}>Edit</button>}
+                        <button className="btn btn-danger" onClick={() => deleteEntry(e)}>Delete</button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
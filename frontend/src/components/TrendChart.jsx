@@ -0,0 +1,76 @@
+import React from "react";
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = { top: 12, right: 12, bottom: 28, left: 40 };
+// At most this many period labels along the bottom
+const MAX_LABELS = 8;
+
+// Percentages per period as lines, with an optional dashed target line. `series` are
+// { key, label, color } read from each of `periods`; null values leave a gap.
+export default function TrendChart({ periods, series, target = null, targetLabel = "Target" }) {
+  const values = periods.flatMap(p => series.map(s => p[s.key])).filter(v => v != null);
+  const max = Math.max(100, ...values, target ?? 0);
+  const innerWidth = WIDTH - PAD.left - PAD.right;
+  const innerHeight = HEIGHT - PAD.top - PAD.bottom;
+
+  const x = i => PAD.left + (periods.length > 1 ? (i / (periods.length - 1)) * innerWidth : innerWidth / 2);
+  const y = v => PAD.top + innerHeight - (v / max) * innerHeight;
+
+  // One path per run of consecutive values
+  function linePath(key) {
+    let path = "";
+    let drawing = false;
+    periods.forEach((p, i) => {
+      if (p[key] == null) {
+        drawing = false;
+        return;
+      }
+      path += `${drawing ? "L" : "M"}${x(i).toFixed(1)},${y(p[key]).toFixed(1)} `;
+      drawing = true;
+    });
+    return path.trim();
+  }
+
+  const labelEvery = Math.max(1, Math.ceil(periods.length / MAX_LABELS));
+  const ticks = [0, 25, 50, 75, 100].filter(t => t <= max);
+
+  return (
+    <div className="trendchart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img">
+        {ticks.map(t => (
+          <g key={t}>
+            <line className="trendchart-grid" x1={PAD.left} x2={WIDTH - PAD.right} y1={y(t)} y2={y(t)} />
+            <text className="trendchart-axis" x={PAD.left - 6} y={y(t) + 4} textAnchor="end">{t}%</text>
+          </g>
+        ))}
+
+        {periods.map((p, i) => i % labelEvery === 0 && (
+          <text key={p.start} className="trendchart-axis" x={x(i)} y={HEIGHT - 8} textAnchor="middle">{p.start.substring(5)}</text>
+        ))}
+
+        {target != null && (
+          <line className="trendchart-target" x1={PAD.left} x2={WIDTH - PAD.right} y1={y(target)} y2={y(target)} />
+        )}
+
+        {series.map(s => (
+          <g key={s.key}>
+            <path d={linePath(s.key)} fill="none" stroke={s.color} strokeWidth="2" />
+            {periods.map((p, i) => p[s.key] != null && (
+              <circle key={p.start} cx={x(i)} cy={y(p[s.key])} r="3" fill={s.color}>
+                <title>{`${s.label} ${p.start}${p.end !== p.start ? ` – ${p.end}` : ""}: ${p[s.key]}%`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      <div className="trendchart-legend">
+        {series.map(s => (
+          <span key={s.key}><i style={{ backgroundColor: s.color }} />{s.label}</span>
+        ))}
+        {target != null && <span><i className="trendchart-target-key" />{targetLabel} ({target}%)</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import React from "react";
+import FieldError from "./FieldError.jsx";
+
+// The editable fields of a work center, shared by the create and edit forms; `meta` holds
+// the `teams` and `techs` new requests can be assigned to (GET /api/requests/meta)
+export default function WorkCenterFields({ form, setVal, fieldErrors, meta }) {
+  function fieldClass(k) {
+    return fieldErrors[k] ? "field has-error" : "field";
+  }
+
+  return (
+    <>
+      <div className={fieldClass("name")}>
+        <div className="label">Work Center Name *</div>
+        <input 
+          className="input" 
+          value={form.name} 
+          onChange={(e) => setVal("name", e.target.value)}
+          placeholder="Enter work center name"
+        />
+        <FieldError error={fieldErrors.name} />
+      </div>
+
+      <div className={fieldClass("code")}>
+        <div className="label">Code</div>
+        <input 
+          className="input" 
+          value={form.code} 
+          onChange={(e) => setVal("code", e.target.value)}
+          placeholder="Enter code (optional)"
+        />
+        <FieldError error={fieldErrors.code} />
+      </div>
+
+      <div className={fieldClass("tag")}>
+        <div className="label">Tag</div>
+        <input 
+          className="input" 
+          value={form.tag} 
+          onChange={(e) => setVal("tag", e.target.value)}
+          placeholder="Enter tag (optional)"
+        />
+        <FieldError error={fieldErrors.tag} />
+      </div>
+
+      <div className={fieldClass("alternative_workcenters")}>
+        <div className="label">Alternative Workcenters</div>
+        <input 
+          className="input" 
+          value={form.alternative_workcenters} 
+          onChange={(e) => setVal("alternative_workcenters", e.target.value)}
+          placeholder="Enter alternative workcenters (optional)"
+        />
+        <FieldError error={fieldErrors.alternative_workcenters} />
+      </div>
+
+      <div className={fieldClass("cost_per_hour")}>
+        <div className="label">Cost per Hour</div>
+        <input 
+          className="input" 
+          type="number"
+          step="0.01"
+          value={form.cost_per_hour} 
+          onChange={(e) => setVal("cost_per_hour", e.target.value)}
+          placeholder="Enter cost per hour (optional)"
+        />
+        <FieldError error={fieldErrors.cost_per_hour} />
+      </div>
+
+      <div className={fieldClass("capacity")}>
+        <div className="label">Capacity</div>
+        <input 
+          className="input" 
+          type="number"
+          value={form.capacity} 
+          onChange={(e) => setVal("capacity", e.target.value)}
+          placeholder="Enter capacity (optional)"
+        />
+        <FieldError error={fieldErrors.capacity} />
+      </div>
+
+      <div className={fieldClass("time_efficiency")}>
+        <div className="label">Time Efficiency (%)</div>
+        <input 
+          className="input" 
+          type="number"
+          step="0.01"
+          min="0"
+          max="100"
+          value={form.time_efficiency} 
+          onChange={(e) => setVal("time_efficiency", e.target.value)}
+          placeholder="Enter time efficiency (optional)"
+        />
+        <FieldError error={fieldErrors.time_efficiency} />
+      </div>
+
+      <div className={fieldClass("oee_target")}>
+        <div className="label">OEE Target (%)</div>
+        <input 
+          className="input" 
+          type="number"
+          step="0.01"
+          min="0"
+          max="100"
+          value={form.oee_target} 
+          onChange={(e) => setVal("oee_target", e.target.value)}
+          placeholder="Enter OEE target (optional)"
+        />
+        <FieldError error={fieldErrors.oee_target} />
+      </div>
+
+      <div className={fieldClass("maintenance_team_id")}>
+        <div className="label">Maintenance Team</div>
+        <select className="input" value={form.maintenance_team_id} onChange={(e) => setVal("maintenance_team_id", e.target.value)}>
+          <option value="">None</option>
+          {(meta?.teams || []).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+        <FieldError error={fieldErrors.maintenance_team_id} />
+      </div>
+
+      <div className={fieldClass("default_technician_id")}>
+        <div className="label">Default Technician</div>
+        <select className="input" value={form.default_technician_id} onChange={(e) => setVal("default_technician_id", e.target.value)}>
+          <option value="">None (assigned by the team)</option>
+          {(meta?.techs || []).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+        <FieldError error={fieldErrors.default_technician_id} />
+      </div>
+    </>
+  );
+}
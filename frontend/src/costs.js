@@ -0,0 +1,14 @@
+// Display helpers for maintenance costs (see backend/costs.js)
+
+// Amounts with two decimals; missing amounts show as 0.00
+export function formatCost(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+// Labels of the groups GET /api/costs/summary rolls costs up by
+export const COST_GROUP_LABELS = {
+  equipment: "Equipment",
+  category: "Category",
+  team: "Team",
+  department: "Department"
+};
@@ -0,0 +1,123 @@
+import { useEffect, useLayoutEffect, useRef } from "react";
+import { apiStream } from "./api.js";
+
+// Live updates from GET /api/events (see backend/liveUpdates.js). All pages share one
+// connection, opened by the first subscriber and closed with the last one. Events look
+// like { type: "request.updated", data: { id } }; after a dropped connection is restored
+// subscribers get { type: "resync" }, since they may have missed events meanwhile.
+
+const RECONNECT_DELAY_MS = 5000;
+// Events arriving this close together reach the page as one batch
+const BATCH_DELAY_MS = 300;
+
+const listeners = new Set();
+let controller = null;
+
+// Splits an SSE chunk ("event: x\ndata: {...}") into { type, data }; comments are skipped
+function parseEvent(chunk) {
+  let type = "message";
+  let data = "";
+  for (const line of chunk.split("\n")) {
+    if (line.startsWith("event:")) type = line.slice(6).trim();
+    else if (line.startsWith("data:")) data += line.slice(5).trim();
+  }
+  if (!data) return null;
+  try {
+    return { type, data: JSON.parse(data) };
+  } catch {
+    return null;
+  }
+}
+
+function dispatch(event) {
+  listeners.forEach(listener => listener(event));
+}
+
+async function connect(signal) {
+  let connectedBefore = false;
+
+  while (!signal.aborted) {
+    try {
+      const res = await apiStream("/events", signal);
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      if (connectedBefore) dispatch({ type: "resync", data: {} });
+      connectedBefore = true;
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+
+        let end;
+        while ((end = buffer.indexOf("\n\n")) >= 0) {
+          const event = parseEvent(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (event && event.type !== "ready") dispatch(event);
+        }
+      }
+    } catch (e) {
+      if (signal.aborted) return;
+      // Signed out: nothing to reconnect with
+      if (e.status === 401) return;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+  }
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  if (!controller) {
+    controller = new AbortController();
+    connect(controller.signal);
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && controller) {
+      controller.abort();
+      controller = null;
+    }
+  };
+}
+
+// Calls `handler(events)` with batches of live events whose type starts with one of
+// `topics` (e.g. ["request"] for request.created, request.updated, ...). A "resync" is
+// always passed on. The latest `handler` is used, so it may read current state.
+export function useLiveUpdates(topics, handler) {
+  const handlerRef = useRef(handler);
+  const topicsKey = topics.join(",");
+
+  useLayoutEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    const wanted = topicsKey.split(",");
+    let batch = [];
+    let timer = null;
+
+    const unsubscribe = subscribe(event => {
+      const topic = event.type.split(".")[0];
+      if (event.type !== "resync" && !wanted.includes(topic)) return;
+
+      batch.push(event);
+      if (!timer) {
+        timer = setTimeout(() => {
+          const events = batch;
+          batch = [];
+          timer = null;
+          handlerRef.current(events);
+        }, BATCH_DELAY_MS);
+      }
+    });
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [topicsKey]);
+}
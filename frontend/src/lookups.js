@@ -0,0 +1,15 @@
+// Helpers for the reference lists managed under Settings (see backend/routes/lookups.js)
+
+// The lists by the :kind of /api/lookups/:kind, with the names the settings page uses
+export const LOOKUP_LISTS = [
+  { kind: "categories", label: "Equipment Categories", singular: "category", title: "Category" },
+  { kind: "departments", label: "Departments", singular: "department", title: "Department" },
+  { kind: "locations", label: "Locations", singular: "location", title: "Location" }
+];
+
+// The values a form offers: retired ones are left out unless the record already uses them.
+// `selected` is one id or a list of them.
+export function activeOptions(values, selected) {
+  const keep = [].concat(selected ?? []).map(String);
+  return (values || []).filter(v => !v.archived_at || keep.includes(String(v.id)));
+}
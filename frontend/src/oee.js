@@ -0,0 +1,17 @@
+// Display helpers for work center OEE (see backend/oee.js)
+
+// A percentage with one decimal; missing ratios (nothing to measure) show as a dash
+export function formatPercent(value) {
+  return value == null ? "—" : `${Number(value).toFixed(1)}%`;
+}
+
+export const OEE_GRANULARITY_LABELS = {
+  day: "Day",
+  week: "Week",
+  month: "Month"
+};
+
+export const DOWNTIME_TYPE_LABELS = {
+  PLANNED: "Planned",
+  UNPLANNED: "Unplanned"
+};
@@ -1,6 +1,9 @@
 import React, { useEffect, useState } from "react";
 import { apiGet, apiPost } from "../api.js";
 import { useNavigate } from "react-router-dom";
+import { getUser } from "../auth.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { canManagePmPlans } from "../permissions.js";
 import Modal from "../components/Modal.jsx";
 import Input from "../components/Input.jsx";
 import Button from "../components/Button.jsx";
@@ -8,9 +11,43 @@ import Calendar from 'react-calendar';
 import 'react-calendar/dist/Calendar.css';
 import '../styles/calendar.css';
 
+function toDateParam(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function fetchEvents(setEvents) {
+  return apiGet("/requests")
+    .then(list => setEvents(list.filter(x => x.scheduled_at)))
+    .catch(error => console.error("Error fetching events:", error));
+}
+
+// PM plan occurrences of the visible month; the ones already generated are real requests
+function fetchForecast(month, setForecast) {
+  const from = toDateParam(month);
+  const to = toDateParam(new Date(month.getFullYear(), month.getMonth() + 1, 0));
+  return apiGet(`/pm-plans/forecast?from=${from}&to=${to}`)
+    .then(list => setForecast(list
+      .filter(x => !x.request_id)
+      .map(x => ({
+        id: `forecast-${x.plan_id}-${x.scheduled_at}`,
+        subject: x.subject,
+        scheduled_at: x.scheduled_at,
+        maintenance_for: x.equipment || x.workcenter || x.maintenance_for,
+        stage: "FORECAST",
+        forecast: true
+      }))))
+    .catch(error => console.error("Error fetching forecast:", error));
+}
+
 export default function CalendarPage() {
   const nav = useNavigate();
+  const [user, setUser] = useState(null);
   const [events, setEvents] = useState([]);
+  const [forecast, setForecast] = useState([]);
+  const [activeMonth, setActiveMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [formData, setFormData] = useState({
@@ -21,18 +58,31 @@ export default function CalendarPage() {
   });
 
   useEffect(() => {
-    fetchEvents();
+    fetchEvents(setEvents);
+    getUser().then(setUser);
   }, []);
 
-  const fetchEvents = async () => {
-    try {
-      const list = await apiGet("/requests");
-      setEvents(list.filter(x => x.scheduled_at));
-    } catch (error) {
-      console.error("Error fetching events:", error);
+  useEffect(() => {
+    fetchForecast(activeMonth, setForecast);
+  }, [activeMonth]);
+
+  // Generated requests replace their forecast entry, so both lists are refetched
+  useLiveUpdates(["request"], () => {
+    fetchEvents(setEvents);
+    fetchForecast(activeMonth, setForecast);
+  });
+
+  const openEvent = (event) => {
+    if (!event.forecast) {
+      nav(`/requests/${event.id}`);
+    } else if (canManagePmPlans(user)) {
+      nav("/pm-plans");
     }
   };
 
+  const allEvents = [...events, ...forecast]
+    .sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at));
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -75,7 +125,7 @@ export default function CalendarPage() {
   const [date, setDate] = useState(new Date());
 
   // Filter events for the selected date in calendar view
-  const selectedDateEvents = events.filter(event => {
+  const selectedDateEvents = allEvents.filter(event => {
     const eventDate = new Date(event.scheduled_at);
     return eventDate.toDateString() === date.toDateString();
   });
@@ -84,15 +134,16 @@ export default function CalendarPage() {
   const tileContent = ({ date, view }) => {
     if (view !== 'month') return null;
     
-    const dateEvents = events.filter(event => {
+    const dateEvents = allEvents.filter(event => {
       const eventDate = new Date(event.scheduled_at);
       return eventDate.toDateString() === date.toDateString();
     });
+    const hasRequests = dateEvents.some(event => !event.forecast);
 
     return (
       <div className="calendar-day">
         {dateEvents.length > 0 && (
-          <div className="event-dot" />
+          <div className={hasRequests ? "event-dot" : "event-dot forecast"} />
         )}
       </div>
     );
@@ -140,6 +191,9 @@ export default function CalendarPage() {
                 onChange={setDate}
                 value={date}
                 tileContent={tileContent}
+                onActiveStartDateChange={({ activeStartDate, view }) => {
+                  if (view === 'month') setActiveMonth(activeStartDate);
+                }}
                 className="custom-calendar"
                 onClickDay={(value) => {
                   setDate(value);
@@ -155,8 +209,8 @@ export default function CalendarPage() {
                   {selectedDateEvents.map(event => (
                     <div 
                       key={event.id} 
-                      className="event-item"
-                      onClick={() => nav(`/requests?open=${event.id}`)}
+                      className={event.forecast ? "event-item forecast" : "event-item"}
+                      onClick={() => openEvent(event)}
                     >
                       <div className="event-time">
                         {new Date(event.scheduled_at).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
@@ -193,8 +247,8 @@ export default function CalendarPage() {
                 </tr>
               </thead>
               <tbody>
-                {events.map(event => (
-                  <tr key={event.id} onClick={() => nav(`/requests?open=${event.id}`)} style={{ cursor: "pointer" }}>
+                {allEvents.map(event => (
+                  <tr key={event.id} onClick={() => openEvent(event)} style={{ cursor: "pointer" }}>
                     <td>{event.subject}</td>
                     <td>{formatDate(event.scheduled_at)}</td>
                     <td>
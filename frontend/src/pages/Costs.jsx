@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from "react";
+import { apiGet, apiPut } from "../api.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { COST_GROUP_LABELS, formatCost } from "../costs.js";
+import { formatMinutes } from "../timeEntries.js";
+import Table from "../components/Table.jsx";
+import Modal from "../components/Modal.jsx";
+import FieldError from "../components/FieldError.jsx";
+
+// Costs grouped by `groupBy` between the optional `from` and `to` dates
+function fetchSummary({ groupBy, from, to }, setSummary, setErr, setFilterErrors) {
+  const params = new URLSearchParams({ group_by: groupBy });
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+  return apiGet(`/costs/summary?${params}`)
+    .then(summary => { setSummary(summary); setErr(""); setFilterErrors({}); })
+    .catch(e => { setErr(e.message); setFilterErrors(e.errors || {}); });
+}
+
+function fetchRates(setRates) {
+  return apiGet("/costs/rates").then(setRates);
+}
+
+// Maintenance costs rolled up by equipment, category, team or department, and the hourly
+// rates labor is priced at (GET /api/costs/summary, GET /api/costs/rates)
+export default function Costs() {
+  const [groupBy, setGroupBy] = useState("equipment");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [summary, setSummary] = useState(null);
+  const [rates, setRates] = useState(null);
+  const [err, setErr] = useState("");
+  const [filterErrors, setFilterErrors] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [rate, setRate] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formErr, setFormErr] = useState("");
+
+  function loadSummary() {
+    return fetchSummary({ groupBy, from, to }, setSummary, setErr, setFilterErrors);
+  }
+
+  function loadRates() {
+    return fetchRates(setRates);
+  }
+
+  useEffect(() => {
+    fetchSummary({ groupBy, from, to }, setSummary, setErr, setFilterErrors);
+  }, [groupBy, from, to]);
+
+  useEffect(() => {
+    fetchRates(setRates).catch(e => setErr(e.message));
+  }, []);
+
+  useLiveUpdates(["request", "equipment", "part"], loadSummary);
+
+  function openRate(user) {
+    setEditing(user);
+    setRate(user.hourly_rate == null ? "" : String(user.hourly_rate));
+    setFieldErrors({}); setFormErr("");
+  }
+
+  async function saveRate() {
+    setFieldErrors({}); setFormErr("");
+    try {
+      await apiPut(`/users/${editing.id}/hourly-rate`, { hourly_rate: rate === "" ? null : Number(rate) });
+      setEditing(null);
+      await Promise.all([loadRates(), loadSummary()]);
+    } catch (e) {
+      setFormErr(e.message);
+      setFieldErrors(e.errors || {});
+    }
+  }
+
+  const groupRows = (summary?.groups || []).map(g => ({
+    ...g,
+    id: g.id ?? "none",
+    name: g.name || <em>{groupBy === "equipment" ? "Work center requests" : "None"}</em>,
+    labor: `${formatCost(g.labor_cost)} (${formatMinutes(g.labor_minutes)})`,
+    parts: formatCost(g.parts_cost),
+    external: formatCost(g.external_cost),
+    total: <strong>{formatCost(g.total_cost)}</strong>
+  }));
+
+  const groupColumns = [
+    { key: "name", label: COST_GROUP_LABELS[groupBy] },
+    { key: "requests", label: "Requests" },
+    { key: "labor", label: "Labor" },
+    { key: "parts", label: "Parts" },
+    { key: "external", label: "External" },
+    { key: "total", label: "Total" }
+  ];
+
+  const rateRows = (rates?.users || []).map(u => ({
+    ...u,
+    rate: u.hourly_rate == null ? <em>Work center rate</em> : formatCost(u.hourly_rate)
+  }));
+
+  const rateColumns = [
+    { key: "name", label: "Name" },
+    { key: "role", label: "Role" },
+    { key: "rate", label: "Hourly Rate" }
+  ];
+
+  const total = summary?.total;
+
+  return (
+    <div>
+      <div className="topbar">
+        <h2 className="topbar-title">Maintenance Costs</h2>
+      </div>
+
+      <div className="content-wrapper">
+        <div className="filterbar">
+          <div className="field">
+            <div className="label">Group By</div>
+            <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+              {Object.entries(COST_GROUP_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </div>
+          <div className={filterErrors.from ? "field has-error" : "field"}>
+            <div className="label">From</div>
+            <input className="input" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+            <FieldError error={filterErrors.from} />
+          </div>
+          <div className={filterErrors.to ? "field has-error" : "field"}>
+            <div className="label">To</div>
+            <input className="input" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+            <FieldError error={filterErrors.to} />
+          </div>
+        </div>
+
+        {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+
+        {total && (
+          <div className="stagebar" style={{ marginBottom: "1rem" }}>
+            <span className="badge">{total.requests} requests</span>
+            <span className="badge">Labor: {formatCost(total.labor_cost)}</span>
+            <span className="badge">Parts: {formatCost(total.parts_cost)}</span>
+            <span className="badge">External: {formatCost(total.external_cost)}</span>
+            <span className="badge"><strong>Total: {formatCost(total.total_cost)}</strong></span>
+          </div>
+        )}
+
+        {total?.unpriced_minutes > 0 && (
+          <div className="error" style={{ marginBottom: "1rem" }}>
+            {formatMinutes(total.unpriced_minutes)} of labor has no hourly rate and isn't counted.
+          </div>
+        )}
+
+        <Table columns={groupColumns} rows={groupRows} />
+
+        <h3 style={{ margin: "2rem 0 1rem 0" }}>Labor Rates</h3>
+        <p className="small" style={{ color: "var(--odoo-text-muted)" }}>
+          Time is priced at the hourly rate of whoever logged it. Without one, the work center rate of the request applies
+          ({(rates?.workcenters || []).map(w => `${w.name}: ${w.cost_per_hour == null ? "not set" : formatCost(w.cost_per_hour)}`).join(", ") || "no work centers"}).
+        </p>
+        <Table columns={rateColumns} rows={rateRows} onRowClick={openRate} />
+      </div>
+
+      <Modal isOpen={!!editing} onClose={() => setEditing(null)} title={`Hourly Rate: ${editing?.name || ""}`}>
+        <div className={fieldErrors.hourly_rate ? "field has-error" : "field"}>
+          <div className="label">Hourly Rate</div>
+          <input className="input" type="number" min="0" step="0.01" value={rate} onChange={(e) => setRate(e.target.value)} placeholder="Work center rate" />
+          <FieldError error={fieldErrors.hourly_rate} />
+        </div>
+
+        {formErr && <div className="error" style={{ marginTop: "1rem" }}>{formErr}</div>}
+
+        <div style={{ display: "flex", gap: "0.5rem", marginTop: "1.5rem", justifyContent: "flex-end" }}>
+          <button className="btn" onClick={() => setEditing(null)}>Cancel</button>
+          <button className="btn btn-primary" onClick={saveRate}>Save</button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
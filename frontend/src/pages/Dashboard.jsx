@@ -1,23 +1,185 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { apiGet } from "../api.js";
+import { apiGet, apiPut } from "../api.js";
+import { getUser } from "../auth.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { canManageWorkingHours, canViewAllRequests } from "../permissions.js";
 import Table from "../components/Table.jsx";
+import Modal from "../components/Modal.jsx";
+import FieldError from "../components/FieldError.jsx";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const LOAD_WINDOWS = [7, 14, 30];
+
+function toDateParam(d) {
+  return d.toISOString().split("T")[0];
+}
+
+function formatHours(minutes) {
+  return `${Math.round((minutes / 60) * 10) / 10} h`;
+}
+
+function loadClass(percent) {
+  if (percent >= 100) return "loadbar over";
+  if (percent >= 80) return "loadbar high";
+  return "loadbar";
+}
+
+// The summary cards and the recent requests
+function fetchSummary(setSummary, setRows) {
+  return Promise.all([apiGet("/dashboard/summary"), apiGet("/dashboard/recent-requests")])
+    .then(([s, r]) => { setSummary(s); setRows(r); })
+    .catch(console.error);
+}
+
+// Booked time against working hours for the next `days` days from today
+function fetchLoad(days, teamId, setLoad, setErr) {
+  const from = new Date();
+  const to = new Date(from.getTime() + (days - 1) * 24 * 60 * 60 * 1000);
+  const params = new URLSearchParams({ from: toDateParam(from), to: toDateParam(to) });
+  if (teamId) params.set("team_id", teamId);
+  return apiGet(`/dashboard/technician-load?${params}`)
+    .then(load => { setLoad(load); setErr(""); })
+    .catch(e => setErr(e.message));
+}
+
+// Booked time against working hours per technician (GET /api/dashboard/technician-load)
+function TechnicianLoad({ user, teams }) {
+  const [days, setDays] = useState(7);
+  const [teamId, setTeamId] = useState("");
+  const [load, setLoad] = useState(null);
+  const [err, setErr] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState({ work_days: [], work_hours_per_day: 8 });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formErr, setFormErr] = useState("");
+
+  function loadData() {
+    return fetchLoad(days, teamId, setLoad, setErr);
+  }
+
+  useEffect(() => {
+    fetchLoad(days, teamId, setLoad, setErr);
+  }, [days, teamId]);
+
+  useLiveUpdates(["request"], loadData);
+
+  function openEdit(tech) {
+    if (!canManageWorkingHours(user)) return;
+    setEditing(tech);
+    setForm({ work_days: tech.work_days, work_hours_per_day: tech.work_hours_per_day });
+    setFieldErrors({}); setFormErr("");
+  }
+
+  function toggleDay(day) {
+    setForm(f => ({
+      ...f,
+      work_days: f.work_days.includes(day) ? f.work_days.filter(d => d !== day) : [...f.work_days, day]
+    }));
+  }
+
+  async function saveHours() {
+    setFieldErrors({}); setFormErr("");
+    try {
+      await apiPut(`/users/${editing.id}/working-hours`, {
+        work_days: form.work_days,
+        work_hours_per_day: Number(form.work_hours_per_day)
+      });
+      setEditing(null);
+      await loadData();
+    } catch (e) {
+      setFormErr(e.message);
+      setFieldErrors(e.errors || {});
+    }
+  }
+
+  const rows = (load?.technicians || []).map(t => ({
+    ...t,
+    hours: `${t.work_days.map(d => WEEKDAYS[d]).join(", ") || "-"} · ${t.work_hours_per_day} h/day`,
+    booked: `${formatHours(t.scheduled_minutes)} / ${formatHours(t.capacity_minutes)}`,
+    load: (
+      <div className={loadClass(t.load_percent)}>
+        <span style={{ width: `${Math.min(100, t.load_percent)}%` }} />
+        <b>{t.load_percent}%</b>
+      </div>
+    ),
+    backlog: [
+      t.overdue_requests ? `${t.overdue_requests} overdue` : null,
+      t.unscheduled_requests ? `${t.unscheduled_requests} unscheduled` : null
+    ].filter(Boolean).join(", ")
+  }));
+
+  const columns = [
+    { key: "name", label: "Technician" },
+    { key: "hours", label: "Working Hours" },
+    { key: "booked", label: "Booked / Capacity" },
+    { key: "load", label: "Load" },
+    { key: "backlog", label: "Backlog" }
+  ];
+
+  return (
+    <div style={{ marginBottom: "2rem" }}>
+      <div className="filterbar">
+        <h3 style={{ margin: 0, flex: 1 }}>Technician Load {load ? `(${load.load_percent}%)` : ""}</h3>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {LOAD_WINDOWS.map(d => <option key={d} value={d}>Next {d} days</option>)}
+        </select>
+        <select value={teamId} onChange={(e) => setTeamId(e.target.value)}>
+          <option value="">All teams</option>
+          {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+      </div>
+      {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+      <Table columns={columns} rows={rows} onRowClick={openEdit} />
+
+      <Modal isOpen={!!editing} onClose={() => setEditing(null)} title={`Working Hours: ${editing?.name || ""}`}>
+        <div className={fieldErrors.work_days ? "field has-error" : "field"}>
+          <div className="label">Working Days</div>
+          <div style={{ display: "flex", gap: "0.75rem", flexWrap: "wrap" }}>
+            {WEEKDAYS.map((label, day) => (
+              <label key={label} className="checkbox" style={{ display: "flex", gap: "0.3rem" }}>
+                <input type="checkbox" checked={form.work_days.includes(day)} onChange={() => toggleDay(day)} />
+                {label}
+              </label>
+            ))}
+          </div>
+          <FieldError error={fieldErrors.work_days} />
+        </div>
+
+        <div className={fieldErrors.work_hours_per_day ? "field has-error" : "field"}>
+          <div className="label">Hours per Day</div>
+          <input className="input" type="number" min="0" max="24" step="0.5" value={form.work_hours_per_day} onChange={(e) => setForm(f => ({ ...f, work_hours_per_day: e.target.value }))} />
+          <FieldError error={fieldErrors.work_hours_per_day} />
+        </div>
+
+        {formErr && <div className="error" style={{ marginTop: "1rem" }}>{formErr}</div>}
+
+        <div style={{ display: "flex", gap: "0.5rem", marginTop: "1.5rem", justifyContent: "flex-end" }}>
+          <button className="btn" onClick={() => setEditing(null)}>Cancel</button>
+          <button className="btn btn-primary" onClick={saveHours}>Save</button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
 
 export default function Dashboard() {
   const nav = useNavigate();
   const [summary, setSummary] = useState(null);
   const [rows, setRows] = useState([]);
   const [q, setQ] = useState("");
+  const [user, setUser] = useState(null);
+  const [teams, setTeams] = useState([]);
 
   useEffect(() => {
-    (async () => {
-      const s = await apiGet("/dashboard/summary");
-      const r = await apiGet("/dashboard/recent-requests");
-      setSummary(s);
-      setRows(r);
-    })().catch(console.error);
+    getUser().then(setUser);
+    apiGet("/requests/meta").then(m => setTeams(m.teams || [])).catch(console.error);
+    fetchSummary(setSummary, setRows);
   }, []);
 
+  // Counts, health and the recent list follow request and equipment changes as they happen
+  useLiveUpdates(["request", "equipment"], () => fetchSummary(setSummary, setRows));
+
   const filtered = useMemo(() => {
     const t = q.trim().toLowerCase();
     if (!t) return rows;
@@ -45,13 +207,13 @@ export default function Dashboard() {
           <div className="searchline">
             <input placeholder="Search..." value={q} onChange={(e) => setQ(e.target.value)} />
           </div>
-          <button className="btn btn-primary" onClick={() => nav("/requests")}>New Request</button>
+          <button className="btn btn-primary" onClick={() => nav("/requests/new")}>New Request</button>
         </div>
       </div>
 
       <div className="content-wrapper">
         <div className="cards">
-          <div className="card red">
+          <div className="card red clickable" onClick={() => nav("/equipment?health=CRITICAL")}>
             <h3>Critical Equipment</h3>
             <b>{summary ? summary.critical_equipment : 0}</b>
             <div className="small">Health &lt; 30%</div>
@@ -59,19 +221,23 @@ export default function Dashboard() {
           <div className="card blue">
             <h3>Technician Load</h3>
             <b>{summary ? summary.technician_load_percent : 0}%</b>
-            <div className="small">Assign Carefully</div>
+            <div className="small">Booked hours, next 7 days</div>
           </div>
           <div className="card green">
             <h3>Open Requests</h3>
             <b>{summary ? summary.open_requests : 0}</b>
-            <div className="small">{summary ? summary.overdue_requests : 0} Overdue</div>
+            <div className="small">
+              {summary ? summary.overdue_requests : 0} Overdue · {summary ? summary.sla_breaches : 0} SLA Breached
+            </div>
           </div>
         </div>
 
+        {canViewAllRequests(user) && <TechnicianLoad user={user} teams={teams} />}
+
         <Table
           columns={columns}
           rows={filtered}
-          onRowClick={(r) => nav(`/requests?open=${r.id}`)}
+          onRowClick={(r) => nav(`/requests/${r.id}`)}
         />
       </div>
     </div>
@@ -2,7 +2,11 @@ import React, { useEffect, useMemo, useState } from "react";
 import { useNavigate, useParams } from "react-router-dom";
 import { apiDelete, apiGet, apiPost, apiPut } from "../api.js";
 import { getUser } from "../auth.js";
-import { canManageEquipment } from "../permissions.js";
+import { canManageCosts, canManageEquipment } from "../permissions.js";
+import FieldError from "../components/FieldError.jsx";
+import AttachmentsPanel from "../components/AttachmentsPanel.jsx";
+import TcoPanel from "../components/TcoPanel.jsx";
+import { activeOptions } from "../lookups.js";
 
 export default function EquipmentForm({ mode }) {
   const nav = useNavigate();
@@ -11,6 +15,7 @@ export default function EquipmentForm({ mode }) {
   const [meta, setMeta] = useState(null);
   const [msg, setMsg] = useState("");
   const [err, setErr] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
   const [user, setUser] = useState(null);
 
   useEffect(() => {
@@ -35,6 +40,7 @@ export default function EquipmentForm({ mode }) {
     workcenter_id: "",
     assigned_date: "",
     purchase_date: "",
+    purchase_cost: "",
     warranty_end_date: "",
     description: ""
   });
@@ -47,14 +53,17 @@ export default function EquipmentForm({ mode }) {
       setMeta(m);
 
       // Defaults
-      if (m.categories?.[0]) setForm(f => ({ ...f, category_id: String(m.categories[0].id) }));
+      const [category] = activeOptions(m.categories);
+      if (category) setForm(f => ({ ...f, category_id: String(category.id) }));
       if (m.teams?.[0]) setForm(f => ({ ...f, maintenance_team_id: String(m.teams[0].id) }));
       const emp = (m.users || []).filter(u => u.role === "EMPLOYEE");
       const tech = (m.users || []).filter(u => u.role === "TECHNICIAN");
       if (emp?.[0]) setForm(f => ({ ...f, used_by_user_id: String(emp[0].id) }));
       if (tech?.[0]) setForm(f => ({ ...f, default_technician_id: String(tech[0].id) }));
-      if (m.departments?.[0]) setForm(f => ({ ...f, used_by_department_id: String(m.departments[0].id) }));
-      if (m.locations?.[0]) setForm(f => ({ ...f, location_id: String(m.locations[0].id) }));
+      const [department] = activeOptions(m.departments);
+      const [location] = activeOptions(m.locations);
+      if (department) setForm(f => ({ ...f, used_by_department_id: String(department.id) }));
+      if (location) setForm(f => ({ ...f, location_id: String(location.id) }));
       if (m.workcenters?.[0]) setForm(f => ({ ...f, workcenter_id: String(m.workcenters[0].id) }));
 
       if (mode === "edit" && id) {
@@ -74,6 +83,7 @@ export default function EquipmentForm({ mode }) {
           workcenter_id: e.workcenter_id ? String(e.workcenter_id) : "",
           assigned_date: e.assigned_date ? e.assigned_date.substring(0, 10) : "",
           purchase_date: e.purchase_date ? e.purchase_date.substring(0, 10) : "",
+          purchase_cost: e.purchase_cost != null ? String(e.purchase_cost) : "",
           warranty_end_date: e.warranty_end_date ? e.warranty_end_date.substring(0, 10) : "",
           description: e.description || ""
         }));
@@ -95,26 +105,31 @@ export default function EquipmentForm({ mode }) {
     setForm(prev => ({ ...prev, [k]: v }));
   }
 
+  function fieldClass(k) {
+    return fieldErrors[k] ? "field has-error" : "field";
+  }
+
   async function save() {
-    setErr(""); setMsg("");
-    if (!form.name.trim()) { setErr("Name required"); return; }
+    setErr(""); setMsg(""); setFieldErrors({});
+    if (!form.name.trim()) { setFieldErrors({ name: "Name is required" }); return; }
 
     const body = {
       name: form.name.trim(),
       serial_number: form.serial_number.trim() || null,
-      category_id: Number(form.category_id),
-      maintenance_team_id: Number(form.maintenance_team_id),
-      default_technician_id: form.default_technician_id ? Number(form.default_technician_id) : null,
+      category_id: form.category_id ? Number(form.category_id) : null,
+      maintenance_team_id: form.maintenance_team_id ? Number(form.maintenance_team_id) : null,
+      default_technician_id: form.default_technician_id || null,
       assigned_date: form.assigned_date || null,
       scrap_date: form.scrap_date || null,
       purchase_date: form.purchase_date || null,
+      purchase_cost: form.purchase_cost === "" ? null : Number(form.purchase_cost),
       warranty_end_date: form.warranty_end_date || null,
       location_id: form.location_id ? Number(form.location_id) : null,
       // workcenter_id is commented out until the column is added to the equipment table
       // workcenter_id: form.workcenter_id ? Number(form.workcenter_id) : null,
       used_by_type: form.used_by_type,
-      used_by_user_id: form.used_by_type === "EMPLOYEE" ? Number(form.used_by_user_id) : null,
-      used_by_department_id: form.used_by_type === "DEPARTMENT" ? Number(form.used_by_department_id) : null,
+      used_by_user_id: form.used_by_type === "EMPLOYEE" ? form.used_by_user_id || null : null,
+      used_by_department_id: form.used_by_type === "DEPARTMENT" && form.used_by_department_id ? Number(form.used_by_department_id) : null,
       description: form.description.trim() || null
     };
 
@@ -129,6 +144,7 @@ export default function EquipmentForm({ mode }) {
       }
     } catch (e) {
       setErr(e.message);
+      setFieldErrors(e.errors || {});
     }
   }
 
@@ -161,17 +177,19 @@ export default function EquipmentForm({ mode }) {
         <div className="col">
           <div className="card" style={{ padding: "1.5rem" }}>
             <h3 style={{ marginTop: 0, marginBottom: "1.5rem", fontSize: "1.1rem", fontWeight: 600 }}>Basic Information</h3>
-            <div className="field">
+            <div className={fieldClass("name")}>
             <div className="label">Name?</div>
             <input className="input" value={form.name} onChange={(e) => setVal("name", e.target.value)} />
+            <FieldError error={fieldErrors.name} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("category_id")}>
             <div className="label">Equipment Category?</div>
             <select value={form.category_id} onChange={(e) => setVal("category_id", e.target.value)}>
               <option value="">Select category...</option>
-              {(meta?.categories || []).map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+              {activeOptions(meta?.categories, form.category_id).map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
             </select>
+            <FieldError error={fieldErrors.category_id} />
           </div>
 
           <div className="field">
@@ -179,42 +197,47 @@ export default function EquipmentForm({ mode }) {
             <input className="input" value="My Company" disabled />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("used_by_type")}>
             <div className="label">Used By?</div>
             <select value={form.used_by_type} onChange={(e) => setVal("used_by_type", e.target.value)}>
               <option value="EMPLOYEE">Employee</option>
               <option value="DEPARTMENT">Department</option>
             </select>
+            <FieldError error={fieldErrors.used_by_type} />
           </div>
 
           {form.used_by_type === "EMPLOYEE" && (
-            <div className="field">
+            <div className={fieldClass("used_by_user_id")}>
               <div className="label">Employee?</div>
               <select value={form.used_by_user_id} onChange={(e) => setVal("used_by_user_id", e.target.value)}>
                 {employees.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
               </select>
+              <FieldError error={fieldErrors.used_by_user_id} />
             </div>
           )}
 
           {form.used_by_type === "DEPARTMENT" && (
-            <div className="field">
+            <div className={fieldClass("used_by_department_id")}>
               <div className="label">Department?</div>
               <select value={form.used_by_department_id} onChange={(e) => setVal("used_by_department_id", e.target.value)}>
-                {(meta?.departments || []).map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                {activeOptions(meta?.departments, form.used_by_department_id).map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
               </select>
+              <FieldError error={fieldErrors.used_by_department_id} />
             </div>
           )}
 
-          <div className="field">
+          <div className={fieldClass("maintenance_team_id")}>
             <div className="label">Maintenance Team?</div>
             <select value={form.maintenance_team_id} onChange={(e) => setVal("maintenance_team_id", e.target.value)}>
               {(meta?.teams || []).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
             </select>
+            <FieldError error={fieldErrors.maintenance_team_id} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("assigned_date")}>
             <div className="label">Assigned Date?</div>
             <input className="input" type="date" value={form.assigned_date} onChange={(e) => setVal("assigned_date", e.target.value)} />
+            <FieldError error={fieldErrors.assigned_date} />
           </div>
           </div>
         </div>
@@ -222,47 +245,60 @@ export default function EquipmentForm({ mode }) {
         <div className="col">
           <div className="card" style={{ padding: "1.5rem" }}>
             <h3 style={{ marginTop: 0, marginBottom: "1.5rem", fontSize: "1.1rem", fontWeight: 600 }}>Additional Details</h3>
-            <div className="field">
+            <div className={fieldClass("default_technician_id")}>
               <div className="label">Technician?</div>
               <select value={form.default_technician_id} onChange={(e) => setVal("default_technician_id", e.target.value)}>
                 {techs.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
               </select>
+              <FieldError error={fieldErrors.default_technician_id} />
             </div>
 
-          <div className="field">
+          <div className={fieldClass("serial_number")}>
             <div className="label">Serial Number?</div>
             <input className="input" value={form.serial_number} onChange={(e) => setVal("serial_number", e.target.value)} />
+            <FieldError error={fieldErrors.serial_number} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("scrap_date")}>
             <div className="label">Scrap Date?</div>
             <input className="input" type="date" value={form.scrap_date} onChange={(e) => setVal("scrap_date", e.target.value)} />
+            <FieldError error={fieldErrors.scrap_date} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("location_id")}>
             <div className="label">Used in location?</div>
             <select value={form.location_id} onChange={(e) => setVal("location_id", e.target.value)}>
               <option value="">Select location...</option>
-              {(meta?.locations || []).map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+              {activeOptions(meta?.locations, form.location_id).map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
             </select>
+            <FieldError error={fieldErrors.location_id} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("workcenter_id")}>
             <div className="label">Work Center?</div>
             <select value={form.workcenter_id} onChange={(e) => setVal("workcenter_id", e.target.value)}>
               <option value="">Select work center...</option>
               {(meta?.workcenters || []).map(wc => <option key={wc.id} value={wc.id}>{wc.name}</option>)}
             </select>
+            <FieldError error={fieldErrors.workcenter_id} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("purchase_date")}>
             <div className="label">Purchase Date?</div>
             <input className="input" type="date" value={form.purchase_date} onChange={(e) => setVal("purchase_date", e.target.value)} />
+            <FieldError error={fieldErrors.purchase_date} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("purchase_cost")}>
+            <div className="label">Purchase Cost?</div>
+            <input className="input" type="number" min="0" step="0.01" value={form.purchase_cost} onChange={(e) => setVal("purchase_cost", e.target.value)} />
+            <FieldError error={fieldErrors.purchase_cost} />
+          </div>
+
+          <div className={fieldClass("warranty_end_date")}>
             <div className="label">Warranty End?</div>
             <input className="input" type="date" value={form.warranty_end_date} onChange={(e) => setVal("warranty_end_date", e.target.value)} />
+            <FieldError error={fieldErrors.warranty_end_date} />
           </div>
           </div>
         </div>
@@ -270,8 +306,9 @@ export default function EquipmentForm({ mode }) {
 
         <div className="card" style={{ padding: "1.5rem", marginBottom: "2rem" }}>
           <h3 style={{ marginTop: 0, marginBottom: "1.5rem", fontSize: "1.1rem", fontWeight: 600 }}>Description</h3>
-          <div className="field">
+          <div className={fieldClass("description")}>
             <textarea value={form.description} onChange={(e) => setVal("description", e.target.value)} placeholder="Enter equipment description..." />
+            <FieldError error={fieldErrors.description} />
           </div>
         </div>
 
@@ -281,6 +318,19 @@ export default function EquipmentForm({ mode }) {
 
         {err && <div className="error" style={{ marginTop: "1rem" }}>{err}</div>}
         {msg && <div className="ok" style={{ marginTop: "1rem" }}>{msg}</div>}
+
+        {mode === "edit" && id && canManageCosts(user) && (
+          <div style={{ marginTop: "2rem" }}>
+            <TcoPanel equipmentId={id} />
+          </div>
+        )}
+
+        {/* Manuals, invoices and photos; files can only be attached once the equipment exists */}
+        {mode === "edit" && id && (
+          <div style={{ marginTop: "2rem" }}>
+            <AttachmentsPanel owner="equipment" ownerId={id} user={user} canUpload={canManageEquipment(user)} />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,15 +1,32 @@
 import React, { useEffect, useMemo, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { apiGet } from "../api.js";
 import { getUser } from "../auth.js";
 import { canManageEquipment } from "../permissions.js";
 import Table from "../components/Table.jsx";
 
+const HEALTH_STATUSES = ["GOOD", "FAIR", "CRITICAL", "SCRAPPED"];
+
+const HEALTH_FACTOR_LABELS = {
+  corrective: n => `${n} breakdown(s) in 12 months`,
+  open: n => `${n} open request(s)`,
+  overdue: n => `${n} overdue`,
+  age: n => `${n} year(s) old`,
+  warranty: () => "warranty expired",
+  scrap: n => `${n} scrapped repair(s)`
+};
+
+function describeHealthFactors(factors) {
+  return (factors || []).map(f => HEALTH_FACTOR_LABELS[f.factor](f.count)).join(", ");
+}
+
 export default function EquipmentList() {
   const nav = useNavigate();
   const [rows, setRows] = useState([]);
   const [q, setQ] = useState("");
   const [user, setUser] = useState(null);
+  const [sp, setSp] = useSearchParams();
+  const health = sp.get("health") || "";
 
   useEffect(() => {
     async function loadUser() {
@@ -17,9 +34,16 @@ export default function EquipmentList() {
       setUser(u);
     }
     loadUser();
-    apiGet("/equipment").then(setRows).catch(console.error);
   }, []);
 
+  useEffect(() => {
+    apiGet(health ? `/equipment?health=${health}` : "/equipment").then(setRows).catch(console.error);
+  }, [health]);
+
+  function setHealth(value) {
+    setSp(value ? { health: value } : {});
+  }
+
   const filtered = useMemo(() => {
     const t = q.trim().toLowerCase();
     if (!t) return rows;
@@ -30,6 +54,16 @@ export default function EquipmentList() {
     );
   }, [rows, q]);
 
+  const tableRows = filtered.map(x => ({
+    ...x,
+    health: (
+      <span className={`badge health-${x.health_status.toLowerCase()}`} title={describeHealthFactors(x.health_factors)}>
+        {x.health_status === "SCRAPPED" ? "Scrapped" : `${x.health_score}%`}
+      </span>
+    ),
+    health_reasons: describeHealthFactors(x.health_factors)
+  }));
+
   const columns = [
     { key: "name", label: "Equipment Name" },
     { key: "employee", label: "Employee" },
@@ -37,7 +71,9 @@ export default function EquipmentList() {
     { key: "serial_number", label: "Serial Number" },
     { key: "technician", label: "Technician" },
     { key: "category", label: "Equipment Category" },
-    { key: "company", label: "Company" }
+    { key: "company", label: "Company" },
+    { key: "health", label: "Health" },
+    ...(health === "CRITICAL" ? [{ key: "health_reasons", label: "Why" }] : [])
   ];
 
   return (
@@ -45,6 +81,10 @@ export default function EquipmentList() {
       <div className="topbar">
         <h2 className="topbar-title">Equipment</h2>
         <div className="topbar-actions">
+          <select value={health} onChange={(e) => setHealth(e.target.value)}>
+            <option value="">All health</option>
+            {HEALTH_STATUSES.map(h => <option key={h} value={h}>{h.charAt(0) + h.slice(1).toLowerCase()}</option>)}
+          </select>
           <div className="searchline">
             <input placeholder="Search..." value={q} onChange={(e) => setQ(e.target.value)} />
           </div>
@@ -55,7 +95,7 @@ export default function EquipmentList() {
       </div>
 
       <div className="content-wrapper">
-        <Table columns={columns} rows={filtered} onRowClick={(r) => canManageEquipment(user) && nav(`/equipment/${r.id}`)} />
+        <Table columns={columns} rows={tableRows} onRowClick={(r) => canManageEquipment(user) && nav(`/equipment/${r.id}`)} />
       </div>
     </div>
   );
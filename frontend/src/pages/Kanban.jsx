@@ -0,0 +1,205 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { apiGet, apiPut } from "../api.js";
+import { getUser } from "../auth.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { canUpdateRequestStage } from "../permissions.js";
+import Modal from "../components/Modal.jsx";
+
+const STAGES = [
+  { key: "NEW_REQUEST", label: "New Request" },
+  { key: "IN_PROGRESS", label: "In Progress" },
+  { key: "REPAIRED", label: "Repaired" },
+  { key: "SCRAP", label: "Scrap" }
+];
+
+const PRIORITY_LABELS = { 1: "Low", 2: "Medium", 3: "High" };
+
+// Swimlane options: how to split the board into horizontal lanes
+const LANES = {
+  none: null,
+  team: { key: "team_id", name: "team", empty: "No Team" },
+  technician: { key: "technician_id", name: "technician", empty: "Unassigned" }
+};
+
+export default function Kanban() {
+  const nav = useNavigate();
+  const [user, setUser] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [transitions, setTransitions] = useState([]);
+  const [lane, setLane] = useState("none");
+  const [dragId, setDragId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [err, setErr] = useState("");
+  // A drop onto a stage that needs a resolution waits here until the user fills it in
+  const [pending, setPending] = useState(null);
+  const [resolution, setResolution] = useState("");
+
+  useEffect(() => {
+    async function loadUser() {
+      const u = await getUser();
+      setUser(u);
+    }
+    loadUser();
+    apiGet("/requests").then(setRequests).catch(e => setErr(e.message));
+    apiGet("/requests/workflow").then(w => setTransitions(w.transitions)).catch(console.error);
+  }, []);
+
+  useLiveUpdates(["request"], () => {
+    apiGet("/requests").then(setRequests).catch(e => setErr(e.message));
+  });
+
+  // Same rules as the server: an allowed transition for the role, on a request the user
+  // may move, that is not blocked
+  function findTransition(request, stage) {
+    if (!canUpdateRequestStage(user, request) || request.blocked) return null;
+    return transitions.find(t => t.from === request.stage && t.to === stage && t.roles.includes(user.role)) || null;
+  }
+
+  const lanes = useMemo(() => {
+    const by = LANES[lane];
+    if (!by) return [{ id: "all", title: null, requests }];
+
+    const groups = new Map();
+    requests.forEach(r => {
+      const id = r[by.key] ?? "none";
+      if (!groups.has(id)) groups.set(id, { id, title: r[by.name] || by.empty, requests: [] });
+      groups.get(id).requests.push(r);
+    });
+    // Unassigned requests go last
+    return [...groups.values()].sort((a, b) =>
+      (a.id === "none") - (b.id === "none") || a.title.localeCompare(b.title)
+    );
+  }, [requests, lane]);
+
+  // Cards move optimistically and snap back if the server refuses the change
+  async function moveTo(request, stage, extra = {}) {
+    if (!request || request.stage === stage) return;
+    setErr("");
+
+    setRequests(prev => prev.map(r => (r.id === request.id ? { ...r, stage } : r)));
+    try {
+      await apiPut(`/requests/${request.id}/stage`, { stage, blocked: !!request.blocked, ...extra });
+    } catch (e) {
+      setRequests(prev => prev.map(r => (r.id === request.id ? { ...r, stage: request.stage } : r)));
+      setErr(e.message);
+    }
+  }
+
+  function onDrop(e, stage) {
+    e.preventDefault();
+    setDropTarget(null);
+    const request = requests.find(r => String(r.id) === e.dataTransfer.getData("text/plain"));
+    setDragId(null);
+
+    const transition = request && findTransition(request, stage);
+    if (!transition) return;
+    if (transition.requires.includes("resolution")) {
+      setResolution("");
+      setPending({ request, stage });
+    } else {
+      moveTo(request, stage);
+    }
+  }
+
+  function onDragOver(e, target, stage) {
+    const request = requests.find(r => r.id === dragId);
+    if (!request || !findTransition(request, stage)) return;
+    e.preventDefault();
+    setDropTarget(target);
+  }
+
+  function confirmPending() {
+    if (!resolution.trim()) return;
+    moveTo(pending.request, pending.stage, { resolution: resolution.trim() });
+    setPending(null);
+  }
+
+  return (
+    <div>
+      <div className="topbar">
+        <h2 className="topbar-title">Maintenance Board</h2>
+        <div className="topbar-actions">
+          <div className="field" style={{ marginBottom: 0, flexDirection: "row", alignItems: "center" }}>
+            <div className="label" style={{ margin: 0 }}>Swimlanes</div>
+            <select value={lane} onChange={(e) => setLane(e.target.value)}>
+              <option value="none">None</option>
+              <option value="team">By Team</option>
+              <option value="technician">By Technician</option>
+            </select>
+          </div>
+          <button className="btn" onClick={() => nav("/requests")}>List View</button>
+        </div>
+      </div>
+
+      <div className="content-wrapper">
+        {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+
+        {lanes.map(l => (
+          <div key={l.id} className="kanban-lane">
+            {l.title && <h3 className="kanban-lane-title">{l.title} <span className="small">({l.requests.length})</span></h3>}
+
+            <div className="kanban">
+              {STAGES.map(s => {
+                const cards = l.requests.filter(r => r.stage === s.key);
+                const target = `${l.id}:${s.key}`;
+                return (
+                  <div
+                    key={s.key}
+                    className={"kanban-column" + (dropTarget === target ? " drag-over" : "")}
+                    onDragOver={(e) => onDragOver(e, target, s.key)}
+                    onDragLeave={() => setDropTarget(t => (t === target ? null : t))}
+                    onDrop={(e) => onDrop(e, s.key)}
+                  >
+                    <div className="kanban-column-header">
+                      <span>{s.label}</span>
+                      <span className="badge">{cards.length}</span>
+                    </div>
+
+                    {cards.map(r => {
+                      const movable = canUpdateRequestStage(user, r) && !r.blocked;
+                      return (
+                        <div
+                          key={r.id}
+                          className={"kanban-card" + (r.blocked ? " blocked" : "") + (movable ? " movable" : "")}
+                          draggable={movable}
+                          onDragStart={(e) => { e.dataTransfer.setData("text/plain", String(r.id)); setDragId(r.id); }}
+                          onDragEnd={() => { setDragId(null); setDropTarget(null); }}
+                          onClick={() => nav(`/requests/${r.id}`)}
+                          title={movable ? "Drag to change the stage" : r.blocked ? "Unblock this request to move it" : "You can't move this request"}
+                        >
+                          <div className="kanban-card-title">{r.subject}</div>
+                          <div className="small">{r.equipment || r.workcenter || ""}</div>
+                          <div className="kanban-card-meta">
+                            <span className="small">{r.technician || "Unassigned"}</span>
+                            <span className={"priority priority-" + r.priority}>{PRIORITY_LABELS[r.priority] || ""}</span>
+                          </div>
+                          {r.blocked && <div className="kanban-card-blocked">Blocked</div>}
+                        </div>
+                      );
+                    })}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <Modal
+        isOpen={!!pending}
+        onClose={() => setPending(null)}
+        title={pending ? `Move to ${STAGES.find(s => s.key === pending.stage)?.label}` : ""}
+      >
+        <div className="field">
+          <div className="label">Resolution</div>
+          <textarea value={resolution} onChange={(e) => setResolution(e.target.value)} placeholder="What was done / why it was closed" />
+        </div>
+        <div className="right">
+          <button className="btn" onClick={() => setPending(null)}>Cancel</button>{" "}
+          <button className="btn btn-primary" disabled={!resolution.trim()} onClick={confirmPending}>Move</button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
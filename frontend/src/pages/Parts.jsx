@@ -0,0 +1,445 @@
+import React, { useEffect, useState } from "react";
+import { apiDelete, apiGet, apiPost, apiPut } from "../api.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import Table from "../components/Table.jsx";
+import Modal from "../components/Modal.jsx";
+import FieldError from "../components/FieldError.jsx";
+import { activeOptions } from "../lookups.js";
+
+const EMPTY_FORM = {
+  part_number: "",
+  name: "",
+  description: "",
+  unit_cost: "",
+  compatible_category_ids: []
+};
+
+const EMPTY_STOCK_FORM = { location_id: "", type: "RECEIPT", quantity: "", note: "" };
+
+const MOVEMENT_LABELS = {
+  RECEIPT: "Receipt",
+  ADJUSTMENT: "Adjustment",
+  CONSUMPTION: "Used on request",
+  RETURN: "Returned from request"
+};
+
+function formatCost(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+// Parts matching the search box and category filter
+function fetchParts(search, categoryFilter, setParts) {
+  const params = new URLSearchParams();
+  if (search.trim()) params.set("q", search.trim());
+  if (categoryFilter) params.set("category_id", categoryFilter);
+  const query = params.toString();
+  return apiGet(`/parts${query ? `?${query}` : ""}`).then(setParts);
+}
+
+function fetchLowStock(setLowStock) {
+  return apiGet("/parts/low-stock").then(setLowStock);
+}
+
+async function fetchMovements(partId, setMovements) {
+  if (!partId) return;
+  setMovements(await apiGet(`/parts/movements?part_id=${partId}`));
+}
+
+export default function Parts() {
+  const [parts, setParts] = useState([]);
+  const [lowStock, setLowStock] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [search, setSearch] = useState("");
+  const [categoryFilter, setCategoryFilter] = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [reorderPoints, setReorderPoints] = useState({});
+  const [reorderPointsOf, setReorderPointsOf] = useState(null);
+  const [stockForm, setStockForm] = useState(EMPTY_STOCK_FORM);
+  const [stockErrors, setStockErrors] = useState({});
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formErr, setFormErr] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const selected = parts.find(p => p.id === selectedId) || null;
+
+  // The reorder point inputs start from the selected part's stock, again whenever it reloads
+  if (selected !== reorderPointsOf) {
+    setReorderPointsOf(selected);
+    setReorderPoints(Object.fromEntries((selected?.stock || []).map(s => [s.location_id, s.reorder_point])));
+  }
+
+  function loadParts() {
+    return fetchParts(search, categoryFilter, setParts);
+  }
+
+  function loadLowStock() {
+    return fetchLowStock(setLowStock);
+  }
+
+  function loadMovements() {
+    return fetchMovements(selectedId, setMovements);
+  }
+
+  // Another part starts with an empty movement log and stock form
+  function selectPart(id) {
+    if (id === selectedId) return;
+    setSelectedId(id);
+    setMovements([]);
+    setStockForm(EMPTY_STOCK_FORM);
+    setStockErrors({});
+  }
+
+  function reload() {
+    return Promise.all([loadParts(), loadLowStock(), loadMovements()]);
+  }
+
+  useEffect(() => {
+    fetchLowStock(setLowStock).catch(e => setErr(e.message));
+    apiGet("/equipment/meta").then(m => {
+      setCategories(m.categories || []);
+      setLocations(m.locations || []);
+    }).catch(console.error);
+  }, []);
+
+  useEffect(() => {
+    fetchParts(search, categoryFilter, setParts).catch(e => setErr(e.message));
+  }, [search, categoryFilter]);
+
+  useEffect(() => {
+    fetchMovements(selectedId, setMovements).catch(e => setErr(e.message));
+  }, [selectedId]);
+
+  // Stock changes from other users and from requests (parts used / returned)
+  useLiveUpdates(["part"], () => {
+    reload().catch(e => setErr(e.message));
+  });
+
+  function setVal(k, v) {
+    setForm(prev => ({ ...prev, [k]: v }));
+  }
+
+  function toggleCategory(id, checked) {
+    setForm(prev => ({
+      ...prev,
+      compatible_category_ids: checked
+        ? [...prev.compatible_category_ids, id]
+        : prev.compatible_category_ids.filter(c => c !== id)
+    }));
+  }
+
+  function fieldClass(errors, k) {
+    return errors[k] ? "field has-error" : "field";
+  }
+
+  function categoryNames(ids) {
+    if (!ids || ids.length === 0) return "Any equipment";
+    return ids.map(id => categories.find(c => c.id === id)?.name || `#${id}`).join(", ");
+  }
+
+  function openPart(part) {
+    setEditingId(part?.id || null);
+    setForm(part ? {
+      part_number: part.part_number,
+      name: part.name,
+      description: part.description || "",
+      unit_cost: String(part.unit_cost),
+      compatible_category_ids: part.compatible_category_ids || []
+    } : EMPTY_FORM);
+    setFormErr(""); setFieldErrors({});
+    setIsModalOpen(true);
+  }
+
+  async function savePart() {
+    setFormErr(""); setFieldErrors({});
+    const body = {
+      part_number: form.part_number.trim(),
+      name: form.name.trim(),
+      description: form.description.trim() || null,
+      unit_cost: form.unit_cost === "" ? null : form.unit_cost,
+      compatible_category_ids: form.compatible_category_ids
+    };
+
+    try {
+      const res = editingId ? await apiPut(`/parts/${editingId}`, body) : await apiPost("/parts", body);
+      setMsg(res.message);
+      selectPart(res.data.id);
+      setIsModalOpen(false);
+      await loadParts();
+    } catch (e) {
+      setFormErr(e.message);
+      setFieldErrors(e.errors || {});
+    }
+  }
+
+  async function deletePart() {
+    if (!editingId || !window.confirm("Delete this part?")) return;
+    try {
+      const res = await apiDelete(`/parts/${editingId}`);
+      setMsg(res.message);
+      setIsModalOpen(false);
+      selectPart(null);
+      await loadParts();
+    } catch (e) {
+      setFormErr(e.message);
+    }
+  }
+
+  async function changeStock() {
+    setErr(""); setMsg(""); setStockErrors({});
+    try {
+      const res = await apiPost(`/parts/${selectedId}/stock`, {
+        location_id: stockForm.location_id ? Number(stockForm.location_id) : null,
+        type: stockForm.type,
+        quantity: stockForm.quantity === "" ? null : Number(stockForm.quantity),
+        note: stockForm.note.trim() || null
+      });
+      setMsg(res.message);
+      setStockForm(EMPTY_STOCK_FORM);
+      await reload();
+    } catch (e) {
+      setErr(e.message);
+      setStockErrors(e.errors || {});
+    }
+  }
+
+  async function saveReorderPoint(locationId) {
+    setErr(""); setMsg("");
+    try {
+      const res = await apiPut(`/parts/${selectedId}/stock/${locationId}`, {
+        reorder_point: Number(reorderPoints[locationId] || 0)
+      });
+      setMsg(res.message);
+      await reload();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  const lowStockRows = lowStock.map(s => ({
+    ...s,
+    part: `${s.part?.part_number} - ${s.part?.name}`,
+    location: s.location?.name
+  }));
+
+  const lowStockColumns = [
+    { key: "part", label: "Part" },
+    { key: "location", label: "Location" },
+    { key: "quantity", label: "In Stock" },
+    { key: "reorder_point", label: "Reorder Point" },
+    { key: "shortfall", label: "Shortfall" }
+  ];
+
+  const partRows = parts.map(p => ({
+    ...p,
+    unit_cost: formatCost(p.unit_cost),
+    categories: categoryNames(p.compatible_category_ids),
+    in_stock: (
+      <>
+        {p.total_quantity}{" "}
+        {p.low_stock && <span className="badge sla-breached">Low</span>}
+      </>
+    )
+  }));
+
+  const partColumns = [
+    { key: "part_number", label: "Part Number" },
+    { key: "name", label: "Name" },
+    { key: "unit_cost", label: "Unit Cost" },
+    { key: "categories", label: "Fits" },
+    { key: "in_stock", label: "In Stock" }
+  ];
+
+  // Every location, so stock can be received where the part isn't kept yet
+  const stockRows = locations.map(l => {
+    const stock = selected?.stock.find(s => s.location_id === l.id);
+    const isLow = stock && stock.reorder_point > 0 && stock.quantity <= stock.reorder_point;
+    return {
+      id: l.id,
+      location: l.name,
+      quantity: (
+        <>
+          {stock?.quantity ?? 0}{" "}
+          {isLow && <span className="badge sla-breached">Low</span>}
+        </>
+      ),
+      reorder_point: (
+        <div style={{ display: "flex", gap: "0.5rem" }}>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            style={{ width: "6rem" }}
+            value={reorderPoints[l.id] ?? 0}
+            onChange={(e) => setReorderPoints(prev => ({ ...prev, [l.id]: e.target.value }))}
+          />
+          <button className="btn" onClick={() => saveReorderPoint(l.id)}>Save</button>
+        </div>
+      )
+    };
+  });
+
+  const stockColumns = [
+    { key: "location", label: "Location" },
+    { key: "quantity", label: "In Stock" },
+    { key: "reorder_point", label: "Reorder Point" }
+  ];
+
+  const movementRows = movements.map(m => ({
+    ...m,
+    created_at: new Date(m.created_at).toLocaleString(),
+    type: MOVEMENT_LABELS[m.type] || m.type,
+    location: m.location?.name,
+    change: m.change > 0 ? `+${m.change}` : m.change,
+    request: m.request_id ? `#${m.request_id}` : "",
+    created_by: m.created_by?.name || ""
+  }));
+
+  const movementColumns = [
+    { key: "created_at", label: "Date" },
+    { key: "type", label: "Type" },
+    { key: "location", label: "Location" },
+    { key: "change", label: "Change" },
+    { key: "quantity_after", label: "Stock After" },
+    { key: "request", label: "Request" },
+    { key: "note", label: "Note" },
+    { key: "created_by", label: "By" }
+  ];
+
+  return (
+    <div>
+      <div className="topbar">
+        <h2 className="topbar-title">Spare Parts</h2>
+        <div className="topbar-actions">
+          <button className="btn btn-primary" onClick={() => openPart(null)}>New Part</button>
+        </div>
+      </div>
+
+      <div className="content-wrapper">
+        {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+        {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+        {lowStock.length > 0 && (
+          <div style={{ marginBottom: "2rem" }}>
+            <h3>Low Stock</h3>
+            <Table columns={lowStockColumns} rows={lowStockRows} onRowClick={(s) => { setSearch(""); setCategoryFilter(""); selectPart(s.part_id); }} />
+          </div>
+        )}
+
+        <div className="filterbar">
+          <div className="field">
+            <div className="label">Search</div>
+            <input className="input" value={search} placeholder="Part number or name" onChange={(e) => setSearch(e.target.value)} />
+          </div>
+          <div className="field">
+            <div className="label">Fits Category</div>
+            <select value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)}>
+              <option value="">All</option>
+              {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <Table columns={partColumns} rows={partRows} onRowClick={(p) => selectPart(p.id)} />
+
+        {selected && (
+          <>
+            <div className="filterbar" style={{ marginTop: "2rem" }}>
+              <h3 style={{ margin: 0, flex: 1 }}>Stock: {selected.part_number} - {selected.name}</h3>
+              <button className="btn" onClick={() => openPart(selected)}>Edit Part</button>
+            </div>
+            <Table columns={stockColumns} rows={stockRows} />
+
+            <div className="filterbar" style={{ marginTop: "1rem" }}>
+              <div className={fieldClass(stockErrors, "location_id")}>
+                <div className="label">Location</div>
+                <select value={stockForm.location_id} onChange={(e) => setStockForm(prev => ({ ...prev, location_id: e.target.value }))}>
+                  <option value="">Select a location</option>
+                  {activeOptions(locations, stockForm.location_id).map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                </select>
+                <FieldError error={stockErrors.location_id} />
+              </div>
+              <div className="field">
+                <div className="label">Type</div>
+                <select value={stockForm.type} onChange={(e) => setStockForm(prev => ({ ...prev, type: e.target.value }))}>
+                  <option value="RECEIPT">Receipt</option>
+                  <option value="ADJUSTMENT">Adjustment (+/-)</option>
+                </select>
+              </div>
+              <div className={fieldClass(stockErrors, "quantity")}>
+                <div className="label">Quantity</div>
+                <input className="input" type="number" value={stockForm.quantity} onChange={(e) => setStockForm(prev => ({ ...prev, quantity: e.target.value }))} />
+                <FieldError error={stockErrors.quantity} />
+              </div>
+              <div className={fieldClass(stockErrors, "note")}>
+                <div className="label">Note</div>
+                <input className="input" value={stockForm.note} placeholder="e.g. PO number" onChange={(e) => setStockForm(prev => ({ ...prev, note: e.target.value }))} />
+                <FieldError error={stockErrors.note} />
+              </div>
+              <button className="btn btn-primary" onClick={changeStock}>
+                {stockForm.type === "RECEIPT" ? "Receive" : "Adjust"}
+              </button>
+            </div>
+
+            <h3 style={{ marginTop: "2rem" }}>Stock Movements</h3>
+            <Table columns={movementColumns} rows={movementRows} />
+          </>
+        )}
+      </div>
+
+      <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} title={editingId ? "Edit Part" : "New Part"}>
+        <div className={fieldClass(fieldErrors, "part_number")}>
+          <div className="label">Part Number *</div>
+          <input className="input" value={form.part_number} onChange={(e) => setVal("part_number", e.target.value)} />
+          <FieldError error={fieldErrors.part_number} />
+        </div>
+
+        <div className={fieldClass(fieldErrors, "name")}>
+          <div className="label">Name *</div>
+          <input className="input" value={form.name} onChange={(e) => setVal("name", e.target.value)} />
+          <FieldError error={fieldErrors.name} />
+        </div>
+
+        <div className={fieldClass(fieldErrors, "description")}>
+          <div className="label">Description</div>
+          <textarea value={form.description} onChange={(e) => setVal("description", e.target.value)} />
+          <FieldError error={fieldErrors.description} />
+        </div>
+
+        <div className={fieldClass(fieldErrors, "unit_cost")}>
+          <div className="label">Unit Cost *</div>
+          <input className="input" type="number" min="0" step="0.01" value={form.unit_cost} onChange={(e) => setVal("unit_cost", e.target.value)} />
+          <FieldError error={fieldErrors.unit_cost} />
+        </div>
+
+        <div className={fieldClass(fieldErrors, "compatible_category_ids")}>
+          <div className="label">Fits Equipment Categories (none selected: any equipment)</div>
+          {activeOptions(categories, form.compatible_category_ids).map(c => (
+            <label key={c.id} className="checkbox" style={{ display: "flex", gap: "0.5rem", marginBottom: "0.5rem" }}>
+              <input
+                type="checkbox"
+                checked={form.compatible_category_ids.includes(c.id)}
+                onChange={(e) => toggleCategory(c.id, e.target.checked)}
+              />
+              {c.name}
+            </label>
+          ))}
+          <FieldError error={fieldErrors.compatible_category_ids} />
+        </div>
+
+        {formErr && <div className="error" style={{ marginTop: "1rem" }}>{formErr}</div>}
+
+        <div style={{ display: "flex", gap: "0.5rem", marginTop: "1.5rem", justifyContent: "flex-end" }}>
+          {editingId && <button className="btn btn-danger" onClick={deletePart}>Delete</button>}
+          <button className="btn" onClick={() => setIsModalOpen(false)}>Cancel</button>
+          <button className="btn btn-primary" onClick={savePart}>Save Part</button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
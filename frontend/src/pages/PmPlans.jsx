@@ -0,0 +1,377 @@
+import React, { useEffect, useState } from "react";
+import { apiDelete, apiGet, apiPost, apiPut } from "../api.js";
+import { getUser } from "../auth.js";
+import { canManagePmPlans } from "../permissions.js";
+import Table from "../components/Table.jsx";
+import Modal from "../components/Modal.jsx";
+import FieldError from "../components/FieldError.jsx";
+import { activeOptions } from "../lookups.js";
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const UNITS = { DAILY: "day(s)", WEEKLY: "week(s)", MONTHLY: "month(s)" };
+
+const EMPTY_FORM = {
+  name: "",
+  maintenance_for: "EQUIPMENT",
+  equipment_id: "",
+  workcenter_id: "",
+  category_id: "",
+  team_id: "",
+  technician_id: "",
+  duration_minutes: 60,
+  priority: 2,
+  instructions: "",
+  frequency: "MONTHLY",
+  repeat_every: 1,
+  weekday: "1",
+  day_of_month: "1",
+  time_of_day: "08:00",
+  start_date: new Date().toISOString().slice(0, 10),
+  end_date: "",
+  lead_days: 14,
+  active: true
+};
+
+function describeRecurrence(plan) {
+  const every = plan.repeat_every > 1 ? `Every ${plan.repeat_every} ${UNITS[plan.frequency]}` : `Every ${UNITS[plan.frequency].replace("(s)", "")}`;
+  if (plan.frequency === "WEEKLY" && plan.weekday != null) return `${every} on ${WEEKDAYS[plan.weekday]}`;
+  if (plan.frequency === "MONTHLY" && plan.day_of_month) return `${every} on day ${plan.day_of_month}`;
+  return every;
+}
+
+function fetchPlans(setRows) {
+  return apiGet("/pm-plans").then(data => setRows(Array.isArray(data) ? data : []));
+}
+
+export default function PmPlans() {
+  const [rows, setRows] = useState([]);
+  const [meta, setMeta] = useState(null);
+  const [user, setUser] = useState(null);
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formErr, setFormErr] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+
+  function loadPlans() {
+    return fetchPlans(setRows);
+  }
+
+  useEffect(() => {
+    async function loadUser() {
+      const u = await getUser();
+      setUser(u);
+    }
+    loadUser();
+    apiGet("/requests/meta").then(setMeta).catch(console.error);
+    fetchPlans(setRows).catch(e => setErr(e.message));
+  }, []);
+
+  function setVal(k, v) {
+    setForm(prev => ({ ...prev, [k]: v }));
+  }
+
+  function fieldClass(k) {
+    return fieldErrors[k] ? "field has-error" : "field";
+  }
+
+  function openNew() {
+    setEditingId(null);
+    setForm({
+      ...EMPTY_FORM,
+      equipment_id: meta?.equipment?.[0] ? String(meta.equipment[0].id) : "",
+      workcenter_id: meta?.workcenters?.[0] ? String(meta.workcenters[0].id) : ""
+    });
+    setFormErr(""); setFieldErrors({});
+    setIsModalOpen(true);
+  }
+
+  function openExisting(plan) {
+    setEditingId(plan.id);
+    setForm({
+      name: plan.name,
+      maintenance_for: plan.maintenance_for,
+      equipment_id: plan.equipment_id ? String(plan.equipment_id) : "",
+      workcenter_id: plan.workcenter_id ? String(plan.workcenter_id) : "",
+      category_id: plan.category_id ? String(plan.category_id) : "",
+      team_id: plan.team_id ? String(plan.team_id) : "",
+      technician_id: plan.technician_id || "",
+      duration_minutes: plan.duration_minutes ?? 0,
+      priority: plan.priority ?? 2,
+      instructions: plan.instructions || "",
+      frequency: plan.frequency,
+      repeat_every: plan.repeat_every ?? 1,
+      weekday: plan.weekday != null ? String(plan.weekday) : "1",
+      day_of_month: plan.day_of_month ? String(plan.day_of_month) : "1",
+      time_of_day: plan.time_of_day || "08:00",
+      start_date: (plan.start_date || "").substring(0, 10),
+      end_date: (plan.end_date || "").substring(0, 10),
+      lead_days: plan.lead_days ?? 14,
+      active: !!plan.active
+    });
+    setFormErr(""); setFieldErrors({});
+    setIsModalOpen(true);
+  }
+
+  async function handleSubmit() {
+    setFormErr(""); setFieldErrors({});
+    if (!form.name.trim()) { setFieldErrors({ name: "Plan name is required" }); return; }
+
+    const body = {
+      name: form.name.trim(),
+      maintenance_for: form.maintenance_for,
+      equipment_id: form.maintenance_for === "EQUIPMENT" && form.equipment_id ? Number(form.equipment_id) : null,
+      workcenter_id: form.maintenance_for === "WORKCENTER" && form.workcenter_id ? Number(form.workcenter_id) : null,
+      category_id: form.category_id ? Number(form.category_id) : null,
+      team_id: form.team_id ? Number(form.team_id) : null,
+      technician_id: form.technician_id || null,
+      duration_minutes: Number(form.duration_minutes || 0),
+      priority: Number(form.priority),
+      instructions: form.instructions.trim() || null,
+      frequency: form.frequency,
+      repeat_every: Number(form.repeat_every || 1),
+      weekday: form.frequency === "WEEKLY" ? Number(form.weekday) : null,
+      day_of_month: form.frequency === "MONTHLY" ? Number(form.day_of_month) : null,
+      time_of_day: form.time_of_day,
+      start_date: form.start_date,
+      end_date: form.end_date || null,
+      lead_days: Number(form.lead_days || 0),
+      active: form.active
+    };
+
+    setIsLoading(true);
+    try {
+      const res = editingId
+        ? await apiPut(`/pm-plans/${editingId}`, body)
+        : await apiPost("/pm-plans", body);
+      setMsg(res.message);
+      setIsModalOpen(false);
+      await loadPlans();
+    } catch (e) {
+      setFormErr(e.message);
+      setFieldErrors(e.errors || {});
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  async function handleDelete() {
+    if (!editingId || !window.confirm("Delete this plan? Requests it already generated are kept.")) return;
+    try {
+      const res = await apiDelete(`/pm-plans/${editingId}`);
+      setMsg(res.message);
+      setIsModalOpen(false);
+      await loadPlans();
+    } catch (e) {
+      setFormErr(e.message);
+    }
+  }
+
+  async function runScheduler() {
+    setErr(""); setMsg("");
+    try {
+      const res = await apiPost("/pm-plans/run");
+      setMsg(res.message);
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  const tableRows = rows.map(p => ({
+    ...p,
+    target: p.equipment || p.workcenter,
+    recurrence: describeRecurrence(p),
+    status: p.active ? "Active" : "Paused"
+  }));
+
+  const columns = [
+    { key: "name", label: "Plan" },
+    { key: "target", label: "Equipment / Work Center" },
+    { key: "recurrence", label: "Recurrence" },
+    { key: "time_of_day", label: "Time" },
+    { key: "team", label: "Team" },
+    { key: "technician", label: "Technician" },
+    { key: "status", label: "Status" }
+  ];
+
+  return (
+    <div>
+      <div className="topbar">
+        <h2 className="topbar-title">Preventive Maintenance Plans</h2>
+        <div className="topbar-actions">
+          {canManagePmPlans(user) && (
+            <>
+              <button className="btn" onClick={runScheduler}>Generate Requests Now</button>
+              <button className="btn btn-primary" onClick={openNew}>New Plan</button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="content-wrapper">
+        {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+        {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+        <Table columns={columns} rows={tableRows} onRowClick={(r) => openExisting(r)} />
+      </div>
+
+      <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} title={editingId ? "Edit PM Plan" : "New PM Plan"}>
+        <div className={fieldClass("name")}>
+          <div className="label">Plan Name *</div>
+          <input className="input" value={form.name} onChange={(e) => setVal("name", e.target.value)} />
+          <FieldError error={fieldErrors.name} />
+        </div>
+
+        <div className={fieldClass("maintenance_for")}>
+          <div className="label">Maintenance For</div>
+          <select value={form.maintenance_for} onChange={(e) => setVal("maintenance_for", e.target.value)}>
+            <option value="EQUIPMENT">Equipment</option>
+            <option value="WORKCENTER">Work Center</option>
+          </select>
+          <FieldError error={fieldErrors.maintenance_for} />
+        </div>
+
+        {form.maintenance_for === "EQUIPMENT" ? (
+          <div className={fieldClass("equipment_id")}>
+            <div className="label">Equipment</div>
+            <select value={form.equipment_id} onChange={(e) => setVal("equipment_id", e.target.value)}>
+              {(meta?.equipment || []).map(eq => <option key={eq.id} value={eq.id}>{eq.name}</option>)}
+            </select>
+            <FieldError error={fieldErrors.equipment_id} />
+          </div>
+        ) : (
+          <div className={fieldClass("workcenter_id")}>
+            <div className="label">Work Center</div>
+            <select value={form.workcenter_id} onChange={(e) => setVal("workcenter_id", e.target.value)}>
+              {(meta?.workcenters || []).map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+            </select>
+            <FieldError error={fieldErrors.workcenter_id} />
+          </div>
+        )}
+
+        <div className={fieldClass("frequency")}>
+          <div className="label">Repeat</div>
+          <div style={{ display: "flex", gap: "0.5rem", alignItems: "center" }}>
+            <span>Every</span>
+            <input className="input" type="number" min="1" style={{ width: "5rem" }} value={form.repeat_every} onChange={(e) => setVal("repeat_every", e.target.value)} />
+            <select value={form.frequency} onChange={(e) => setVal("frequency", e.target.value)}>
+              <option value="DAILY">Day(s)</option>
+              <option value="WEEKLY">Week(s)</option>
+              <option value="MONTHLY">Month(s)</option>
+            </select>
+          </div>
+          <FieldError error={fieldErrors.frequency || fieldErrors.repeat_every} />
+        </div>
+
+        {form.frequency === "WEEKLY" && (
+          <div className={fieldClass("weekday")}>
+            <div className="label">On</div>
+            <select value={form.weekday} onChange={(e) => setVal("weekday", e.target.value)}>
+              {WEEKDAYS.map((d, i) => <option key={d} value={i}>{d}</option>)}
+            </select>
+            <FieldError error={fieldErrors.weekday} />
+          </div>
+        )}
+
+        {form.frequency === "MONTHLY" && (
+          <div className={fieldClass("day_of_month")}>
+            <div className="label">On Day of Month</div>
+            <input className="input" type="number" min="1" max="31" value={form.day_of_month} onChange={(e) => setVal("day_of_month", e.target.value)} />
+            <FieldError error={fieldErrors.day_of_month} />
+          </div>
+        )}
+
+        <div className={fieldClass("time_of_day")}>
+          <div className="label">Time (UTC)</div>
+          <input className="input" type="time" value={form.time_of_day} onChange={(e) => setVal("time_of_day", e.target.value)} />
+          <FieldError error={fieldErrors.time_of_day} />
+        </div>
+
+        <div className={fieldClass("start_date")}>
+          <div className="label">Start Date *</div>
+          <input className="input" type="date" value={form.start_date} onChange={(e) => setVal("start_date", e.target.value)} />
+          <FieldError error={fieldErrors.start_date} />
+        </div>
+
+        <div className={fieldClass("end_date")}>
+          <div className="label">End Date</div>
+          <input className="input" type="date" value={form.end_date} onChange={(e) => setVal("end_date", e.target.value)} />
+          <FieldError error={fieldErrors.end_date} />
+        </div>
+
+        <div className={fieldClass("lead_days")}>
+          <div className="label">Create Requests (days ahead)</div>
+          <input className="input" type="number" min="0" value={form.lead_days} onChange={(e) => setVal("lead_days", e.target.value)} />
+          <FieldError error={fieldErrors.lead_days} />
+        </div>
+
+        <div className={fieldClass("category_id")}>
+          <div className="label">Category</div>
+          <select value={form.category_id} onChange={(e) => setVal("category_id", e.target.value)}>
+            <option value="">-</option>
+            {activeOptions(meta?.categories, form.category_id).map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+          <FieldError error={fieldErrors.category_id} />
+        </div>
+
+        <div className={fieldClass("team_id")}>
+          <div className="label">Team</div>
+          <select value={form.team_id} onChange={(e) => setVal("team_id", e.target.value)}>
+            <option value="">-</option>
+            {(meta?.teams || []).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+          <FieldError error={fieldErrors.team_id} />
+        </div>
+
+        <div className={fieldClass("technician_id")}>
+          <div className="label">Technician</div>
+          <select value={form.technician_id} onChange={(e) => setVal("technician_id", e.target.value)}>
+            <option value="">-</option>
+            {(meta?.techs || []).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+          <FieldError error={fieldErrors.technician_id} />
+        </div>
+
+        <div className={fieldClass("duration_minutes")}>
+          <div className="label">Duration (minutes)</div>
+          <input className="input" type="number" min="0" value={form.duration_minutes} onChange={(e) => setVal("duration_minutes", e.target.value)} />
+          <FieldError error={fieldErrors.duration_minutes} />
+        </div>
+
+        <div className={fieldClass("priority")}>
+          <div className="label">Priority</div>
+          <select value={form.priority} onChange={(e) => setVal("priority", e.target.value)}>
+            <option value={1}>Low</option>
+            <option value={2}>Medium</option>
+            <option value={3}>High</option>
+          </select>
+          <FieldError error={fieldErrors.priority} />
+        </div>
+
+        <div className={fieldClass("instructions")}>
+          <div className="label">Instructions</div>
+          <textarea value={form.instructions} onChange={(e) => setVal("instructions", e.target.value)} placeholder="Added to every generated request" />
+          <FieldError error={fieldErrors.instructions} />
+        </div>
+
+        <label className="checkbox" style={{ display: "flex", gap: "0.5rem", marginBottom: "1rem" }}>
+          <input type="checkbox" checked={form.active} onChange={(e) => setVal("active", e.target.checked)} />
+          Active
+        </label>
+
+        {formErr && <div className="error" style={{ marginTop: "1rem" }}>{formErr}</div>}
+
+        <div style={{ display: "flex", gap: "0.5rem", marginTop: "1.5rem", justifyContent: "flex-end" }}>
+          {editingId && <button className="btn btn-danger" onClick={handleDelete} disabled={isLoading}>Delete</button>}
+          <button className="btn" onClick={() => setIsModalOpen(false)} disabled={isLoading}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleSubmit} disabled={isLoading}>
+            {isLoading ? "Saving..." : "Save Plan"}
+          </button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
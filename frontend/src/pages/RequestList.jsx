@@ -0,0 +1,232 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { apiGet } from "../api.js";
+import { getUser } from "../auth.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { hasPermission } from "../permissions.js";
+import Table from "../components/Table.jsx";
+import { SLA_STATUS_LABELS, overallSlaStatus, slaBadgeClass } from "../sla.js";
+
+const PAGE_SIZE = 20;
+
+const FILTER_KEYS = [
+  "q", "stage", "priority", "team_id", "technician_id", "equipment_id",
+  "maintenance_type", "date_from", "date_to", "overdue"
+];
+
+const PRIORITY_LABELS = { 1: "Low", 2: "Medium", 3: "High" };
+
+function readSort(sp) {
+  return { key: sp.get("sort") || "created_at", order: sp.get("order") || "desc" };
+}
+
+// One page of the list for the filters, sorting and page in `sp`
+function fetchRequests(sp, setResult, setErr) {
+  const sort = readSort(sp);
+  const params = new URLSearchParams();
+  FILTER_KEYS.forEach(k => { if (sp.get(k)) params.set(k, sp.get(k)); });
+  params.set("sort", sort.key);
+  params.set("order", sort.order);
+  params.set("page", sp.get("page") || "1");
+  params.set("page_size", String(PAGE_SIZE));
+
+  return apiGet(`/requests?${params}`)
+    .then(result => { setResult(result); setErr(""); })
+    .catch(e => setErr(e.message));
+}
+
+export default function RequestList() {
+  const nav = useNavigate();
+  const [user, setUser] = useState(null);
+  const [meta, setMeta] = useState(null);
+  const [result, setResult] = useState({ data: [], total: 0, page: 1, page_size: PAGE_SIZE });
+  const [err, setErr] = useState("");
+
+  // Filters, sorting and the page live in the URL so the list survives reloads and back navigation
+  const [sp, setSp] = useSearchParams();
+  const sort = readSort(sp);
+
+  useEffect(() => {
+    async function loadUser() {
+      const u = await getUser();
+      setUser(u);
+    }
+    loadUser();
+    apiGet("/requests/meta").then(setMeta).catch(console.error);
+  }, []);
+
+  useEffect(() => {
+    fetchRequests(sp, setResult, setErr);
+  }, [sp]);
+
+  useLiveUpdates(["request"], () => fetchRequests(sp, setResult, setErr));
+
+  // Any filter change starts again from the first page
+  function setFilter(k, v) {
+    const next = new URLSearchParams(sp);
+    if (v) next.set(k, v); else next.delete(k);
+    next.delete("page");
+    setSp(next);
+  }
+
+  function clearFilters() {
+    setSp(new URLSearchParams());
+  }
+
+  function toggleSort(key) {
+    const next = new URLSearchParams(sp);
+    const order = sort.key === key && sort.order === "asc" ? "desc" : "asc";
+    next.set("sort", key);
+    next.set("order", order);
+    next.delete("page");
+    setSp(next);
+  }
+
+  function goToPage(p) {
+    const next = new URLSearchParams(sp);
+    next.set("page", String(p));
+    setSp(next);
+  }
+
+  const rows = result.data.map(r => ({
+    ...r,
+    target: r.equipment || r.workcenter,
+    priority: PRIORITY_LABELS[r.priority] || r.priority,
+    stage: (r.stage || "").replaceAll("_", " "),
+    scheduled_at: r.scheduled_at ? new Date(r.scheduled_at).toLocaleString() : "",
+    sla: overallSlaStatus(r.sla) && (
+      <span className={slaBadgeClass(overallSlaStatus(r.sla))} title={r.resolution_due_at ? `Resolution due ${new Date(r.resolution_due_at).toLocaleString()}` : ""}>
+        {SLA_STATUS_LABELS[overallSlaStatus(r.sla)]}
+      </span>
+    )
+  }));
+
+  const columns = [
+    { key: "subject", label: "Subject", sortable: true },
+    { key: "target", label: "Equipment / Work Center" },
+    { key: "employee", label: "Employee" },
+    { key: "technician", label: "Technician" },
+    { key: "team", label: "Team" },
+    { key: "priority", label: "Priority", sortable: true },
+    { key: "scheduled_at", label: "Scheduled", sortable: true },
+    { key: "request_date", label: "Request Date", sortable: true },
+    { key: "stage", label: "Stage", sortable: true },
+    { key: "sla", label: "SLA" }
+  ];
+
+  const pageCount = Math.max(1, Math.ceil(result.total / result.page_size));
+  const first = result.total === 0 ? 0 : (result.page - 1) * result.page_size + 1;
+  const last = Math.min(result.page * result.page_size, result.total);
+
+  return (
+    <div>
+      <div className="topbar">
+        <h2 className="topbar-title">Maintenance Requests</h2>
+        <div className="topbar-actions">
+          <div className="searchline">
+            <input placeholder="Search subject..." value={sp.get("q") || ""} onChange={(e) => setFilter("q", e.target.value)} />
+          </div>
+          <button className="btn" onClick={() => nav("/kanban")}>Board View</button>
+          {hasPermission(user, 'create_request') && (
+            <button className="btn btn-primary" onClick={() => nav("/requests/new")}>New Request</button>
+          )}
+        </div>
+      </div>
+
+      <div className="content-wrapper">
+        <div className="filterbar">
+          <div className="field">
+            <div className="label">Stage</div>
+            <select value={sp.get("stage") || ""} onChange={(e) => setFilter("stage", e.target.value)}>
+              <option value="">All</option>
+              <option value="NEW_REQUEST">New Request</option>
+              <option value="IN_PROGRESS">In Progress</option>
+              <option value="REPAIRED">Repaired</option>
+              <option value="SCRAP">Scrap</option>
+            </select>
+          </div>
+
+          <div className="field">
+            <div className="label">Priority</div>
+            <select value={sp.get("priority") || ""} onChange={(e) => setFilter("priority", e.target.value)}>
+              <option value="">All</option>
+              <option value="1">Low</option>
+              <option value="2">Medium</option>
+              <option value="3">High</option>
+            </select>
+          </div>
+
+          <div className="field">
+            <div className="label">Team</div>
+            <select value={sp.get("team_id") || ""} onChange={(e) => setFilter("team_id", e.target.value)}>
+              <option value="">All</option>
+              {(meta?.teams || []).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+          </div>
+
+          <div className="field">
+            <div className="label">Technician</div>
+            <select value={sp.get("technician_id") || ""} onChange={(e) => setFilter("technician_id", e.target.value)}>
+              <option value="">All</option>
+              {(meta?.techs || []).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+          </div>
+
+          <div className="field">
+            <div className="label">Equipment</div>
+            <select value={sp.get("equipment_id") || ""} onChange={(e) => setFilter("equipment_id", e.target.value)}>
+              <option value="">All</option>
+              {(meta?.equipment || []).map(eq => <option key={eq.id} value={eq.id}>{eq.name}</option>)}
+            </select>
+          </div>
+
+          <div className="field">
+            <div className="label">Type</div>
+            <select value={sp.get("maintenance_type") || ""} onChange={(e) => setFilter("maintenance_type", e.target.value)}>
+              <option value="">All</option>
+              <option value="CORRECTIVE">Corrective</option>
+              <option value="PREVENTIVE">Preventive</option>
+            </select>
+          </div>
+
+          <div className="field">
+            <div className="label">From</div>
+            <input className="input" type="date" value={sp.get("date_from") || ""} onChange={(e) => setFilter("date_from", e.target.value)} />
+          </div>
+
+          <div className="field">
+            <div className="label">To</div>
+            <input className="input" type="date" value={sp.get("date_to") || ""} onChange={(e) => setFilter("date_to", e.target.value)} />
+          </div>
+
+          <label className="checkbox">
+            <input type="checkbox" checked={sp.get("overdue") === "true"} onChange={(e) => setFilter("overdue", e.target.checked ? "true" : "")} />
+            Overdue only
+          </label>
+
+          <button className="btn" onClick={clearFilters}>Clear</button>
+        </div>
+
+        {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+
+        <Table
+          columns={columns}
+          rows={rows}
+          sort={sort}
+          onSort={toggleSort}
+          onRowClick={(r) => nav(`/requests/${r.id}`)}
+        />
+
+        {result.total === 0 && !err && (
+          <p className="small center" style={{ marginTop: "1rem" }}>No requests match these filters.</p>
+        )}
+
+        <div className="pager">
+          <span className="small">{first}-{last} of {result.total}</span>
+          <button className="btn" disabled={result.page <= 1} onClick={() => goToPage(result.page - 1)}>Previous</button>
+          <button className="btn" disabled={result.page >= pageCount} onClick={() => goToPage(result.page + 1)}>Next</button>
+        </div>
+      </div>
+    </div>
+  );
+}
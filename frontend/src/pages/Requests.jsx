@@ -1,8 +1,46 @@
 import React, { useEffect, useMemo, useState } from "react";
-import { useSearchParams } from "react-router-dom";
-import { apiGet, apiPost, apiPut } from "../api.js";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import { apiGet, apiPatch, apiPost, apiPut } from "../api.js";
 import { getUser } from "../auth.js";
-import { hasPermission } from "../permissions.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { canConsumeParts, canManageCosts, canTrackTime, getCreatableRequestFields, getEditableRequestFields, hasPermission } from "../permissions.js";
+import FieldError from "../components/FieldError.jsx";
+import AttachmentsPanel from "../components/AttachmentsPanel.jsx";
+import PartsPanel from "../components/PartsPanel.jsx";
+import TimePanel from "../components/TimePanel.jsx";
+import CostsPanel from "../components/CostsPanel.jsx";
+import { SLA_STATUS_LABELS, slaBadgeClass } from "../sla.js";
+import { activeOptions } from "../lookups.js";
+
+const STAGE_LABELS = {
+  NEW_REQUEST: "New Request",
+  IN_PROGRESS: "In Progress",
+  REPAIRED: "Repaired",
+  SCRAP: "Scrap"
+};
+
+// The form values of a loaded request; ids it doesn't set keep the current choice, except
+// team and technician, where empty is a valid choice
+function requestToForm(r, prev) {
+  return {
+    ...prev,
+    subject: r.subject || "",
+    maintenance_for: r.maintenance_for,
+    equipment_id: r.equipment_id ? String(r.equipment_id) : prev.equipment_id,
+    workcenter_id: r.workcenter_id ? String(r.workcenter_id) : prev.workcenter_id,
+    category_id: r.category_id ? String(r.category_id) : prev.category_id,
+    request_date: r.request_date ? r.request_date.substring(0, 10) : prev.request_date,
+    maintenance_type: r.maintenance_type || "CORRECTIVE",
+    team_id: r.team_id ? String(r.team_id) : "",
+    technician_id: r.technician_id ? String(r.technician_id) : "",
+    scheduled_at: r.scheduled_at ? r.scheduled_at.replace(" ", "T").substring(0, 16) : "",
+    duration_minutes: r.duration_minutes || 0,
+    priority: r.priority || 2,
+    stage: r.stage || "NEW_REQUEST",
+    blocked: r.blocked ? 1 : 0,
+    resolution: ""
+  };
+}
 
 export default function Requests() {
   const [user, setUser] = useState(null);
@@ -14,18 +52,21 @@ export default function Requests() {
     }
     loadUser();
   }, []);
-  const [sp] = useSearchParams();
-  const openId = sp.get("open");
+  const nav = useNavigate();
+  const location = useLocation();
+  const { id: openId } = useParams();
 
   const [meta, setMeta] = useState(null);
   const [currentId, setCurrentId] = useState(null);
   const [msg, setMsg] = useState("");
   const [err, setErr] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const [tab, setTab] = useState("notes");
   const [showWorksheet, setShowWorksheet] = useState(false);
 
   const [details, setDetails] = useState({ request: null, notes: [], instructions: [], worksheet: [] });
+  const [history, setHistory] = useState(null);
 
   const [form, setForm] = useState({
     subject: "",
@@ -41,13 +82,21 @@ export default function Requests() {
     duration_minutes: 0,
     priority: 2,
     stage: "NEW_REQUEST",
-    blocked: 0
+    blocked: 0,
+    resolution: ""
   });
 
   function setVal(k, v) {
     setForm(prev => ({ ...prev, [k]: v }));
   }
 
+  function fieldClass(k) {
+    return fieldErrors[k] ? "field has-error" : "field";
+  }
+
+  // Set by save() when it navigates here after creating the request
+  const createdMsg = location.state?.msg;
+
   useEffect(() => {
     (async () => {
       const m = await apiGet("/requests/meta");
@@ -55,48 +104,63 @@ export default function Requests() {
 
       if (m.equipment?.[0]) setVal("equipment_id", String(m.equipment[0].id));
       if (m.workcenters?.[0]) setVal("workcenter_id", String(m.workcenters[0].id));
-      if (m.categories?.[0]) setVal("category_id", String(m.categories[0].id));
-      if (m.teams?.[0]) setVal("team_id", String(m.teams[0].id));
-      if (m.techs?.[0]) setVal("technician_id", String(m.techs[0].id));
+      const [category] = activeOptions(m.categories);
+      if (category) setVal("category_id", String(category.id));
 
       if (openId) {
         await openExisting(openId);
+        if (createdMsg) setMsg(createdMsg);
+      } else {
+        resetForm();
       }
     })().catch(e => setErr(e.message));
-  }, [openId]);
+  }, [openId, createdMsg]);
 
   async function openExisting(id) {
-    setErr(""); setMsg("");
-    const data = await apiGet(`/requests/${id}/details`);
+    setErr(""); setMsg(""); setFieldErrors({});
+    const [data, hist] = await Promise.all([
+      apiGet(`/requests/${id}/details`),
+      apiGet(`/requests/${id}/history`)
+    ]);
     setDetails(data);
+    setHistory(hist);
     setCurrentId(data.request?.id || null);
 
     const r = data.request;
     if (!r) return;
 
-    setForm(prev => ({
-      ...prev,
-      subject: r.subject || "",
-      maintenance_for: r.maintenance_for,
-      equipment_id: r.equipment_id ? String(r.equipment_id) : prev.equipment_id,
-      workcenter_id: r.workcenter_id ? String(r.workcenter_id) : prev.workcenter_id,
-      category_id: r.category_id ? String(r.category_id) : prev.category_id,
-      request_date: r.request_date ? r.request_date.substring(0, 10) : prev.request_date,
-      maintenance_type: r.maintenance_type || "CORRECTIVE",
-      team_id: r.team_id ? String(r.team_id) : prev.team_id,
-      technician_id: r.technician_id ? String(r.technician_id) : prev.technician_id,
-      scheduled_at: r.scheduled_at ? r.scheduled_at.replace(" ", "T").substring(0, 16) : "",
-      duration_minutes: r.duration_minutes || 0,
-      priority: r.priority || 2,
-      stage: r.stage || "NEW_REQUEST",
-      blocked: r.blocked ? 1 : 0
-    }));
+    setForm(prev => requestToForm(r, prev));
   }
 
+  // Someone else changed the open request: show its new state in place. The form follows
+  // too, unless it holds unsaved edits.
+  async function refreshOpenRequest() {
+    const [data, hist] = await Promise.all([
+      apiGet(`/requests/${currentId}/details`),
+      apiGet(`/requests/${currentId}/history`)
+    ]);
+    const hasEdits = details.request && JSON.stringify(requestToForm(details.request, form)) !== JSON.stringify(form);
+    setDetails(data);
+    setHistory(hist);
+    if (data.request && !hasEdits) setForm(prev => requestToForm(data.request, prev));
+  }
+
+  useLiveUpdates(["request"], events => {
+    if (!currentId) return;
+    if (events.some(e => e.type === "request.deleted" && e.data.id === currentId)) {
+      setErr("This request has been deleted");
+      return;
+    }
+    if (events.some(e => e.type === "resync" || e.data.id === currentId)) {
+      refreshOpenRequest().catch(e => setErr(e.message));
+    }
+  });
+
   function resetForm() {
     setCurrentId(null);
     setDetails({ request: null, notes: [], instructions: [], worksheet: [] });
-    setMsg(""); setErr("");
+    setHistory(null);
+    setMsg(""); setErr(""); setFieldErrors({});
     setTab("notes");
     setShowWorksheet(false);
     setForm(prev => ({
@@ -105,60 +169,95 @@ export default function Requests() {
       maintenance_for: "EQUIPMENT",
       request_date: new Date().toISOString().slice(0, 10),
       maintenance_type: "CORRECTIVE",
+      team_id: "",
+      technician_id: "",
       scheduled_at: "",
       duration_minutes: 0,
       priority: 2,
       stage: "NEW_REQUEST",
-      blocked: 0
+      blocked: 0,
+      resolution: ""
     }));
   }
 
+  // New requests follow POST /api/requests (team and technician only for managers); existing
+  // ones the same per-role field rules as PATCH /api/requests/:id
+  const editableFields = useMemo(() => {
+    if (!currentId) return getCreatableRequestFields(user);
+    return getEditableRequestFields(user, details.request);
+  }, [user, currentId, details.request]);
+
+  function canEdit(k) {
+    return editableFields.includes(k);
+  }
+
+  // The current stage plus the transitions the server allows this user (GET .../details)
+  const stageOptions = useMemo(() => {
+    const stage = details.request?.stage || "NEW_REQUEST";
+    return [stage, ...(details.transitions || []).map(t => t.to)];
+  }, [details]);
+
+  const needsResolution = (details.transitions || [])
+    .some(t => t.to === form.stage && t.requires.includes("resolution"));
+
   const stageText = useMemo(() => form.stage.replaceAll("_", " "), [form.stage]);
   const blockText = useMemo(() => (String(form.blocked) === "1" ? "Blocked" : "Ready for next stage"), [form.blocked]);
 
-  async function saveNew() {
-    setErr(""); setMsg("");
-    if (!form.subject.trim()) { setErr("Subject required"); return; }
+  async function save() {
+    setErr(""); setMsg(""); setFieldErrors({});
+    if (!form.subject.trim()) { setFieldErrors({ subject: "Subject is required" }); return; }
     if (!user) { setErr("User not loaded"); return; }
 
     const body = {
       subject: form.subject.trim(),
-      created_by_user_id: user.id,
       maintenance_for: form.maintenance_for,
       equipment_id: form.maintenance_for === "EQUIPMENT" ? Number(form.equipment_id) : null,
       workcenter_id: form.maintenance_for === "WORKCENTER" ? Number(form.workcenter_id) : null,
       category_id: form.category_id ? Number(form.category_id) : null,
       request_date: form.request_date,
       maintenance_type: form.maintenance_type,
-      team_id: Number(form.team_id),
+      team_id: form.team_id ? Number(form.team_id) : null,
       technician_id: form.technician_id || null,
       scheduled_at: form.scheduled_at ? form.scheduled_at.replace("T", " ") + ":00" : null,
       duration_minutes: Number(form.duration_minutes || 0),
-      priority: Number(form.priority),
-      stage: form.stage,
-      blocked: String(form.blocked) === "1"
+      priority: Number(form.priority)
     };
 
     try {
-      const res = await apiPost("/requests", body);
-      setMsg(res.message || "Request created");
+      if (currentId) {
+        // Only send what this user may change, so locked fields never trip the server check
+        const changes = Object.fromEntries(Object.entries(body).filter(([k]) => canEdit(k)));
+        const res = await apiPatch(`/requests/${currentId}`, changes);
+        await openExisting(currentId);
+        setMsg(res.message || "Request updated");
+      } else {
+        const res = await apiPost("/requests", body);
+        if (res.data?.id) {
+          nav(`/requests/${res.data.id}`, { state: { msg: res.message || "Request created" } });
+        } else {
+          setMsg(res.message || "Request created");
+        }
+      }
     } catch (e) {
       setErr(e.message);
+      setFieldErrors(e.errors || {});
     }
   }
 
   async function updateStage() {
     if (!currentId) { setErr("Open a request first (from dashboard)"); return; }
-    setErr(""); setMsg("");
+    setErr(""); setMsg(""); setFieldErrors({});
     try {
       const res = await apiPut(`/requests/${currentId}/stage`, {
         stage: form.stage,
-        blocked: String(form.blocked) === "1"
+        blocked: String(form.blocked) === "1",
+        ...(needsResolution ? { resolution: form.resolution } : {})
       });
-      setMsg(res.message || "Stage updated");
       await openExisting(currentId);
+      setMsg(res.message || "Stage updated");
     } catch (e) {
       setErr(e.message);
+      setFieldErrors(e.errors || {});
     }
   }
 
@@ -183,11 +282,12 @@ export default function Requests() {
       <div className="topbar">
         <h2 className="topbar-title">Maintenance Requests</h2>
         <div className="topbar-actions">
+          <button className="btn" onClick={() => nav("/requests")}>All Requests</button>
           {hasPermission(user, 'add_worksheet') && (
             <button className="btn" onClick={() => setShowWorksheet(s => !s)}>Worksheet</button>
           )}
           {hasPermission(user, 'create_request') && (
-            <button className="btn btn-primary" onClick={resetForm}>New Request</button>
+            <button className="btn btn-primary" onClick={() => { resetForm(); nav("/requests/new"); }}>New Request</button>
           )}
         </div>
       </div>
@@ -197,6 +297,21 @@ export default function Requests() {
           <div className="stagebar">
             <span className="badge">{stageText}</span>
             <span className="badge">{blockText}</span>
+            {details.sla?.response && (
+              <span className={slaBadgeClass(details.sla.response)} title={`Due ${new Date(details.request.response_due_at).toLocaleString()}`}>
+                Response: {SLA_STATUS_LABELS[details.sla.response]}
+              </span>
+            )}
+            {details.sla?.resolution && (
+              <span className={slaBadgeClass(details.sla.resolution)} title={`Due ${new Date(details.request.resolution_due_at).toLocaleString()}`}>
+                Resolution: {SLA_STATUS_LABELS[details.sla.resolution]}
+              </span>
+            )}
+            {details.request?.escalated_at && (
+              <span className="badge sla-breached">
+                Escalated {new Date(details.request.escalated_at).toLocaleString()}
+              </span>
+            )}
           </div>
         )}
 
@@ -205,62 +320,69 @@ export default function Requests() {
         <div className="col">
           <div className="card" style={{ padding: "1.5rem" }}>
             <h3 style={{ marginTop: 0, marginBottom: "1.5rem", fontSize: "1.1rem", fontWeight: 600 }}>Request Details</h3>
-            <div className="field">
+            <div className={fieldClass("subject")}>
               <div className="label">Subject?</div>
-              <input className="input" value={form.subject} onChange={(e) => setVal("subject", e.target.value)} />
+              <input className="input" value={form.subject} disabled={!canEdit("subject")} onChange={(e) => setVal("subject", e.target.value)} />
+              <FieldError error={fieldErrors.subject} />
             </div>
 
           <div className="field">
             <div className="label">Created By</div>
-            <input className="input" value={user?.name || ""} disabled />
+            <input className="input" value={(currentId ? details.request?.created_by?.name : user?.name) || ""} disabled />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("maintenance_for")}>
             <div className="label">Maintenance For</div>
-            <select value={form.maintenance_for} onChange={(e) => setVal("maintenance_for", e.target.value)}>
+            <select value={form.maintenance_for} disabled={!canEdit("maintenance_for")} onChange={(e) => setVal("maintenance_for", e.target.value)}>
               <option value="EQUIPMENT">Equipment</option>
               <option value="WORKCENTER">Work Center</option>
             </select>
+            <FieldError error={fieldErrors.maintenance_for} />
           </div>
 
           {form.maintenance_for === "EQUIPMENT" && (
-            <div className="field">
+            <div className={fieldClass("equipment_id")}>
               <div className="label">Equipment</div>
-              <select value={form.equipment_id} onChange={(e) => setVal("equipment_id", e.target.value)}>
+              <select value={form.equipment_id} disabled={!canEdit("equipment_id")} onChange={(e) => setVal("equipment_id", e.target.value)}>
                 {(meta?.equipment || []).map(eq => (
                   <option key={eq.id} value={eq.id}>{eq.name}{eq.serial_number ? " / " + eq.serial_number : ""}</option>
                 ))}
               </select>
+              <FieldError error={fieldErrors.equipment_id} />
             </div>
           )}
 
           {form.maintenance_for === "WORKCENTER" && (
-            <div className="field">
+            <div className={fieldClass("workcenter_id")}>
               <div className="label">Work Center</div>
-              <select value={form.workcenter_id} onChange={(e) => setVal("workcenter_id", e.target.value)}>
+              <select value={form.workcenter_id} disabled={!canEdit("workcenter_id")} onChange={(e) => setVal("workcenter_id", e.target.value)}>
                 {(meta?.workcenters || []).map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
               </select>
+              <FieldError error={fieldErrors.workcenter_id} />
             </div>
           )}
 
-          <div className="field">
+          <div className={fieldClass("category_id")}>
             <div className="label">Category</div>
-            <select value={form.category_id} onChange={(e) => setVal("category_id", e.target.value)}>
-              {(meta?.categories || []).map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            <select value={form.category_id} disabled={!canEdit("category_id")} onChange={(e) => setVal("category_id", e.target.value)}>
+              {activeOptions(meta?.categories, form.category_id).map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
             </select>
+            <FieldError error={fieldErrors.category_id} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("request_date")}>
             <div className="label">Request Date?</div>
-            <input className="input" type="date" value={form.request_date} onChange={(e) => setVal("request_date", e.target.value)} />
+            <input className="input" type="date" value={form.request_date} disabled={!canEdit("request_date")} onChange={(e) => setVal("request_date", e.target.value)} />
+            <FieldError error={fieldErrors.request_date} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("maintenance_type")}>
             <div className="label">Maintenance Type</div>
-            <select value={form.maintenance_type} onChange={(e) => setVal("maintenance_type", e.target.value)}>
+            <select value={form.maintenance_type} disabled={!canEdit("maintenance_type")} onChange={(e) => setVal("maintenance_type", e.target.value)}>
               <option value="CORRECTIVE">Corrective</option>
               <option value="PREVENTIVE">Preventive</option>
             </select>
+            <FieldError error={fieldErrors.maintenance_type} />
           </div>
         </div>
         </div>
@@ -268,37 +390,49 @@ export default function Requests() {
         <div className="col">
           <div className="card" style={{ padding: "1.5rem" }}>
             <h3 style={{ marginTop: 0, marginBottom: "1.5rem", fontSize: "1.1rem", fontWeight: 600 }}>Assignment & Scheduling</h3>
-            <div className="field">
+            <div className={fieldClass("team_id")}>
               <div className="label">Team</div>
-              <select value={form.team_id} onChange={(e) => setVal("team_id", e.target.value)}>
+              <select value={form.team_id} disabled={!canEdit("team_id")} onChange={(e) => setVal("team_id", e.target.value)}>
+                <option value="">{currentId ? "None" : "Automatic"}</option>
                 {(meta?.teams || []).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
               </select>
+              <FieldError error={fieldErrors.team_id} />
             </div>
 
-          <div className="field">
+          <div className={fieldClass("technician_id")}>
             <div className="label">Technician</div>
-            <select value={form.technician_id} onChange={(e) => setVal("technician_id", e.target.value)}>
+            <select value={form.technician_id} disabled={!canEdit("technician_id")} onChange={(e) => setVal("technician_id", e.target.value)}>
+              <option value="">{currentId ? "None" : "Automatic"}</option>
               {(meta?.techs || []).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
             </select>
+            {!currentId && !form.technician_id && (
+              <div className="small" style={{ color: "var(--odoo-text-muted)", marginTop: "0.25rem" }}>
+                Assigned from the {form.maintenance_for === "WORKCENTER" ? "work center" : "equipment"} or by the team's assignment rule
+              </div>
+            )}
+            <FieldError error={fieldErrors.technician_id} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("scheduled_at")}>
             <div className="label">Scheduled Date?</div>
-            <input className="input" type="datetime-local" value={form.scheduled_at} onChange={(e) => setVal("scheduled_at", e.target.value)} />
+            <input className="input" type="datetime-local" value={form.scheduled_at} disabled={!canEdit("scheduled_at")} onChange={(e) => setVal("scheduled_at", e.target.value)} />
+            <FieldError error={fieldErrors.scheduled_at} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("duration_minutes")}>
             <div className="label">Duration</div>
-            <input className="input" type="number" value={form.duration_minutes} onChange={(e) => setVal("duration_minutes", e.target.value)} />
+            <input className="input" type="number" value={form.duration_minutes} disabled={!canEdit("duration_minutes")} onChange={(e) => setVal("duration_minutes", e.target.value)} />
+            <FieldError error={fieldErrors.duration_minutes} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("priority")}>
             <div className="label">Priority</div>
-            <select value={form.priority} onChange={(e) => setVal("priority", e.target.value)}>
+            <select value={form.priority} disabled={!canEdit("priority")} onChange={(e) => setVal("priority", e.target.value)}>
               <option value={1}>Low</option>
               <option value={2}>Medium</option>
               <option value={3}>High</option>
             </select>
+            <FieldError error={fieldErrors.priority} />
           </div>
 
           <div className="field">
@@ -308,29 +442,43 @@ export default function Requests() {
 
           {hasPermission(user, 'update_request_stage') && (
             <>
-              <div className="field">
+              <div className={fieldClass("stage")}>
                 <div className="label">Stage</div>
                 <select value={form.stage} onChange={(e) => setVal("stage", e.target.value)}>
-                  <option value="NEW_REQUEST">New Request</option>
-                  <option value="IN_PROGRESS">In Progress</option>
-                  <option value="REPAIRED">Repaired</option>
-                  <option value="SCRAP">Scrap</option>
+                  {stageOptions.map(s => <option key={s} value={s}>{STAGE_LABELS[s]}</option>)}
                 </select>
+                <FieldError error={fieldErrors.stage} />
               </div>
 
-              <div className="field">
+              <div className={fieldClass("blocked")}>
                 <div className="label">Blocked?</div>
                 <select value={form.blocked} onChange={(e) => setVal("blocked", e.target.value)}>
                   <option value={0}>No</option>
                   <option value={1}>Yes</option>
                 </select>
+                <FieldError error={fieldErrors.blocked} />
               </div>
+
+              {needsResolution && (
+                <div className={fieldClass("resolution")}>
+                  <div className="label">Resolution</div>
+                  <textarea value={form.resolution} onChange={(e) => setVal("resolution", e.target.value)} placeholder="What was done / why it was closed" />
+                  <FieldError error={fieldErrors.resolution} />
+                </div>
+              )}
             </>
           )}
 
+          {details.request?.resolution && !needsResolution && (
+            <div className="field">
+              <div className="label">Resolution</div>
+              <div className="small">{details.request.resolution}</div>
+            </div>
+          )}
+
           <div className="right" style={{ marginTop: "1rem" }}>
-            {hasPermission(user, 'create_request') && (
-              <button className="btn btn-primary" onClick={saveNew}>Save</button>
+            {editableFields.length > 0 && (
+              <button className="btn btn-primary" onClick={save}>Save</button>
             )}
             {hasPermission(user, 'update_request_stage') && (
               <>
@@ -354,6 +502,21 @@ export default function Requests() {
           {hasPermission(user, 'add_instructions') && (
             <button className={"tabbtn " + (tab === "instructions" ? "active" : "")} onClick={() => setTab("instructions")}>Instructions</button>
           )}
+          {currentId && (
+            <button className={"tabbtn " + (tab === "attachments" ? "active" : "")} onClick={() => setTab("attachments")}>Attachments</button>
+          )}
+          {currentId && (
+            <button className={"tabbtn " + (tab === "parts" ? "active" : "")} onClick={() => setTab("parts")}>Parts</button>
+          )}
+          {currentId && canTrackTime(user) && (
+            <button className={"tabbtn " + (tab === "time" ? "active" : "")} onClick={() => setTab("time")}>Time</button>
+          )}
+          {currentId && canManageCosts(user) && (
+            <button className={"tabbtn " + (tab === "costs" ? "active" : "")} onClick={() => setTab("costs")}>Costs</button>
+          )}
+          {currentId && (
+            <button className={"tabbtn " + (tab === "history" ? "active" : "")} onClick={() => setTab("history")}>History</button>
+          )}
         </div>
 
         <div style={{ padding: "1rem 0" }}>
@@ -367,6 +530,27 @@ export default function Requests() {
             />
           )}
 
+          {tab === "history" && history && <HistoryPanel history={history} />}
+
+          {tab === "attachments" && currentId && (
+            <AttachmentsPanel owner="requests" ownerId={currentId} user={user} canUpload />
+          )}
+
+          {tab === "parts" && currentId && (
+            <PartsPanel requestId={currentId} categoryId={details.request?.category_id} canConsume={canConsumeParts(user)} />
+          )}
+
+          {tab === "time" && currentId && (
+            <TimePanel
+              requestId={currentId}
+              user={user}
+              techs={meta?.techs}
+              closed={["REPAIRED", "SCRAP"].includes(details.request?.stage)}
+            />
+          )}
+
+          {tab === "costs" && currentId && <CostsPanel requestId={currentId} />}
+
           {tab === "instructions" && (
             <NotesBox
               title="Instructions"
@@ -439,3 +623,43 @@ function NotesBox({ title, placeholder, items, itemKey, onAdd }) {
     </div>
   );
 }
+
+function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ${minutes % 60} min`;
+  return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+}
+
+const TIMELINE_TEXT = {
+  created: e => `Request created in ${STAGE_LABELS[e.to_stage]}`,
+  stage: e => `Moved from ${STAGE_LABELS[e.from_stage] || "-"} to ${STAGE_LABELS[e.to_stage]}`,
+  note: e => `Note: ${e.text}`,
+  instruction: e => `Instruction: ${e.text}`,
+  worksheet: e => `Worksheet: ${e.text}`
+};
+
+function HistoryPanel({ history }) {
+  return (
+    <div className="card" style={{ marginBottom: "1.5rem" }}>
+      <h4 style={{ margin: "0 0 1rem 0", color: "var(--odoo-text)" }}>Time in Stage</h4>
+      <div className="stagebar" style={{ marginBottom: "1.5rem" }}>
+        {Object.entries(history.time_in_stage).map(([stage, minutes]) => (
+          <span key={stage} className="badge">{STAGE_LABELS[stage]}: {formatDuration(minutes)}</span>
+        ))}
+      </div>
+
+      <h4 style={{ margin: "0 0 1rem 0", color: "var(--odoo-text)" }}>Timeline</h4>
+      <ul className="timeline">
+        {history.timeline.map(e => (
+          <li key={e.id} className={"timeline-item timeline-" + e.type}>
+            <div>{TIMELINE_TEXT[e.type](e)}</div>
+            <div className="small">
+              {new Date(e.at).toLocaleString()}{e.by ? ` · ${e.by}` : ""}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from "react";
+import { apiDelete, apiGet, apiPost, apiPut } from "../api.js";
+import { LOOKUP_LISTS } from "../lookups.js";
+import Table from "../components/Table.jsx";
+import Modal from "../components/Modal.jsx";
+import FieldError from "../components/FieldError.jsx";
+
+function fetchValues(kind, setValues) {
+  return apiGet(`/lookups/${kind}`).then(setValues);
+}
+
+// The reference lists equipment, requests and parts pick from: equipment categories,
+// departments and locations. Values are added, renamed, retired (hidden from forms),
+// merged into another value or, when nothing uses them, deleted.
+export default function Settings() {
+  const [list, setList] = useState(LOOKUP_LISTS[0]);
+  const [values, setValues] = useState([]);
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+  // { mode: "new" | "rename" | "merge", value } while the modal is open
+  const [editing, setEditing] = useState(null);
+  const [name, setName] = useState("");
+  const [intoId, setIntoId] = useState("");
+  const [formErr, setFormErr] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  function load() {
+    return fetchValues(list.kind, setValues).catch(e => setErr(e.message));
+  }
+
+  useEffect(() => {
+    fetchValues(list.kind, setValues)
+      .then(() => { setErr(""); setMsg(""); })
+      .catch(e => setErr(e.message));
+  }, [list]);
+
+  function openModal(mode, value = null) {
+    setEditing({ mode, value });
+    setName(mode === "rename" ? value.name : "");
+    setIntoId("");
+    setFormErr(""); setFieldErrors({});
+  }
+
+  // Runs a change, then shows its message and reloads the list
+  async function run(request) {
+    setErr(""); setMsg("");
+    try {
+      const res = await request();
+      setMsg(res.message);
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  async function save() {
+    setFormErr(""); setFieldErrors({});
+    const { mode, value } = editing;
+    try {
+      const res = mode === "new"
+        ? await apiPost(`/lookups/${list.kind}`, { name: name.trim() })
+        : mode === "rename"
+          ? await apiPut(`/lookups/${list.kind}/${value.id}`, { name: name.trim() })
+          : await apiPost(`/lookups/${list.kind}/${value.id}/merge`, { into_id: Number(intoId) });
+      setMsg(res.message);
+      setEditing(null);
+      await load();
+    } catch (e) {
+      setFormErr(e.message);
+      setFieldErrors(e.errors || {});
+    }
+  }
+
+  function toggleRetired(e, value) {
+    e.stopPropagation();
+    const action = value.archived_at ? "restore" : "archive";
+    run(() => apiPost(`/lookups/${list.kind}/${value.id}/${action}`, {}));
+  }
+
+  function remove(e, value) {
+    e.stopPropagation();
+    if (!window.confirm(`Delete ${value.name}?`)) return;
+    run(() => apiDelete(`/lookups/${list.kind}/${value.id}`));
+  }
+
+  function action(e, mode, value) {
+    e.stopPropagation();
+    openModal(mode, value);
+  }
+
+  const columns = [
+    { key: "name", label: "Name" },
+    { key: "status", label: "Status" },
+    { key: "used_by", label: "Used By" },
+    { key: "actions", label: "" }
+  ];
+
+  const rows = values.map(v => ({
+    ...v,
+    status: v.archived_at ? <span className="badge">Retired</span> : "Active",
+    used_by: v.used_by || "Unused",
+    actions: (
+      <div style={{ display: "flex", gap: "0.5rem", justifyContent: "flex-end" }}>
+        <button className="btn" onClick={(e) => action(e, "rename", v)}>Rename</button>
+        <button className="btn" onClick={(e) => toggleRetired(e, v)}>{v.archived_at ? "Restore" : "Retire"}</button>
+        <button className="btn" onClick={(e) => action(e, "merge", v)} disabled={values.length < 2}>Merge</button>
+        <button className="btn btn-danger" onClick={(e) => remove(e, v)}>Delete</button>
+      </div>
+    )
+  }));
+
+  const title = editing?.mode === "new"
+    ? `New ${list.title}`
+    : editing?.mode === "rename" ? `Rename ${editing.value.name}` : `Merge ${editing?.value.name}`;
+
+  return (
+    <div>
+      <div className="topbar">
+        <h2 className="topbar-title">Settings</h2>
+        <div className="topbar-actions">
+          <button className="btn btn-primary" onClick={() => openModal("new")}>New {list.title}</button>
+        </div>
+      </div>
+
+      <div className="content-wrapper">
+        <div className="tabs">
+          {LOOKUP_LISTS.map(l => (
+            <button key={l.kind} className={"tabbtn " + (list.kind === l.kind ? "active" : "")} onClick={() => setList(l)}>{l.label}</button>
+          ))}
+        </div>
+
+        {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+        {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+        <Table columns={columns} rows={rows} />
+        <p className="small" style={{ color: "var(--odoo-text-muted)" }}>
+          Retired values stay on the records that use them but are no longer offered in forms.
+          Values still in use can't be deleted; merge them into another {list.singular} instead.
+        </p>
+      </div>
+
+      <Modal isOpen={Boolean(editing)} onClose={() => setEditing(null)} title={title}>
+        {editing?.mode === "merge" ? (
+          <div className={fieldErrors.into_id ? "field has-error" : "field"}>
+            <div className="label">Merge Into *</div>
+            <select className="input" value={intoId} onChange={(e) => setIntoId(e.target.value)}>
+              <option value="">Select a {list.singular}...</option>
+              {values.filter(v => v.id !== editing.value.id).map(v => (
+                <option key={v.id} value={v.id}>{v.name}{v.archived_at ? " (retired)" : ""}</option>
+              ))}
+            </select>
+            <FieldError error={fieldErrors.into_id} />
+            <p className="small" style={{ color: "var(--odoo-text-muted)", margin: "0.25rem 0 0 0" }}>
+              Everything using {editing.value.name} moves to the chosen {list.singular}, then {editing.value.name} is deleted.
+            </p>
+          </div>
+        ) : (
+          <div className={fieldErrors.name ? "field has-error" : "field"}>
+            <div className="label">Name *</div>
+            <input className="input" value={name} onChange={(e) => setName(e.target.value)} />
+            <FieldError error={fieldErrors.name} />
+          </div>
+        )}
+
+        {formErr && <div className="error" style={{ marginTop: "1rem" }}>{formErr}</div>}
+
+        <div style={{ display: "flex", gap: "0.5rem", marginTop: "1.5rem", justifyContent: "flex-end" }}>
+          <button className="btn" onClick={() => setEditing(null)}>Cancel</button>
+          <button className="btn btn-primary" onClick={save} disabled={editing?.mode === "merge" && !intoId}>
+            {editing?.mode === "merge" ? "Merge" : "Save"}
+          </button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
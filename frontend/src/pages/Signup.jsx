@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import { useNavigate, Link } from "react-router-dom";
 import { apiPost } from "../api.js";
+import FieldError from "../components/FieldError.jsx";
 
 function strongPassword(p) {
   if (p.length < 8) return false;
@@ -19,10 +20,12 @@ export default function Signup() {
   const [p2, setP2] = useState("");
   const [msg, setMsg] = useState("");
   const [ok, setOk] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
 
   async function submit() {
     setMsg("");
     setOk("");
+    setFieldErrors({});
     if (!name.trim() || !email.trim() || !p1 || !p2) { setMsg("Fill all fields"); return; }
     if (p1 !== p2) { setMsg("Passwords do not match"); return; }
     if (!strongPassword(p1)) { setMsg("Password must have small+capital+special and length >= 8"); return; }
@@ -38,6 +41,7 @@ export default function Signup() {
       // Don't redirect immediately - let user see the message
     } catch (e) {
       setMsg(e.message);
+      setFieldErrors(e.errors || {});
     }
   }
 
@@ -65,6 +69,7 @@ export default function Signup() {
             value={name} 
             onChange={(e) => setName(e.target.value)} 
           />
+          <FieldError error={fieldErrors.name} />
         </div>
 
         <div className="field">
@@ -76,6 +81,7 @@ export default function Signup() {
             value={email} 
             onChange={(e) => setEmail(e.target.value)} 
           />
+          <FieldError error={fieldErrors.email} />
         </div>
 
         <div className="field">
@@ -91,6 +97,7 @@ export default function Signup() {
             <option value="MANAGER">Manager</option>
             <option value="ADMIN">Admin</option>
           </select>
+          <FieldError error={fieldErrors.role} />
         </div>
 
         <div className="field">
@@ -102,6 +109,7 @@ export default function Signup() {
             value={p1} 
             onChange={(e) => setP1(e.target.value)} 
           />
+          <FieldError error={fieldErrors.password} />
         </div>
 
         <div className="field">
@@ -0,0 +1,319 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { apiDelete, apiGet, apiPost, apiPut } from "../api.js";
+import { getUser } from "../auth.js";
+import { canManageSlaPolicies } from "../permissions.js";
+import { SLA_STATUS_LABELS, slaBadgeClass } from "../sla.js";
+import Table from "../components/Table.jsx";
+import Modal from "../components/Modal.jsx";
+import FieldError from "../components/FieldError.jsx";
+
+const PRIORITY_LABELS = { 1: "Low", 2: "Medium", 3: "High" };
+
+const EMPTY_FORM = {
+  name: "",
+  priority: "",
+  maintenance_type: "",
+  response_minutes: 60,
+  resolution_minutes: 480,
+  active: true
+};
+
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes % 1440 === 0) return `${minutes / 1440} d`;
+  return `${Math.round((minutes / 60) * 10) / 10} h`;
+}
+
+function formatCompliance(value) {
+  return value == null ? "-" : `${value}%`;
+}
+
+function firstOfMonth() {
+  const d = new Date();
+  return new Date(Date.UTC(d.getFullYear(), d.getMonth(), 1)).toISOString().slice(0, 10);
+}
+
+function complianceRow(group, label) {
+  return {
+    id: label,
+    group: label,
+    total: group.total,
+    response: `${formatCompliance(group.response_compliance)} (${group.response.BREACHED} breached)`,
+    resolution: `${formatCompliance(group.resolution_compliance)} (${group.resolution.BREACHED} breached)`,
+    open: group.resolution.PENDING
+  };
+}
+
+function fetchPolicies(setPolicies) {
+  return apiGet("/sla/policies").then(setPolicies);
+}
+
+// Compliance for `range` ({ from, to, team_id })
+function fetchReport(range, setReport, setErr) {
+  const params = new URLSearchParams({ from: range.from, to: range.to });
+  if (range.team_id) params.set("team_id", range.team_id);
+  return apiGet(`/sla/report?${params}`)
+    .then(report => { setReport(report); setErr(""); })
+    .catch(e => setErr(e.message));
+}
+
+export default function Sla() {
+  const nav = useNavigate();
+  const [user, setUser] = useState(null);
+  const [teams, setTeams] = useState([]);
+  const [policies, setPolicies] = useState([]);
+  const [report, setReport] = useState(null);
+  const [range, setRange] = useState({ from: firstOfMonth(), to: new Date().toISOString().slice(0, 10), team_id: "" });
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formErr, setFormErr] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  function loadPolicies() {
+    return fetchPolicies(setPolicies);
+  }
+
+  function loadReport() {
+    return fetchReport(range, setReport, setErr);
+  }
+
+  useEffect(() => {
+    getUser().then(setUser);
+    apiGet("/requests/meta").then(m => setTeams(m.teams || [])).catch(console.error);
+    fetchPolicies(setPolicies).catch(e => setErr(e.message));
+  }, []);
+
+  useEffect(() => {
+    if (range.from && range.to) fetchReport(range, setReport, setErr);
+  }, [range]);
+
+  function setVal(k, v) {
+    setForm(prev => ({ ...prev, [k]: v }));
+  }
+
+  function fieldClass(k) {
+    return fieldErrors[k] ? "field has-error" : "field";
+  }
+
+  function openPolicy(policy) {
+    if (!canManageSlaPolicies(user)) return;
+    setEditingId(policy?.id || null);
+    setForm(policy ? {
+      name: policy.name,
+      priority: policy.priority ? String(policy.priority) : "",
+      maintenance_type: policy.maintenance_type || "",
+      response_minutes: policy.response_minutes,
+      resolution_minutes: policy.resolution_minutes,
+      active: !!policy.active
+    } : EMPTY_FORM);
+    setFormErr(""); setFieldErrors({});
+    setIsModalOpen(true);
+  }
+
+  async function savePolicy() {
+    setFormErr(""); setFieldErrors({});
+    const body = {
+      name: form.name.trim(),
+      priority: form.priority ? Number(form.priority) : null,
+      maintenance_type: form.maintenance_type || null,
+      response_minutes: Number(form.response_minutes),
+      resolution_minutes: Number(form.resolution_minutes),
+      active: form.active
+    };
+
+    try {
+      const res = editingId
+        ? await apiPut(`/sla/policies/${editingId}`, body)
+        : await apiPost("/sla/policies", body);
+      setMsg(res.message);
+      setIsModalOpen(false);
+      await loadPolicies();
+    } catch (e) {
+      setFormErr(e.message);
+      setFieldErrors(e.errors || {});
+    }
+  }
+
+  async function deletePolicy() {
+    if (!editingId || !window.confirm("Delete this SLA policy? Existing requests keep their due dates.")) return;
+    try {
+      const res = await apiDelete(`/sla/policies/${editingId}`);
+      setMsg(res.message);
+      setIsModalOpen(false);
+      await loadPolicies();
+    } catch (e) {
+      setFormErr(e.message);
+    }
+  }
+
+  async function runEscalation() {
+    setErr(""); setMsg("");
+    try {
+      const res = await apiPost("/sla/escalate");
+      setMsg(res.message);
+      await loadReport();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  const policyRows = policies.map(p => ({
+    ...p,
+    applies_to: [
+      p.priority ? `${PRIORITY_LABELS[p.priority]} priority` : "Any priority",
+      p.maintenance_type ? p.maintenance_type.toLowerCase() : "any type"
+    ].join(", "),
+    response: formatMinutes(p.response_minutes),
+    resolution: formatMinutes(p.resolution_minutes),
+    status: p.active ? "Active" : "Inactive"
+  }));
+
+  const policyColumns = [
+    { key: "name", label: "Policy" },
+    { key: "applies_to", label: "Applies To" },
+    { key: "response", label: "Response Time" },
+    { key: "resolution", label: "Resolution Time" },
+    { key: "status", label: "Status" }
+  ];
+
+  const complianceColumns = [
+    { key: "group", label: "" },
+    { key: "total", label: "Requests" },
+    { key: "response", label: "Response Compliance" },
+    { key: "resolution", label: "Resolution Compliance" },
+    { key: "open", label: "Open, On Track" }
+  ];
+
+  const complianceRows = report ? [
+    complianceRow(report.overall, "All requests"),
+    ...report.by_priority.map(g => complianceRow(g, `${PRIORITY_LABELS[g.priority]} priority`)),
+    ...report.by_maintenance_type.map(g => complianceRow(g, g.maintenance_type === "PREVENTIVE" ? "Preventive" : "Corrective"))
+  ] : [];
+
+  const breachRows = (report?.breaches || []).map(r => ({
+    ...r,
+    priority: PRIORITY_LABELS[r.priority] || r.priority,
+    stage: (r.stage || "").replaceAll("_", " "),
+    response: r.sla.response && <span className={slaBadgeClass(r.sla.response)}>{SLA_STATUS_LABELS[r.sla.response]}</span>,
+    resolution: r.sla.resolution && <span className={slaBadgeClass(r.sla.resolution)}>{SLA_STATUS_LABELS[r.sla.resolution]}</span>,
+    resolution_due_at: new Date(r.resolution_due_at).toLocaleString(),
+    escalated: r.escalated_at ? new Date(r.escalated_at).toLocaleString() : ""
+  }));
+
+  const breachColumns = [
+    { key: "subject", label: "Subject" },
+    { key: "team", label: "Team" },
+    { key: "priority", label: "Priority" },
+    { key: "stage", label: "Stage" },
+    { key: "response", label: "Response" },
+    { key: "resolution", label: "Resolution" },
+    { key: "resolution_due_at", label: "Resolution Due" },
+    { key: "escalated", label: "Escalated" }
+  ];
+
+  return (
+    <div>
+      <div className="topbar">
+        <h2 className="topbar-title">Service Levels</h2>
+        <div className="topbar-actions">
+          {canManageSlaPolicies(user) && (
+            <>
+              <button className="btn" onClick={runEscalation}>Escalate Breaches Now</button>
+              <button className="btn btn-primary" onClick={() => openPolicy(null)}>New Policy</button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="content-wrapper">
+        {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+        {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+        <h3>Policies</h3>
+        <Table columns={policyColumns} rows={policyRows} onRowClick={openPolicy} />
+
+        <div className="filterbar" style={{ marginTop: "2rem" }}>
+          <h3 style={{ margin: 0, flex: 1 }}>Compliance Report</h3>
+          <div className="field">
+            <div className="label">Created From</div>
+            <input className="input" type="date" value={range.from} onChange={(e) => setRange(r => ({ ...r, from: e.target.value }))} />
+          </div>
+          <div className="field">
+            <div className="label">To</div>
+            <input className="input" type="date" value={range.to} onChange={(e) => setRange(r => ({ ...r, to: e.target.value }))} />
+          </div>
+          <div className="field">
+            <div className="label">Team</div>
+            <select value={range.team_id} onChange={(e) => setRange(r => ({ ...r, team_id: e.target.value }))}>
+              <option value="">All teams</option>
+              {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <Table columns={complianceColumns} rows={complianceRows} />
+
+        <h3 style={{ marginTop: "2rem" }}>Breaches</h3>
+        <Table columns={breachColumns} rows={breachRows} onRowClick={(r) => nav(`/requests/${r.id}`)} />
+      </div>
+
+      <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} title={editingId ? "Edit SLA Policy" : "New SLA Policy"}>
+        <div className={fieldClass("name")}>
+          <div className="label">Policy Name *</div>
+          <input className="input" value={form.name} onChange={(e) => setVal("name", e.target.value)} />
+          <FieldError error={fieldErrors.name} />
+        </div>
+
+        <div className={fieldClass("priority")}>
+          <div className="label">Priority</div>
+          <select value={form.priority} onChange={(e) => setVal("priority", e.target.value)}>
+            <option value="">Any</option>
+            <option value="1">Low</option>
+            <option value="2">Medium</option>
+            <option value="3">High</option>
+          </select>
+          <FieldError error={fieldErrors.priority} />
+        </div>
+
+        <div className={fieldClass("maintenance_type")}>
+          <div className="label">Maintenance Type</div>
+          <select value={form.maintenance_type} onChange={(e) => setVal("maintenance_type", e.target.value)}>
+            <option value="">Any</option>
+            <option value="CORRECTIVE">Corrective</option>
+            <option value="PREVENTIVE">Preventive</option>
+          </select>
+          <FieldError error={fieldErrors.maintenance_type} />
+        </div>
+
+        <div className={fieldClass("response_minutes")}>
+          <div className="label">Response Time (minutes) *</div>
+          <input className="input" type="number" min="1" value={form.response_minutes} onChange={(e) => setVal("response_minutes", e.target.value)} />
+          <FieldError error={fieldErrors.response_minutes} />
+        </div>
+
+        <div className={fieldClass("resolution_minutes")}>
+          <div className="label">Resolution Time (minutes) *</div>
+          <input className="input" type="number" min="1" value={form.resolution_minutes} onChange={(e) => setVal("resolution_minutes", e.target.value)} />
+          <FieldError error={fieldErrors.resolution_minutes} />
+        </div>
+
+        <label className="checkbox" style={{ display: "flex", gap: "0.5rem", marginBottom: "1rem" }}>
+          <input type="checkbox" checked={form.active} onChange={(e) => setVal("active", e.target.checked)} />
+          Active
+        </label>
+
+        {formErr && <div className="error" style={{ marginTop: "1rem" }}>{formErr}</div>}
+
+        <div style={{ display: "flex", gap: "0.5rem", marginTop: "1.5rem", justifyContent: "flex-end" }}>
+          {editingId && <button className="btn btn-danger" onClick={deletePolicy}>Delete</button>}
+          <button className="btn" onClick={() => setIsModalOpen(false)}>Cancel</button>
+          <button className="btn btn-primary" onClick={savePolicy}>Save Policy</button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
@@ -4,19 +4,26 @@ import { getUser } from "../auth.js";
 import { canManageTeams } from "../permissions.js";
 import Table from "../components/Table.jsx";
 import Modal from "../components/Modal.jsx";
+import FieldError from "../components/FieldError.jsx";
+import TeamDrawer from "../components/TeamDrawer.jsx";
+import { ASSIGNMENT_STRATEGY_LABELS, memberSummary } from "../teams.js";
 
 export default function Teams() {
   const [rows, setRows] = useState([]);
   const [q, setQ] = useState("");
   const [user, setUser] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
   const [meta, setMeta] = useState(null);
   const [form, setForm] = useState({
     name: "",
     company: "My Company",
-    member_ids: []
+    member_ids: [],
+    lead_id: "",
+    assignment_strategy: "MANUAL"
   });
   const [err, setErr] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
   const [msg, setMsg] = useState("");
   const [isLoading, setIsLoading] = useState(false);
 
@@ -26,16 +33,26 @@ export default function Teams() {
       setUser(u);
     }
     loadUser();
-    apiGet("/teams").then(setRows).catch(console.error);
+    loadTeams();
   }, []);
 
   useEffect(() => {
-    if (isModalOpen) {
+    if ((isModalOpen || selectedId) && !meta) {
       apiGet("/teams/meta")
         .then(setMeta)
         .catch(console.error);
     }
-  }, [isModalOpen]);
+  }, [isModalOpen, selectedId, meta]);
+
+  function loadTeams() {
+    return apiGet("/teams")
+      .then(teams => setRows(teams.map(x => ({
+        ...x,
+        members: memberSummary(x.members) || "No members",
+        assignment: ASSIGNMENT_STRATEGY_LABELS[x.assignment_strategy]
+      }))))
+      .catch(console.error);
+  }
 
   const filtered = useMemo(() => {
     const t = q.trim().toLowerCase();
@@ -49,6 +66,7 @@ export default function Teams() {
   const columns = [
     { key: "name", label: "Team Name" },
     { key: "members", label: "Team Members" },
+    { key: "assignment", label: "Assignment" },
     { key: "company", label: "Company" }
   ];
 
@@ -56,6 +74,10 @@ export default function Teams() {
     setForm(prev => ({ ...prev, [k]: v }));
   }
 
+  function fieldClass(k) {
+    return fieldErrors[k] ? "field has-error" : "field";
+  }
+
   function handleMemberToggle(userId) {
     setForm(prev => {
       const memberIds = prev.member_ids || [];
@@ -64,7 +86,8 @@ export default function Teams() {
         ...prev,
         member_ids: isSelected
           ? memberIds.filter(id => id !== userId)
-          : [...memberIds, userId]
+          : [...memberIds, userId],
+        lead_id: isSelected && prev.lead_id === userId ? "" : prev.lead_id
       };
     });
   }
@@ -72,9 +95,10 @@ export default function Teams() {
   async function handleSubmit() {
     setErr("");
     setMsg("");
+    setFieldErrors({});
     
     if (!form.name.trim()) {
-      setErr("Team name is required");
+      setFieldErrors({ name: "Team name is required" });
       return;
     }
 
@@ -83,24 +107,26 @@ export default function Teams() {
       const body = {
         name: form.name.trim(),
         company: form.company.trim() || "My Company",
-        member_ids: form.member_ids || []
+        member_ids: form.member_ids || [],
+        lead_ids: form.lead_id ? [form.lead_id] : [],
+        assignment_strategy: form.assignment_strategy
       };
 
       const res = await apiPost("/teams", body);
       setMsg(res.message || "Team created successfully");
       
       // Refresh teams list
-      const updatedTeams = await apiGet("/teams");
-      setRows(updatedTeams);
+      await loadTeams();
       
       // Close modal after a short delay
       setTimeout(() => {
         setIsModalOpen(false);
-        setForm({ name: "", company: "My Company", member_ids: [] });
+        setForm({ name: "", company: "My Company", member_ids: [], lead_id: "", assignment_strategy: "MANUAL" });
         setMsg("");
       }, 1000);
     } catch (e) {
       setErr(e.message);
+      setFieldErrors(e.errors || {});
     } finally {
       setIsLoading(false);
     }
@@ -108,9 +134,10 @@ export default function Teams() {
 
   function handleCloseModal() {
     setIsModalOpen(false);
-    setForm({ name: "", company: "My Company", member_ids: [] });
+    setForm({ name: "", company: "My Company", member_ids: [], lead_id: "", assignment_strategy: "MANUAL" });
     setErr("");
     setMsg("");
+    setFieldErrors({});
   }
 
   return (
@@ -127,12 +154,12 @@ export default function Teams() {
         </div>
       </div>
       <div className="content-wrapper">
-        <Table columns={columns} rows={filtered} />
+        <Table columns={columns} rows={filtered} onRowClick={(r) => setSelectedId(r.id)} />
       </div>
 
       <Modal isOpen={isModalOpen} onClose={handleCloseModal} title="Create New Team">
         <div className="card" style={{ padding: "1.5rem" }}>
-          <div className="field">
+          <div className={fieldClass("name")}>
             <div className="label">Team Name *</div>
             <input 
               className="input" 
@@ -140,9 +167,10 @@ export default function Teams() {
               onChange={(e) => setVal("name", e.target.value)}
               placeholder="Enter team name"
             />
+            <FieldError error={fieldErrors.name} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("company")}>
             <div className="label">Company</div>
             <input 
               className="input" 
@@ -150,9 +178,10 @@ export default function Teams() {
               onChange={(e) => setVal("company", e.target.value)}
               placeholder="Enter company name"
             />
+            <FieldError error={fieldErrors.company} />
           </div>
 
-          <div className="field">
+          <div className={fieldClass("member_ids")}>
             <div className="label">Team Members</div>
             <div style={{ 
               maxHeight: "200px", 
@@ -183,6 +212,28 @@ export default function Teams() {
                 <div style={{ padding: "0.5rem", color: "#6b7280" }}>No users available</div>
               )}
             </div>
+            <FieldError error={fieldErrors.member_ids} />
+          </div>
+
+          <div className={fieldClass("lead_ids")}>
+            <div className="label">Team Lead</div>
+            <select className="input" value={form.lead_id} onChange={(e) => setVal("lead_id", e.target.value)}>
+              <option value="">No lead</option>
+              {(meta?.users || [])
+                .filter(u => (form.member_ids || []).includes(u.id))
+                .map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+            </select>
+            <FieldError error={fieldErrors.lead_ids} />
+          </div>
+
+          <div className={fieldClass("assignment_strategy")}>
+            <div className="label">Assign New Requests</div>
+            <select className="input" value={form.assignment_strategy} onChange={(e) => setVal("assignment_strategy", e.target.value)}>
+              {Object.entries(ASSIGNMENT_STRATEGY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <FieldError error={fieldErrors.assignment_strategy} />
           </div>
 
           {err && <div className="error" style={{ marginTop: "1rem" }}>{err}</div>}
@@ -206,6 +257,14 @@ export default function Teams() {
           </div>
         </div>
       </Modal>
+
+      <TeamDrawer
+        teamId={selectedId}
+        users={meta?.users}
+        categories={meta?.categories}
+        onClose={() => setSelectedId(null)}
+        onChanged={loadTeams}
+      />
     </div>
   );
 }
@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { apiGet, apiPost } from "../api.js";
+import { getUser } from "../auth.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { hasPermission } from "../permissions.js";
+import { entryMinutes, formatMinutes } from "../timeEntries.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().substring(0, 10);
+}
+
+// Monday of the current week (UTC, like the timesheet endpoint)
+function currentWeekStart() {
+  const now = new Date();
+  return addDays(now.toISOString().substring(0, 10), -((now.getUTCDay() + 6) % 7));
+}
+
+function formatDay(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short", timeZone: "UTC" });
+}
+
+// The week's timesheet; running timers count from the moment it arrived
+function fetchSheet(weekStart, userId, setSheet, setNow) {
+  const params = new URLSearchParams({ from: weekStart });
+  if (userId) params.set("user_id", userId);
+  return apiGet(`/time-entries/timesheet?${params}`).then(sheet => {
+    setSheet(sheet);
+    setNow(Date.now());
+  });
+}
+
+function fetchRunning(setRunning) {
+  return apiGet("/time-entries/running").then(res => setRunning(res.entry));
+}
+
+export default function Timesheet() {
+  const [user, setUser] = useState(null);
+  const [techs, setTechs] = useState([]);
+  const [userId, setUserId] = useState("");
+  const [weekStart, setWeekStart] = useState(currentWeekStart);
+  const [sheet, setSheet] = useState(null);
+  const [running, setRunning] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+
+  const canViewOthers = hasPermission(user, "manage_time_entries");
+
+  function reload() {
+    return Promise.all([fetchSheet(weekStart, userId, setSheet, setNow), fetchRunning(setRunning)]);
+  }
+
+  useEffect(() => {
+    getUser().then(u => {
+      setUser(u);
+      if (hasPermission(u, "manage_time_entries")) {
+        apiGet("/requests/meta").then(m => setTechs(m.techs || [])).catch(console.error);
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    fetchSheet(weekStart, userId, setSheet, setNow)
+      .then(() => setErr(""))
+      .catch(e => setErr(e.message));
+  }, [weekStart, userId]);
+
+  useEffect(() => {
+    fetchRunning(setRunning).catch(e => setErr(e.message));
+  }, []);
+
+  // Running timers keep counting on screen
+  useEffect(() => {
+    if (!running) return;
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  useLiveUpdates(["request"], () => {
+    reload().catch(e => setErr(e.message));
+  });
+
+  async function stopTimer() {
+    setErr(""); setMsg("");
+    try {
+      const res = await apiPost(`/time-entries/requests/${running.request_id}/stop`);
+      setMsg(res.message);
+      await reload();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  const entries = (sheet?.entries || []).map(e => ({ ...e, minutes: e.running ? entryMinutes(e, now) : e.minutes }));
+  const days = (sheet?.days || []).map(d => ({
+    ...d,
+    minutes: entries.filter(e => e.started_at.substring(0, 10) === d.date).reduce((sum, e) => sum + e.minutes, 0)
+  }));
+  const total = entries.reduce((sum, e) => sum + e.minutes, 0);
+
+  return (
+    <div>
+      <div className="topbar">
+        <h2 className="topbar-title">Timesheet</h2>
+      </div>
+
+      <div className="content-wrapper">
+        {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+        {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+        {running && (
+          <div className="card" style={{ marginBottom: "1.5rem", display: "flex", gap: "1rem", alignItems: "center" }}>
+            <span className="badge sla-pending">Running</span>
+            <span>
+              <Link to={`/requests/${running.request_id}`}>{running.request?.subject || `Request #${running.request_id}`}</Link>
+              {" "}for {formatMinutes(entryMinutes(running, now))}
+            </span>
+            <div style={{ flex: 1 }} />
+            <button className="btn" onClick={stopTimer}>Stop</button>
+          </div>
+        )}
+
+        <div className="filterbar">
+          <button className="btn" onClick={() => setWeekStart(addDays(weekStart, -7))}>Previous Week</button>
+          <button className="btn" onClick={() => setWeekStart(currentWeekStart())}>This Week</button>
+          <button className="btn" onClick={() => setWeekStart(addDays(weekStart, 7))}>Next Week</button>
+          <span>{formatDay(weekStart)} – {formatDay(addDays(weekStart, 6))}</span>
+          {canViewOthers && (
+            <select value={userId} onChange={(e) => setUserId(e.target.value)}>
+              <option value="">My timesheet</option>
+              {techs.filter(t => t.id !== user?.id).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+          )}
+        </div>
+
+        <div className="card" style={{ marginBottom: "1.5rem" }}>
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  {days.map(d => <th key={d.date}>{formatDay(d.date)}</th>)}
+                  <th>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  {days.map(d => <td key={d.date}>{d.minutes > 0 ? formatMinutes(d.minutes) : "—"}</td>)}
+                  <td><strong>{formatMinutes(total)}</strong></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className="card">
+          <h4 style={{ margin: "0 0 1rem 0", color: "var(--odoo-text)" }}>Entries</h4>
+          {entries.length === 0 ? (
+            <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic" }}>
+              No time logged this week.
+            </p>
+          ) : (
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Request</th>
+                    <th>Start</th>
+                    <th>End</th>
+                    <th>Duration</th>
+                    <th>Note</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(e => (
+                    <tr key={e.id}>
+                      <td><Link to={`/requests/${e.request_id}`}>{e.request?.subject || `Request #${e.request_id}`}</Link></td>
+                      <td>{new Date(e.started_at).toLocaleString()}</td>
+                      <td>
+                        {e.running
+                          ? <span className="badge sla-pending">Running</span>
+                          : new Date(e.ended_at).toLocaleString()}
+                      </td>
+                      <td>{formatMinutes(e.minutes)}</td>
+                      <td>{e.note || ""}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,276 @@
+import React, { useEffect, useState } from "react";
+import { apiDelete, apiGet, apiPost, apiPut } from "../api.js";
+import Table from "../components/Table.jsx";
+import Modal from "../components/Modal.jsx";
+import FieldError from "../components/FieldError.jsx";
+
+const EMPTY_FORM = {
+  name: "",
+  url: "",
+  secret: "",
+  events: [],
+  active: true
+};
+
+const DELIVERY_STATUS_CLASSES = {
+  SUCCEEDED: "badge sla-met",
+  PENDING: "badge sla-pending",
+  FAILED: "badge sla-breached"
+};
+
+function fetchWebhooks(setWebhooks) {
+  return apiGet("/webhooks").then(setWebhooks);
+}
+
+// The delivery log of `webhook`, optionally only one status
+async function fetchDeliveries(webhook, status, setDeliveries) {
+  if (!webhook) return;
+  const params = status ? `?status=${status}` : "";
+  setDeliveries(await apiGet(`/webhooks/${webhook.id}/deliveries${params}`));
+}
+
+export default function Webhooks() {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formErr, setFormErr] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  function loadWebhooks() {
+    return fetchWebhooks(setWebhooks);
+  }
+
+  function loadDeliveries() {
+    return fetchDeliveries(selected, statusFilter, setDeliveries);
+  }
+
+  useEffect(() => {
+    fetchWebhooks(setWebhooks).catch(e => setErr(e.message));
+    apiGet("/webhooks/events").then(setEvents).catch(console.error);
+  }, []);
+
+  useEffect(() => {
+    fetchDeliveries(selected, statusFilter, setDeliveries).catch(e => setErr(e.message));
+  }, [selected, statusFilter]);
+
+  function setVal(k, v) {
+    setForm(prev => ({ ...prev, [k]: v }));
+  }
+
+  function toggleEvent(event, checked) {
+    setForm(prev => ({
+      ...prev,
+      events: checked ? [...prev.events, event] : prev.events.filter(e => e !== event)
+    }));
+  }
+
+  function fieldClass(k) {
+    return fieldErrors[k] ? "field has-error" : "field";
+  }
+
+  function openWebhook(webhook) {
+    setEditingId(webhook?.id || null);
+    setForm(webhook ? {
+      name: webhook.name,
+      url: webhook.url,
+      secret: "",
+      events: webhook.events || [],
+      active: !!webhook.active
+    } : EMPTY_FORM);
+    setFormErr(""); setFieldErrors({});
+    if (webhook) setSelected(webhook);
+    setIsModalOpen(true);
+  }
+
+  async function saveWebhook() {
+    setFormErr(""); setFieldErrors({});
+    const body = {
+      name: form.name.trim(),
+      url: form.url.trim(),
+      secret: form.secret.trim() || null,
+      events: form.events,
+      active: form.active
+    };
+
+    try {
+      if (editingId) {
+        const res = await apiPut(`/webhooks/${editingId}`, body);
+        setMsg(res.message);
+        setSelected(res.data);
+      } else {
+        const res = await apiPost("/webhooks", body);
+        setMsg(`${res.message}. Signing secret: ${res.data.secret} (copy it now, it won't be shown again)`);
+        setSelected(res.data);
+      }
+      setIsModalOpen(false);
+      await loadWebhooks();
+    } catch (e) {
+      setFormErr(e.message);
+      setFieldErrors(e.errors || {});
+    }
+  }
+
+  async function deleteWebhook() {
+    if (!editingId || !window.confirm("Delete this webhook and its delivery log?")) return;
+    try {
+      const res = await apiDelete(`/webhooks/${editingId}`);
+      setMsg(res.message);
+      setIsModalOpen(false);
+      setSelected(null);
+      setDeliveries([]);
+      await loadWebhooks();
+    } catch (e) {
+      setFormErr(e.message);
+    }
+  }
+
+  async function sendTest() {
+    setFormErr("");
+    try {
+      const res = await apiPost(`/webhooks/${editingId}/test`);
+      setMsg(res.message);
+      setIsModalOpen(false);
+      await loadDeliveries();
+    } catch (e) {
+      setFormErr(e.message);
+    }
+  }
+
+  async function redeliver(e, delivery) {
+    e.stopPropagation();
+    setErr(""); setMsg("");
+    try {
+      const res = await apiPost(`/webhooks/deliveries/${delivery.id}/redeliver`);
+      setMsg(res.message);
+      await loadDeliveries();
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  const webhookRows = webhooks.map(w => ({
+    ...w,
+    event_list: (w.events || []).join(", "),
+    status: w.active ? "Active" : "Disabled"
+  }));
+
+  const webhookColumns = [
+    { key: "name", label: "Name" },
+    { key: "url", label: "URL" },
+    { key: "event_list", label: "Events" },
+    { key: "secret_hint", label: "Secret" },
+    { key: "status", label: "Status" }
+  ];
+
+  const deliveryRows = deliveries.map(d => ({
+    ...d,
+    status: <span className={DELIVERY_STATUS_CLASSES[d.status]}>{d.status}</span>,
+    created_at: new Date(d.created_at).toLocaleString(),
+    response: d.response_status ? `${d.response_status} ${d.response_body || ""}`.trim() : d.last_error || "",
+    next_attempt_at: d.next_attempt_at ? new Date(d.next_attempt_at).toLocaleString() : "",
+    actions: d.status !== "PENDING" && <button className="btn" onClick={(e) => redeliver(e, d)}>Redeliver</button>
+  }));
+
+  const deliveryColumns = [
+    { key: "created_at", label: "Created" },
+    { key: "event", label: "Event" },
+    { key: "status", label: "Status" },
+    { key: "attempts", label: "Attempts" },
+    { key: "response", label: "Last Response" },
+    { key: "next_attempt_at", label: "Next Attempt" },
+    { key: "actions", label: "" }
+  ];
+
+  return (
+    <div>
+      <div className="topbar">
+        <h2 className="topbar-title">Webhooks</h2>
+        <div className="topbar-actions">
+          <button className="btn btn-primary" onClick={() => openWebhook(null)}>New Webhook</button>
+        </div>
+      </div>
+
+      <div className="content-wrapper">
+        {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+        {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+        <Table columns={webhookColumns} rows={webhookRows} onRowClick={openWebhook} />
+
+        {selected && (
+          <>
+            <div className="filterbar" style={{ marginTop: "2rem" }}>
+              <h3 style={{ margin: 0, flex: 1 }}>Delivery Log: {selected.name}</h3>
+              <div className="field">
+                <div className="label">Status</div>
+                <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                  <option value="">All</option>
+                  <option value="SUCCEEDED">Succeeded</option>
+                  <option value="PENDING">Pending</option>
+                  <option value="FAILED">Failed</option>
+                </select>
+              </div>
+            </div>
+            <Table columns={deliveryColumns} rows={deliveryRows} />
+          </>
+        )}
+      </div>
+
+      <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} title={editingId ? "Edit Webhook" : "New Webhook"}>
+        <div className={fieldClass("name")}>
+          <div className="label">Name *</div>
+          <input className="input" value={form.name} onChange={(e) => setVal("name", e.target.value)} />
+          <FieldError error={fieldErrors.name} />
+        </div>
+
+        <div className={fieldClass("url")}>
+          <div className="label">Payload URL *</div>
+          <input className="input" value={form.url} placeholder="https://" onChange={(e) => setVal("url", e.target.value)} />
+          <FieldError error={fieldErrors.url} />
+        </div>
+
+        <div className={fieldClass("secret")}>
+          <div className="label">Signing Secret</div>
+          <input
+            className="input"
+            value={form.secret}
+            placeholder={editingId ? "Leave empty to keep the current secret" : "Leave empty to generate one"}
+            onChange={(e) => setVal("secret", e.target.value)}
+          />
+          <FieldError error={fieldErrors.secret} />
+        </div>
+
+        <div className={fieldClass("events")}>
+          <div className="label">Events *</div>
+          {events.map(e => (
+            <label key={e.event} className="checkbox" style={{ display: "flex", gap: "0.5rem", marginBottom: "0.5rem" }}>
+              <input type="checkbox" checked={form.events.includes(e.event)} onChange={(ev) => toggleEvent(e.event, ev.target.checked)} />
+              <span><code>{e.event}</code> - {e.description}</span>
+            </label>
+          ))}
+          <FieldError error={fieldErrors.events} />
+        </div>
+
+        <label className="checkbox" style={{ display: "flex", gap: "0.5rem", marginBottom: "1rem" }}>
+          <input type="checkbox" checked={form.active} onChange={(e) => setVal("active", e.target.checked)} />
+          Active
+        </label>
+
+        {formErr && <div className="error" style={{ marginTop: "1rem" }}>{formErr}</div>}
+
+        <div style={{ display: "flex", gap: "0.5rem", marginTop: "1.5rem", justifyContent: "flex-end" }}>
+          {editingId && <button className="btn btn-danger" onClick={deleteWebhook}>Delete</button>}
+          {editingId && <button className="btn" onClick={sendTest}>Send Test Event</button>}
+          <button className="btn" onClick={() => setIsModalOpen(false)}>Cancel</button>
+          <button className="btn btn-primary" onClick={saveWebhook}>Save Webhook</button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { apiGet, apiPost, apiPut } from "../api.js";
+import { useLiveUpdates } from "../liveUpdates.js";
+import { formatCost } from "../costs.js";
+import { formatPercent } from "../oee.js";
+import { toWorkcenterBody, toWorkcenterForm } from "../workcenters.js";
+import Table from "../components/Table.jsx";
+import Modal from "../components/Modal.jsx";
+import WorkCenterFields from "../components/WorkCenterFields.jsx";
+import OeePanel from "../components/OeePanel.jsx";
+
+function fetchWorkcenter(id, setWorkcenter, setRequests) {
+  return Promise.all([
+    apiGet(`/workcenters/${id}`),
+    apiGet(`/workcenters/${id}/requests`)
+  ]).then(([wc, rows]) => {
+    setWorkcenter(wc);
+    setRequests(rows);
+  });
+}
+
+// A work center's fields, the requests raised against it and its OEE; edited, archived and
+// restored through PUT /api/workcenters/:id and POST /api/workcenters/:id/archive|restore
+export default function WorkCenterDetail() {
+  const { id } = useParams();
+  const nav = useNavigate();
+  const [workcenter, setWorkcenter] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formErr, setFormErr] = useState("");
+  const [meta, setMeta] = useState(null);
+
+  function load() {
+    return fetchWorkcenter(id, setWorkcenter, setRequests).catch(e => setErr(e.message));
+  }
+
+  useEffect(() => {
+    fetchWorkcenter(id, setWorkcenter, setRequests)
+      .then(() => { setErr(""); setMsg(""); })
+      .catch(e => setErr(e.message));
+  }, [id]);
+
+  // Names of the maintenance team and default technician
+  useEffect(() => {
+    apiGet("/requests/meta").then(setMeta).catch(console.error);
+  }, []);
+
+  useLiveUpdates(["workcenter", "request"], events => {
+    if (events.some(e => e.type.startsWith("request.") || e.type === "resync" || String(e.data.id) === String(id))) {
+      load();
+    }
+  });
+
+  function openEdit() {
+    setForm(toWorkcenterForm(workcenter));
+    setFieldErrors({}); setFormErr("");
+    setIsEditing(true);
+  }
+
+  function setVal(k, v) {
+    setForm(prev => ({ ...prev, [k]: v }));
+  }
+
+  async function save() {
+    setFieldErrors({}); setFormErr("");
+    try {
+      const res = await apiPut(`/workcenters/${id}`, toWorkcenterBody(form));
+      setMsg(res.message);
+      setIsEditing(false);
+      setWorkcenter(res.data);
+    } catch (e) {
+      setFormErr(e.message);
+      setFieldErrors(e.errors || {});
+    }
+  }
+
+  async function toggleArchived() {
+    const action = workcenter.archived_at ? "restore" : "archive";
+    if (action === "archive" && !window.confirm(`Archive ${workcenter.name}? It can no longer be picked for new equipment, requests or PM plans.`)) return;
+    setErr(""); setMsg("");
+    try {
+      const res = await apiPost(`/workcenters/${id}/${action}`, {});
+      setMsg(res.message);
+      setWorkcenter(res.data);
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  const details = workcenter ? [
+    ["Code", workcenter.code],
+    ["Tag", workcenter.tag],
+    ["Alternative Workcenters", workcenter.alternative_workcenters],
+    ["Cost per Hour", workcenter.cost_per_hour == null ? null : formatCost(workcenter.cost_per_hour)],
+    ["Capacity", workcenter.capacity],
+    ["Time Efficiency", workcenter.time_efficiency == null ? null : formatPercent(workcenter.time_efficiency)],
+    ["OEE Target", workcenter.oee_target == null ? null : formatPercent(workcenter.oee_target)],
+    ["Maintenance Team", (meta?.teams || []).find(t => String(t.id) === String(workcenter.maintenance_team_id))?.name],
+    ["Default Technician", (meta?.techs || []).find(t => t.id === workcenter.default_technician_id)?.name]
+  ] : [];
+
+  const requestColumns = [
+    { key: "subject", label: "Subject" },
+    { key: "request_date", label: "Date" },
+    { key: "maintenance_type", label: "Type" },
+    { key: "stage", label: "Stage" },
+    { key: "technician", label: "Technician" },
+    { key: "team", label: "Team" }
+  ];
+
+  const requestRows = requests.map(r => ({
+    ...r,
+    stage: (r.stage || "").replaceAll("_", " "),
+    technician: r.technician || "",
+    team: r.team || ""
+  }));
+
+  return (
+    <div>
+      <div className="topbar">
+        <h2 className="topbar-title">
+          <Link to="/workcenters">Work Centers</Link> / {workcenter?.name || ""}
+          {workcenter?.archived_at && <span className="badge" style={{ marginLeft: "0.75rem" }}>Archived</span>}
+        </h2>
+        {workcenter && (
+          <div className="topbar-actions">
+            <button className="btn" onClick={openEdit}>Edit</button>
+            <button className={workcenter.archived_at ? "btn btn-primary" : "btn btn-danger"} onClick={toggleArchived}>
+              {workcenter.archived_at ? "Restore" : "Archive"}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="content-wrapper">
+        {err && <div className="error" style={{ marginBottom: "1rem" }}>{err}</div>}
+        {msg && <div className="ok" style={{ marginBottom: "1rem" }}>{msg}</div>}
+
+        {workcenter && (
+          <>
+            <div className="card" style={{ marginBottom: "1.5rem" }}>
+              <h4 style={{ margin: "0 0 1rem 0" }}>Details</h4>
+              <div className="stagebar">
+                {details.map(([label, value]) => (
+                  <span key={label} className="badge">{label}: {value ?? "—"}</span>
+                ))}
+              </div>
+              {workcenter.archived_at && (
+                <p className="small" style={{ color: "var(--odoo-text-muted)", marginBottom: 0 }}>
+                  Archived on {new Date(workcenter.archived_at).toLocaleDateString()}.
+                </p>
+              )}
+            </div>
+
+            <h3 style={{ margin: "0 0 1rem 0" }}>Maintenance Requests</h3>
+            {requests.length === 0 ? (
+              <p className="small" style={{ color: "var(--odoo-text-muted)", fontStyle: "italic", marginBottom: "1.5rem" }}>
+                No requests for this work center yet.
+              </p>
+            ) : (
+              <div style={{ marginBottom: "1.5rem" }}>
+                <Table columns={requestColumns} rows={requestRows} onRowClick={(r) => nav(`/requests/${r.id}`)} />
+              </div>
+            )}
+
+            <h3 style={{ margin: "0 0 1rem 0" }}>Overall Equipment Effectiveness</h3>
+            <OeePanel workcenterId={id} />
+          </>
+        )}
+      </div>
+
+      <Modal isOpen={isEditing} onClose={() => setIsEditing(false)} title="Edit Work Center">
+        {form && (
+          <div className="card" style={{ padding: "1.5rem" }}>
+            <WorkCenterFields form={form} setVal={setVal} fieldErrors={fieldErrors} meta={meta} />
+
+            {formErr && <div className="error" style={{ marginTop: "1rem" }}>{formErr}</div>}
+
+            <div style={{ display: "flex", gap: "0.5rem", marginTop: "1.5rem", justifyContent: "flex-end" }}>
+              <button className="btn" onClick={() => setIsEditing(false)}>Cancel</button>
+              <button className="btn btn-primary" onClick={save}>Save</button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
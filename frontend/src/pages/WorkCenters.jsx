@@ -1,29 +1,38 @@
 import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import { apiGet, apiPost } from "../api.js";
 import { getUser } from "../auth.js";
+import { useLiveUpdates } from "../liveUpdates.js";
 import { canManageWorkcenters } from "../permissions.js";
+import { EMPTY_WORKCENTER_FORM, toWorkcenterBody } from "../workcenters.js";
 import Table from "../components/Table.jsx";
 import Modal from "../components/Modal.jsx";
+import WorkCenterFields from "../components/WorkCenterFields.jsx";
+
+function fetchWorkcenters(showArchived, setRows, setErr) {
+  return apiGet(showArchived ? "/workcenters?include_archived=true" : "/workcenters")
+    .then(data => setRows(Array.isArray(data) ? data : []))
+    .catch(e => setErr(e.message));
+}
 
 export default function WorkCenters() {
+  const nav = useNavigate();
   const [rows, setRows] = useState([]);
   const [q, setQ] = useState("");
   const [err, setErr] = useState("");
   const [user, setUser] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [form, setForm] = useState({
-    name: "",
-    code: "",
-    tag: "",
-    alternative_workcenters: "",
-    cost_per_hour: "",
-    capacity: "",
-    time_efficiency: "",
-    oee_target: ""
-  });
+  const [showArchived, setShowArchived] = useState(false);
+  const [form, setForm] = useState(EMPTY_WORKCENTER_FORM);
   const [formErr, setFormErr] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
   const [formMsg, setFormMsg] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [meta, setMeta] = useState(null);
+
+  function loadWorkcenters() {
+    return fetchWorkcenters(showArchived, setRows, setErr);
+  }
 
   useEffect(() => {
     async function loadUser() {
@@ -31,16 +40,20 @@ export default function WorkCenters() {
       setUser(u);
     }
     loadUser();
-    (async () => {
-      try {
-        const data = await apiGet("/workcenters");
-        setRows(Array.isArray(data) ? data : []);
-      } catch (e) {
-        setErr(e.message);
-      }
-    })();
   }, []);
 
+  useEffect(() => {
+    fetchWorkcenters(showArchived, setRows, setErr);
+  }, [showArchived]);
+
+  useEffect(() => {
+    if (isModalOpen && !meta) {
+      apiGet("/requests/meta").then(setMeta).catch(console.error);
+    }
+  }, [isModalOpen, meta]);
+
+  useLiveUpdates(["workcenter"], loadWorkcenters);
+
   const filtered = useMemo(() => {
     const t = q.trim().toLowerCase();
     if (!t) return rows;
@@ -60,49 +73,30 @@ export default function WorkCenters() {
   async function handleSubmit() {
     setFormErr("");
     setFormMsg("");
+    setFieldErrors({});
     
     if (!form.name.trim()) {
-      setFormErr("Work center name is required");
+      setFieldErrors({ name: "Work center name is required" });
       return;
     }
 
     setIsLoading(true);
     try {
-      const body = {
-        name: form.name.trim(),
-        code: form.code.trim() || null,
-        tag: form.tag.trim() || null,
-        alternative_workcenters: form.alternative_workcenters.trim() || null,
-        cost_per_hour: form.cost_per_hour ? Number(form.cost_per_hour) : null,
-        capacity: form.capacity ? Number(form.capacity) : null,
-        time_efficiency: form.time_efficiency ? Number(form.time_efficiency) : null,
-        oee_target: form.oee_target ? Number(form.oee_target) : null
-      };
-
-      const res = await apiPost("/workcenters", body);
+      const res = await apiPost("/workcenters", toWorkcenterBody(form));
       setFormMsg(res.message || "Work center created successfully");
       
       // Refresh workcenters list
-      const updatedWorkcenters = await apiGet("/workcenters");
-      setRows(updatedWorkcenters);
+      await loadWorkcenters();
       
       // Close modal after a short delay
       setTimeout(() => {
         setIsModalOpen(false);
-        setForm({
-          name: "",
-          code: "",
-          tag: "",
-          alternative_workcenters: "",
-          cost_per_hour: "",
-          capacity: "",
-          time_efficiency: "",
-          oee_target: ""
-        });
+        setForm(EMPTY_WORKCENTER_FORM);
         setFormMsg("");
       }, 1000);
     } catch (e) {
       setFormErr(e.message);
+      setFieldErrors(e.errors || {});
     } finally {
       setIsLoading(false);
     }
@@ -110,18 +104,10 @@ export default function WorkCenters() {
 
   function handleCloseModal() {
     setIsModalOpen(false);
-    setForm({
-      name: "",
-      code: "",
-      tag: "",
-      alternative_workcenters: "",
-      cost_per_hour: "",
-      capacity: "",
-      time_efficiency: "",
-      oee_target: ""
-    });
+    setForm(EMPTY_WORKCENTER_FORM);
     setFormErr("");
     setFormMsg("");
+    setFieldErrors({});
   }
 
   const columns = [
@@ -132,14 +118,24 @@ export default function WorkCenters() {
     { key: "cost_per_hour", label: "Cost per hour" },
     { key: "capacity", label: "Capacity" },
     { key: "time_efficiency", label: "Time Efficiency" },
-    { key: "oee_target", label: "OEE Target" }
+    { key: "oee_target", label: "OEE Target" },
+    { key: "status", label: "Status" }
   ];
 
+  const tableRows = filtered.map(w => ({
+    ...w,
+    status: w.archived_at ? <span className="badge">Archived</span> : ""
+  }));
+
   return (
     <div>
       <div className="topbar">
         <h2 className="topbar-title">Work Centers</h2>
         <div className="topbar-actions">
+          <label className="checkbox" style={{ display: "flex", gap: "0.5rem", alignItems: "center" }}>
+            <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+            Show archived
+          </label>
           <div className="searchline">
             <input
               placeholder="Search..."
@@ -160,102 +156,14 @@ export default function WorkCenters() {
 
         <Table
           columns={columns}
-          rows={filtered}
+          rows={tableRows}
+          onRowClick={(r) => nav(`/workcenters/${r.id}`)}
         />
       </div>
 
       <Modal isOpen={isModalOpen} onClose={handleCloseModal} title="Create New Work Center">
         <div className="card" style={{ padding: "1.5rem" }}>
-          <div className="field">
-            <div className="label">Work Center Name *</div>
-            <input 
-              className="input" 
-              value={form.name} 
-              onChange={(e) => setVal("name", e.target.value)}
-              placeholder="Enter work center name"
-            />
-          </div>
-
-          <div className="field">
-            <div className="label">Code</div>
-            <input 
-              className="input" 
-              value={form.code} 
-              onChange={(e) => setVal("code", e.target.value)}
-              placeholder="Enter code (optional)"
-            />
-          </div>
-
-          <div className="field">
-            <div className="label">Tag</div>
-            <input 
-              className="input" 
-              value={form.tag} 
-              onChange={(e) => setVal("tag", e.target.value)}
-              placeholder="Enter tag (optional)"
-            />
-          </div>
-
-          <div className="field">
-            <div className="label">Alternative Workcenters</div>
-            <input 
-              className="input" 
-              value={form.alternative_workcenters} 
-              onChange={(e) => setVal("alternative_workcenters", e.target.value)}
-              placeholder="Enter alternative workcenters (optional)"
-            />
-          </div>
-
-          <div className="field">
-            <div className="label">Cost per Hour</div>
-            <input 
-              className="input" 
-              type="number"
-              step="0.01"
-              value={form.cost_per_hour} 
-              onChange={(e) => setVal("cost_per_hour", e.target.value)}
-              placeholder="Enter cost per hour (optional)"
-            />
-          </div>
-
-          <div className="field">
-            <div className="label">Capacity</div>
-            <input 
-              className="input" 
-              type="number"
-              value={form.capacity} 
-              onChange={(e) => setVal("capacity", e.target.value)}
-              placeholder="Enter capacity (optional)"
-            />
-          </div>
-
-          <div className="field">
-            <div className="label">Time Efficiency (%)</div>
-            <input 
-              className="input" 
-              type="number"
-              step="0.01"
-              min="0"
-              max="100"
-              value={form.time_efficiency} 
-              onChange={(e) => setVal("time_efficiency", e.target.value)}
-              placeholder="Enter time efficiency (optional)"
-            />
-          </div>
-
-          <div className="field">
-            <div className="label">OEE Target (%)</div>
-            <input 
-              className="input" 
-              type="number"
-              step="0.01"
-              min="0"
-              max="100"
-              value={form.oee_target} 
-              onChange={(e) => setVal("oee_target", e.target.value)}
-              placeholder="Enter OEE target (optional)"
-            />
-          </div>
+          <WorkCenterFields form={form} setVal={setVal} fieldErrors={fieldErrors} meta={meta} />
 
           {formErr && <div className="error" style={{ marginTop: "1rem" }}>{formErr}</div>}
           {formMsg && <div className="ok" style={{ marginTop: "1rem" }}>{formMsg}</div>}
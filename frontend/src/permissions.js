@@ -21,6 +21,19 @@ export function hasPermission(user, action) {
     'manage_equipment': ['ADMIN', 'MANAGER'],
     'manage_workcenters': ['ADMIN', 'MANAGER'],
     'manage_teams': ['ADMIN', 'MANAGER'],
+    'assign_requests': ['ADMIN', 'MANAGER'],
+    'manage_pm_plans': ['ADMIN', 'MANAGER'],
+    'manage_working_hours': ['ADMIN', 'MANAGER'],
+    'manage_sla_policies': ['ADMIN', 'MANAGER'],
+    'manage_email_outbox': ['ADMIN'],
+    'manage_webhooks': ['ADMIN'],
+    'delete_attachments': ['ADMIN', 'MANAGER'],
+    'manage_parts': ['ADMIN', 'MANAGER'],
+    'consume_parts': ['ADMIN', 'MANAGER', 'TECHNICIAN'],
+    'track_time': ['ADMIN', 'MANAGER', 'TECHNICIAN'],
+    'manage_time_entries': ['ADMIN', 'MANAGER'],
+    'manage_costs': ['ADMIN', 'MANAGER'],
+    'manage_lookups': ['ADMIN'],
     'change_user_roles': ['ADMIN']
   };
   
@@ -28,6 +41,53 @@ export function hasPermission(user, action) {
   return allowedRoles ? allowedRoles.includes(role) : false;
 }
 
+// Request fields that the edit endpoint accepts; stage and blocked only change
+// through the stage endpoint (mirrors backend/permissions.js)
+export const EDITABLE_REQUEST_FIELDS = [
+  'subject', 'maintenance_for', 'equipment_id', 'workcenter_id', 'category_id', 'request_date',
+  'maintenance_type', 'team_id', 'technician_id', 'scheduled_at', 'duration_minutes', 'priority'
+];
+
+// Only ADMIN / MANAGER pick these; everyone else gets the automatic assignment (backend/assignment.js)
+export const ASSIGNMENT_FIELDS = ['team_id', 'technician_id'];
+
+// Fields the user may set on a new request (mirrors backend/permissions.js)
+export function getCreatableRequestFields(user) {
+  if (!hasPermission(user, 'create_request')) return [];
+  return hasPermission(user, 'assign_requests')
+    ? EDITABLE_REQUEST_FIELDS
+    : EDITABLE_REQUEST_FIELDS.filter(field => !ASSIGNMENT_FIELDS.includes(field));
+}
+
+// Fields of an existing request the user may change (mirrors backend/permissions.js)
+export function getEditableRequestFields(user, request) {
+  if (!user || !request) return [];
+
+  switch (user.role) {
+    case 'ADMIN':
+    case 'MANAGER':
+      return EDITABLE_REQUEST_FIELDS;
+    case 'EMPLOYEE':
+      return request.created_by_user_id === user.id && request.stage === 'NEW_REQUEST'
+        ? EDITABLE_REQUEST_FIELDS.filter(field => !ASSIGNMENT_FIELDS.includes(field))
+        : [];
+    case 'TECHNICIAN':
+      return request.technician_id === user.id && !['REPAIRED', 'SCRAP'].includes(request.stage)
+        ? ['scheduled_at', 'duration_minutes']
+        : [];
+    default:
+      return [];
+  }
+}
+
+// Whether the user may move a request to another stage; technicians only
+// their assigned requests (same rule as PUT /api/requests/:id/stage)
+export function canUpdateRequestStage(user, request) {
+  if (!hasPermission(user, 'update_request_stage') || !request) return false;
+  if (user.role === 'TECHNICIAN') return request.technician_id === user.id;
+  return true;
+}
+
 // Helper to check if user can view all requests
 export function canViewAllRequests(user) {
   return hasPermission(user, 'view_all_requests');
@@ -48,6 +108,63 @@ export function canManageTeams(user) {
   return hasPermission(user, 'manage_teams');
 }
 
+// Helper to check if user can manage preventive maintenance plans
+export function canManagePmPlans(user) {
+  return hasPermission(user, 'manage_pm_plans');
+}
+
+// Helper to check if user can set technicians' working hours
+export function canManageWorkingHours(user) {
+  return hasPermission(user, 'manage_working_hours');
+}
+
+// Helper to check if user can manage SLA policies
+export function canManageSlaPolicies(user) {
+  return hasPermission(user, 'manage_sla_policies');
+}
+
+// Helper to check if user can manage webhook subscriptions
+export function canManageWebhooks(user) {
+  return hasPermission(user, 'manage_webhooks');
+}
+
+// Helper to check if user can delete an attachment (their own uploads, or any as ADMIN / MANAGER)
+export function canDeleteAttachment(user, attachment) {
+  if (!user || !attachment) return false;
+  return attachment.uploaded_by_user_id === user.id || hasPermission(user, 'delete_attachments');
+}
+
+// Helper to check if user can manage the parts catalog and stock
+export function canManageParts(user) {
+  return hasPermission(user, 'manage_parts');
+}
+
+// Helper to check if user can record the parts used on a request they can see
+export function canConsumeParts(user) {
+  return hasPermission(user, 'consume_parts');
+}
+
+// Helper to check if user can log time on the requests they can see
+export function canTrackTime(user) {
+  return hasPermission(user, 'track_time');
+}
+
+// Helper to check if user can edit or delete a time entry (their own, or any as ADMIN / MANAGER)
+export function canEditTimeEntry(user, entry) {
+  if (!user || !entry) return false;
+  return entry.user_id === user.id || hasPermission(user, 'manage_time_entries');
+}
+
+// Helper to check if user can see maintenance costs, set labor rates and record external charges
+export function canManageCosts(user) {
+  return hasPermission(user, 'manage_costs');
+}
+
+// Helper to check if user can manage equipment categories, departments and locations
+export function canManageLookups(user) {
+  return hasPermission(user, 'manage_lookups');
+}
+
 // Helper to check if user can change roles
 export function canChangeUserRoles(user) {
   return hasPermission(user, 'change_user_roles');
@@ -0,0 +1,20 @@
+// Display helpers for the SLA status the API returns as `sla: { response, resolution }`
+// (each MET, PENDING, BREACHED or null when no policy applies; see backend/sla.js)
+
+export const SLA_STATUS_LABELS = {
+  MET: "Met",
+  PENDING: "On track",
+  BREACHED: "Breached"
+};
+
+// The status to show when only one fits: any breach first, then pending work
+export function overallSlaStatus(sla) {
+  if (!sla || (!sla.response && !sla.resolution)) return null;
+  if (sla.response === "BREACHED" || sla.resolution === "BREACHED") return "BREACHED";
+  if (sla.response === "PENDING" || sla.resolution === "PENDING") return "PENDING";
+  return "MET";
+}
+
+export function slaBadgeClass(status) {
+  return `badge sla-${(status || "").toLowerCase()}`;
+}
@@ -0,0 +1,21 @@
+// Display helpers for teams and their members (see backend/routes/teams.js)
+
+export const TEAM_MEMBER_ROLE_LABELS = {
+  LEAD: "Lead",
+  MEMBER: "Member"
+};
+
+// "Alice (Lead), Bob" for the teams table and its search
+export function memberSummary(members) {
+  return (members || [])
+    .map(m => m.role === "LEAD" ? `${m.name} (${TEAM_MEMBER_ROLE_LABELS.LEAD})` : m.name)
+    .join(", ");
+}
+
+// How a team picks the technician of a new request (see backend/assignment.js)
+export const ASSIGNMENT_STRATEGY_LABELS = {
+  MANUAL: "Manual",
+  ROUND_ROBIN: "Round robin",
+  LEAST_LOADED: "Least loaded",
+  SKILLS: "By skills"
+};
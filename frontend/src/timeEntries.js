@@ -0,0 +1,27 @@
+// Display helpers for time entries (see backend/routes/timeEntries.js)
+
+// Minutes as hours and minutes, e.g. "2 h 05 min"
+export function formatMinutes(minutes) {
+  const total = Math.max(0, Math.round(minutes || 0));
+  const hours = Math.floor(total / 60);
+  if (hours === 0) return `${total} min`;
+  return `${hours} h ${String(total % 60).padStart(2, "0")} min`;
+}
+
+// Minutes of an entry; running timers count up to `now`
+export function entryMinutes(entry, now = Date.now()) {
+  const end = entry.ended_at ? Date.parse(entry.ended_at) : now;
+  return Math.max(0, Math.round((end - Date.parse(entry.started_at)) / 60000));
+}
+
+// A stored timestamp as the value of a datetime-local input (local time)
+export function toLocalInput(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().substring(0, 16);
+}
+
+// A datetime-local input value (local time) as an ISO timestamp, or null when empty
+export function fromLocalInput(value) {
+  return value ? new Date(value).toISOString() : null;
+}
@@ -0,0 +1,35 @@
+// Form helpers for work centers (see backend/routes/workcenters.js)
+
+export const EMPTY_WORKCENTER_FORM = {
+  name: "",
+  code: "",
+  tag: "",
+  alternative_workcenters: "",
+  cost_per_hour: "",
+  capacity: "",
+  time_efficiency: "",
+  oee_target: "",
+  maintenance_team_id: "",
+  default_technician_id: ""
+};
+
+// A stored work center as form values
+export function toWorkcenterForm(workcenter) {
+  return Object.fromEntries(Object.keys(EMPTY_WORKCENTER_FORM).map(k => [k, workcenter[k] == null ? "" : String(workcenter[k])]));
+}
+
+// Form values as the body of POST / PUT /api/workcenters
+export function toWorkcenterBody(form) {
+  return {
+    name: form.name.trim(),
+    code: form.code.trim() || null,
+    tag: form.tag.trim() || null,
+    alternative_workcenters: form.alternative_workcenters.trim() || null,
+    cost_per_hour: form.cost_per_hour ? Number(form.cost_per_hour) : null,
+    capacity: form.capacity ? Number(form.capacity) : null,
+    time_efficiency: form.time_efficiency ? Number(form.time_efficiency) : null,
+    oee_target: form.oee_target ? Number(form.oee_target) : null,
+    maintenance_team_id: form.maintenance_team_id ? Number(form.maintenance_team_id) : null,
+    default_technician_id: form.default_technician_id || null
+  };
+}